@@ -6,15 +6,22 @@ const routes = require("./routes");
 const dotenv = require("dotenv");
 const session = require("express-session");
 const passport = require("passport");
-const GitHubStrategy = require("passport-github2").Strategy;
 const connectDB = require("./utils/db")
+const configurePassport = require("./config/passport");
+const { UPLOAD_DIR } = require("./utils/storage");
+const { IMPORT_BODY_LIMIT } = require("./utils/catalogTransfer");
 
 const app = express();
 connectDB()
 dotenv.config();
 
-// Middleware for parsing JSON request bodies
-app.use(express.json());
+// Bulk catalog imports are parsed before the general JSON parser, which
+// would refuse them as too large; the route has the same parser
+app.use("/api/flowers/import", express.json({ limit: IMPORT_BODY_LIMIT }));
+
+// Middleware for parsing JSON request bodies. The raw body is kept for
+// checking the signatures of payment webhooks.
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 app.use(
   session({
@@ -23,13 +30,14 @@ app.use(
     saveUninitialized: true,
   })
 );
+configurePassport(passport); // GitHub, Google and JWT strategies plus session (de)serialization
 app.use(passport.initialize());
 app.use(passport.session());
 app.use((req, res, next) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader(
     "Access-Control-Allow-Headers",
-    "Origin, X-Requested-With, Content-Type, Accept, Z-Key"
+    "Origin, X-Requested-With, Content-Type, Accept, Z-Key, Authorization"
   );
   res.setHeader(
     "Access-Control-Allow-Methods",
@@ -41,32 +49,9 @@ app.use((req, res, next) => {
 // API Routes - Only mount the ones you want active
 app.use("/api", routes);
 
-passport.use(
-  new GitHubStrategy(
-    {
-      clientID: process.env.GITHUB_CLIENT_ID,
-      clientSecret: process.env.CLIENT_SECRET,
-      callbackURL: process.env.CALLBACK_URL,
-      passReqToCallback: true,
-    },
-    function (req, accessToken, refreshToken, profile, done) {
-      try {
-        
-        return done(null, profile);
-      } catch (error) {
-        console.error("there was an error in the strategy", error);
-      }
-    }
-  )
-);
-
-passport.serializeUser((user, done) => {
-  done(null, user);
-});
-
-passport.deserializeUser((user, done) => {
-  done(null, user);
-});
+// Uploaded images stored by the local storage backend; private files such as
+// return photos live elsewhere, see utils/storage
+app.use("/uploads", express.static(UPLOAD_DIR));
 
 // Swagger UI
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
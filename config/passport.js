@@ -1,41 +1,68 @@
+const GitHubStrategy = require('passport-github2').Strategy;
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const JwtStrategy = require('passport-jwt').Strategy;
 const ExtractJwt = require('passport-jwt').ExtractJwt;
 const User = require('../models/User'); // Path to your User model
-const { generateToken } = require('../utils/jwt'); // For JWT generation
 
 module.exports = (passport) => {
-    // Google OAuth Strategy
-    passport.use(new GoogleStrategy({
-        clientID: process.env.GOOGLE_CLIENT_ID,
-        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-        callbackURL: process.env.GOOGLE_CALLBACK_URL,
+    // GitHub OAuth Strategy
+    passport.use(new GitHubStrategy({
+        clientID: process.env.GITHUB_CLIENT_ID,
+        clientSecret: process.env.CLIENT_SECRET,
+        callbackURL: process.env.CALLBACK_URL,
+        passReqToCallback: true,
     },
-    async (accessToken, refreshToken, profile, done) => {
+    async (req, accessToken, refreshToken, profile, done) => {
         try {
-            let user = await User.findOne({ googleId: profile.id });
+            // Resolve the GitHub profile to our own User so req.user is a User document
+            const user = await User.findOrCreateFromOAuth('githubId', profile);
+            done(null, user);
+        } catch (err) {
+            console.error('Error during GitHub OAuth:', err.message);
+            done(err, null);
+        }
+    }));
 
-            if (user) {
-                // User already exists, log them in
-                done(null, user);
-            } else {
-                // Create a new user
-                user = await User.create({
-                    googleId: profile.id,
-                    displayName: profile.displayName,
-                    email: profile.emails[0].value, // Get the primary email
-                    profilePicture: profile.photos[0].value,
-                    // isAdmin: false by default
-                });
+    // Google OAuth Strategy (only when configured)
+    if (process.env.GOOGLE_CLIENT_ID) {
+        passport.use(new GoogleStrategy({
+            clientID: process.env.GOOGLE_CLIENT_ID,
+            clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+            callbackURL: process.env.GOOGLE_CALLBACK_URL,
+        },
+        async (accessToken, refreshToken, profile, done) => {
+            try {
+                // Links to an existing account with the same email (e.g. a password signup)
+                const user = await User.findOrCreateFromOAuth('googleId', profile);
                 done(null, user);
+            } catch (err) {
+                console.error('Error during Google OAuth:', err.message);
+                done(err, null);
             }
+        }));
+    }
+
+    // Passport session setup (needed for traditional session management, but JWT is stateless)
+    // For pure JWT, these aren't strictly necessary but good practice to include if mixing auth methods.
+    passport.serializeUser((user, done) => {
+        done(null, user.id);
+    });
+
+    passport.deserializeUser(async (id, done) => {
+        try {
+            const user = await User.findById(id);
+            done(null, user);
         } catch (err) {
-            console.error('Error during Google OAuth:', err.message);
             done(err, null);
         }
-    }));
+    });
+
+    // JWT Strategy for API clients sending "Authorization: Bearer <access token>"
+    if (!process.env.JWT_SECRET) {
+        console.warn('JWT_SECRET is not set: Bearer token authentication is disabled');
+        return;
+    }
 
-    // JWT Strategy
     const jwtOptions = {
         jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
         secretOrKey: process.env.JWT_SECRET,
@@ -55,19 +82,4 @@ module.exports = (passport) => {
             done(err, false);
         }
     }));
-
-    // Passport session setup (needed for traditional session management, but JWT is stateless)
-    // For pure JWT, these aren't strictly necessary but good practice to include if mixing auth methods.
-    passport.serializeUser((user, done) => {
-        done(null, user.id);
-    });
-
-    passport.deserializeUser(async (id, done) => {
-        try {
-            const user = await User.findById(id);
-            done(null, user);
-        } catch (err) {
-            done(err, null);
-        }
-    });
 };
\ No newline at end of file
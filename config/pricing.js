@@ -0,0 +1,47 @@
+// Tax and shipping tables used by utils/pricing. Countries and states are
+// ISO codes (US, CA, ...); addresses may also spell out the country names
+// listed in COUNTRY_ALIASES.
+
+const COUNTRY_ALIASES = {
+    'USA': 'US',
+    'UNITED STATES': 'US',
+    'UNITED STATES OF AMERICA': 'US',
+    'CANADA': 'CA',
+    'MEXICO': 'MX',
+    'UK': 'GB',
+    'UNITED KINGDOM': 'GB',
+    'GERMANY': 'DE',
+    'FRANCE': 'FR',
+};
+
+// Sales tax as a fraction of the taxable amount. A state rate replaces the
+// country rate; countries not listed are not taxed. shipping: whether the
+// shipping charge is taxed too.
+const TAX_RATES = {
+    US: {
+        rate: 0,
+        shipping: false,
+        states: { CA: 0.0725, FL: 0.06, IL: 0.0625, NY: 0.04, TX: 0.0625, WA: 0.065 },
+    },
+    CA: {
+        rate: 0.05,
+        shipping: true,
+        states: { ON: 0.13, NS: 0.15, NB: 0.15, NL: 0.15, PE: 0.15 },
+    },
+    GB: { rate: 0.2, shipping: true },
+    DE: { rate: 0.19, shipping: true },
+    FR: { rate: 0.2, shipping: true },
+};
+
+// The first zone matching the address is used; '*' matches every country and
+// states narrows a zone down to some states. The charge is
+// baseRate + perItem * items + perKg * kilograms (flower weights, rounded up),
+// and nothing once the subtotal after discounts reaches freeOver.
+const SHIPPING_ZONES = [
+    { name: 'us-remote', countries: ['US'], states: ['AK', 'HI'], baseRate: 19.99, perItem: 1, perKg: 2.5 },
+    { name: 'us', countries: ['US'], baseRate: 5.99, perItem: 0.5, perKg: 1, freeOver: 75 },
+    { name: 'north-america', countries: ['CA', 'MX'], baseRate: 14.99, perItem: 1, perKg: 3 },
+    { name: 'international', countries: ['*'], baseRate: 29.99, perItem: 2, perKg: 6 },
+];
+
+module.exports = { COUNTRY_ALIASES, TAX_RATES, SHIPPING_ZONES };
@@ -0,0 +1,49 @@
+// Fine-grained permissions checked by the authorize() middleware
+const PERMISSIONS = {
+    CATALOG_WRITE: 'catalog:write', // Create, update and delete flowers and categories
+    ORDERS_READ: 'orders:read', // View orders of any user
+    ORDERS_MANAGE: 'orders:manage', // Change order status, delete orders, order on behalf of users
+    USERS_READ: 'users:read', // View any user profile
+    USERS_MANAGE: 'users:manage', // Update and delete any user
+    ROLES_ASSIGN: 'roles:assign', // Change the role and permissions of users
+    REVIEWS_MODERATE: 'reviews:moderate', // Approve, hide and delete any customer review
+    PROMOTIONS_MANAGE: 'promotions:manage', // Create, update and delete promotion codes
+    DELIVERY_MANAGE: 'delivery:manage', // Configure delivery zones, slots, capacity and blackout dates
+};
+
+const ROLES = ['customer', 'florist', 'admin'];
+
+// Permissions granted by each role. Users can additionally be granted
+// individual permissions on top of their role.
+const ROLE_PERMISSIONS = {
+    customer: [],
+    florist: [
+        PERMISSIONS.CATALOG_WRITE,
+        PERMISSIONS.ORDERS_READ,
+        PERMISSIONS.ORDERS_MANAGE,
+    ],
+    admin: Object.values(PERMISSIONS),
+};
+
+/**
+ * All permissions a user holds through their role and individual grants.
+ * @param {{role?: string, permissions?: string[]}} user
+ * @returns {string[]}
+ */
+const permissionsFor = (user) => {
+    if (!user) {
+        return [];
+    }
+    const fromRole = ROLE_PERMISSIONS[user.role] || [];
+    return [...new Set([...fromRole, ...(user.permissions || [])])];
+};
+
+const hasPermission = (user, permission) => permissionsFor(user).includes(permission);
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    ROLE_PERMISSIONS,
+    permissionsFor,
+    hasPermission,
+};
@@ -0,0 +1,158 @@
+const User = require("../models/User");
+
+const MAX_ADDRESSES = 20;
+
+const ADDRESS_FIELDS = ["label", "street", "city", "state", "zipCode", "country"];
+
+const addressError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const findCurrentUser = async (req) => {
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    throw addressError("User not found", 404);
+  }
+  return user;
+};
+
+const findAddress = (user, addressId) => {
+  const address = user.addresses.id(addressId);
+  if (!address) {
+    throw addressError(`Address not found with ID ${addressId}`, 404);
+  }
+  return address;
+};
+
+// Labels name the addresses to pick from, so they must tell them apart
+const assertLabelFree = (user, label, address) => {
+  const taken = user.addresses.some((other) =>
+    other !== address && other.label.toLowerCase() === String(label).trim().toLowerCase()
+  );
+  if (taken) {
+    throw addressError(`An address labeled ${label} already exists`, 409);
+  }
+};
+
+// Only one address is the default: marking one unmarks the others
+const applyAddress = (user, address, body) => {
+  ADDRESS_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      address[field] = body[field];
+    }
+  });
+  if (body.isDefault) {
+    user.addresses.forEach((other) => {
+      other.isDefault = other === address;
+    });
+  } else if (body.isDefault === false) {
+    address.isDefault = false;
+  }
+};
+
+/**
+ * @desc    Get the address book of the current user, default address first
+ * @route   GET /users/me/addresses
+ * @access  Private
+ */
+const getAddresses = async (req, res, next) => {
+  try {
+    const user = await findCurrentUser(req);
+    const addresses = [...user.addresses].sort((a, b) => b.isDefault - a.isDefault);
+
+    res.status(200).json({ success: true, count: addresses.length, data: addresses });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get an address of the current user's address book
+ * @route   GET /users/me/addresses/:addressId
+ * @access  Private
+ */
+const getAddressById = async (req, res, next) => {
+  try {
+    const user = await findCurrentUser(req);
+
+    res.status(200).json({ success: true, data: findAddress(user, req.params.addressId) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Add an address to the current user's address book. The first
+ *          address becomes the default.
+ * @route   POST /users/me/addresses
+ * @access  Private
+ */
+const createAddress = async (req, res, next) => {
+  try {
+    const user = await findCurrentUser(req);
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return next(addressError(`An address book can hold at most ${MAX_ADDRESSES} addresses`, 409));
+    }
+    assertLabelFree(user, req.body.label);
+
+    user.addresses.push({});
+    const address = user.addresses[user.addresses.length - 1];
+    applyAddress(user, address, req.body);
+    await user.save();
+
+    res.status(201).json({ success: true, data: address });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update an address of the current user's address book. Orders
+ *          placed with it keep the address as it was.
+ * @route   PUT /users/me/addresses/:addressId
+ * @access  Private
+ */
+const updateAddress = async (req, res, next) => {
+  try {
+    const user = await findCurrentUser(req);
+    const address = findAddress(user, req.params.addressId);
+    if (req.body.label !== undefined) {
+      assertLabelFree(user, req.body.label, address);
+    }
+
+    applyAddress(user, address, req.body);
+    await user.save();
+
+    res.status(200).json({ success: true, data: address });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete an address of the current user's address book. Deleting
+ *          the default makes the first remaining address the default.
+ * @route   DELETE /users/me/addresses/:addressId
+ * @access  Private
+ */
+const deleteAddress = async (req, res, next) => {
+  try {
+    const user = await findCurrentUser(req);
+    findAddress(user, req.params.addressId).deleteOne();
+    await user.save();
+
+    res.status(200).json({ success: true, message: "Address deleted" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getAddresses,
+  getAddressById,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+};
@@ -0,0 +1,285 @@
+const User = require("../models/User");
+const Cart = require("../models/Cart");
+const { sendMail } = require("../utils/mailer");
+const { createUserToken, consumeUserToken } = require("../utils/userTokens");
+const {
+  isJwtConfigured,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+} = require("../utils/jwt");
+
+// Ends the cookie session if there is one
+const endSession = (req) =>
+  new Promise((resolve, reject) => {
+    if (!req.session) {
+      return resolve();
+    }
+    req.logout((err) => {
+      if (err) {
+        return reject(err);
+      }
+      req.session.destroy((destroyErr) => (destroyErr ? reject(destroyErr) : resolve()));
+    });
+  });
+
+// Starts a passport cookie session for the user, like the OAuth callbacks do
+const startSession = (req, user) =>
+  new Promise((resolve, reject) => {
+    req.login(user, (err) => {
+      if (err) {
+        return reject(err);
+      }
+      req.session.user = user;
+      resolve();
+    });
+  });
+
+// Links in emails point at the frontend when there is one
+const appUrl = () => process.env.APP_URL || process.env.BASE_URL;
+
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user, "verify_email");
+  await sendMail({
+    to: user.email,
+    subject: "Verify your BlossomHub email address",
+    text: `Confirm your email address by opening ${appUrl()}/verify-email?token=${token}\n` +
+      `or by sending the token to POST /api/auth/verify-email.\n\nToken: ${token}`,
+  });
+};
+
+/**
+ * @desc    Sign up with email and password and send a verification email
+ * @route   POST /auth/signup
+ * @access  Public
+ */
+const signup = async (req, res, next) => {
+  try {
+    const { email, password, displayName } = req.body;
+
+    if (await User.exists({ email: email.toLowerCase() })) {
+      const error = new Error(
+        "An account with this email already exists. Log in, or reset the password to add one to an account created with GitHub or Google"
+      );
+      error.statusCode = 409;
+      return next(error);
+    }
+
+    const user = new User({ email, displayName });
+    await user.setPassword(password);
+    await user.save();
+    await sendVerificationEmail(user);
+
+    res.status(201).json({
+      success: true,
+      message: "Account created. Check your email to verify your address before logging in",
+      data: { _id: user._id, email: user.email, displayName: user.displayName },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Log in with email and password; starts a session and, when JWT is
+ *          configured, issues a token pair
+ * @route   POST /auth/login
+ * @access  Public
+ */
+const login = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() }).select("+passwordHash");
+
+    if (!user || !(await user.comparePassword(req.body.password))) {
+      const error = new Error("Invalid email or password");
+      error.statusCode = 401;
+      return next(error);
+    }
+
+    if (!user.emailVerified) {
+      const error = new Error("Please verify your email address before logging in");
+      error.statusCode = 403;
+      return next(error);
+    }
+
+    user.passwordHash = undefined; // Keep the hash out of the session
+    await startSession(req, user);
+    await Cart.mergeGuestCart(req.guestSessionId, user._id);
+    // Without JWT_SECRET the session cookie is the only way in
+    const tokens = isJwtConfigured() ? await issueTokens(user) : null;
+
+    res.status(200).json({ success: true, data: tokens });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Verify an email address with the emailed token
+ * @route   POST /auth/verify-email
+ * @access  Public
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const userId = await consumeUserToken(req.body.token, "verify_email");
+    await User.updateOne({ _id: userId }, { emailVerified: true, updatedAt: Date.now() });
+
+    res.status(200).json({ success: true, message: "Email address verified" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Send a new verification email
+ * @route   POST /auth/verify-email/resend
+ * @access  Public
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (user && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    res.status(200).json({
+      success: true,
+      message: "If the address needs verification, a new email has been sent",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Email a password reset token
+ * @route   POST /auth/password/forgot
+ * @access  Public
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (user) {
+      const token = await createUserToken(user, "password_reset");
+      await sendMail({
+        to: user.email,
+        subject: "Reset your BlossomHub password",
+        text: `Choose a new password by opening ${appUrl()}/reset-password?token=${token}\n` +
+          `or by sending the token with a new password to POST /api/auth/password/reset.\n\n` +
+          `Token: ${token}\n\nIf you did not ask for this, ignore this email.`,
+      });
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    res.status(200).json({
+      success: true,
+      message: "If an account exists for this email, a reset link has been sent",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Set a new password with an emailed reset token; logs out all devices
+ * @route   POST /auth/password/reset
+ * @access  Public
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const userId = await consumeUserToken(req.body.token, "password_reset");
+    const user = await User.findById(userId);
+    if (!user) {
+      const error = new Error("Invalid or expired token");
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    await user.setPassword(req.body.password);
+    user.emailVerified = true; // Receiving the token proves control of the mailbox
+    await user.save();
+    await revokeAllRefreshTokens(user._id);
+
+    res.status(200).json({ success: true, message: "Password updated. Please log in again" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Issue an access/refresh token pair for the logged-in user
+ *          (e.g. right after the GitHub OAuth login)
+ * @route   POST /auth/token
+ * @access  Private (session or Bearer token)
+ */
+const issueToken = async (req, res, next) => {
+  try {
+    const tokens = await issueTokens(req.user);
+    res.status(201).json({ success: true, data: tokens });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new pair (the old one is revoked)
+ * @route   POST /auth/token/refresh
+ * @access  Public (requires a valid refresh token)
+ */
+const refreshToken = async (req, res, next) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken);
+    res.status(200).json({ success: true, data: tokens });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Log out: revoke the given refresh token and end the session
+ * @route   POST /auth/logout
+ * @access  Public
+ */
+const logout = async (req, res, next) => {
+  try {
+    if (req.body.refreshToken) {
+      await revokeRefreshToken(req.body.refreshToken);
+    }
+    await endSession(req);
+
+    res.status(200).json({ success: true, message: "Logged out" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Log out everywhere: revoke every refresh token of the user
+ * @route   POST /auth/logout/all
+ * @access  Private (session or Bearer token)
+ */
+const logoutAll = async (req, res, next) => {
+  try {
+    await revokeAllRefreshTokens(req.user._id);
+    await endSession(req);
+
+    res.status(200).json({ success: true, message: "Logged out from all devices" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  signup,
+  login,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  issueToken,
+  refreshToken,
+  logout,
+  logoutAll,
+};
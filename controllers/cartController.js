@@ -0,0 +1,232 @@
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const Flower = require("../models/Flower");
+const { placeOrder } = require("../utils/placeOrder");
+
+// Signed-in users own their cart; guests get one tied to their session
+const cartOwner = (req) =>
+  req.user?._id ? { user: req.user._id } : { sessionId: req.sessionID };
+
+// Shapes a cart with live flower prices and stock availability
+const cartView = async (cart) => {
+  if (!cart) {
+    return { items: [], itemCount: 0, subtotal: 0, allAvailable: true };
+  }
+
+  await cart.populate("items.flower", "name price stock imageUrl variants");
+
+  const items = cart.items.map((item) => {
+    const flower = item.flower;
+    const variant = item.variant && flower?.variants.id(item.variant);
+    if (!flower || (item.variant && !variant)) {
+      // The flower or variant was removed from the catalog after being added
+      return { flower: flower?._id || null, variant: item.variant, quantity: item.quantity, available: false };
+    }
+
+    const { price, stock } = variant || flower;
+    return {
+      flower: flower._id,
+      ...(variant && { variant: variant._id, sku: variant.sku, attributes: variant.attributes }),
+      name: flower.name,
+      imageUrl: flower.imageUrl,
+      quantity: item.quantity,
+      unitPrice: price,
+      lineTotal: price * item.quantity,
+      stock,
+      available: stock >= item.quantity,
+    };
+  });
+
+  return {
+    _id: cart._id,
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: items.reduce((sum, item) => sum + (item.lineTotal || 0), 0),
+    allAvailable: items.every((item) => item.available),
+    updatedAt: cart.updatedAt,
+  };
+};
+
+/**
+ * @desc    Get the current cart with live prices and stock availability
+ * @route   GET /cart
+ * @access  Public (guest session or authenticated user)
+ */
+const getCart = async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne(cartOwner(req));
+
+    res.status(200).json({
+      success: true,
+      data: await cartView(cart),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Add a flower to the cart (quantities are summed if already present)
+ * @route   POST /cart/items
+ * @access  Public (guest session or authenticated user)
+ */
+const addCartItem = async (req, res, next) => {
+  try {
+    const { flower: flowerId, variant: variantId } = req.body;
+    const quantity = req.body.quantity || 1;
+
+    const flower = await Flower.findById(flowerId);
+    if (!flower) {
+      const error = new Error(`Flower not found with ID ${flowerId}`);
+      error.statusCode = 404;
+      return next(error);
+    }
+    const { variant } = flower.resolveVariant(variantId);
+
+    const owner = cartOwner(req);
+    const cart = (await Cart.findOne(owner)) || new Cart(owner);
+    cart.addItem(flower._id, quantity, variant?._id);
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Flower added to cart",
+      data: await cartView(cart),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Change the quantity of a cart line item (?variant= selects the variant's line)
+ * @route   PUT /cart/items/:flowerId
+ * @access  Public (guest session or authenticated user)
+ */
+const updateCartItem = async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne(cartOwner(req));
+    const item = cart?.findItem(req.params.flowerId, req.query.variant);
+
+    if (!item) {
+      const error = new Error(`Flower ${req.params.flowerId} is not in the cart`);
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    item.quantity = req.body.quantity;
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      data: await cartView(cart),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Remove a flower from the cart (?variant= selects the variant's line)
+ * @route   DELETE /cart/items/:flowerId
+ * @access  Public (guest session or authenticated user)
+ */
+const removeCartItem = async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne(cartOwner(req));
+    const item = cart?.findItem(req.params.flowerId, req.query.variant);
+
+    if (!item) {
+      const error = new Error(`Flower ${req.params.flowerId} is not in the cart`);
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    cart.items.pull(item);
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Flower removed from cart",
+      data: await cartView(cart),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Remove every item from the cart
+ * @route   DELETE /cart
+ * @access  Public (guest session or authenticated user)
+ */
+const clearCart = async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne(cartOwner(req));
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Cart cleared successfully",
+      data: await cartView(cart),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Turn the user's cart into an order and empty the cart
+ * @route   POST /cart/checkout
+ * @access  Private (Authenticated user only)
+ */
+const checkout = async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+
+    if (!cart || cart.items.length === 0) {
+      const error = new Error("Cannot check out an empty cart");
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    let order;
+
+    // The cart is only emptied if the order (and its stock reservation) succeeds
+    await mongoose.connection.transaction(async (session) => {
+      order = await placeOrder(
+        {
+          user: req.user._id,
+          items: cart.items,
+          shippingAddress: req.body.shippingAddress,
+          addressId: req.body.addressId,
+          promoCode: req.body.promoCode,
+          delivery: req.body.delivery,
+          recipients: req.body.recipient ? [req.body.recipient] : undefined,
+          anonymous: req.body.anonymous,
+          changedBy: req.user._id,
+        },
+        session
+      );
+
+      cart.items = [];
+      await cart.save({ session });
+    });
+
+    res.status(201).json({ success: true, data: order });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkout,
+};
@@ -1,17 +1,31 @@
+const mongoose = require("mongoose");
 const Category = require("../models/Category");
+const Flower = require("../models/Flower");
+const { paginate } = require("../utils/pagination");
+const { deleteCategory, restoreCategory } = require("../utils/categoryDeletion");
+const { includeDeleted } = require("../utils/includeDeleted");
+const { PERMISSIONS } = require("../config/roles");
+
+const CATEGORY_SORT_FIELDS = ["name", "createdAt"];
 
 /**
-* @desc    Get all categories
+* @desc    Get all categories (paginated)
 * @route   GET /categories
 * @access  Public
 */
 const getCategories = async (req, res, next) => {
   try {
-    const categories = await Category.find();
+    const { data, pagination } = await paginate(Category, { archivedAt: null }, req, res, {
+      sortFields: CATEGORY_SORT_FIELDS,
+      defaultSort: "name",
+      includeDeleted: includeDeleted(req, PERMISSIONS.CATALOG_WRITE),
+    });
+
     res.status(200).json({
       success: true,
-      count: categories.length,
-      data: categories,
+      count: data.length,
+      pagination,
+      data,
     });
   } catch (err) {
     next(err); // Pass error to centralized error handler
@@ -19,6 +33,53 @@ const getCategories = async (req, res, next) => {
 };
 
 
+/**
+* @desc    Get every category nested as a tree
+* @route   GET /categories/tree
+* @access  Public
+*/
+const getCategoryTree = async (req, res, next) => {
+  try {
+    const categories = await Category.find({ archivedAt: null });
+
+    res.status(200).json({
+      success: true,
+      data: Category.buildTree(categories),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+
+/**
+* @desc    Get a category with all of its descendants nested as a tree
+* @route   GET /categories/:id/tree
+* @access  Public
+*/
+const getCategorySubtree = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      const error = new Error(`Category not found with ID of ${req.params.id}`);
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    const descendants = await Category.find({ ancestors: category._id, archivedAt: null });
+    const [subtree] = Category.buildTree([category, ...descendants]);
+
+    res.status(200).json({
+      success: true,
+      data: subtree,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+
 /**
 * @desc    Get single category by ID
 * @route   GET /categories/:id
@@ -49,7 +110,7 @@ const getCategoryById = async (req, res, next) => {
 /**
 * @desc    Create a new category
 * @route   POST /categories
-* @access  Public
+* @access  Private (catalog:write)
 */
 const createCategory = async (req, res, next) => {
   try {
@@ -57,6 +118,7 @@ const createCategory = async (req, res, next) => {
     const newCategory = await new Category({
       name: body.name,
       description: body.description,
+      parentCategory: body.parentCategory,
       createAt: body.createAt,
     }).save();
 
@@ -74,15 +136,41 @@ const createCategory = async (req, res, next) => {
 /**
 * @desc    Update a category by ID
 * @route   PUT /categories/:id
-* @access  Public
+* @access  Private (catalog:write)
 */
 const updateCategoryById = async (req, res, next) => {
   const categoryId = req.params.id;
   const body = req.body;
 
   try {
-    const updateCategory = await Category.findByIdAndUpdate(categoryId, body, {
-      new: true,
+    // Load and save the document so the hierarchy hooks run (ancestors, cycle check)
+    const updateCategory = await Category.findById(categoryId);
+
+    if (!updateCategory) {
+      const error = new Error(`Category not found with ID of ${categoryId}`);
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    // The ancestor path is derived from the parent and never set directly
+    ["name", "description", "parentCategory"].forEach((field) => {
+      if (body[field] !== undefined) {
+        updateCategory[field] = body[field];
+      }
+    });
+    // The category, its descendants' ancestor paths and the flowers' copy of
+    // its name change together or not at all
+    await mongoose.connection.transaction(async (session) => {
+      await updateCategory.save({ session });
+
+      // Keep the denormalized name used by catalog search in sync
+      if (body.name) {
+        await Flower.updateMany(
+          { category: updateCategory._id },
+          { categoryName: updateCategory.name },
+          { session }
+        );
+      }
     });
 
     res.json(updateCategory);
@@ -95,16 +183,27 @@ const updateCategoryById = async (req, res, next) => {
 
 
 /**
-* @desc    Delete a category by ID
+* @desc    Soft delete a category by ID, reassigning, deleting or archiving its flowers
 * @route   DELETE /categories/:id
-* @access  Public
+* @access  Private (catalog:write)
+* @param   {object} req.query - reassignTo (category ID), mode (reassign, cascade, archive), dryRun (true to only report)
 */
 const deleteCategoryById = async (req, res, next) => {
   const categoryId = req.params.id;
+  const { reassignTo, mode, dryRun } = req.query;
 
   try {
-    const deleteCategory = await Category.deleteOne({ _id: categoryId });
-    res.json(deleteCategory)
+    const summary = await deleteCategory(categoryId, {
+      reassignTo,
+      mode,
+      dryRun: dryRun === "true",
+      deletedBy: req.user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: summary,
+    });
 
   } catch (error) {
     next(error);
@@ -114,11 +213,36 @@ const deleteCategoryById = async (req, res, next) => {
 
 
 
+/**
+* @desc    Restore a soft-deleted category and the flowers deleted with it
+* @route   POST /categories/:id/restore
+* @access  Private (catalog:write)
+*/
+const restoreCategoryById = async (req, res, next) => {
+  try {
+    const { category, restoredFlowers } = await restoreCategory(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      restoredFlowers,
+      data: category,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+
+
+
 module.exports = {
   getCategories,
+  getCategoryTree,
+  getCategorySubtree,
   getCategoryById,
   createCategory,
   updateCategoryById,
-  deleteCategoryById
+  deleteCategoryById,
+  restoreCategoryById,
 };
  
\ No newline at end of file
@@ -0,0 +1,174 @@
+const DeliveryZone = require("../models/DeliveryZone");
+const { paginate } = require("../utils/pagination");
+const { listDeliverySlots } = require("../utils/deliverySlots");
+
+const DELIVERY_ZONE_SORT_FIELDS = ["name", "createdAt"];
+
+const DELIVERY_ZONE_FIELDS = [
+  "name",
+  "zipCodes",
+  "slots",
+  "weekdays",
+  "sameDayCutoff",
+  "maxDaysAhead",
+  "blackoutDates",
+  "capacityOverrides",
+  "isActive",
+];
+
+const deliveryZoneNotFound = (zoneId) => {
+  const error = new Error(`Delivery zone not found with ID of ${zoneId}`);
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * @desc    List the delivery slots for a zip code over a date range, with
+ *          their remaining capacity
+ * @route   GET /delivery/slots
+ * @access  Public
+ * @param   {object} req.query - zipCode (required), from and to (YYYY-MM-DD)
+ */
+const getDeliverySlots = async (req, res, next) => {
+  try {
+    if (!req.query.zipCode) {
+      const error = new Error("zipCode is required");
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const data = await listDeliverySlots({
+      zipCode: String(req.query.zipCode),
+      from: req.query.from && String(req.query.from),
+      to: req.query.to && String(req.query.to),
+    });
+
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get all delivery zones (paginated)
+ * @route   GET /delivery/zones
+ * @access  Private (delivery:manage)
+ * @param   {object} req.query - active (true/false), pagination (page, limit, cursor, sort, order)
+ */
+const getDeliveryZones = async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === "true";
+    }
+
+    const { data, pagination } = await paginate(DeliveryZone, query, req, res, {
+      sortFields: DELIVERY_ZONE_SORT_FIELDS,
+      defaultSort: "name",
+      defaultOrder: "asc",
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      pagination,
+      data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a delivery zone by ID
+ * @route   GET /delivery/zones/:id
+ * @access  Private (delivery:manage)
+ */
+const getDeliveryZoneById = async (req, res, next) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) {
+      return next(deliveryZoneNotFound(req.params.id));
+    }
+
+    res.status(200).json({ success: true, data: zone });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create a delivery zone with its slots
+ * @route   POST /delivery/zones
+ * @access  Private (delivery:manage)
+ */
+const createDeliveryZone = async (req, res, next) => {
+  try {
+    const zone = new DeliveryZone();
+    DELIVERY_ZONE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        zone[field] = req.body[field];
+      }
+    });
+    await zone.save();
+
+    res.status(201).json({ success: true, data: zone });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update a delivery zone. Orders already booked keep their slot;
+ *          lowering a capacity does not cancel bookings above it.
+ * @route   PUT /delivery/zones/:id
+ * @access  Private (delivery:manage)
+ */
+const updateDeliveryZone = async (req, res, next) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) {
+      return next(deliveryZoneNotFound(req.params.id));
+    }
+
+    DELIVERY_ZONE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        zone[field] = req.body[field];
+      }
+    });
+    await zone.save();
+
+    res.status(200).json({ success: true, data: zone });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete a delivery zone. Orders keep the zone name and slot times
+ *          they were booked with; set isActive to false to stop taking bookings
+ *          while keeping the zone.
+ * @route   DELETE /delivery/zones/:id
+ * @access  Private (delivery:manage)
+ */
+const deleteDeliveryZone = async (req, res, next) => {
+  try {
+    const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return next(deliveryZoneNotFound(req.params.id));
+    }
+
+    res.status(200).json({ success: true, message: "Delivery zone deleted" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getDeliverySlots,
+  getDeliveryZones,
+  getDeliveryZoneById,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+};
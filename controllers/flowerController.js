@@ -1,40 +1,217 @@
+const mongoose = require("mongoose");
 const Flower = require("../models/Flower");
 const Category = require("../models/Category");
+const { paginate, parsePage } = require("../utils/pagination");
+const { includeDeleted } = require("../utils/includeDeleted");
+const { PERMISSIONS } = require("../config/roles");
+const {
+  parseCatalogCsv,
+  parseCatalogJson,
+  importCatalog,
+  exportCatalog,
+} = require("../utils/catalogTransfer");
+const { storeImages, removeImageFiles } = require("../utils/images");
+
+// Alt text comes as a list, or as a single value for a single upload
+const altTexts = (imageAlt) => [].concat(imageAlt ?? []);
+
+const FLOWER_SORT_FIELDS = ["price", "name", "createdAt", "stock", "ratingAverage", "ratingCount"];
+
+// Fields a PUT may set, as in updateFlowerSchema; the category is set through
+// categoryId and the images through uploads and existingImages. Ratings are
+// left out: only approved reviews change them (Review.updateFlowerRating).
+const FLOWER_UPDATE_FIELDS = ["name", "sku", "description", "price", "imageUrl", "stock", "variants", "isFeatured", "weight"];
+
+// Lower bounds of the price range facet; prices from the last bound up are grouped together
+const PRICE_BUCKETS = [0, 10, 25, 50, 100];
 
 /**
- * @desc    Get all flowers
+ * @desc    Get all flowers (paginated)
  * @route   GET /flowers
  * @access  Public
- * @param   {object} req.query - Optional query parameters for filtering (category, search, minPrice, maxPrice, isFeatured)
+ * @param   {object} req.query - Optional query parameters for filtering (category, search, minPrice, maxPrice, minRating, isFeatured,
+ *                               and the variant attributes color, size, stemCount), pagination (page, limit, cursor, sort, order) and includeDeleted (catalog:write only)
  */
 const getFlowers = async (req, res, next) => {
   try {
     const query = {};
-    const { category, search, minPrice, maxPrice, isFeatured } = req.query;
+    const { category, search, minPrice, maxPrice, minRating, isFeatured, color, size, stemCount } = req.query;
 
     if (category) {
-      query.category = category; // Assumes category is a valid ObjectId
+      // Flowers of the category and of every category nested below it
+      query.category = { $in: await Category.subtreeIds(category) };
     }
 
     if (search) {
       query.name = { $regex: search, $options: "i" }; // Case-insensitive search
     }
 
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = parseFloat(minPrice);
-      if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+    const price = {};
+    if (minPrice) price.$gte = parseFloat(minPrice);
+    if (maxPrice) price.$lte = parseFloat(maxPrice);
+
+    // Attribute filters match flowers with at least one such variant, and the
+    // price range then applies to that same variant
+    const variant = {};
+    if (color) variant["attributes.color"] = color.toLowerCase();
+    if (size) variant["attributes.size"] = size.toLowerCase();
+    if (stemCount) variant["attributes.stemCount"] = parseInt(stemCount, 10);
+
+    if (Object.keys(variant).length) {
+      if (minPrice || maxPrice) variant.price = price;
+      query.variants = { $elemMatch: variant };
+    } else if (minPrice || maxPrice) {
+      query.price = price;
+    }
+
+    if (minRating) {
+      query.ratingAverage = { $gte: parseFloat(minRating) };
     }
 
     if (isFeatured) {
       query.isFeatured = isFeatured === "true"; // Convert string to boolean
     }
 
-    const flowers = await Flower.find(query).populate("category"); // Populate category details
+    const { data, pagination } = await paginate(Flower, query, req, res, {
+      sortFields: FLOWER_SORT_FIELDS,
+      defaultSort: "createdAt",
+      defaultOrder: "desc",
+      populate: "category", // Populate category details
+      includeDeleted: includeDeleted(req, PERMISSIONS.CATALOG_WRITE),
+    });
+
     res.status(200).json({
       success: true,
-      count: flowers.length,
-      data: flowers,
+      count: data.length,
+      pagination,
+      data,
+    });
+  } catch (err) {
+    next(err); // Pass error to centralized error handler
+  }
+};
+
+/**
+ * @desc    Full-text catalog search with facet counts
+ * @route   GET /flowers/search
+ * @access  Public
+ * @param   {object} req.query - q (required), optional filters (category, minPrice, maxPrice, isFeatured, inStock)
+ *                               and offset pagination (page, limit). Facets are counted over the filtered matches.
+ */
+const searchFlowers = async (req, res, next) => {
+  try {
+    const { q, category, minPrice, maxPrice, isFeatured, inStock } = req.query;
+
+    if (!q || !q.trim()) {
+      const error = new Error("Search query parameter q is required");
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const { limit, page } = parsePage(req.query);
+    const match = { $text: { $search: q.trim() } };
+
+    if (category) {
+      if (!mongoose.isValidObjectId(category)) {
+        const error = new Error(`Invalid category ID ${category}`);
+        error.statusCode = 400;
+        return next(error);
+      }
+      match.category = new mongoose.Types.ObjectId(category);
+    }
+
+    if (minPrice || maxPrice) {
+      match.price = {};
+      if (minPrice) match.price.$gte = parseFloat(minPrice);
+      if (maxPrice) match.price.$lte = parseFloat(maxPrice);
+    }
+
+    if (isFeatured) {
+      match.isFeatured = isFeatured === "true";
+    }
+
+    if (inStock) {
+      match.stock = inStock === "true" ? { $gt: 0 } : 0;
+    }
+
+    const [result] = await Flower.aggregate([
+      { $match: match },
+      { $addFields: { score: { $meta: "textScore" } } },
+      {
+        $facet: {
+          hits: [
+            { $sort: { score: -1, _id: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+          ],
+          total: [{ $count: "count" }],
+          categories: [
+            {
+              $group: {
+                _id: "$category",
+                name: { $first: "$categoryName" },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { count: -1, name: 1 } },
+          ],
+          priceRanges: [
+            {
+              $bucket: {
+                groupBy: "$price",
+                boundaries: PRICE_BUCKETS,
+                default: "other",
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          isFeatured: [{ $group: { _id: "$isFeatured", count: { $sum: 1 } } }],
+          inStock: [
+            { $group: { _id: { $gt: ["$stock", 0] }, count: { $sum: 1 } } },
+          ],
+        },
+      },
+    ]);
+
+    const hits = await Flower.populate(result.hits, { path: "category" });
+    const total = result.total.length ? result.total[0].count : 0;
+    const countFor = (buckets, value) =>
+      (buckets.find((bucket) => bucket._id === value) || { count: 0 }).count;
+
+    res.status(200).json({
+      success: true,
+      count: hits.length,
+      pagination: {
+        total,
+        limit,
+        page,
+        totalPages: Math.max(Math.ceil(total / limit), 1),
+      },
+      data: hits,
+      facets: {
+        categories: result.categories.map((bucket) => ({
+          category: bucket._id,
+          name: bucket.name,
+          count: bucket.count,
+        })),
+        priceRanges: result.priceRanges.map((bucket) => {
+          // Prices at or above the last boundary land in the "other" bucket
+          const index = PRICE_BUCKETS.indexOf(bucket._id);
+          return {
+            min: index === -1 ? PRICE_BUCKETS[PRICE_BUCKETS.length - 1] : bucket._id,
+            max: index === -1 ? null : PRICE_BUCKETS[index + 1],
+            count: bucket.count,
+          };
+        }),
+        isFeatured: {
+          true: countFor(result.isFeatured, true),
+          false: countFor(result.isFeatured, false),
+        },
+        inStock: {
+          true: countFor(result.inStock, true),
+          false: countFor(result.inStock, false),
+        },
+      },
     });
   } catch (err) {
     next(err); // Pass error to centralized error handler
@@ -60,6 +237,7 @@ const getFlowerById = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: flower,
+      breadcrumbs: flower.category ? await flower.category.breadcrumbs() : [],
     });
   } catch (err) {
     next(err); // Pass error to centralized error handler
@@ -69,7 +247,7 @@ const getFlowerById = async (req, res, next) => {
 /**
  * @desc    Create a new flower
  * @route   POST /flowers
- * @access  Public
+ * @access  Private (catalog:write)
  */
 const createFlower = async (req, res, next) => {
   try {
@@ -84,15 +262,33 @@ const createFlower = async (req, res, next) => {
       return next(error);
     }
 
-    const newFlower = await new Flower({
-      name: body.name,
-      description: body.description,
-      price: body.price,
-      category,
-      imageUrl: body.imageUrl,
-      stock: body.stock,
-      isFeatured: body.isFeatured,
-    }).save();
+    if (category.archivedAt) {
+      const error = new Error(`Category ${category.name} is archived`);
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const images = await storeImages(req.files, altTexts(body.imageAlt));
+
+    let newFlower;
+    try {
+      newFlower = await new Flower({
+        name: body.name,
+        sku: body.sku,
+        description: body.description,
+        price: body.price,
+        category,
+        imageUrl: body.imageUrl,
+        images,
+        stock: body.stock,
+        variants: body.variants,
+        isFeatured: body.isFeatured,
+        weight: body.weight,
+      }).save();
+    } catch (error) {
+      await removeImageFiles(images);
+      throw error;
+    }
 
     res.json(newFlower);
   } catch (error) {
@@ -103,12 +299,11 @@ const createFlower = async (req, res, next) => {
 /**
  * @desc    Update a flower by ID
  * @route   PUT /flowers/:id
- * @access  Public
+ * @access  Private (catalog:write)
  */
 const updateFlowerById = async (req, res, next) => {
   const flowerId = req.params.id;
   const body = req.body;
-  console.log("===>",flowerId)
 
   try {
     const flower = await Flower.findById(flowerId);
@@ -118,10 +313,68 @@ const updateFlowerById = async (req, res, next) => {
       return next(error);
     }
   
-    const updateFlower = await Flower.findByIdAndUpdate(flowerId, body, {
-      new: true,
+    const { existingImages, imageAlt } = body;
+    const fields = {};
+    FLOWER_UPDATE_FIELDS.forEach((field) => {
+      if (body[field] !== undefined) {
+        fields[field] = body[field];
+      }
     });
 
+    if (body.categoryId !== undefined) {
+      const category = await Category.findById(body.categoryId);
+      if (!category) {
+        const error = new Error(`Category not found with ID of ${body.categoryId}`);
+        error.statusCode = 404;
+        return next(error);
+      }
+      if (category.archivedAt) {
+        const error = new Error(`Category ${category.name} is archived`);
+        error.statusCode = 400;
+        return next(error);
+      }
+      fields.category = category._id;
+    }
+
+    // existingImages lists the images to keep, in their new order
+    let removedImages = [];
+    if (existingImages) {
+      const current = new Map(flower.images.map((image) => [image._id.toString(), image]));
+      const unknown = existingImages.find(({ _id }) => !current.has(_id));
+      if (unknown) {
+        const error = new Error(`Image ${unknown._id} not found on this flower`);
+        error.statusCode = 400;
+        return next(error);
+      }
+
+      const kept = new Set(existingImages.map(({ _id }) => _id));
+      removedImages = flower.images.filter((image) => !kept.has(image._id.toString()));
+      flower.images = existingImages.map(({ _id, alt }) => ({
+        ...current.get(_id).toObject(),
+        ...(alt !== undefined && { alt }),
+      }));
+    }
+
+    const uploaded = await storeImages(req.files, altTexts(imageAlt));
+    flower.images.push(...uploaded);
+
+    // imageUrl pointed at the first image; without images it would dangle
+    if (flower.images.length === 0 && removedImages.some((image) => image.url === flower.imageUrl)) {
+      flower.imageUrl = undefined;
+    }
+
+    // Saving the document (rather than updating in place) recomputes price
+    // and stock from the variants and validates them
+    flower.set(fields);
+    let updateFlower;
+    try {
+      updateFlower = await flower.save();
+    } catch (error) {
+      await removeImageFiles(uploaded);
+      throw error;
+    }
+    await removeImageFiles(removedImages);
+
     res.json(updateFlower);
   } catch (error) {
     next(error);
@@ -129,25 +382,111 @@ const updateFlowerById = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete a flower by ID
+ * @desc    Soft delete a flower by ID (restorable until purged)
  * @route   DELETE /flowers/:id
- * @access  Public
+ * @access  Private (catalog:write)
  */
 const deleteFlowerById = async (req, res, next) => {
   const flowerId = req.params.id;
 
   try {
-    const deleteFlower = await Flower.deleteOne({ _id: flowerId });
-    res.json(deleteFlower);
+    const flower = await Flower.findById(flowerId);
+
+    if (!flower) {
+      const error = new Error(`Flower not found with ID of ${flowerId}`);
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    await flower.softDelete(req.user._id);
+    res.json({ success: true, message: "Flower deleted", data: flower });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a soft-deleted flower
+ * @route   POST /flowers/:id/restore
+ * @access  Private (catalog:write)
+ */
+const restoreFlowerById = async (req, res, next) => {
+  const flowerId = req.params.id;
+
+  try {
+    const flower = await Flower.findOne({ _id: flowerId, deletedAt: { $ne: null } });
+
+    if (!flower) {
+      const error = new Error(`Deleted flower not found with ID of ${flowerId}`);
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    await flower.restore();
+    res.status(200).json({ success: true, data: flower });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Bulk create or update categories and flowers from CSV or JSON
+ * @route   POST /flowers/import
+ * @access  Private (catalog:write)
+ * @param   {object} req.query - dryRun (true to only validate and report)
+ */
+const importFlowers = async (req, res, next) => {
+  try {
+    const catalog = req.is("text/csv")
+      ? parseCatalogCsv(typeof req.body === "string" ? req.body : "")
+      : parseCatalogJson(req.body);
+
+    const summary = await importCatalog(catalog, { dryRun: req.query.dryRun === "true" });
+
+    res.status(200).json({ success: true, data: summary });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Stream the whole catalog as JSON or CSV, in the import format
+ * @route   GET /flowers/export
+ * @access  Private (catalog:write)
+ * @param   {object} req.query - format (json or csv, default json)
+ */
+const exportFlowers = async (req, res, next) => {
+  const format = req.query.format || "json";
+
+  if (!["json", "csv"].includes(format)) {
+    const error = new Error("format must be json or csv");
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  try {
+    res.status(200);
+    res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="catalog.${format}"`);
+    await exportCatalog(res, format);
   } catch (error) {
+    // Once streaming started the status is sent; cut the download short instead
+    if (res.headersSent) {
+      console.error(error.stack);
+      return res.destroy(error);
+    }
     next(error);
   }
 };
 
 module.exports = {
   getFlowers,
+  searchFlowers,
   getFlowerById,
   createFlower,
   updateFlowerById,
   deleteFlowerById,
+  restoreFlowerById,
+  importFlowers,
+  exportFlowers,
 };
@@ -1,26 +1,65 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
-const Flower = require('../models/Flower');
+const Cart = require('../models/Cart');
+const { paginate } = require('../utils/pagination');
+const { releaseStock } = require('../utils/inventory');
+const { releasePromotions } = require('../utils/promotions');
+const { releaseDeliverySlots } = require('../utils/deliverySlots');
+const { refundOrderPayments } = require('../utils/orderPayments');
+const { placeOrder } = require('../utils/placeOrder');
+const { quoteOrder } = require('../utils/pricing');
+const { splitRecipients, recipientView } = require('../utils/giftRecipients');
+const { resolveOrderAddresses } = require('../utils/addressBook');
+const { ORDER_STATUSES } = require('../utils/orderStatus');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { includeDeleted } = require('../utils/includeDeleted');
+
+const ORDER_SORT_FIELDS = ['orderDate', 'totalAmount', 'status'];
+
+// Customers may only see their own orders; staff with orders:read see all
+const canViewOrder = (req, order) =>
+  hasPermission(req.user, PERMISSIONS.ORDERS_READ) ||
+  String(order.user?._id || order.user) === String(req.user._id);
+
+// Orders keep showing flowers and customers that were deleted since
+const withDeleted = { includeDeleted: true };
+
+const forbidden = () => {
+  const error = new Error('Not authorized to access this order');
+  error.statusCode = 403;
+  return error;
+};
 
 /**
- * @desc    Get all orders (optionally filter by user)
+ * @desc    Get all orders (optionally filter by user, paginated)
  * @route   GET /orders
- * @access  Public
+ * @access  Private (own orders, or any user's with orders:read)
  */
 const getOrders = async (req, res, next) => {
   try {
     const query = {};
-    if (req.query.userId) {
+    if (!hasPermission(req.user, PERMISSIONS.ORDERS_READ)) {
+      query.user = req.user._id;
+    } else if (req.query.userId) {
       query.user = req.query.userId;
     }
 
-    const orders = await Order.find(query)
-      .populate('user', 'email displayName')
-      .populate('items.flower', 'name price');
+    const { data, pagination } = await paginate(Order, query, req, res, {
+      sortFields: ORDER_SORT_FIELDS,
+      defaultSort: 'orderDate',
+      defaultOrder: 'desc',
+      populate: [
+        { path: 'user', select: 'email displayName', options: withDeleted },
+        { path: 'items.flower', select: 'name price', options: withDeleted },
+      ],
+      includeDeleted: includeDeleted(req, PERMISSIONS.ORDERS_MANAGE),
+    });
 
     res.status(200).json({
       success: true,
-      count: orders.length,
-      data: orders,
+      count: data.length,
+      pagination,
+      data,
     });
   } catch (err) {
     console.log("🚀 ~ getOrders ~ err:", err)
@@ -31,13 +70,13 @@ const getOrders = async (req, res, next) => {
 /**
  * @desc    Get order by ID
  * @route   GET /orders/:id
- * @access  Public
+ * @access  Private (order owner, or orders:read)
  */
 const getOrderById = async (req, res, next) => {
   try {
     const order = await Order.findById(req.params.id)
-      .populate('user', 'email displayName')
-      .populate('items.flower', 'name price');
+      .populate({ path: 'user', select: 'email displayName', options: withDeleted })
+      .populate({ path: 'items.flower', select: 'name price', options: withDeleted });
 
     if (!order) {
       const error = new Error(`Order not found with ID ${req.params.id}`);
@@ -45,6 +84,10 @@ const getOrderById = async (req, res, next) => {
       return next(error);
     }
 
+    if (!canViewOrder(req, order)) {
+      return next(forbidden());
+    }
+
     res.status(200).json({ success: true, data: order });
   } catch (err) {
     next(err);
@@ -52,46 +95,57 @@ const getOrderById = async (req, res, next) => {
 };
 
 /**
- * @desc    Create new order
- * @route   POST /orders
- * @access  Public
+ * @desc    Get what a gift recipient sees of an order through their link:
+ *          their items without prices, gift message, delivery and the sender
+ *          unless anonymous
+ * @route   GET /orders/gift/:token
+ * @access  Public (the token is the secret)
  */
-const createOrder = async (req, res, next) => {
+const getGiftView = async (req, res, next) => {
   try {
-    const { user, items, shippingAddress } = req.body;
-
-    // Fetch flower prices to compute total and validate flowers
-    let totalAmount = 0;
-    const orderItems = [];
-
-    for (const item of items) {
-      const flower = await Flower.findById(item.flower);
-      if (!flower) {
-        const error = new Error(`Flower not found with ID ${item.flower}`);
-        error.statusCode = 400;
-        return next(error);
-      }
+    const order = await Order.findOne({ 'recipients.viewToken': String(req.params.token) })
+      .populate({ path: 'user', select: 'displayName', options: withDeleted })
+      .populate({ path: 'items.flower', select: 'name imageUrl', options: withDeleted });
 
-      const priceAtPurchase = flower.price;
-      const itemTotal = priceAtPurchase * item.quantity;
-      totalAmount += itemTotal;
-
-      orderItems.push({
-        flower: flower._id,
-        quantity: item.quantity,
-        priceAtPurchase,
-      });
+    if (!order) {
+      const error = new Error('Gift not found');
+      error.statusCode = 404;
+      return next(error);
     }
 
-    const newOrder = new Order({
+    const index = order.recipients.findIndex((recipient) => recipient.viewToken === String(req.params.token));
+
+    res.status(200).json({ success: true, data: recipientView(order, index) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create new order, reserving stock for every item
+ * @route   POST /orders
+ * @access  Private (orders:manage may order on behalf of another user)
+ */
+const createOrder = async (req, res, next) => {
+  try {
+    const { items, shippingAddress, addressId, promoCode, delivery, recipients, anonymous } = req.body;
+    const user = hasPermission(req.user, PERMISSIONS.ORDERS_MANAGE) && req.body.user
+      ? req.body.user
+      : req.user._id;
+
+    // Pricing, stock reservation and the order itself commit or roll back together
+    const savedOrder = await placeOrder({
       user,
-      items: orderItems,
-      totalAmount,
+      items,
       shippingAddress,
+      addressId,
+      promoCode,
+      delivery,
+      recipients,
+      anonymous,
+      changedBy: req.user?._id,
     });
 
-    const savedOrder = await newOrder.save();
-
     res.status(201).json({ success: true, data: savedOrder });
   } catch (err) {
     next(err);
@@ -99,60 +153,181 @@ const createOrder = async (req, res, next) => {
 };
 
 /**
- * @desc    Update order status
+ * @desc    Price an order (subtotal, discounts, shipping, tax, total) without
+ *          placing it, for the given items or else the user's cart
+ * @route   POST /orders/quote
+ * @access  Private
+ */
+const getOrderQuote = async (req, res, next) => {
+  try {
+    const { promoCode, recipients } = req.body;
+    let items = req.body.items;
+    const ownItems = recipients && recipients.some((recipient) => recipient.items);
+    if (!items && !ownItems) {
+      const cart = await Cart.findOne({ user: req.user._id });
+      items = cart ? cart.items : [];
+    }
+
+    const addresses = await resolveOrderAddresses({
+      user: req.user._id,
+      shippingAddress: req.body.shippingAddress,
+      addressId: req.body.addressId,
+      recipients,
+    });
+    // Recipients with their own addresses are shipped, and so priced, separately
+    const split = splitRecipients({ items, ...addresses });
+    const { quote } = await quoteOrder({
+      user: req.user._id,
+      items: split.items,
+      shippingAddress: split.shippingAddress,
+      promoCode,
+      shipments: split.shipments,
+    });
+
+    res.status(200).json({ success: true, data: quote });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update order status following the allowed transitions, releasing
+ *          reserved stock, promotion uses and the delivery slot and refunding
+ *          payments on cancellation
  * @route   PUT /orders/:id/status
- * @access  Public
+ * @access  Private (orders:manage)
  */
 const updateOrderStatus = async (req, res, next) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    const { status, note } = req.body;
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({ message: 'Invalid status' });
     }
 
-    const updatedOrder = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status, updatedAt: Date.now() },
-      { new: true }
-    );
+    let updatedOrder;
+
+    await mongoose.connection.transaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
+
+      if (!order) {
+        const error = new Error(`Order not found with ID ${req.params.id}`);
+        error.statusCode = 404;
+        throw error;
+      }
 
-    if (!updatedOrder) {
+      // Rejects illegal jumps (e.g. delivered -> pending) with a 409
+      order.changeStatus(status, { changedBy: req.user?._id, note });
+
+      if (status === 'cancelled') {
+        await releaseStock(order.items, session);
+        await releasePromotions(order, session);
+        await releaseDeliverySlots(order, session);
+      }
+
+      updatedOrder = await order.save({ session });
+    });
+
+    // Refunds go to the payment provider, so only once the cancellation is committed
+    if (status === 'cancelled') {
+      const paymentErrors = await refundOrderPayments(updatedOrder, { createdBy: req.user?._id });
+      updatedOrder = await Order.findById(updatedOrder._id);
+      if (paymentErrors.length) {
+        return res.status(200).json({ success: true, data: updatedOrder, paymentErrors });
+      }
+    }
+
+    res.status(200).json({ success: true, data: updatedOrder });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the status history of an order
+ * @route   GET /orders/:id/history
+ * @access  Private (order owner, or orders:read)
+ */
+const getOrderHistory = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('user status statusHistory')
+      .populate({ path: 'statusHistory.changedBy', select: 'email displayName', options: withDeleted });
+
+    if (!order) {
       const error = new Error(`Order not found with ID ${req.params.id}`);
       error.statusCode = 404;
       return next(error);
     }
 
-    res.status(200).json({ success: true, data: updatedOrder });
+    if (!canViewOrder(req, order)) {
+      return next(forbidden());
+    }
+
+    res.status(200).json({
+      success: true,
+      count: order.statusHistory.length,
+      data: {
+        status: order.status,
+        history: order.statusHistory,
+      },
+    });
   } catch (err) {
     next(err);
   }
 };
 
 /**
- * @desc    Delete an order
+ * @desc    Soft delete an order (restorable until purged)
  * @route   DELETE /orders/:id
- * @access  Public
+ * @access  Private (orders:manage)
  */
 const deleteOrder = async (req, res, next) => {
   try {
-    const deleted = await Order.findByIdAndDelete(req.params.id);
-    if (!deleted) {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
       const error = new Error(`Order not found with ID ${req.params.id}`);
       error.statusCode = 404;
       return next(error);
     }
 
+    await order.softDelete(req.user._id);
+
     res.status(200).json({ success: true, message: 'Order deleted' });
   } catch (err) {
     next(err);
   }
 };
 
+/**
+ * @desc    Restore a soft-deleted order
+ * @route   POST /orders/:id/restore
+ * @access  Private (orders:manage)
+ */
+const restoreOrder = async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!order) {
+      const error = new Error(`Deleted order not found with ID ${req.params.id}`);
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    await order.restore();
+
+    res.status(200).json({ success: true, data: order });
+  } catch (err) {
+    next(err);
+  }
+};
+
 module.exports = {
   getOrders,
   getOrderById,
+  getGiftView,
   createOrder,
+  getOrderQuote,
   updateOrderStatus,
+  getOrderHistory,
   deleteOrder,
+  restoreOrder,
 };
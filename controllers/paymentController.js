@@ -0,0 +1,201 @@
+const Order = require("../models/Order");
+const Payment = require("../models/Payment");
+const { paginate } = require("../utils/pagination");
+const {
+  payOrder,
+  capturePayment: captureOrderPayment,
+  refundPayment: refundOrderPayment,
+  voidPayment: voidOrderPayment,
+  handlePaymentWebhook,
+} = require("../utils/orderPayments");
+const { PERMISSIONS, hasPermission } = require("../config/roles");
+
+const PAYMENT_SORT_FIELDS = ["createdAt", "amount", "status"];
+
+// Customers only see the payments of their own orders; staff with orders:read see all
+const canViewPayment = (req, payment) =>
+  hasPermission(req.user, PERMISSIONS.ORDERS_READ) ||
+  String(payment.user) === String(req.user._id);
+
+const paymentNotFound = (paymentId) => {
+  const error = new Error(`Payment not found with ID ${paymentId}`);
+  error.statusCode = 404;
+  return error;
+};
+
+const findPayment = async (paymentId) => {
+  const payment = await Payment.findById(paymentId);
+  if (!payment) {
+    throw paymentNotFound(paymentId);
+  }
+  return payment;
+};
+
+/**
+ * @desc    Pay for a pending order; captured payments move it to processing
+ * @route   POST /payments
+ * @access  Private (order owner, or orders:manage)
+ */
+const createPayment = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.body.order);
+    if (!order) {
+      const error = new Error(`Order not found with ID ${req.body.order}`);
+      error.statusCode = 404;
+      return next(error);
+    }
+    if (
+      String(order.user) !== String(req.user._id) &&
+      !hasPermission(req.user, PERMISSIONS.ORDERS_MANAGE)
+    ) {
+      const error = new Error("Not authorized to pay for this order");
+      error.statusCode = 403;
+      return next(error);
+    }
+
+    const payment = await payOrder(order, {
+      paymentMethod: req.body.paymentMethod,
+      capture: req.body.capture,
+      user: req.user._id,
+    });
+
+    res.status(201).json({ success: true, data: payment });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get payments (optionally of one order, paginated)
+ * @route   GET /payments
+ * @access  Private (own payments, or any with orders:read)
+ * @param   {object} req.query - order (order ID), status, pagination (page, limit, cursor, sort, order)
+ */
+const getPayments = async (req, res, next) => {
+  try {
+    const query = {};
+    if (!hasPermission(req.user, PERMISSIONS.ORDERS_READ)) {
+      query.user = req.user._id;
+    }
+    if (req.query.order) {
+      query.order = req.query.order;
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const { data, pagination } = await paginate(Payment, query, req, res, {
+      sortFields: PAYMENT_SORT_FIELDS,
+      defaultSort: "createdAt",
+      defaultOrder: "desc",
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      pagination,
+      data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a payment with its recorded provider calls and webhooks
+ * @route   GET /payments/:id
+ * @access  Private (payer, or orders:read)
+ */
+const getPaymentById = async (req, res, next) => {
+  try {
+    const payment = await findPayment(req.params.id);
+    if (!canViewPayment(req, payment)) {
+      const error = new Error("Not authorized to access this payment");
+      error.statusCode = 403;
+      return next(error);
+    }
+
+    res.status(200).json({ success: true, data: payment });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Capture an authorized payment, in full or in part
+ * @route   POST /payments/:id/capture
+ * @access  Private (orders:manage)
+ */
+const capturePayment = async (req, res, next) => {
+  try {
+    const payment = await captureOrderPayment(await findPayment(req.params.id), {
+      amount: req.body.amount,
+      createdBy: req.user._id,
+    });
+
+    res.status(200).json({ success: true, data: payment });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Refund a captured payment, in full or in part
+ * @route   POST /payments/:id/refund
+ * @access  Private (orders:manage)
+ */
+const refundPayment = async (req, res, next) => {
+  try {
+    const payment = await refundOrderPayment(await findPayment(req.params.id), {
+      amount: req.body.amount,
+      createdBy: req.user._id,
+    });
+
+    res.status(200).json({ success: true, data: payment });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Release an authorized payment without capturing it
+ * @route   POST /payments/:id/void
+ * @access  Private (orders:manage)
+ */
+const voidPayment = async (req, res, next) => {
+  try {
+    const payment = await voidOrderPayment(await findPayment(req.params.id), {
+      createdBy: req.user._id,
+    });
+
+    res.status(200).json({ success: true, data: payment });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Receive payment events from the payment provider
+ * @route   POST /payments/webhook
+ * @access  Public (signed by the provider)
+ */
+const paymentWebhook = async (req, res, next) => {
+  try {
+    const payment = await handlePaymentWebhook(req);
+
+    // Events about unknown payments are acknowledged so the provider stops retrying
+    res.status(200).json({ received: true, ...(payment && { status: payment.status }) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  createPayment,
+  getPayments,
+  getPaymentById,
+  capturePayment,
+  refundPayment,
+  voidPayment,
+  paymentWebhook,
+};
@@ -0,0 +1,197 @@
+const Promotion = require("../models/Promotion");
+const Cart = require("../models/Cart");
+const { paginate } = require("../utils/pagination");
+const { priceItems } = require("../utils/pricing");
+const { roundMoney, applyPromotion } = require("../utils/promotions");
+
+const PROMOTION_SORT_FIELDS = ["createdAt", "code", "endsAt", "usageCount"];
+
+const PROMOTION_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "buyQuantity",
+  "getQuantity",
+  "minOrderValue",
+  "flowers",
+  "categories",
+  "usageLimit",
+  "perUserLimit",
+  "startsAt",
+  "endsAt",
+  "isActive",
+];
+
+const promotionNotFound = (promotionId) => {
+  const error = new Error(`Promotion not found with ID of ${promotionId}`);
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * @desc    Get all promotions (paginated)
+ * @route   GET /promotions
+ * @access  Private (promotions:manage)
+ * @param   {object} req.query - active (true/false), type, pagination (page, limit, cursor, sort, order)
+ */
+const getPromotions = async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === "true";
+    }
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    const { data, pagination } = await paginate(Promotion, query, req, res, {
+      sortFields: PROMOTION_SORT_FIELDS,
+      defaultSort: "createdAt",
+      defaultOrder: "desc",
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      pagination,
+      data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a promotion by ID
+ * @route   GET /promotions/:id
+ * @access  Private (promotions:manage)
+ */
+const getPromotionById = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return next(promotionNotFound(req.params.id));
+    }
+
+    res.status(200).json({ success: true, data: promotion });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create a promotion code
+ * @route   POST /promotions
+ * @access  Private (promotions:manage)
+ */
+const createPromotion = async (req, res, next) => {
+  try {
+    const promotion = new Promotion({ createdBy: req.user._id });
+    PROMOTION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        promotion[field] = req.body[field];
+      }
+    });
+    await promotion.save();
+
+    res.status(201).json({ success: true, data: promotion });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update a promotion. Orders already placed keep the discount they got.
+ * @route   PUT /promotions/:id
+ * @access  Private (promotions:manage)
+ */
+const updatePromotion = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return next(promotionNotFound(req.params.id));
+    }
+
+    PROMOTION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        promotion[field] = req.body[field];
+      }
+    });
+    await promotion.save();
+
+    res.status(200).json({ success: true, data: promotion });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete a promotion. Orders keep the code and amount of their discounts;
+ *          set isActive to false instead to keep its usage statistics.
+ * @route   DELETE /promotions/:id
+ * @access  Private (promotions:manage)
+ */
+const deletePromotion = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+    if (!promotion) {
+      return next(promotionNotFound(req.params.id));
+    }
+
+    res.status(200).json({ success: true, message: "Promotion deleted" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Preview the discount a promotion code gives on the given items, or
+ *          on the user's cart, without using the code up
+ * @route   POST /promotions/validate
+ * @access  Private (Authenticated user only)
+ */
+const validatePromotion = async (req, res, next) => {
+  try {
+    let items = req.body.items;
+    if (!items) {
+      const cart = await Cart.findOne({ user: req.user._id });
+      items = cart ? cart.items : [];
+    }
+
+    const { orderItems, lines, subtotal } = await priceItems(items);
+    const { discount } = await applyPromotion({
+      code: req.body.code,
+      user: req.user._id,
+      lines,
+      subtotal,
+    });
+
+    const discounts = new Map(discount.items.map(({ index, amount }) => [index, amount]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        code: discount.code,
+        type: discount.type,
+        description: discount.description,
+        freeShipping: discount.freeShipping,
+        subtotal,
+        discountTotal: discount.amount,
+        totalAmount: roundMoney(subtotal - discount.amount),
+        items: orderItems.map((item, index) => ({ ...item, discount: discounts.get(index) || 0 })),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  validatePromotion,
+};
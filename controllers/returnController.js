@@ -0,0 +1,204 @@
+const Order = require("../models/Order");
+const ReturnRequest = require("../models/ReturnRequest");
+const { paginate } = require("../utils/pagination");
+const {
+  storeReturnPhotos,
+  removeReturnPhotos,
+  findReturnPhoto,
+  openReturn,
+  approveReturn,
+  rejectReturn,
+} = require("../utils/returns");
+const { PERMISSIONS, hasPermission } = require("../config/roles");
+
+const RETURN_SORT_FIELDS = ["createdAt", "amount", "status"];
+
+// Customers only see the returns of their own orders; staff with orders:read see all
+const canViewReturn = (req, returnRequest) =>
+  hasPermission(req.user, PERMISSIONS.ORDERS_READ) ||
+  String(returnRequest.user) === String(req.user._id);
+
+const findReturn = async (returnId) => {
+  const returnRequest = await ReturnRequest.findById(returnId);
+  if (!returnRequest) {
+    const error = new Error(`Return not found with ID ${returnId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return returnRequest;
+};
+
+/**
+ * @desc    Open a return on items of a delivered order, with optional photos
+ * @route   POST /returns
+ * @access  Private (order owner, or orders:manage)
+ */
+const createReturn = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.body.order);
+    if (!order) {
+      const error = new Error(`Order not found with ID ${req.body.order}`);
+      error.statusCode = 404;
+      return next(error);
+    }
+    if (
+      String(order.user) !== String(req.user._id) &&
+      !hasPermission(req.user, PERMISSIONS.ORDERS_MANAGE)
+    ) {
+      const error = new Error("Not authorized to return items of this order");
+      error.statusCode = 403;
+      return next(error);
+    }
+
+    const photos = await storeReturnPhotos(req.files);
+
+    let returnRequest;
+    try {
+      returnRequest = await openReturn(order, {
+        items: req.body.items,
+        reason: req.body.reason,
+        description: req.body.description,
+        photos,
+      });
+    } catch (error) {
+      await removeReturnPhotos(photos);
+      throw error;
+    }
+
+    res.status(201).json({ success: true, data: returnRequest });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get returns (optionally of one order or status, paginated)
+ * @route   GET /returns
+ * @access  Private (own returns, or any with orders:read)
+ * @param   {object} req.query - order (order ID), status, pagination (page, limit, cursor, sort, order)
+ */
+const getReturns = async (req, res, next) => {
+  try {
+    const query = {};
+    if (!hasPermission(req.user, PERMISSIONS.ORDERS_READ)) {
+      query.user = req.user._id;
+    }
+    if (req.query.order) {
+      query.order = req.query.order;
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const { data, pagination } = await paginate(ReturnRequest, query, req, res, {
+      sortFields: RETURN_SORT_FIELDS,
+      defaultSort: "createdAt",
+      defaultOrder: "desc",
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      pagination,
+      data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a return by ID
+ * @route   GET /returns/:id
+ * @access  Private (order owner, or orders:read)
+ */
+const getReturnById = async (req, res, next) => {
+  try {
+    const returnRequest = await findReturn(req.params.id);
+    if (!canViewReturn(req, returnRequest)) {
+      const error = new Error("Not authorized to access this return");
+      error.statusCode = 403;
+      return next(error);
+    }
+
+    res.status(200).json({ success: true, data: returnRequest });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a photo of a return, or one of its thumbnails
+ * @route   GET /returns/photos/:file
+ * @access  Private (order owner, or orders:read)
+ */
+const getReturnPhoto = async (req, res, next) => {
+  try {
+    const found = await findReturnPhoto(req.params.file);
+    if (!found) {
+      const error = new Error(`Photo not found: ${req.params.file}`);
+      error.statusCode = 404;
+      return next(error);
+    }
+    if (!canViewReturn(req, found.returnRequest)) {
+      const error = new Error("Not authorized to access this return");
+      error.statusCode = 403;
+      return next(error);
+    }
+
+    // Thumbnails are always WebP
+    res.type(found.photo.mimeType || "image/webp");
+    res.set("Cache-Control", "private, no-store");
+    res.status(200).send(await found.read());
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Approve a return with a refund or a replacement order
+ * @route   POST /returns/:id/approve
+ * @access  Private (orders:manage)
+ */
+const approveReturnRequest = async (req, res, next) => {
+  try {
+    const returnRequest = await approveReturn(await findReturn(req.params.id), {
+      resolution: req.body.resolution,
+      refundAmount: req.body.refundAmount,
+      restock: req.body.restock,
+      note: req.body.note,
+      resolvedBy: req.user._id,
+    });
+
+    res.status(200).json({ success: true, data: returnRequest });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Reject a return
+ * @route   POST /returns/:id/reject
+ * @access  Private (orders:manage)
+ */
+const rejectReturnRequest = async (req, res, next) => {
+  try {
+    const returnRequest = await rejectReturn(await findReturn(req.params.id), {
+      note: req.body.note,
+      resolvedBy: req.user._id,
+    });
+
+    res.status(200).json({ success: true, data: returnRequest });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  createReturn,
+  getReturns,
+  getReturnById,
+  getReturnPhoto,
+  approveReturnRequest,
+  rejectReturnRequest,
+};
@@ -0,0 +1,242 @@
+const Review = require("../models/Review");
+const Flower = require("../models/Flower");
+const Order = require("../models/Order");
+const { paginate } = require("../utils/pagination");
+const { PERMISSIONS, hasPermission } = require("../config/roles");
+
+const REVIEW_SORT_FIELDS = ["createdAt", "rating"];
+
+const isAuthor = (req, review) => review.user.equals(req.user._id);
+
+const reviewNotFound = (reviewId) => {
+  const error = new Error(`Review not found with ID of ${reviewId}`);
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * @desc    Get the approved reviews of a flower (paginated) with its rating summary
+ * @route   GET /flowers/:id/reviews
+ * @access  Public
+ */
+const getFlowerReviews = async (req, res, next) => {
+  try {
+    const flower = await Flower.findById(req.params.id).select("ratingAverage ratingCount");
+    if (!flower) {
+      const error = new Error(`Flower not found with ID of ${req.params.id}`);
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    const { data, pagination } = await paginate(
+      Review,
+      { flower: flower._id, status: "approved" },
+      req,
+      res,
+      {
+        sortFields: REVIEW_SORT_FIELDS,
+        defaultSort: "createdAt",
+        defaultOrder: "desc",
+        populate: { path: "user", select: "displayName", options: { includeDeleted: true } },
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      rating: { average: flower.ratingAverage, count: flower.ratingCount },
+      pagination,
+      data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Review a flower the user received in a delivered order
+ * @route   POST /flowers/:id/reviews
+ * @access  Private (customers with a delivered order containing the flower)
+ */
+const createReview = async (req, res, next) => {
+  try {
+    const flower = await Flower.findById(req.params.id).select("_id");
+    if (!flower) {
+      const error = new Error(`Flower not found with ID of ${req.params.id}`);
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    const order = await Order.findOne({
+      user: req.user._id,
+      status: "delivered",
+      "items.flower": flower._id,
+    }).select("_id");
+    if (!order) {
+      const error = new Error("Only customers who received this flower can review it");
+      error.statusCode = 403;
+      return next(error);
+    }
+
+    if (await Review.exists({ user: req.user._id, flower: flower._id })) {
+      const error = new Error("You already reviewed this flower; edit your review instead");
+      error.statusCode = 409;
+      return next(error);
+    }
+
+    const review = await Review.create({
+      user: req.user._id,
+      flower: flower._id,
+      order: order._id,
+      rating: req.body.rating,
+      title: req.body.title,
+      comment: req.body.comment,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Review submitted for moderation",
+      data: review,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    List reviews: moderators get every review (the pending queue by
+ *          default), other users their own reviews in any status
+ * @route   GET /reviews
+ * @access  Private
+ * @param   {object} req.query - status, flower and user (moderators only), pagination (page, limit, cursor, sort, order)
+ */
+const getReviews = async (req, res, next) => {
+  try {
+    const query = {};
+
+    if (hasPermission(req.user, PERMISSIONS.REVIEWS_MODERATE)) {
+      const { status = "pending", flower, user } = req.query;
+      const statuses = Review.schema.path("status").enumValues;
+      if (status !== "all" && !statuses.includes(status)) {
+        const error = new Error(`status must be one of: all, ${statuses.join(", ")}`);
+        error.statusCode = 400;
+        return next(error);
+      }
+      if (status !== "all") query.status = status;
+      if (flower) query.flower = flower;
+      if (user) query.user = user;
+    } else {
+      query.user = req.user._id;
+    }
+
+    const { data, pagination } = await paginate(Review, query, req, res, {
+      sortFields: REVIEW_SORT_FIELDS,
+      defaultSort: "createdAt",
+      defaultOrder: "desc",
+      populate: [
+        { path: "user", select: "displayName email", options: { includeDeleted: true } },
+        { path: "flower", select: "name", options: { includeDeleted: true } },
+      ],
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      pagination,
+      data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Edit your own review; it goes back to moderation
+ * @route   PUT /reviews/:id
+ * @access  Private (author only)
+ */
+const updateReview = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return next(reviewNotFound(req.params.id));
+    }
+    if (!isAuthor(req, review)) {
+      const error = new Error("Only the author can edit a review");
+      error.statusCode = 403;
+      return next(error);
+    }
+
+    const { rating, title, comment } = req.body;
+    if (rating !== undefined) review.rating = rating;
+    if (title !== undefined) review.title = title;
+    if (comment !== undefined) review.comment = comment;
+
+    review.status = "pending";
+    review.moderatedBy = undefined;
+    review.moderatedAt = undefined;
+    review.moderationNote = undefined;
+    await review.save();
+
+    res.status(200).json({ success: true, data: review });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete a review
+ * @route   DELETE /reviews/:id
+ * @access  Private (author, or reviews:moderate)
+ */
+const deleteReview = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return next(reviewNotFound(req.params.id));
+    }
+    if (!isAuthor(req, review) && !hasPermission(req.user, PERMISSIONS.REVIEWS_MODERATE)) {
+      const error = new Error("Not authorized to delete this review");
+      error.statusCode = 403;
+      return next(error);
+    }
+
+    await review.deleteOne();
+    res.status(200).json({ success: true, message: "Review deleted" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Approve or hide a review
+ * @route   PUT /reviews/:id/moderation
+ * @access  Private (reviews:moderate)
+ */
+const moderateReview = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return next(reviewNotFound(req.params.id));
+    }
+
+    review.status = req.body.status;
+    review.moderationNote = req.body.note || undefined;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    await review.save();
+
+    res.status(200).json({ success: true, data: review });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getFlowerReviews,
+  createReview,
+  getReviews,
+  updateReview,
+  deleteReview,
+  moderateReview,
+};
@@ -0,0 +1,247 @@
+const Subscription = require("../models/Subscription");
+const Flower = require("../models/Flower");
+const Category = require("../models/Category");
+const { paginate } = require("../utils/pagination");
+const { runDueSubscriptions } = require("../utils/subscriptions");
+const { resolveOrderAddresses } = require("../utils/addressBook");
+const { PERMISSIONS, hasPermission } = require("../config/roles");
+
+const SUBSCRIPTION_SORT_FIELDS = ["createdAt", "nextRunAt", "status"];
+
+// Fields customers choose; the schedule and status change through their own endpoints
+const SUBSCRIPTION_FIELDS = ["items", "floristChoice", "allowSubstitutions", "frequency", "shippingAddress"];
+
+const subscriptionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Customers only see their own subscriptions; staff with orders:read see all
+const canViewSubscription = (req, subscription) =>
+  hasPermission(req.user, PERMISSIONS.ORDERS_READ) ||
+  String(subscription.user) === String(req.user._id);
+
+const canManageSubscription = (req, subscription) =>
+  hasPermission(req.user, PERMISSIONS.ORDERS_MANAGE) ||
+  String(subscription.user) === String(req.user._id);
+
+const findSubscription = async (req, canAccess) => {
+  const subscription = await Subscription.findById(req.params.id);
+  if (!subscription) {
+    throw subscriptionError(`Subscription not found with ID ${req.params.id}`, 404);
+  }
+  if (!canAccess(req, subscription)) {
+    throw subscriptionError("Not authorized to access this subscription", 403);
+  }
+  return subscription;
+};
+
+// Rejects flowers, variants and categories that cannot be ordered now;
+// later runs substitute what goes out of stock or out of the catalog
+const checkCatalog = async ({ items, floristChoice }) => {
+  for (const item of items || []) {
+    const flower = await Flower.findById(item.flower);
+    if (!flower) {
+      throw subscriptionError(`Flower not found with ID ${item.flower}`, 400);
+    }
+    flower.resolveVariant(item.variant);
+  }
+  if (floristChoice && floristChoice.category && !(await Category.findById(floristChoice.category))) {
+    throw subscriptionError(`Category not found with ID ${floristChoice.category}`, 400);
+  }
+};
+
+/**
+ * @desc    Get subscriptions (optionally by user or status, paginated)
+ * @route   GET /subscriptions
+ * @access  Private (own subscriptions, or any with orders:read)
+ * @param   {object} req.query - userId, status, pagination (page, limit, cursor, sort, order)
+ */
+const getSubscriptions = async (req, res, next) => {
+  try {
+    const query = {};
+    if (!hasPermission(req.user, PERMISSIONS.ORDERS_READ)) {
+      query.user = req.user._id;
+    } else if (req.query.userId) {
+      query.user = req.query.userId;
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const { data, pagination } = await paginate(Subscription, query, req, res, {
+      sortFields: SUBSCRIPTION_SORT_FIELDS,
+      defaultSort: "createdAt",
+      defaultOrder: "desc",
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      pagination,
+      data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a subscription with the history of its runs and orders
+ * @route   GET /subscriptions/:id
+ * @access  Private (owner, or orders:read)
+ */
+const getSubscriptionById = async (req, res, next) => {
+  try {
+    const subscription = await findSubscription(req, canViewSubscription);
+    await subscription.populate({ path: "runs.order", select: "status totalAmount orderDate" });
+
+    res.status(200).json({ success: true, data: subscription });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Subscribe to recurring deliveries of flowers or the florist's choice
+ * @route   POST /subscriptions
+ * @access  Private
+ */
+const createSubscription = async (req, res, next) => {
+  try {
+    await checkCatalog(req.body);
+
+    const subscription = new Subscription({ user: req.user._id });
+    SUBSCRIPTION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        subscription[field] = req.body[field];
+      }
+    });
+    // A copy of the address book entry, or of the default address
+    const { shippingAddress } = await resolveOrderAddresses({
+      user: req.user._id,
+      shippingAddress: req.body.shippingAddress,
+      addressId: req.body.addressId,
+    });
+    subscription.shippingAddress = shippingAddress;
+    subscription.startsAt = req.body.startsAt ? new Date(req.body.startsAt) : new Date();
+    subscription.nextRunAt = subscription.startsAt;
+    await subscription.save();
+
+    res.status(201).json({ success: true, data: subscription });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Change what a subscription delivers, how often and where, from
+ *          the next run on
+ * @route   PUT /subscriptions/:id
+ * @access  Private (owner, or orders:manage)
+ */
+const updateSubscription = async (req, res, next) => {
+  try {
+    const subscription = await findSubscription(req, canManageSubscription);
+    if (subscription.status === "cancelled") {
+      return next(subscriptionError("Cancelled subscriptions cannot be changed", 409));
+    }
+    await checkCatalog(req.body);
+
+    SUBSCRIPTION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        subscription[field] = req.body[field];
+      }
+    });
+    if (req.body.addressId) {
+      const { shippingAddress } = await resolveOrderAddresses({
+        user: subscription.user,
+        addressId: req.body.addressId,
+      });
+      subscription.shippingAddress = shippingAddress;
+    }
+    // Switching between own flowers and the florist's choice drops the other
+    if (req.body.items && req.body.items.length) {
+      subscription.floristChoice = undefined;
+    } else if (req.body.floristChoice) {
+      subscription.items = [];
+    }
+    await subscription.save();
+
+    res.status(200).json({ success: true, data: subscription });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Pause, resume, skip and cancel only differ in the Subscription method they call
+const changeSubscription = (change) => async (req, res, next) => {
+  try {
+    const subscription = await findSubscription(req, canManageSubscription);
+    change(subscription, req.body || {});
+    await subscription.save();
+
+    res.status(200).json({ success: true, data: subscription });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Pause a subscription, optionally until resumeAt
+ * @route   POST /subscriptions/:id/pause
+ * @access  Private (owner, or orders:manage)
+ */
+const pauseSubscription = changeSubscription((subscription, body) =>
+  subscription.pause(body.resumeAt ? new Date(body.resumeAt) : undefined)
+);
+
+/**
+ * @desc    Resume a paused subscription from its next scheduled run
+ * @route   POST /subscriptions/:id/resume
+ * @access  Private (owner, or orders:manage)
+ */
+const resumeSubscription = changeSubscription((subscription) => subscription.resume());
+
+/**
+ * @desc    Skip the next run of a subscription
+ * @route   POST /subscriptions/:id/skip
+ * @access  Private (owner, or orders:manage)
+ */
+const skipSubscriptionRun = changeSubscription((subscription) => subscription.skip());
+
+/**
+ * @desc    Cancel a subscription; orders already placed are kept
+ * @route   POST /subscriptions/:id/cancel
+ * @access  Private (owner, or orders:manage)
+ */
+const cancelSubscription = changeSubscription((subscription) => subscription.cancel());
+
+/**
+ * @desc    Place the orders of all due subscriptions now instead of waiting
+ *          for the scheduler
+ * @route   POST /subscriptions/run
+ * @access  Private (orders:manage)
+ */
+const runSubscriptions = async (req, res, next) => {
+  try {
+    const summary = await runDueSubscriptions();
+
+    res.status(200).json({ success: true, data: summary });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getSubscriptions,
+  getSubscriptionById,
+  createSubscription,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipSubscriptionRun,
+  cancelSubscription,
+  runSubscriptions,
+};
@@ -1,4 +1,16 @@
 const User = require("../models/User"); // Import your User model
+const { paginate } = require("../utils/pagination");
+const { includeDeleted } = require("../utils/includeDeleted");
+const { revokeAllRefreshTokens } = require("../utils/jwt");
+const {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  permissionsFor,
+} = require("../config/roles");
+
+const USER_SORT_FIELDS = ["email", "displayName", "createdAt"];
 
 exports.createUser = async (req, res, next) => {
   try {
@@ -12,24 +24,29 @@ exports.createUser = async (req, res, next) => {
         githubId : githubUser.id,
         email: email.value,
         displayName: githubUser.displayName,
-        isAdmin: false,
     }).save()
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Get all users (Admin only)
+// @desc    Get all users, paginated
 // @route   GET /api/users
-// @access  Private (Admin only)
+// @access  Private (users:read permission)
 exports.getUsers = async (req, res, next) => {
   try {
-    const users = await User.find();
+    const { data, pagination } = await paginate(User, {}, req, res, {
+      sortFields: USER_SORT_FIELDS,
+      defaultSort: "createdAt",
+      defaultOrder: "desc",
+      includeDeleted: includeDeleted(req, PERMISSIONS.USERS_MANAGE),
+    });
 
     res.status(200).json({
       success: true,
-      count: users.length,
-      data: users,
+      count: data.length,
+      pagination,
+      data,
     });
   } catch (error) {
     next(error); 
@@ -38,7 +55,7 @@ exports.getUsers = async (req, res, next) => {
 
 // @desc    Get single user by ID or get current user's profile
 // @route   GET /api/users/:id OR GET /api/users/me
-// @access  Private (Admin or owner of the profile)
+// @access  Private (users:read permission or owner of the profile)
 exports.getUserById = async (req, res, next) => {
   try {
     let user;
@@ -61,11 +78,9 @@ exports.getUserById = async (req, res, next) => {
       return res.status(404).json({ success: false, error: "User not found" });
     }
 
-    // Authorization check: Ensure admin or the user themselves can view
-    // If an admin is requesting, allow. If a customer, ensure it's their own profile.
+    // Authorization check: users with users:read or the user themselves can view
     if (
-      req.user &&
-      req.user.role !== "admin" &&
+      !hasPermission(req.user, PERMISSIONS.USERS_READ) &&
       user._id.toString() !== req.user.id
     ) {
       return res.status(403).json({
@@ -85,25 +100,10 @@ exports.getUserById = async (req, res, next) => {
 
 // @desc    Update user profile
 // @route   PUT /api/users/:id OR PUT /api/users/me
-// @access  Private (Admin or owner of the profile)
+// @access  Private (users:manage permission or owner of the profile)
 exports.updateUser = async (req, res, next) => {
   try {
-    const userId = req.params.id
-    const user = await User.findById(userId)
-    if(!user){
-      return res.status(404).json({
-        success: false,
-        error: "User not found"
-      })
-    }
-
-    const body = req.body
-    const updatedUser = await User.findByIdAndUpdate(user.id, body, {new: true})
-
-    return res.json(updatedUser)
-
-    // let user;
-    const targetId = req.params.id === "me" ? req.user.id : req.params.id;
+    let user;
 
     if (!req.user || !req.user.id) {
       return res.status(401).json({
@@ -112,29 +112,29 @@ exports.updateUser = async (req, res, next) => {
       });
     }
 
+    const targetId = req.params.id === "me" ? req.user.id : req.params.id;
     user = await User.findById(targetId);
 
     if (!user) {
       return res.status(404).json({ success: false, error: "User not found" });
     }
 
-    // Authorization check: Admin or the user themselves
-    if (req.user.role !== "admin" && user._id.toString() !== req.user.id) {
+    const canManageUsers = hasPermission(req.user, PERMISSIONS.USERS_MANAGE);
+
+    // Authorization check: users with users:manage or the user themselves
+    if (!canManageUsers && user._id.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         error: "Not authorized to update this user profile",
       });
     }
 
-    // Prevent non-admins from changing their role
-    if (
-      req.body.role &&
-      req.user.role !== "admin" &&
-      req.body.role !== user.role
-    ) {
-      return res
-        .status(403)
-        .json({ success: false, error: "Not authorized to change user role" });
+    // Roles and permissions only change through PUT /api/users/:id/role
+    if (req.body.role !== undefined || req.body.permissions !== undefined) {
+      return res.status(403).json({
+        success: false,
+        error: "Use PUT /api/users/:id/role to change roles and permissions",
+      });
     }
 
     // Fields allowed for update by a user themselves (if not admin)
@@ -145,17 +145,19 @@ exports.updateUser = async (req, res, next) => {
       "address",
     ]; // Add/remove fields as needed
     const updates = {};
-    if (req.user.role !== "admin") {
-      // Filter allowed updates for non-admin users
+    if (!canManageUsers) {
+      // Filter allowed updates for users editing their own profile
       Object.keys(req.body).forEach((key) => {
         if (allowedUpdates.includes(key)) {
           updates[key] = req.body[key];
         }
       });
     } else {
-      // Admins can update anything except perhaps the user's googleId directly
+      // User managers can update anything except the linked OAuth IDs and credentials directly
       Object.assign(updates, req.body);
       delete updates.googleId; // Prevent direct update of googleId via this route
+      delete updates.githubId;
+      delete updates.passwordHash; // Passwords only change through the reset flow
     }
 
     // Manual update of 'updatedAt' field, as pre('save') hook won't fire for findByIdAndUpdate
@@ -178,9 +180,8 @@ exports.updateUser = async (req, res, next) => {
 
 // @desc    Delete user
 // @route   DELETE /api/users/:id
-// @access  Private (Admin only)
+// @access  Private (users:manage permission)
 exports.deleteUser = async (req, res, next) => {
-  // This route should be protected by middleware that checks for 'admin' role
   try {
     const user = await User.findById(req.params.id);
 
@@ -188,9 +189,8 @@ exports.deleteUser = async (req, res, next) => {
       return res.status(404).json({ success: false, error: "User not found" });
     }
 
-    // Optional: Prevent an admin from deleting themselves if they are the last admin
-    // This is a safety measure for production systems.
-    if (user._id.toString() === req.user.id && req.user.role === "admin") {
+    // Prevent deleting the last admin, which would lock everyone out of role management
+    if (user.role === "admin") {
       const adminCount = await User.countDocuments({ role: "admin" });
       if (adminCount <= 1) {
         return res.status(400).json({
@@ -200,7 +200,10 @@ exports.deleteUser = async (req, res, next) => {
       }
     }
 
-    await user.deleteOne(); // Mongoose 5.x/6.x: user.remove() or user.deleteOne()
+    // Soft delete keeps the user for order history; their sessions and
+    // access tokens stop working because deleted users are no longer found
+    await user.softDelete(req.user._id);
+    await revokeAllRefreshTokens(user._id);
 
     res.status(200).json({
       success: true,
@@ -210,3 +213,86 @@ exports.deleteUser = async (req, res, next) => {
     next(error); // Pass error to the centralized error handler
   }
 };
+
+// @desc    Restore a soft-deleted user
+// @route   POST /api/users/:id/restore
+// @access  Private (users:manage permission)
+exports.restoreUser = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: "Deleted user not found" });
+    }
+
+    await user.restore();
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List roles and the permissions each one grants
+// @route   GET /api/users/roles
+// @access  Private (roles:assign permission)
+exports.getRoles = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        roles: ROLES.map((role) => ({ role, permissions: ROLE_PERMISSIONS[role] })),
+        permissions: Object.values(PERMISSIONS),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Assign a role and individual permissions to a user
+// @route   PUT /api/users/:id/role
+// @access  Private (roles:assign permission)
+exports.assignRole = async (req, res, next) => {
+  try {
+    const { role, permissions } = req.body;
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+
+    // Keep at least one admin around
+    if (user.role === "admin" && role !== "admin") {
+      const adminCount = await User.countDocuments({ role: "admin" });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          error: "Cannot remove the role of the last admin user.",
+        });
+      }
+    }
+
+    user.role = role;
+    if (permissions !== undefined) {
+      user.permissions = permissions;
+    }
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: user._id,
+        email: user.email,
+        role: user.role,
+        permissions: user.permissions,
+        effectivePermissions: permissionsFor(user),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,27 +1,145 @@
 // controllers/wishlistController.js
+const mongoose = require('mongoose');
 const Wishlist = require('../models/Wishlist');
 const Flower = require('../models/Flower'); // To validate flower existence
+const { placeOrder } = require('../utils/placeOrder');
 
-// @desc    Get user's wishlist
+const FLOWER_FIELDS = 'name price imageUrl stock';
+
+// Finds a wishlist by ID that belongs to the authenticated user
+const findOwnWishlist = (req) =>
+    Wishlist.findOne({ _id: req.params.id, user: req.user.id });
+
+const populated = (wishlist) =>
+    wishlist.populate({ path: 'flowers', select: FLOWER_FIELDS });
+
+const wishlistNotFound = (res) =>
+    res.status(404).json({ success: false, error: 'Wishlist not found for this user' });
+
+const findSharedWishlist = (token) =>
+    Wishlist.findOne({ shareToken: token, isPublic: true });
+
+// Read-only view of a shared wishlist; hides the owner's account details
+const sharedView = async (wishlist) => {
+    await wishlist.populate([
+        { path: 'user', select: 'displayName' },
+        { path: 'flowers', select: FLOWER_FIELDS },
+    ]);
+    const fulfilled = wishlist.fulfilledQuantities();
+
+    return {
+        name: wishlist.name,
+        owner: wishlist.user ? wishlist.user.displayName : null,
+        flowers: wishlist.flowers.filter(Boolean).map((flower) => ({
+            _id: flower._id,
+            name: flower.name,
+            price: flower.price,
+            imageUrl: flower.imageUrl,
+            inStock: flower.stock > 0,
+            fulfilled: fulfilled.has(flower._id.toString()),
+            fulfilledQuantity: fulfilled.get(flower._id.toString()) || 0,
+        })),
+        updatedAt: wishlist.updatedAt,
+    };
+};
+
+// @desc    Get all of the user's wishlists
 // @route   GET /api/wishlist
 // @access  Private (Authenticated user only)
+exports.getWishlists = async (req, res, next) => {
+    try {
+        let wishlists = await Wishlist.find({ user: req.user.id })
+            .sort({ createdAt: 1 })
+            .populate({ path: 'flowers', select: FLOWER_FIELDS });
+
+        // If no wishlist exists, create the default one on the fly
+        if (wishlists.length === 0) {
+            const wishlist = await Wishlist.create({ user: req.user.id, flowers: [] });
+            wishlists = [wishlist];
+        }
+
+        res.status(200).json({
+            success: true,
+            count: wishlists.length,
+            data: wishlists,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create a named wishlist
+// @route   POST /api/wishlist
+// @access  Private (Authenticated user only)
+exports.createWishlist = async (req, res, next) => {
+    try {
+        const wishlist = await Wishlist.create({ user: req.user.id, name: req.body.name, flowers: [] });
+
+        res.status(201).json({
+            success: true,
+            data: wishlist,
+        });
+    } catch (error) {
+        next(error); // Duplicate names end up as a 409 in the error handler
+    }
+};
+
+// @desc    Get one of the user's wishlists
+// @route   GET /api/wishlist/:id
+// @access  Private (Authenticated user only)
 exports.getWishlist = async (req, res, next) => {
     try {
-        // Find wishlist for the authenticated user
-        let wishlist = await Wishlist.findOne({ user: req.user.id }).populate({
-            path: 'flowers',
-            select: 'name price imageUrl'
+        const wishlist = await findOwnWishlist(req);
+        if (!wishlist) {
+            return wishlistNotFound(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await populated(wishlist),
         });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        // If no wishlist exists, return an empty one (or create one on the fly)
+// @desc    Rename a wishlist
+// @route   PUT /api/wishlist/:id
+// @access  Private (Authenticated user only)
+exports.updateWishlist = async (req, res, next) => {
+    try {
+        const wishlist = await findOwnWishlist(req);
         if (!wishlist) {
-            wishlist = await Wishlist.create({ user: req.user.id, flowers: [] });
-            return res.status(201).json({ success: true, data: wishlist, message: 'New wishlist created for user' });
+            return wishlistNotFound(res);
         }
 
+        wishlist.name = req.body.name;
+        await wishlist.save();
+
         res.status(200).json({
             success: true,
-            data: wishlist,
+            data: await populated(wishlist),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete a wishlist
+// @route   DELETE /api/wishlist/:id
+// @access  Private (Authenticated user only)
+exports.deleteWishlist = async (req, res, next) => {
+    try {
+        const wishlist = await findOwnWishlist(req);
+        if (!wishlist) {
+            return wishlistNotFound(res);
+        }
+
+        await wishlist.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Wishlist deleted',
         });
     } catch (error) {
         next(error);
@@ -29,7 +147,7 @@ exports.getWishlist = async (req, res, next) => {
 };
 
 // @desc    Add flower to wishlist
-// @route   POST /api/wishlist/:flowerId
+// @route   POST /api/wishlist/:id/flowers/:flowerId
 // @access  Private (Authenticated user only)
 exports.addFlowerToWishlist = async (req, res, next) => {
     const { flowerId } = req.params;
@@ -41,31 +159,22 @@ exports.addFlowerToWishlist = async (req, res, next) => {
             return res.status(404).json({ success: false, error: 'Flower not found' });
         }
 
-        let wishlist = await Wishlist.findOne({ user: req.user.id });
-
+        const wishlist = await findOwnWishlist(req);
         if (!wishlist) {
-            // Create a new wishlist if one doesn't exist
-            wishlist = await Wishlist.create({ user: req.user.id, flowers: [flowerId] });
-        } else {
-            // Check if flower already in wishlist to prevent duplicates
-            if (wishlist.flowers.includes(flowerId)) {
-                return res.status(400).json({ success: false, error: 'Flower already in wishlist' });
-            }
-            wishlist.flowers.push(flowerId);
-            wishlist.updatedAt = Date.now(); // Manual update
-            await wishlist.save();
+            return wishlistNotFound(res);
         }
 
-        // Re-populate to send back full flower details
-        wishlist = await Wishlist.findOne({ user: req.user.id }).populate({
-            path: 'flowers',
-            select: 'name price imageUrl'
-        });
+        // Check if flower already in wishlist to prevent duplicates
+        if (wishlist.flowers.some((id) => id.toString() === flowerId)) {
+            return res.status(400).json({ success: false, error: 'Flower already in wishlist' });
+        }
+        wishlist.flowers.push(flowerId);
+        await wishlist.save();
 
         res.status(200).json({
             success: true,
             message: 'Flower added to wishlist',
-            data: wishlist,
+            data: await populated(wishlist),
         });
     } catch (error) {
         next(error);
@@ -73,16 +182,15 @@ exports.addFlowerToWishlist = async (req, res, next) => {
 };
 
 // @desc    Remove flower from wishlist
-// @route   DELETE /api/wishlist/:flowerId
+// @route   DELETE /api/wishlist/:id/flowers/:flowerId
 // @access  Private (Authenticated user only)
 exports.removeFlowerFromWishlist = async (req, res, next) => {
     const { flowerId } = req.params;
 
     try {
-        let wishlist = await Wishlist.findOne({ user: req.user.id });
-
+        const wishlist = await findOwnWishlist(req);
         if (!wishlist) {
-            return res.status(404).json({ success: false, error: 'Wishlist not found for this user' });
+            return wishlistNotFound(res);
         }
 
         const initialLength = wishlist.flowers.length;
@@ -94,38 +202,63 @@ exports.removeFlowerFromWishlist = async (req, res, next) => {
             return res.status(404).json({ success: false, error: 'Flower not found in wishlist' });
         }
 
-        wishlist.updatedAt = Date.now(); // Manual update
         await wishlist.save();
 
-        // Re-populate to send back full flower details
-        wishlist = await Wishlist.findOne({ user: req.user.id }).populate({
-            path: 'flowers',
-            select: 'name price imageUrl'
+        res.status(200).json({
+            success: true,
+            message: 'Flower removed from wishlist',
+            data: await populated(wishlist),
         });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Reorder the flowers of a wishlist
+// @route   PUT /api/wishlist/:id/flowers
+// @access  Private (Authenticated user only)
+exports.reorderWishlist = async (req, res, next) => {
+    try {
+        const wishlist = await findOwnWishlist(req);
+        if (!wishlist) {
+            return wishlistNotFound(res);
+        }
+
+        // The new order must list exactly the flowers already in the wishlist
+        const current = wishlist.flowers.map((id) => id.toString()).sort();
+        const requested = [...req.body.flowers].sort();
+        if (current.length !== requested.length || current.some((id, i) => id !== requested[i])) {
+            return res.status(400).json({
+                success: false,
+                error: 'flowers must contain every flower of the wishlist exactly once',
+            });
+        }
+
+        wishlist.flowers = req.body.flowers;
+        await wishlist.save();
 
         res.status(200).json({
             success: true,
-            message: 'Flower removed from wishlist',
-            data: wishlist,
+            message: 'Wishlist reordered',
+            data: await populated(wishlist),
         });
     } catch (error) {
         next(error);
     }
 };
 
-// @desc    Clear user's entire wishlist
-// @route   DELETE /api/wishlist/clear
+// @desc    Clear a wishlist
+// @route   DELETE /api/wishlist/:id/flowers
 // @access  Private (Authenticated user only)
 exports.clearWishlist = async (req, res, next) => {
     try {
-        const wishlist = await Wishlist.findOne({ user: req.user.id });
+        const wishlist = await findOwnWishlist(req);
 
         if (!wishlist) {
-            return res.status(404).json({ success: false, error: 'Wishlist not found for this user' });
+            return wishlistNotFound(res);
         }
 
         wishlist.flowers = [];
-        wishlist.updatedAt = Date.now(); // Manual update
         await wishlist.save();
 
         res.status(200).json({
@@ -136,4 +269,218 @@ exports.clearWishlist = async (req, res, next) => {
     } catch (error) {
         next(error);
     }
-};
\ No newline at end of file
+};
+
+// @desc    Order flowers from a wishlist and remove them from it
+// @route   POST /api/wishlist/:id/order
+// @access  Private (Authenticated user only)
+exports.orderFromWishlist = async (req, res, next) => {
+    try {
+        const wishlist = await findOwnWishlist(req);
+        if (!wishlist) {
+            return wishlistNotFound(res);
+        }
+
+        // Without explicit items, order one of every flower in the wishlist
+        const items = req.body.items || wishlist.flowers.map((flower) => ({ flower, quantity: 1 }));
+        const inWishlist = new Set(wishlist.flowers.map((id) => id.toString()));
+        const notInWishlist = items.filter((item) => !inWishlist.has(item.flower.toString()));
+
+        if (items.length === 0) {
+            return res.status(400).json({ success: false, error: 'Wishlist is empty' });
+        }
+        if (notInWishlist.length) {
+            return res.status(400).json({
+                success: false,
+                error: `Flowers not in wishlist: ${notInWishlist.map((item) => item.flower).join(', ')}`,
+            });
+        }
+
+        let order;
+
+        // Items only leave the wishlist if the order (and its stock reservation) succeeds
+        await mongoose.connection.transaction(async (session) => {
+            order = await placeOrder({
+                user: req.user._id,
+                items,
+                shippingAddress: req.body.shippingAddress,
+                addressId: req.body.addressId,
+                promoCode: req.body.promoCode,
+                delivery: req.body.delivery,
+                recipients: req.body.recipient ? [req.body.recipient] : undefined,
+                anonymous: req.body.anonymous,
+                changedBy: req.user._id,
+            }, session);
+
+            if (!req.body.keepItems) {
+                const ordered = new Set(items.map((item) => item.flower.toString()));
+                wishlist.flowers = wishlist.flowers.filter((id) => !ordered.has(id.toString()));
+                await wishlist.save({ session });
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: order,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Share a wishlist under a new unguessable link
+// @route   POST /api/wishlist/:id/share
+// @access  Private (Authenticated user only)
+exports.shareWishlist = async (req, res, next) => {
+    try {
+        const wishlist = await findOwnWishlist(req);
+        if (!wishlist) {
+            return wishlistNotFound(res);
+        }
+
+        await wishlist.share();
+
+        res.status(200).json({
+            success: true,
+            message: 'Wishlist shared',
+            data: {
+                isPublic: wishlist.isPublic,
+                shareToken: wishlist.shareToken,
+                url: `${req.baseUrl}/shared/${wishlist.shareToken}`,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Stop sharing a wishlist
+// @route   DELETE /api/wishlist/:id/share
+// @access  Private (Authenticated user only)
+exports.unshareWishlist = async (req, res, next) => {
+    try {
+        const wishlist = await findOwnWishlist(req);
+        if (!wishlist) {
+            return wishlistNotFound(res);
+        }
+
+        await wishlist.unshare();
+
+        res.status(200).json({
+            success: true,
+            message: 'Wishlist is no longer shared',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get a shared wishlist by its share token
+// @route   GET /api/wishlist/shared/:token
+// @access  Public
+exports.getSharedWishlist = async (req, res, next) => {
+    try {
+        const wishlist = await findSharedWishlist(req.params.token);
+        if (!wishlist) {
+            return res.status(404).json({ success: false, error: 'Shared wishlist not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await sharedView(wishlist),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Purchase flowers from a shared wishlist, marking them fulfilled for its owner
+// @route   POST /api/wishlist/shared/:token/purchase
+// @access  Private (Authenticated user only)
+exports.purchaseFromSharedWishlist = async (req, res, next) => {
+    try {
+        const wishlist = await findSharedWishlist(req.params.token);
+        if (!wishlist) {
+            return res.status(404).json({ success: false, error: 'Shared wishlist not found' });
+        }
+
+        if (wishlist.user.toString() === req.user._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Use POST /wishlist/:id/order to order from your own wishlist',
+            });
+        }
+
+        const { items } = req.body;
+        const inWishlist = new Set(wishlist.flowers.map((id) => id.toString()));
+        const notInWishlist = items.filter((item) => !inWishlist.has(item.flower));
+        if (notInWishlist.length) {
+            return res.status(400).json({
+                success: false,
+                error: `Flowers not in wishlist: ${notInWishlist.map((item) => item.flower).join(', ')}`,
+            });
+        }
+
+        const flowerIds = items.map((item) => item.flower);
+        const fulfilled = wishlist.fulfilledQuantities();
+        const alreadyFulfilled = flowerIds.filter((id) => fulfilled.has(id));
+        if (alreadyFulfilled.length) {
+            return res.status(409).json({
+                success: false,
+                error: `Flowers already purchased from this wishlist: ${alreadyFulfilled.join(', ')}`,
+            });
+        }
+
+        let order;
+
+        await mongoose.connection.transaction(async (session) => {
+            order = await placeOrder({
+                user: req.user._id,
+                items,
+                shippingAddress: req.body.shippingAddress,
+                addressId: req.body.addressId,
+                promoCode: req.body.promoCode,
+                delivery: req.body.delivery,
+                recipients: req.body.recipient ? [req.body.recipient] : undefined,
+                anonymous: req.body.anonymous,
+                changedBy: req.user._id,
+            }, session);
+
+            // Only record the purchase if nobody fulfilled these flowers in the meantime
+            const result = await Wishlist.updateOne(
+                {
+                    _id: wishlist._id,
+                    isPublic: true,
+                    'fulfillments.flower': { $nin: flowerIds },
+                },
+                {
+                    $push: {
+                        fulfillments: {
+                            $each: items.map((item) => ({
+                                flower: item.flower,
+                                quantity: item.quantity,
+                                order: order._id,
+                                purchasedBy: req.user._id,
+                            })),
+                        },
+                    },
+                    $set: { updatedAt: Date.now() },
+                },
+                { session }
+            );
+
+            if (result.modifiedCount === 0) {
+                const error = new Error('These flowers were just purchased by someone else or the wishlist is no longer shared');
+                error.statusCode = 409;
+                throw error;
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: order,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,27 @@
+const { hasPermission } = require("../config/roles");
+
+/**
+ * Only lets the request through when the authenticated user holds the given
+ * permission, through their role or an individual grant. Use after
+ * isAuthenticated.
+ * @param {string} permission - One of PERMISSIONS in config/roles.js
+ */
+const authorize = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        message: "Unauthorized"
+      })
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        message: `Forbidden: requires the ${permission} permission`
+      })
+    }
+
+    next()
+  };
+};
+
+module.exports = { authorize };
@@ -20,6 +20,7 @@ const errorHandler = (err, req, res, next) => {
     res.status(statusCode).json({
         success: false,
         error: message,
+        ...(err.details && { details: err.details }), // Structured context, e.g. insufficient stock per flower
     });
 };
 
@@ -1,10 +1,38 @@
+const passport = require("passport");
+
+// Accepts either a logged-in session (GitHub OAuth cookie) or an
+// "Authorization: Bearer <access token>" header issued by /api/auth/token
 function isAuthenticated(req, res, next) {
-  if (!req?.session?.user) {
+  if (req?.session?.user && req.user) {
+    return next()
+  }
+
+  const header = req.headers?.authorization || ""
+  if (!header.startsWith("Bearer ")) {
     return res.status(401).json({
       message: "Unauthorized"
     })
   }
-  next()
+
+  // Without JWT_SECRET the jwt strategy is never registered, so no token is valid
+  if (!passport._strategy("jwt")) {
+    return res.status(401).json({
+      message: "Unauthorized"
+    })
+  }
+
+  passport.authenticate("jwt", { session: false }, (err, user) => {
+    if (err) {
+      return next(err)
+    }
+    if (!user) {
+      return res.status(401).json({
+        message: "Unauthorized"
+      })
+    }
+    req.user = user
+    next()
+  })(req, res, next)
 };
 
-module.exports = { isAuthenticated };
\ No newline at end of file
+module.exports = { isAuthenticated };
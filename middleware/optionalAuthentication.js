@@ -0,0 +1,14 @@
+const { isAuthenticated } = require("./isAuthenticated");
+
+// For routes open to guests that act for the user when there is one: a
+// Bearer token is checked like isAuthenticated does (an invalid one is a
+// 401), requests without one go on as the session's user or as a guest
+function optionalAuthentication(req, res, next) {
+  const header = req.headers?.authorization || ""
+  if (!header.startsWith("Bearer ")) {
+    return next()
+  }
+  return isAuthenticated(req, res, next)
+};
+
+module.exports = { optionalAuthentication };
@@ -0,0 +1,63 @@
+const multer = require("multer");
+const {
+  IMAGE_TYPES,
+  MAX_IMAGE_MB,
+  MAX_IMAGE_BYTES,
+  MAX_IMAGES_PER_UPLOAD,
+} = require("../utils/images");
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES[file.mimetype]) {
+      return cb(null, true);
+    }
+    const error = new Error(
+      `${file.originalname} has an unsupported type; allowed: ${Object.keys(IMAGE_TYPES).join(", ")}`
+    );
+    error.statusCode = 415;
+    cb(error);
+  },
+}).array("images", MAX_IMAGES_PER_UPLOAD);
+
+// Multipart fields are plain strings, so structured fields are sent as JSON
+const JSON_FIELDS = ["variants", "existingImages", "items"];
+
+/**
+ * Accepts up to MAX_IMAGES_PER_UPLOAD image files in the multipart field
+ * "images" (available as req.files) and parses the JSON fields of multipart
+ * bodies. Requests that are not multipart pass through untouched. Use before
+ * validateData.
+ */
+const uploadImages = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const error = new Error(
+        err.code === "LIMIT_FILE_SIZE" ? `Images must be at most ${MAX_IMAGE_MB} MB` : err.message
+      );
+      error.statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return next(error);
+    }
+    if (err) {
+      return next(err);
+    }
+
+    if (req.is("multipart/form-data")) {
+      for (const field of JSON_FIELDS) {
+        if (typeof req.body[field] !== "string") continue;
+        try {
+          req.body[field] = JSON.parse(req.body[field]);
+        } catch (parseError) {
+          const error = new Error(`${field} must be valid JSON`);
+          error.statusCode = 400;
+          return next(error);
+        }
+      }
+    }
+
+    next();
+  });
+};
+
+module.exports = { uploadImages };
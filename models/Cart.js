@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const GUEST_CART_TTL_SECONDS = 30 * 24 * 60 * 60; // Anonymous carts expire after 30 days of inactivity
+
+const cartItemSchema = new mongoose.Schema({
+    flower: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Flower',
+        required: true,
+    },
+    variant: { // _id of the chosen Flower variant, for flowers sold in variants
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1.'],
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// A cart belongs either to a signed-in user or to an anonymous session
+const cartSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        unique: true,
+        sparse: true,
+    },
+    sessionId: {
+        type: String,
+        unique: true,
+        sparse: true,
+    },
+    items: [cartItemSchema],
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+cartSchema.index(
+    { updatedAt: 1 },
+    { expireAfterSeconds: GUEST_CART_TTL_SECONDS, partialFilterExpression: { sessionId: { $exists: true } } }
+);
+
+cartSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+/**
+ * Finds the line item for a flower (and variant, for flowers sold in variants).
+ * @param {*} flowerId
+ * @param {*} [variantId]
+ */
+cartSchema.methods.findItem = function(flowerId, variantId) {
+    return this.items.find((item) =>
+        item.flower.toString() === flowerId.toString() &&
+        String(item.variant || '') === String(variantId || '')
+    );
+};
+
+/**
+ * Adds a flower to the cart, or increases its quantity if already present.
+ * Each variant of a flower is a separate line item.
+ * @param {*} flowerId
+ * @param {number} quantity
+ * @param {*} [variantId]
+ */
+cartSchema.methods.addItem = function(flowerId, quantity, variantId) {
+    const existing = this.findItem(flowerId, variantId);
+    if (existing) {
+        existing.quantity += quantity;
+    } else {
+        this.items.push({ flower: flowerId, ...(variantId && { variant: variantId }), quantity });
+    }
+};
+
+/**
+ * Moves the anonymous cart of a session into the user's cart, summing
+ * quantities of flowers present in both. Called when a guest signs in.
+ * @param {string} sessionId - Session ID the guest cart was stored under
+ * @param {*} userId
+ */
+cartSchema.statics.mergeGuestCart = async function(sessionId, userId) {
+    if (!sessionId) {
+        return null;
+    }
+
+    const guestCart = await this.findOne({ sessionId });
+    if (!guestCart) {
+        return null;
+    }
+
+    const userCart = await this.findOne({ user: userId });
+    if (!userCart) {
+        // Claim the guest cart as is
+        guestCart.user = userId;
+        guestCart.sessionId = undefined;
+        return guestCart.save();
+    }
+
+    for (const item of guestCart.items) {
+        userCart.addItem(item.flower, item.quantity, item.variant);
+    }
+    await guestCart.deleteOne();
+    return userCart.save();
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
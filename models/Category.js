@@ -1,16 +1,30 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const categorySchema = new mongoose.Schema({
     name: {
         type: String,
         required: [true, 'Category name is required.'],
-        unique: true,
         trim: true,
     },
     description: {
         type: String,
         trim: true,
     },
+    parentCategory: { // Not "parent", which would hide Document#parent()
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null,
+        index: true,
+    },
+    ancestors: [{ // Materialized path from the root category down to the parent
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+    }],
+    archivedAt: { // Archived categories keep their flowers but are hidden from browsing
+        type: Date,
+        default: null,
+    },
     createdAt: {
         type: Date,
         default: Date.now,
@@ -21,9 +35,133 @@ const categorySchema = new mongoose.Schema({
     },
 });
 
+// Unique among categories that are not deleted
+categorySchema.index({ name: 1 }, softDelete.uniqueWhileNotDeleted());
+
 categorySchema.pre('save', function(next) {
     this.updatedAt = Date.now();
     next();
 });
 
+const categoryError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Derive the ancestor path from the parent and refuse to create cycles
+categorySchema.pre('save', async function() {
+    if (!this.isNew && !this.isModified('parentCategory')) {
+        return;
+    }
+
+    // Any move, including one to the top of the tree, rewrites the descendants
+    this.$locals.moved = !this.isNew;
+
+    if (!this.parentCategory) {
+        this.ancestors = [];
+        return;
+    }
+
+    // Within the caller's transaction, so parents created in it are found too
+    const parent = await this.constructor.findById(this.parentCategory, null, { session: this.$session() });
+    if (!parent) {
+        throw categoryError(`Parent category not found with ID of ${this.parentCategory}`, 400);
+    }
+    if (parent._id.equals(this._id) || parent.ancestors.some((id) => id.equals(this._id))) {
+        throw categoryError('A category cannot be moved under itself or one of its descendants', 400);
+    }
+
+    this.ancestors = [...parent.ancestors, parent._id];
+});
+
+// After a move, rewrite the ancestor path of every descendant: keep the part
+// below this category and replace everything above it with the new path
+categorySchema.post('save', async function() {
+    if (!this.$locals.moved) {
+        return;
+    }
+    this.$locals.moved = false;
+
+    await this.constructor.updateMany({ ancestors: this._id }, [{
+        $set: {
+            ancestors: {
+                $concatArrays: [
+                    this.ancestors,
+                    {
+                        $slice: [
+                            '$ancestors',
+                            { $indexOfArray: ['$ancestors', this._id] },
+                            { $size: '$ancestors' },
+                        ],
+                    },
+                ],
+            },
+        },
+    }], { session: this.$session() });
+});
+
+/**
+ * IDs of a category and all of its descendants.
+ * @param {*} categoryId
+ * @returns {Promise<Array>}
+ */
+categorySchema.statics.subtreeIds = async function(categoryId) {
+    const descendants = await this.find({ ancestors: categoryId }).distinct('_id');
+    return [categoryId, ...descendants];
+};
+
+/**
+ * Nests a flat list of categories into a tree. Categories whose parent is not
+ * in the list become roots, so a subtree can be built from its own categories.
+ * @param {Array} categories - Category documents or plain objects
+ * @returns {Array} Root categories, each with a children array
+ */
+categorySchema.statics.buildTree = function(categories) {
+    const nodes = new Map(
+        categories.map((category) => {
+            const node = typeof category.toObject === 'function' ? category.toObject() : { ...category };
+            node.children = [];
+            return [node._id.toString(), node];
+        })
+    );
+
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parentCategory && nodes.get(node.parentCategory.toString());
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    }
+
+    const sortByName = (list) => {
+        list.sort((a, b) => a.name.localeCompare(b.name));
+        list.forEach((node) => sortByName(node.children));
+    };
+    sortByName(roots);
+
+    return roots;
+};
+
+/**
+ * Path from the root category down to this one, e.g. for breadcrumbs.
+ * @returns {Promise<Array<{_id: *, name: string}>>}
+ */
+categorySchema.methods.breadcrumbs = async function() {
+    const ancestors = await this.constructor.find({ _id: { $in: this.ancestors } }).select('name');
+    const byId = new Map(ancestors.map((category) => [category._id.toString(), category]));
+
+    return [
+        ...this.ancestors
+            .map((id) => byId.get(id.toString()))
+            .filter(Boolean)
+            .map((category) => ({ _id: category._id, name: category.name })),
+        { _id: this._id, name: this.name },
+    ];
+};
+
+categorySchema.plugin(softDelete);
+
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Deliveries booked in one slot of a zone on one date. Bookings increment
+// booked only while it is below the slot's capacity, see utils/deliverySlots.
+const deliverySlotBookingSchema = new mongoose.Schema({
+    zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DeliveryZone',
+        required: true,
+    },
+    date: { // YYYY-MM-DD
+        type: String,
+        required: true,
+    },
+    slot: { // _id of the zone's slot
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    booked: {
+        type: Number,
+        default: 0,
+        min: [0, 'Booked deliveries cannot be negative.'],
+    },
+});
+
+deliverySlotBookingSchema.index({ zone: 1, date: 1, slot: 1 }, { unique: true });
+
+module.exports = mongoose.model('DeliverySlotBooking', deliverySlotBookingSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/; // HH:MM, 24-hour
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // YYYY-MM-DD
+
+// A delivery window offered every day the zone delivers. Times are local to
+// DELIVERY_TIMEZONE, see utils/deliverySlots.
+const slotSchema = new mongoose.Schema({
+    start: {
+        type: String,
+        required: [true, 'Slot start time is required.'],
+        match: [TIME_PATTERN, 'Slot start must be a time as HH:MM.'],
+    },
+    end: {
+        type: String,
+        required: [true, 'Slot end time is required.'],
+        match: [TIME_PATTERN, 'Slot end must be a time as HH:MM.'],
+    },
+    capacity: { // Deliveries per day in this slot
+        type: Number,
+        required: [true, 'Slot capacity is required.'],
+        min: [0, 'Slot capacity cannot be negative.'],
+    },
+});
+
+// Different capacity on one date, e.g. more drivers on Valentine's Day
+const capacityOverrideSchema = new mongoose.Schema({
+    date: {
+        type: String,
+        required: true,
+        match: [DATE_PATTERN, 'Date must be formatted as YYYY-MM-DD.'],
+    },
+    slot: { // _id of the slot; empty for every slot of the date
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    capacity: {
+        type: Number,
+        required: true,
+        min: [0, 'Capacity cannot be negative.'],
+    },
+}, { _id: false });
+
+const deliveryZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Delivery zone name is required.'],
+        unique: true,
+        trim: true,
+    },
+    zipCodes: { // Zip codes served, or prefixes ending in *, e.g. 941*
+        type: [{ type: String, trim: true, uppercase: true }],
+        validate: {
+            validator: (zipCodes) => zipCodes.length > 0,
+            message: 'A delivery zone must serve at least one zip code.',
+        },
+    },
+    slots: [slotSchema],
+    weekdays: { // Days the zone delivers, 0 is Sunday
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: [0, 1, 2, 3, 4, 5, 6],
+    },
+    sameDayCutoff: { // Same-day deliveries can be booked until this local time; empty for none
+        type: String,
+        match: [TIME_PATTERN, 'Same-day cutoff must be a time as HH:MM.'],
+    },
+    maxDaysAhead: { // How far ahead deliveries can be booked
+        type: Number,
+        default: 60,
+        min: [0, 'Max days ahead cannot be negative.'],
+    },
+    blackoutDates: [{
+        type: String,
+        match: [DATE_PATTERN, 'Blackout dates must be formatted as YYYY-MM-DD.'],
+    }],
+    capacityOverrides: [capacityOverrideSchema],
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+deliveryZoneSchema.pre('validate', function(next) {
+    const invalid = this.slots.find((slot) => slot.start >= slot.end);
+    if (invalid) {
+        this.invalidate('slots', `Slot ${invalid.start}-${invalid.end} must end after it starts.`);
+    }
+    next();
+});
+
+deliveryZoneSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
@@ -1,4 +1,64 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { removeImageFiles } = require('../utils/images');
+
+// A sellable version of a flower, e.g. red roses with 12 stems
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: [true, 'Variant SKU is required.'],
+        trim: true,
+        uppercase: true,
+    },
+    price: {
+        type: Number,
+        required: [true, 'Variant price is required.'],
+        min: [0, 'Price cannot be negative.'],
+    },
+    stock: {
+        type: Number,
+        required: [true, 'Variant stock quantity is required.'],
+        min: [0, 'Stock cannot be negative.'],
+    },
+    attributes: {
+        size: { type: String, trim: true, lowercase: true },
+        color: { type: String, trim: true, lowercase: true },
+        stemCount: { type: Number, min: [1, 'Stem count must be at least 1.'] },
+    },
+    weight: { // Grams, when it differs from the flower's weight
+        type: Number,
+        min: [0, 'Weight cannot be negative.'],
+    },
+});
+
+// An uploaded image; the original and its thumbnails live in utils/storage
+const imageSchema = new mongoose.Schema({
+    key: { // Storage key of the original, used to remove the files
+        type: String,
+        required: true,
+    },
+    url: {
+        type: String,
+        required: true,
+    },
+    alt: {
+        type: String,
+        trim: true,
+        maxlength: [250, 'Alt text cannot exceed 250 characters.'],
+    },
+    mimeType: String,
+    size: Number, // Bytes
+    width: Number,
+    height: Number,
+    thumbnails: [{
+        _id: false,
+        name: String, // small, medium or large, see THUMBNAIL_SIZES in utils/images
+        key: String,
+        url: String,
+        width: Number,
+        height: Number,
+    }],
+});
 
 const flowerSchema = new mongoose.Schema({
     name: {
@@ -6,11 +66,18 @@ const flowerSchema = new mongoose.Schema({
         required: [true, 'Flower name is required.'],
         trim: true,
     },
+    sku: { // Catalog identifier; bulk imports update the flower with the same SKU
+        type: String,
+        trim: true,
+        uppercase: true,
+        unique: true,
+        sparse: true,
+    },
     description: {
         type: String,
         trim: true,
     },
-    price: {
+    price: { // For flowers with variants: the lowest variant price
         type: Number,
         required: [true, 'Price is required.'],
         min: [0, 'Price cannot be negative.'],
@@ -20,19 +87,47 @@ const flowerSchema = new mongoose.Schema({
         ref: 'Category',
         required: [true, 'Category is required.'],
     },
-    imageUrl: {
+    categoryName: { // Copy of the category name so it can be part of the text index
         type: String,
         trim: true,
     },
-    stock: {
+    imageUrl: { // For flowers with uploaded images: the URL of the first one
+        type: String,
+        trim: true,
+    },
+    images: [imageSchema], // In display order
+    stock: { // For flowers with variants: the total stock of all variants
         type: Number,
         required: [true, 'Stock quantity is required.'],
         min: [0, 'Stock cannot be negative.'],
     },
+    variants: {
+        type: [variantSchema],
+        validate: {
+            validator: (variants) => new Set(variants.map((variant) => variant.sku)).size === variants.length,
+            message: 'Variant SKUs must be unique.',
+        },
+    },
     isFeatured: {
         type: Boolean,
         default: false,
     },
+    weight: { // Shipping weight in grams
+        type: Number,
+        default: 0,
+        min: [0, 'Weight cannot be negative.'],
+    },
+    ratingAverage: { // Maintained from approved reviews by Review.updateFlowerRating
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 5,
+    },
+    ratingCount: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
     createdAt: {
         type: Date,
         default: Date.now,
@@ -48,4 +143,103 @@ flowerSchema.pre('save', function(next) {
     next();
 });
 
+/**
+ * SKU of flowers created without one, from their ID, so every flower can be
+ * exported and imported again.
+ * @param {*} id
+ * @returns {string}
+ */
+flowerSchema.statics.defaultSku = (id) => `FL-${String(id).toUpperCase()}`;
+
+flowerSchema.pre('validate', function(next) {
+    if (!this.sku) {
+        this.sku = this.constructor.defaultSku(this._id);
+    }
+    next();
+});
+
+// A SKU identifies one variant across the whole catalog
+flowerSchema.index(
+    { 'variants.sku': 1 },
+    { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// Listing price and stock summarize the variants, so sorting and the price
+// and stock filters keep working for flowers with variants. imageUrl stays the
+// primary image for clients that only show one
+flowerSchema.pre('validate', function(next) {
+    if (this.variants && this.variants.length) {
+        this.price = Math.min(...this.variants.map((variant) => variant.price));
+        this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+    }
+    if (this.images && this.images.length) {
+        this.imageUrl = this.images[0].url;
+    }
+    next();
+});
+
+/**
+ * The variant sold for an order or cart line: the given variant, or the
+ * flower itself when it has no variants. Fails with a 400 error when the
+ * variant is missing or unknown.
+ * @param {*} [variantId]
+ * @returns {{variant: object|null, price: number, stock: number}}
+ */
+flowerSchema.methods.resolveVariant = function(variantId) {
+    if (!this.variants || this.variants.length === 0) {
+        if (variantId) {
+            const error = new Error(`Flower ${this.name} has no variants`);
+            error.statusCode = 400;
+            throw error;
+        }
+        return { variant: null, price: this.price, stock: this.stock };
+    }
+
+    const variant = variantId && this.variants.id(variantId);
+    if (!variant) {
+        const error = new Error(
+            variantId
+                ? `Variant ${variantId} not found for flower ${this.name}`
+                : `Flower ${this.name} requires choosing a variant`
+        );
+        error.statusCode = 400;
+        throw error;
+    }
+    return { variant, price: variant.price, stock: variant.stock };
+};
+
+// Catalog search ranks matches in the name above category and description
+flowerSchema.index(
+    { name: 'text', categoryName: 'text', description: 'text' },
+    { name: 'flower_text_search', weights: { name: 10, categoryName: 5, description: 1 } }
+);
+
+flowerSchema.pre('save', async function() {
+    if (this.isNew || this.isModified('category')) {
+        const category = await mongoose.model('Category')
+            .findById(this.category, 'name', { session: this.$session() });
+        this.categoryName = category ? category.name : undefined;
+    }
+});
+
+flowerSchema.pre('findOneAndUpdate', async function() {
+    const update = this.getUpdate();
+    const categoryId = update.category || (update.$set && update.$set.category);
+    if (categoryId) {
+        const category = await mongoose.model('Category').findById(categoryId).select('name');
+        this.set('categoryName', category ? category.name : undefined);
+    }
+});
+
+flowerSchema.plugin(softDelete);
+
+// Purging also removes the image files of the purged flowers
+flowerSchema.statics.purgeDeleted = async function(before) {
+    const filter = { deletedAt: { $ne: null, $lte: before } };
+    const flowers = await this.find(filter).select('images');
+    const result = await this.deleteMany(filter);
+    await removeImageFiles(flowers.flatMap((flower) => flower.images));
+    return result;
+};
+
 module.exports = mongoose.model('Flower', flowerSchema);
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { ORDER_STATUSES, assertTransition } = require('../utils/orderStatus');
+const softDelete = require('./plugins/softDelete');
 
 const orderItemSchema = new mongoose.Schema({
     flower: {
@@ -6,6 +8,17 @@ const orderItemSchema = new mongoose.Schema({
         ref: 'Flower',
         required: true,
     },
+    variant: { // _id of the chosen Flower variant, for flowers sold in variants
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    sku: { // Variant SKU and attributes as they were when the order was placed
+        type: String,
+    },
+    attributes: {
+        size: String,
+        color: String,
+        stemCount: Number,
+    },
     quantity: {
         type: Number,
         required: true,
@@ -15,9 +28,129 @@ const orderItemSchema = new mongoose.Schema({
         type: Number,
         required: true,
         min: [0, 'Price at purchase cannot be negative.'],
-    }
+    },
+    discount: { // This line's share of the order's discounts
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative.'],
+    },
+    recipient: { // Position in the order's recipients, for orders with recipients
+        type: Number,
+        min: [0, 'Recipient must be a position in the order recipients.'],
+    },
 }, { _id: false }); // Don't create an _id for sub-documents if not needed
 
+// A promotion applied to the order, as it was when the order was placed
+const discountSchema = new mongoose.Schema({
+    promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion',
+    },
+    code: {
+        type: String,
+        required: true,
+    },
+    type: {
+        type: String,
+        required: true,
+    },
+    description: String,
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Discount amount cannot be negative.'],
+    },
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+    from: { // Empty for the status the order was created with
+        type: String,
+        enum: ORDER_STATUSES,
+    },
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        required: true,
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Status note cannot exceed 500 characters.'],
+    },
+}, { _id: false });
+
+// Shared by the order and its recipients. A copy, so editing or deleting
+// the address book entry it came from leaves the order as it was
+const addressFields = {
+    addressId: mongoose.Schema.Types.ObjectId, // The address book entry copied, see utils/addressBook
+    label: String,
+    street: { type: String, required: true, trim: true },
+    city: { type: String, required: true, trim: true },
+    state: { type: String, required: true, trim: true },
+    zipCode: { type: String, required: true, trim: true },
+    country: { type: String, required: true, trim: true },
+};
+
+const shippingFields = { // A free shipping promotion discounts the amount, it is not zeroed here
+    zone: String, // Name of the zone in config/pricing
+    weight: Number, // Grams
+    amount: { type: Number, default: 0, min: [0, 'Shipping amount cannot be negative.'] },
+};
+
+const taxFields = {
+    jurisdiction: String, // Country, or country-state, e.g. US-CA
+    rate: Number, // Fraction, e.g. 0.0725
+    taxableAmount: Number,
+    amount: { type: Number, default: 0, min: [0, 'Tax amount cannot be negative.'] },
+};
+
+const deliveryFields = { // Booked delivery slot, see utils/deliverySlots; empty for orders shipped by carrier
+    zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DeliveryZone',
+    },
+    zoneName: String,
+    date: String, // YYYY-MM-DD, local to DELIVERY_TIMEZONE
+    slot: mongoose.Schema.Types.ObjectId, // _id of the zone's slot
+    start: String, // HH:MM
+    end: String,
+};
+
+// Someone the order is a gift for, with their own address, items (see
+// items.recipient), delivery slot and share of shipping and tax
+const recipientSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Recipient name is required.'],
+        trim: true,
+        maxlength: [100, 'Recipient name cannot exceed 100 characters.'],
+    },
+    phone: { // For the courier
+        type: String,
+        trim: true,
+        match: [/^\+?[0-9 ()-]{7,20}$/, 'Recipient phone must be a phone number.'],
+    },
+    shippingAddress: addressFields,
+    giftMessage: { // Printed on the gift card, see utils/giftRecipients
+        type: String,
+        maxlength: [250, 'Gift message cannot exceed 250 characters.'],
+    },
+    delivery: deliveryFields,
+    shipping: shippingFields,
+    tax: taxFields,
+    viewToken: { // Secret of the link the recipient views their part of the order with
+        type: String,
+    },
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -25,23 +158,63 @@ const orderSchema = new mongoose.Schema({
         required: true,
     },
     items: [orderItemSchema],
-    totalAmount: {
+    subtotal: { // Items at their purchase price, before discounts
+        type: Number,
+        min: [0, 'Subtotal cannot be negative.'],
+    },
+    discounts: [discountSchema],
+    discountTotal: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount total cannot be negative.'],
+    },
+    freeShipping: { // Set by a free shipping promotion
+        type: Boolean,
+        default: false,
+    },
+    shipping: shippingFields, // Of all recipients together
+    tax: taxFields, // Of all recipients together; rate is the effective rate if theirs differ
+    totalAmount: { // subtotal - discountTotal + shipping.amount + tax.amount
         type: Number,
         required: true,
         min: [0, 'Total amount cannot be negative.'],
     },
     status: {
         type: String,
-        enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+        enum: ORDER_STATUSES,
         default: 'pending',
     },
-    shippingAddress: {
-        street: { type: String, required: true, trim: true },
-        city: { type: String, required: true, trim: true },
-        state: { type: String, required: true, trim: true },
-        zipCode: { type: String, required: true, trim: true },
-        country: { type: String, required: true, trim: true },
+    paymentStatus: { // Follows the order's payment, see utils/orderPayments; pending while one is under way
+        type: String,
+        enum: ['unpaid', 'pending', 'authorized', 'paid', 'partially_refunded', 'refunded'],
+        default: 'unpaid',
     },
+    delivery: deliveryFields, // Orders with recipients book per recipient instead
+    recipients: [recipientSchema], // Empty for orders the buyer receives
+    anonymous: { // Hide the buyer from the recipients
+        type: Boolean,
+        default: false,
+    },
+    returnStatus: { // Follows the order's return requests, see utils/returns
+        type: String,
+        enum: ['none', 'requested', 'partially_returned', 'returned'],
+        default: 'none',
+    },
+    refundTotal: { // Refunded through approved returns
+        type: Number,
+        default: 0,
+        min: [0, 'Refund total cannot be negative.'],
+    },
+    subscription: { // The subscription that placed the order, see utils/subscriptions
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subscription',
+    },
+    replacementFor: { // The order whose return this order replaces; replacements are free
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+    },
+    statusHistory: [statusChangeSchema],
+    shippingAddress: addressFields, // The first recipient's, for orders with recipients
     orderDate: {
         type: Date,
         default: Date.now,
@@ -57,4 +230,28 @@ orderSchema.pre('save', function(next) {
     next();
 });
 
+/**
+ * Moves the order to a new status if the transition graph allows it and
+ * records the change in statusHistory. Throws a 409 error otherwise.
+ * @param {string} status - Requested status
+ * @param {{changedBy?: *, note?: string}} [change] - Actor and optional note
+ */
+orderSchema.methods.changeStatus = function(status, { changedBy, note } = {}) {
+    assertTransition(this.status, status);
+    this.statusHistory.push({ from: this.status, status, changedBy, note });
+    this.status = status;
+};
+
+// Per-user promotion limits count the customer's orders using the code
+orderSchema.index({ 'discounts.promotion': 1, user: 1 });
+// Florists plan each day's deliveries per zone
+orderSchema.index({ 'delivery.date': 1, 'delivery.zone': 1 });
+orderSchema.index({ 'recipients.delivery.date': 1, 'recipients.delivery.zone': 1 });
+orderSchema.index(
+    { 'recipients.viewToken': 1 },
+    { unique: true, partialFilterExpression: { 'recipients.viewToken': { $exists: true } } }
+);
+
+orderSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// pending: created, the provider has not answered yet
+// authorized: funds held, to be captured or voided
+// captured: funds taken; the order moves on to processing
+// partially_refunded / refunded: part or all of the captured amount returned
+// voided: the authorization was released without capturing
+// failed: the provider declined the payment
+const PAYMENT_STATUSES = ['pending', 'authorized', 'captured', 'partially_refunded', 'refunded', 'voided', 'failed'];
+
+// One call to the provider, or one webhook received from it
+const paymentEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['authorize', 'capture', 'refund', 'void', 'webhook'],
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['succeeded', 'failed'],
+        required: true,
+    },
+    amount: Number,
+    reference: String, // Provider ID of the operation, e.g. the refund ID
+    webhookType: String, // Event type reported by the provider, for webhooks
+    error: String,
+    createdBy: { // Staff member who captured, voided or refunded; empty for the system
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true,
+    },
+    user: { // Who paid
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    provider: { // Name of the payment provider, see utils/payments
+        type: String,
+        required: true,
+    },
+    providerPaymentId: {
+        type: String,
+    },
+    amount: { // Amount authorized
+        type: Number,
+        required: true,
+        min: [0, 'Payment amount cannot be negative.'],
+    },
+    currency: {
+        type: String,
+        required: true,
+        lowercase: true,
+    },
+    amountCaptured: {
+        type: Number,
+        default: 0,
+    },
+    amountRefunded: {
+        type: Number,
+        default: 0,
+    },
+    status: {
+        type: String,
+        enum: PAYMENT_STATUSES,
+        default: 'pending',
+    },
+    failureReason: String,
+    events: [paymentEventSchema], // Oldest first
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Webhooks find the payment by the provider's ID
+paymentSchema.index(
+    { provider: 1, providerPaymentId: 1 },
+    { unique: true, partialFilterExpression: { providerPaymentId: { $exists: true } } }
+);
+
+paymentSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// percentage: value percent off the eligible items
+// fixed: value off the eligible items, at most their total
+// free_shipping: the order ships for free
+// buy_x_get_y: for every buyQuantity + getQuantity eligible items, the
+//   getQuantity cheapest ones are value percent off (free by default)
+const PROMOTION_TYPES = ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'];
+
+const promotionSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Promotion code is required.'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z0-9_-]+$/, 'Promotion code may only contain letters, digits, dashes and underscores.'],
+        maxlength: [40, 'Promotion code cannot exceed 40 characters.'],
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Promotion description cannot exceed 500 characters.'],
+    },
+    type: {
+        type: String,
+        enum: PROMOTION_TYPES,
+        required: [true, 'Promotion type is required.'],
+    },
+    value: {
+        type: Number,
+        min: [0, 'Promotion value cannot be negative.'],
+    },
+    buyQuantity: {
+        type: Number,
+        min: [1, 'Buy quantity must be at least 1.'],
+    },
+    getQuantity: {
+        type: Number,
+        min: [1, 'Get quantity must be at least 1.'],
+    },
+    minOrderValue: { // Order subtotal, before any discount, needed to use the code
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum order value cannot be negative.'],
+    },
+    // Items the discount applies to; flowers in one of the categories or
+    // their subcategories count. Both empty means every item.
+    flowers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Flower',
+    }],
+    categories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+    }],
+    usageLimit: { // Orders that can use the code in total; null for unlimited
+        type: Number,
+        default: null,
+        min: [1, 'Usage limit must be at least 1.'],
+    },
+    perUserLimit: { // Orders each customer can use the code on; null for unlimited
+        type: Number,
+        default: null,
+        min: [1, 'Per-user limit must be at least 1.'],
+    },
+    usageCount: { // Orders using the code, not counting cancelled ones
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    startsAt: {
+        type: Date,
+        default: null,
+    },
+    endsAt: {
+        type: Date,
+        default: null,
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+promotionSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Rules that depend on the type
+promotionSchema.pre('validate', function(next) {
+    if (this.type === 'percentage' && !(this.value > 0 && this.value <= 100)) {
+        this.invalidate('value', 'Percentage promotions need a value between 0 and 100.');
+    }
+    if (this.type === 'fixed' && !(this.value > 0)) {
+        this.invalidate('value', 'Fixed-amount promotions need a value greater than 0.');
+    }
+    if (this.type === 'buy_x_get_y') {
+        if (!this.buyQuantity || !this.getQuantity) {
+            this.invalidate('buyQuantity', 'Buy-X-get-Y promotions need a buyQuantity and a getQuantity.');
+        }
+        if (this.value != null && !(this.value > 0 && this.value <= 100)) {
+            this.invalidate('value', 'Buy-X-get-Y promotions need a value between 0 and 100.');
+        }
+    }
+    if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+        this.invalidate('endsAt', 'Promotion must end after it starts.');
+    }
+    next();
+});
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Server-side record of an issued refresh token. Only a hash of the token is
+// stored; every rotation creates a new record in the same family so reuse of
+// an already rotated token can revoke the whole chain.
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    family: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RefreshToken',
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Let MongoDB remove tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+// requested: opened by the customer, waiting for staff
+// approving: being approved; the refund is under way
+// approved: resolved with a refund or a replacement order
+// rejected: declined by staff, see resolution.note
+const RETURN_STATUSES = ['requested', 'approving', 'approved', 'rejected'];
+
+const RETURN_REASONS = ['damaged', 'wilted', 'wrong_item', 'missing_item', 'other'];
+
+// A line item of the order claimed in the return
+const returnItemSchema = new mongoose.Schema({
+    line: { // Position of the item in the order's items
+        type: Number,
+        required: true,
+        min: [0, 'Line must be a position in the order items.'],
+    },
+    flower: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Flower',
+        required: true,
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1.'],
+    },
+    amount: { // What the customer paid for these units, after discounts and with tax
+        type: Number,
+        required: true,
+        min: [0, 'Amount cannot be negative.'],
+    },
+}, { _id: false });
+
+// A photo of the claimed items; the original and its thumbnails live in the
+// private storage of utils/storage, see storeReturnPhotos in utils/returns
+const photoSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+    },
+    url: {
+        type: String,
+        required: true,
+    },
+    mimeType: String,
+    size: Number, // Bytes
+    width: Number,
+    height: Number,
+    thumbnails: [{
+        _id: false,
+        name: String, // small, medium or large, see THUMBNAIL_SIZES in utils/images
+        key: String,
+        url: String,
+        width: Number,
+        height: Number,
+    }],
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true,
+    },
+    user: { // The customer the order belongs to
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    items: {
+        type: [returnItemSchema],
+        validate: {
+            validator: (items) => items.length > 0,
+            message: 'A return must claim at least one item.',
+        },
+    },
+    amount: { // Sum of the items' amounts, the refund staff approve by default
+        type: Number,
+        required: true,
+        min: [0, 'Amount cannot be negative.'],
+    },
+    reason: {
+        type: String,
+        enum: RETURN_REASONS,
+        required: [true, 'Return reason is required.'],
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Description cannot exceed 2000 characters.'],
+    },
+    photos: [photoSchema],
+    status: {
+        type: String,
+        enum: RETURN_STATUSES,
+        default: 'requested',
+    },
+    resolution: { // Set when staff approve or reject the return
+        type: { // refund or replacement, for approved returns
+            type: String,
+            enum: ['refund', 'replacement'],
+        },
+        refundAmount: Number,
+        replacementOrder: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order',
+        },
+        restocked: Boolean, // Whether the returned items went back into stock
+        note: { // Shown to the customer
+            type: String,
+            trim: true,
+            maxlength: [500, 'Resolution note cannot exceed 500 characters.'],
+        },
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        resolvedAt: Date,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+returnRequestSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
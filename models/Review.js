@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// New and edited reviews wait for a moderator; only approved ones are public
+// and count towards the flower's rating
+const REVIEW_STATUSES = ['pending', 'approved', 'hidden'];
+
+const reviewSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    flower: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Flower',
+        required: true,
+    },
+    order: { // The delivered order that qualified the user to review the flower
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+    },
+    rating: {
+        type: Number,
+        required: [true, 'Rating is required.'],
+        min: [1, 'Rating must be between 1 and 5.'],
+        max: [5, 'Rating must be between 1 and 5.'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Rating must be a whole number.',
+        },
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [120, 'Review title cannot exceed 120 characters.'],
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Review comment cannot exceed 2000 characters.'],
+    },
+    status: {
+        type: String,
+        enum: REVIEW_STATUSES,
+        default: 'pending',
+    },
+    moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    moderatedAt: Date,
+    moderationNote: { // Reason shown to the author when a review is hidden
+        type: String,
+        trim: true,
+        maxlength: [500, 'Moderation note cannot exceed 500 characters.'],
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// One review per customer and flower; they edit it instead of adding more
+reviewSchema.index({ user: 1, flower: 1 }, { unique: true });
+reviewSchema.index({ flower: 1, status: 1, createdAt: -1 });
+
+reviewSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    this.$locals.ratingChanged = this.isNew || this.isModified('rating') || this.isModified('status');
+    next();
+});
+
+/**
+ * Recomputes ratingAverage (rounded to two decimals) and ratingCount of a
+ * flower from its approved reviews.
+ * @param {*} flowerId
+ */
+reviewSchema.statics.updateFlowerRating = async function(flowerId) {
+    const [stats] = await this.aggregate([
+        { $match: { flower: new mongoose.Types.ObjectId(String(flowerId)), status: 'approved' } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+    ]);
+
+    await mongoose.model('Flower').updateOne(
+        { _id: flowerId },
+        {
+            ratingAverage: stats ? Math.round(stats.average * 100) / 100 : 0,
+            ratingCount: stats ? stats.count : 0,
+        },
+        { includeDeleted: true }
+    );
+};
+
+// Keep the flower's rating in step with every change that can affect it
+reviewSchema.post('save', async function() {
+    if (this.$locals.ratingChanged) {
+        this.$locals.ratingChanged = false;
+        await this.constructor.updateFlowerRating(this.flower);
+    }
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function() {
+    await this.constructor.updateFlowerRating(this.flower);
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
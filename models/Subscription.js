@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const {
+    SUBSCRIPTION_FREQUENCIES,
+    SUBSCRIPTION_STATUSES,
+    subscriptionError,
+    nextRunAfter,
+} = require('../utils/subscriptionSchedule');
+
+// A flower delivered on every run
+const subscriptionItemSchema = new mongoose.Schema({
+    flower: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Flower',
+        required: true,
+    },
+    variant: { // _id of the chosen Flower variant, for flowers sold in variants
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1.'],
+    },
+}, { _id: false });
+
+// A flower out of stock on a run, and what was sent instead
+const substitutionSchema = new mongoose.Schema({
+    flower: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Flower',
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    quantity: Number,
+    substitute: { // Empty when nothing similar was in stock and the item was left out
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Flower',
+    },
+    substituteVariant: mongoose.Schema.Types.ObjectId,
+}, { _id: false });
+
+// ordered: the order was placed, see order
+// skipped: skipped by the customer
+// failed: no order could be placed, see error
+const runSchema = new mongoose.Schema({
+    scheduledFor: {
+        type: Date,
+        required: true,
+    },
+    ranAt: {
+        type: Date,
+        default: Date.now,
+    },
+    status: {
+        type: String,
+        enum: ['ordered', 'skipped', 'failed'],
+        required: true,
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+    },
+    items: [subscriptionItemSchema], // What was ordered, after substitutions
+    substitutions: [substitutionSchema],
+    error: String,
+}, { _id: false });
+
+const subscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    items: [subscriptionItemSchema], // Empty for florist's choice subscriptions
+    floristChoice: { // The florist picks flowers in stock in the category on every run
+        category: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category',
+        },
+        quantity: {
+            type: Number,
+            min: [1, 'Quantity must be at least 1.'],
+        },
+        maxPrice: { // Per stem
+            type: Number,
+            min: [0, 'Maximum price cannot be negative.'],
+        },
+    },
+    allowSubstitutions: { // Send a similar flower of the same category when one is out of stock
+        type: Boolean,
+        default: true,
+    },
+    frequency: {
+        type: String,
+        enum: SUBSCRIPTION_FREQUENCIES,
+        required: [true, 'Frequency is required.'],
+    },
+    startsAt: { // First run; monthly runs keep to its day of the month
+        type: Date,
+        default: Date.now,
+    },
+    nextRunAt: {
+        type: Date,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: SUBSCRIPTION_STATUSES,
+        default: 'active',
+    },
+    resumeAt: { // For paused subscriptions: when the scheduler resumes them
+        type: Date,
+    },
+    cancelledAt: {
+        type: Date,
+    },
+    shippingAddress: {
+        street: { type: String, required: true, trim: true },
+        city: { type: String, required: true, trim: true },
+        state: { type: String, required: true, trim: true },
+        zipCode: { type: String, required: true, trim: true },
+        country: { type: String, required: true, trim: true },
+    },
+    runs: [runSchema], // Oldest first
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// A subscription delivers either its own flowers or the florist's choice
+subscriptionSchema.pre('validate', function(next) {
+    const hasItems = this.items && this.items.length > 0;
+    const hasChoice = Boolean(this.floristChoice && this.floristChoice.category);
+    if (hasItems === hasChoice) {
+        this.invalidate('items', 'A subscription needs either items or a florist\'s choice category.');
+    } else if (hasChoice && !this.floristChoice.quantity) {
+        this.invalidate('floristChoice.quantity', 'Florist\'s choice quantity is required.');
+    }
+    next();
+});
+
+subscriptionSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+const anchorDay = (subscription) => subscription.startsAt && subscription.startsAt.getUTCDate();
+
+/**
+ * Stops placing orders until the subscription is resumed.
+ * @param {Date} [resumeAt] - Resume automatically at this time
+ */
+subscriptionSchema.methods.pause = function(resumeAt) {
+    if (this.status !== 'active') {
+        throw subscriptionError(`Cannot pause a ${this.status} subscription`, 409);
+    }
+    this.status = 'paused';
+    this.resumeAt = resumeAt;
+};
+
+/**
+ * Places orders again from the next run of the schedule; runs missed while
+ * paused are not made up for.
+ * @param {Date} [now]
+ */
+subscriptionSchema.methods.resume = function(now = new Date()) {
+    if (this.status !== 'paused') {
+        throw subscriptionError(`Cannot resume a ${this.status} subscription`, 409);
+    }
+    this.status = 'active';
+    this.resumeAt = undefined;
+    if (this.nextRunAt <= now) {
+        this.nextRunAt = nextRunAfter(this.nextRunAt, this.frequency, now, anchorDay(this));
+    }
+};
+
+/**
+ * Skips the next run and records it as skipped.
+ * @param {Date} [now]
+ */
+subscriptionSchema.methods.skip = function(now = new Date()) {
+    if (this.status !== 'active') {
+        throw subscriptionError(`Cannot skip a run of a ${this.status} subscription`, 409);
+    }
+    this.runs.push({ scheduledFor: this.nextRunAt, ranAt: now, status: 'skipped' });
+    this.nextRunAt = nextRunAfter(this.nextRunAt, this.frequency, now, anchorDay(this));
+};
+
+/**
+ * Ends the subscription for good. Orders already placed are not cancelled.
+ */
+subscriptionSchema.methods.cancel = function() {
+    if (this.status === 'cancelled') {
+        throw subscriptionError('Subscription is already cancelled', 409);
+    }
+    this.status = 'cancelled';
+    this.resumeAt = undefined;
+    this.cancelledAt = new Date();
+};
+
+// The scheduler looks for due active subscriptions and paused ones to resume
+subscriptionSchema.index({ status: 1, nextRunAt: 1 });
+subscriptionSchema.index({ status: 1, resumeAt: 1 });
+subscriptionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
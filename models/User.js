@@ -1,23 +1,48 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { ROLES, PERMISSIONS } = require('../config/roles');
+const softDelete = require('./plugins/softDelete');
+
+// A saved shipping address; orders copy it, see utils/addressBook
+const addressSchema = new mongoose.Schema({
+    label: { // e.g. Home, Office
+        type: String,
+        required: [true, 'Address label is required.'],
+        trim: true,
+        maxlength: [50, 'Address label cannot exceed 50 characters.'],
+    },
+    street: { type: String, required: true, trim: true },
+    city: { type: String, required: true, trim: true },
+    state: { type: String, required: true, trim: true },
+    zipCode: { type: String, required: true, trim: true },
+    country: { type: String, required: true, trim: true },
+    isDefault: { // Used for orders sent without an address
+        type: Boolean,
+        default: false,
+    },
+});
 
 const userSchema = new mongoose.Schema({
     googleId: {
         type: String,
-        unique: true,
-        sparse: true, 
     },
     githubId: {
         type: String,
-        unique: true,
-        sparse: true,
     },
     email: {
         type: String,
         required: true,
-        unique: true,
         trim: true,
         lowercase: true,
     },
+    passwordHash: { // Only set for accounts that signed up with a password
+        type: String,
+        select: false,
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false,
+    },
     displayName: {
         type: String,
         trim: true,
@@ -26,10 +51,16 @@ const userSchema = new mongoose.Schema({
         type: String,
         trim: true,
     },
-    isAdmin: {
-        type: Boolean,
-        default: false,
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'customer',
     },
+    permissions: [{ // Individual grants on top of the role's permissions
+        type: String,
+        enum: Object.values(PERMISSIONS),
+    }],
+    addresses: [addressSchema], // Address book
     createdAt: {
         type: Date,
         default: Date.now,
@@ -40,9 +71,98 @@ const userSchema = new mongoose.Schema({
     },
 });
 
+// Unique among users that are not deleted, so a deleted user's email and
+// provider accounts can sign up again
+userSchema.index({ email: 1 }, softDelete.uniqueWhileNotDeleted());
+userSchema.index({ googleId: 1 }, softDelete.uniqueWhileNotDeleted({ googleId: { $exists: true } }));
+userSchema.index({ githubId: 1 }, softDelete.uniqueWhileNotDeleted({ githubId: { $exists: true } }));
+
 userSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
     next();
 });
 
+// An address book always has a default address, the first one unless
+// another is marked
+userSchema.pre('validate', function(next) {
+    if (this.addresses && this.addresses.length && !this.addresses.some((address) => address.isDefault)) {
+        this.addresses[0].isDefault = true;
+    }
+    next();
+});
+
+// Bootstrap admins: new accounts whose email is listed in ADMIN_EMAILS
+// (comma separated) start with the admin role
+userSchema.pre('save', function(next) {
+    const adminEmails = (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map((email) => email.trim().toLowerCase())
+        .filter(Boolean);
+
+    if (this.isNew && adminEmails.includes(this.email)) {
+        this.role = 'admin';
+    }
+    next();
+});
+
+const PASSWORD_SALT_ROUNDS = 12;
+
+userSchema.methods.setPassword = async function(password) {
+    this.passwordHash = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+};
+
+/**
+ * Checks a password against the stored hash. The user must be loaded with
+ * .select('+passwordHash').
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+userSchema.methods.comparePassword = function(password) {
+    if (!this.passwordHash) {
+        return Promise.resolve(false);
+    }
+    return bcrypt.compare(password, this.passwordHash);
+};
+
+/**
+ * Finds the user for an OAuth profile (by provider ID, then by email) or
+ * creates one. An existing account with the same email, e.g. one that signed
+ * up with a password, gets the provider attached. Requires the profile to
+ * expose an email address.
+ * @param {'githubId'|'googleId'} idField - User field holding the provider ID
+ * @param {object} profile - passport profile
+ */
+userSchema.statics.findOrCreateFromOAuth = async function(idField, profile) {
+    const email = profile.emails && profile.emails[0] && profile.emails[0].value;
+
+    let user = await this.findOne({ [idField]: profile.id });
+    if (!user && email) {
+        user = await this.findOne({ email: email.toLowerCase() });
+    }
+
+    if (user) {
+        if (!user[idField]) {
+            user[idField] = profile.id;
+            if (!user.emailVerified) {
+                // The provider vouches for the mailbox; a password set by
+                // whoever registered this unverified email must not keep working
+                user.passwordHash = undefined;
+                user.emailVerified = true;
+            }
+            await user.save();
+        }
+        return user;
+    }
+
+    return this.create({
+        [idField]: profile.id,
+        email,
+        emailVerified: true,
+        displayName: profile.displayName,
+        profilePicture: profile.photos && profile.photos[0] && profile.photos[0].value,
+    });
+};
+
+userSchema.plugin(softDelete);
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const TOKEN_PURPOSES = ['verify_email', 'password_reset'];
+
+// Single-use token sent by email to verify an address or reset a password.
+// Only a hash of the token is stored.
+const userTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    purpose: {
+        type: String,
+        enum: TOKEN_PURPOSES,
+        required: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    usedAt: {
+        type: Date,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Let MongoDB remove tokens once they expire
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -1,16 +1,61 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+// A purchase made by another shopper from a shared wishlist
+const fulfillmentSchema = new mongoose.Schema({
+    flower: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Flower',
+        required: true,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+    },
+    purchasedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    purchasedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
 const wishlistSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true,
-        unique: true, // Ensures one wishlist per user
     },
-    flowers: [{
+    name: {
+        type: String,
+        required: [true, 'Wishlist name is required.'],
+        trim: true,
+        maxlength: [100, 'Wishlist name cannot exceed 100 characters.'],
+        default: 'My Wishlist',
+    },
+    flowers: [{ // Kept in the order the user arranged them
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Flower',
     }],
+    isPublic: {
+        type: Boolean,
+        default: false,
+    },
+    shareToken: { // Unguessable token of the public link, only set while shared
+        type: String,
+        unique: true,
+        sparse: true,
+    },
+    fulfillments: [fulfillmentSchema],
     createdAt: {
         type: Date,
         default: Date.now,
@@ -21,9 +66,43 @@ const wishlistSchema = new mongoose.Schema({
     },
 });
 
+// A user can have several wishlists, each with a distinct name
+wishlistSchema.index({ user: 1, name: 1 }, { unique: true });
+
 wishlistSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
     next();
 });
 
+/**
+ * Publishes the wishlist under a new share token, invalidating any earlier link.
+ */
+wishlistSchema.methods.share = function() {
+    this.isPublic = true;
+    this.shareToken = crypto.randomBytes(24).toString('base64url');
+    return this.save();
+};
+
+/**
+ * Makes the wishlist private again; the share link stops working.
+ */
+wishlistSchema.methods.unshare = function() {
+    this.isPublic = false;
+    this.shareToken = undefined;
+    return this.save();
+};
+
+/**
+ * Quantity of each flower already purchased from the registry, keyed by flower ID.
+ * @returns {Map<string, number>}
+ */
+wishlistSchema.methods.fulfilledQuantities = function() {
+    const quantities = new Map();
+    for (const fulfillment of this.fulfillments) {
+        const key = fulfillment.flower.toString();
+        quantities.set(key, (quantities.get(key) || 0) + fulfillment.quantity);
+    }
+    return quantities;
+};
+
 module.exports = mongoose.model('Wishlist', wishlistSchema);
\ No newline at end of file
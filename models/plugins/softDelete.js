@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// Query operations that skip soft-deleted documents unless asked otherwise
+const FILTERED_QUERIES = [
+    'countDocuments',
+    'distinct',
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'findOneAndDelete',
+    'updateOne',
+    'updateMany',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany',
+];
+
+/**
+ * Soft delete for a schema: documents are marked with deletedAt/deletedBy
+ * instead of being removed and are hidden from queries and aggregations.
+ *
+ * Queries that filter on deletedAt themselves, or are run with the
+ * includeDeleted option (see the withDeleted() query helper), see every
+ * document. Soft-deleted documents are removed for good by purgeDeleted().
+ *
+ * @param {import('mongoose').Schema} schema
+ */
+const softDelete = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    });
+
+    schema.pre(FILTERED_QUERIES, function() {
+        if (this.getOptions().includeDeleted || 'deletedAt' in this.getFilter()) {
+            return;
+        }
+        this.where({ deletedAt: null });
+    });
+
+    schema.pre('aggregate', function() {
+        const pipeline = this.pipeline();
+        const first = pipeline[0];
+
+        // A $match using $text has to stay the first stage, so extend it
+        if (first && first.$match) {
+            if (!('deletedAt' in first.$match)) {
+                first.$match.deletedAt = null;
+            }
+            return;
+        }
+        pipeline.unshift({ $match: { deletedAt: null } });
+    });
+
+    // Model.find().withDeleted() also returns soft-deleted documents
+    schema.query.withDeleted = function() {
+        return this.setOptions({ includeDeleted: true });
+    };
+
+    /**
+     * @param {*} [deletedBy] - ID of the user deleting the document
+     * @param {object} [options] - save options, e.g. { session }
+     */
+    schema.methods.softDelete = function(deletedBy, options) {
+        this.deletedAt = new Date();
+        this.deletedBy = deletedBy || null;
+        return this.save(options);
+    };
+
+    schema.methods.restore = function(options) {
+        this.deletedAt = null;
+        this.deletedBy = null;
+        return this.save(options);
+    };
+
+    /**
+     * Permanently removes documents soft-deleted before the given date.
+     * @param {Date} before
+     */
+    schema.statics.purgeDeleted = function(before) {
+        return this.deleteMany({ deletedAt: { $ne: null, $lte: before } });
+    };
+};
+
+/**
+ * Options for a unique index over documents that are not soft deleted, so the
+ * keys of a deleted document can be used again before it is purged, e.g.
+ * schema.index({ email: 1 }, softDelete.uniqueWhileNotDeleted()).
+ * Relies on deletedAt being stored as null, which the plugin defaults to.
+ * @param {object} [partialFilterExpression] - Further conditions, e.g.
+ *        { githubId: { $exists: true } } in place of sparse
+ * @returns {object} Index options
+ */
+softDelete.uniqueWhileNotDeleted = (partialFilterExpression = {}) => ({
+    unique: true,
+    partialFilterExpression: { ...partialFilterExpression, deletedAt: { $type: 'null' } },
+});
+
+module.exports = softDelete;
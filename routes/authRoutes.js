@@ -2,17 +2,366 @@ const { Router } = require("express"); //destrocturing router from express
 const router = new Router();
 const passport = require("passport");
 const dotenv = require("dotenv");
-const { createUser } = require("../controllers/userController");
+const Cart = require("../models/Cart");
+const {
+  signup,
+  login,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  issueToken,
+  refreshToken,
+  logout,
+  logoutAll,
+} = require("../controllers/authController");
+const { isAuthenticated } = require("../middleware/isAuthenticated");
+const { validateData } = require("../middleware/validateData");
+const { refreshTokenSchema } = require("../validators/auth/refreshTokenSchema");
+const { logoutSchema } = require("../validators/auth/logoutSchema");
+const { signupSchema } = require("../validators/auth/signupSchema");
+const { loginSchema } = require("../validators/auth/loginSchema");
+const { emailSchema } = require("../validators/auth/emailSchema");
+const { verifyEmailSchema } = require("../validators/auth/verifyEmailSchema");
+const { resetPasswordSchema } = require("../validators/auth/resetPasswordSchema");
 dotenv.config();
 
+/**
+ * @swagger
+ * tags:
+ *   - name: Auth
+ *     description: >
+ *       Authentication. Users log in with GitHub or Google OAuth or with an email
+ *       and password (cookie session). OAuth logins are linked to an existing
+ *       account with the same email. API clients exchange the session for a
+ *       short-lived access token and a rotating refresh token and send
+ *       "Authorization: Bearer <accessToken>".
+ */
+
+// Logging in regenerates the session, so remember the guest session ID first
+// to find the cart the user filled in before signing in
+const rememberGuestSession = (req, res, next) => {
+  req.guestSessionId = req.sessionID;
+  next();
+};
+
 router
   .route("/github/callback")
-  .get(passport.authenticate("github"), (req, res, next) => {
-    req.session.user = req.user;
-    createUser(req, res, next);
-    res.redirect(`${process.env.BASE_URL}/api-docs`);
+  .get(rememberGuestSession, passport.authenticate("github"), async (req, res, next) => {
+    try {
+      req.session.user = req.user;
+      await Cart.mergeGuestCart(req.guestSessionId, req.user._id);
+      res.redirect(`${process.env.BASE_URL}/api-docs`);
+    } catch (error) {
+      next(error);
+    }
   });
 
-router.route("/login").get(passport.authenticate("github"));
+router.route("/login").get(passport.authenticate("github", { scope: ["user:email"] }));
+
+// Google OAuth, only when the Google strategy is configured
+if (process.env.GOOGLE_CLIENT_ID) {
+  router
+    .route("/google/callback")
+    .get(rememberGuestSession, passport.authenticate("google"), async (req, res, next) => {
+      try {
+        req.session.user = req.user;
+        await Cart.mergeGuestCart(req.guestSessionId, req.user._id);
+        res.redirect(`${process.env.BASE_URL}/api-docs`);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  router.route("/google").get(passport.authenticate("google", { scope: ["profile", "email"] }));
+}
+
+/**
+ * @swagger
+ * /auth/signup:
+ *   post:
+ *     summary: Sign up with email and password
+ *     description: >
+ *       Creates the account and emails a verification token. The address must
+ *       be verified before logging in. GitHub or Google can later be attached
+ *       by logging in with them using the same email.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 maxLength: 72
+ *               displayName:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Account created, verification email sent
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: An account with this email already exists
+ */
+router.post("/signup", validateData(signupSchema), signup);
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Log in with email and password
+ *     description: >
+ *       Starts a cookie session and returns an access and refresh token;
+ *       data is null when Bearer tokens are not configured (JWT_SECRET unset).
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/AuthTokens'
+ *       401:
+ *         description: Invalid email or password
+ *       403:
+ *         description: Email address not verified yet
+ */
+router.post("/login", rememberGuestSession, validateData(loginSchema), login);
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with the emailed token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email address verified
+ *       400:
+ *         description: Invalid, expired or already used token
+ */
+router.post("/verify-email", validateData(verifyEmailSchema), verifyEmail);
+
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Send a new verification email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Sent if the address belongs to an unverified account
+ */
+router.post("/verify-email/resend", validateData(emailSchema), resendVerification);
+
+/**
+ * @swagger
+ * /auth/password/forgot:
+ *   post:
+ *     summary: Email a single-use password reset token
+ *     description: Also lets accounts created with GitHub or Google add a password.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Sent if an account exists for the email
+ */
+router.post("/password/forgot", validateData(emailSchema), forgotPassword);
+
+/**
+ * @swagger
+ * /auth/password/reset:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: The token can only be used once. Every refresh token of the user is revoked.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 maxLength: 72
+ *     responses:
+ *       200:
+ *         description: Password updated
+ *       400:
+ *         description: Invalid, expired or already used token, or validation error
+ */
+router.post("/password/reset", validateData(resetPasswordSchema), resetPassword);
+
+/**
+ * @swagger
+ * /auth/token:
+ *   post:
+ *     summary: Issue an access and refresh token for the logged-in user
+ *     description: Call after the GitHub OAuth login with the session cookie (or with a valid Bearer token).
+ *     tags: [Auth]
+ *     responses:
+ *       201:
+ *         description: Token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AuthTokens'
+ *       401:
+ *         description: Not logged in
+ */
+router.post("/token", isAuthenticated, issueToken);
+
+/**
+ * @swagger
+ * /auth/token/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: >
+ *       Refresh tokens are single use. Presenting a refresh token that was already
+ *       rotated revokes every token derived from the same login.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ */
+router.post("/token/refresh", validateData(refreshTokenSchema), refreshToken);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out, revoking the given refresh token and ending the session
+ *     tags: [Auth]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ */
+router.post("/logout", validateData(logoutSchema), logout);
+
+/**
+ * @swagger
+ * /auth/logout/all:
+ *   post:
+ *     summary: Log out from all devices by revoking every refresh token of the user
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out everywhere
+ *       401:
+ *         description: Unauthorized
+ */
+router.post("/logout/all", isAuthenticated, logoutAll);
 
 module.exports = router;
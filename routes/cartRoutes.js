@@ -0,0 +1,247 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkout,
+} = require("../controllers/cartController");
+const { validateData } = require("../middleware/validateData");
+const { addCartItemSchema } = require("../validators/cart/addCartItemSchema");
+const {
+  updateCartItemSchema,
+} = require("../validators/cart/updateCartItemSchema");
+const { checkoutSchema } = require("../validators/cart/checkoutSchema");
+const { isAuthenticated } = require("../middleware/isAuthenticated");
+const { optionalAuthentication } = require("../middleware/optionalAuthentication");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Cart
+ *     description: >
+ *       Shopping cart. Guests get a cart tied to their session which is merged
+ *       into their user cart when they log in with GitHub. Requests with a
+ *       Bearer token use the cart of its user.
+ */
+
+/**
+ * @swagger
+ * /cart:
+ *   get:
+ *     summary: Get the current cart with live prices and stock availability
+ *     tags: [Cart]
+ *     responses:
+ *       200:
+ *         description: The cart (empty if nothing was added yet)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Cart'
+ *       500:
+ *         description: Server error
+ */
+router.get("/", optionalAuthentication, getCart);
+
+/**
+ * @swagger
+ * /cart:
+ *   delete:
+ *     summary: Remove every item from the cart
+ *     tags: [Cart]
+ *     responses:
+ *       200:
+ *         description: Cart cleared
+ */
+router.delete("/", optionalAuthentication, clearCart);
+
+/**
+ * @swagger
+ * /cart/items:
+ *   post:
+ *     summary: Add a flower to the cart
+ *     description: >
+ *       Adding a flower (or variant) already in the cart increases its
+ *       quantity. Each variant of a flower is a separate cart item.
+ *     tags: [Cart]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - flower
+ *             properties:
+ *               flower:
+ *                 type: string
+ *                 description: Flower ID
+ *                 example: 60d0fe4f5311236168a9b34b
+ *               variant:
+ *                 type: string
+ *                 description: Variant ID; required for flowers sold in variants
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *     responses:
+ *       200:
+ *         description: Flower added; returns the updated cart
+ *       400:
+ *         description: Validation error, or a missing or unknown variant
+ *       404:
+ *         description: Flower not found
+ */
+router.post("/items", optionalAuthentication, validateData(addCartItemSchema), addCartItem);
+
+/**
+ * @swagger
+ * /cart/items/{flowerId}:
+ *   put:
+ *     summary: Change the quantity of a cart item
+ *     tags: [Cart]
+ *     parameters:
+ *       - in: path
+ *         name: flowerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *         description: Variant ID of the cart item, for flowers sold in variants
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Quantity updated; returns the updated cart
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Flower not in the cart
+ *   delete:
+ *     summary: Remove a flower from the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - in: path
+ *         name: flowerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *         description: Variant ID of the cart item, for flowers sold in variants
+ *     responses:
+ *       200:
+ *         description: Flower removed; returns the updated cart
+ *       404:
+ *         description: Flower not in the cart
+ */
+router.put("/items/:flowerId", optionalAuthentication, validateData(updateCartItemSchema), updateCartItem);
+router.delete("/items/:flowerId", optionalAuthentication, removeCartItem);
+
+/**
+ * @swagger
+ * /cart/checkout:
+ *   post:
+ *     summary: Place an order for the cart contents
+ *     description: >
+ *       Prices the cart at current flower prices, reserves stock and creates a
+ *       pending order, then empties the cart. Nothing changes if any item is
+ *       out of stock.
+ *     tags: [Cart]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               addressId:
+ *                 type: string
+ *                 description: An address of the address book, see /users/me/addresses, in place of shippingAddress
+ *               shippingAddress:
+ *                 type: object
+ *                 properties:
+ *                   street:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *                   state:
+ *                     type: string
+ *                   zipCode:
+ *                     type: string
+ *                   country:
+ *                     type: string
+ *               promoCode:
+ *                 type: string
+ *                 description: Promotion code to apply, see POST /promotions/validate
+ *               delivery:
+ *                 $ref: '#/components/schemas/DeliveryRequest'
+ *               recipient:
+ *                 type: object
+ *                 description: >
+ *                   Send the order as a gift to someone at the shipping address, with
+ *                   a gift message printed on a card. The recipient views the gift,
+ *                   without prices, at GET /orders/gift/{token} with the viewToken of
+ *                   the order's recipient.
+ *                 required:
+ *                   - name
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   phone:
+ *                     type: string
+ *                   giftMessage:
+ *                     type: string
+ *                     maxLength: 250
+ *               anonymous:
+ *                 type: boolean
+ *                 description: Hide the buyer's name from the recipient
+ *     responses:
+ *       201:
+ *         description: Order created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Empty cart, validation error, or a promotion code that cannot be used on the cart
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Unknown promotion code
+ *       409:
+ *         description: Insufficient stock for one or more flowers, or the promotion code's usage limit is reached
+ */
+router.post("/checkout", isAuthenticated, validateData(checkoutSchema), checkout);
+
+module.exports = router;
@@ -2,10 +2,13 @@ const express = require("express");
 const router = express.Router();
 const {
   getCategories,
+  getCategoryTree,
+  getCategorySubtree,
   getCategoryById,
   createCategory,
   updateCategoryById,
   deleteCategoryById,
+  restoreCategoryById,
 } = require("../controllers/categoryController");
 
 const { validateData } = require("../middleware/validateData");
@@ -16,23 +19,45 @@ const {
   updateCategorySchema,
 } = require("../validators/category/updateCategorySchema");
 const { isAuthenticated } = require("../middleware/isAuthenticated");
+const { authorize } = require("../middleware/authorize");
+const { PERMISSIONS } = require("../config/roles");
 
 /**
  * @swagger
  * tags:
  *   - name: Categories
- *     description: API for managing flower categories
+ *     description: >
+ *       API for managing flower categories. Categories can be nested
+ *       (e.g. Bouquets → Wedding → Bridal) by setting a parentCategory.
  */
 
 /**
  * @swagger
  * /categories:
  *   get:
- *     summary: Get all flower categories
+ *     summary: Get all flower categories (paginated)
  *     tags: [Categories]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, createdAt]
+ *           default: name
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/OrderParam'
+ *       - $ref: '#/components/parameters/IncludeDeletedParam'
  *     responses:
  *       200:
- *         description: A list of categories.
+ *         description: A page of categories.
+ *         headers:
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: URLs of the first, last, next and previous pages
  *         content:
  *           application/json:
  *             schema:
@@ -44,6 +69,8 @@ const { isAuthenticated } = require("../middleware/isAuthenticated");
  *                 count:
  *                   type: integer
  *                   example: 5
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -53,6 +80,66 @@ const { isAuthenticated } = require("../middleware/isAuthenticated");
  */
 router.get("/", isAuthenticated, getCategories);
 
+/**
+ * @swagger
+ * /categories/tree:
+ *   get:
+ *     summary: Get every category nested as a tree
+ *     description: Root categories with their children, sorted by name at each level.
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: The category tree.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CategoryNode'
+ *       500:
+ *         description: Server error
+ */
+router.get("/tree", getCategoryTree);
+
+/**
+ * @swagger
+ * /categories/{id}/tree:
+ *   get:
+ *     summary: Get a category with all of its descendants nested as a tree
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The category ID
+ *     responses:
+ *       200:
+ *         description: The subtree rooted at the category.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/CategoryNode'
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/:id/tree", getCategorySubtree);
+
 /**
  * @swagger
  * /categories/{id}:
@@ -108,6 +195,9 @@ router.get("/:id", getCategoryById);
  *               description:
  *                 type: string
  *                 example: Fragrant and beautiful flowers
+ *               parentCategory:
+ *                 type: string
+ *                 description: ID of the parent category; omit for a root category
  *     responses:
  *       201:
  *         description: Category created successfully
@@ -127,12 +217,18 @@ router.get("/:id", getCategoryById);
  *                   type: string
  *                   format: date-time
  *       400:
- *         description: Validation error
+ *         description: Validation error or unknown parent
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the catalog:write permission
  *       500:
  *         description: Internal server error
  */
 router.post(
   "/",
+  isAuthenticated,
+  authorize(PERMISSIONS.CATALOG_WRITE),
   validateData(createCategorySchema),
   createCategory
 );
@@ -163,6 +259,10 @@ router.post(
  *               description:
  *                 type: string
  *                 example: Updated category description
+ *               parentCategory:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID of the new parent category, or null to make it a root category
  *               createAt:
  *                 type: string
  *                 format: date-time
@@ -184,18 +284,39 @@ router.post(
  *                 createAt:
  *                   type: string
  *                   format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       400:
+ *         description: Validation error, unknown parent, or the parent is the category itself or one of its descendants
+ *       403:
+ *         description: Forbidden, requires the catalog:write permission
  *       404:
  *         description: Category not found
  *       500:
  *         description: Internal server error
  */
-router.put("/:id", validateData(updateCategorySchema), updateCategoryById);
+router.put(
+  "/:id",
+  isAuthenticated,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  validateData(updateCategorySchema),
+  updateCategoryById
+);
 
 /**
  * @swagger
  * /categories/{id}:
  *   delete:
  *     summary: Delete a category by ID
+ *     description: >
+ *       Soft deletes the category (restorable until purged). Refuses with
+ *       409 while flowers belong to the category, unless they are moved to
+ *       another category (reassignTo), deleted along with it (mode=cascade),
+ *       or the category and its subcategories are archived instead
+ *       (mode=archive; flowers are kept, the branch is hidden from category
+ *       listings). When deleting, subcategories move up to the deleted
+ *       category's parent. Everything happens atomically; dryRun reports what
+ *       would change without changing anything.
  *     tags: [Categories]
  *     parameters:
  *       - in: path
@@ -204,25 +325,97 @@ router.put("/:id", validateData(updateCategorySchema), updateCategoryById);
  *         schema:
  *           type: string
  *         description: The ID of the category to delete
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: string
+ *         description: ID of the category that receives the flowers
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [reassign, cascade, archive]
+ *         description: What to do with the flowers (reassign is implied by reassignTo)
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only report the affected flowers and subcategories
  *     responses:
  *       200:
- *         description: Category deleted successfully
+ *         description: Category deleted or archived (or the dry-run report)
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 acknowledged:
+ *                 success:
  *                   type: boolean
  *                   example: true
- *                 deletedCount:
- *                   type: integer
- *                   example: 1
+ *                 data:
+ *                   $ref: '#/components/schemas/CategoryDeletion'
+ *       400:
+ *         description: Invalid mode or reassignTo category
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the catalog:write permission
  *       404:
  *         description: Category not found
+ *       409:
+ *         description: The category still has flowers; details lists what would be affected
  *       500:
  *         description: Internal server error
  */
-router.delete("/:id", isAuthenticated, deleteCategoryById);
+router.delete(
+  "/:id",
+  isAuthenticated,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  deleteCategoryById
+);
+
+/**
+ * @swagger
+ * /categories/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted category
+ *     description: >
+ *       Also restores the flowers deleted along with it (mode=cascade). The
+ *       category becomes a root category if its parent no longer exists.
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 restoredFlowers:
+ *                   type: integer
+ *                 data:
+ *                   $ref: '#/components/schemas/Category'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the catalog:write permission
+ *       404:
+ *         description: No deleted category with this ID
+ */
+router.post(
+  "/:id/restore",
+  isAuthenticated,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  restoreCategoryById
+);
 
 module.exports = router;
@@ -0,0 +1,236 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getDeliverySlots,
+  getDeliveryZones,
+  getDeliveryZoneById,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+} = require("../controllers/deliveryController");
+const { validateData } = require("../middleware/validateData");
+const { createDeliveryZoneSchema } = require("../validators/delivery/createDeliveryZoneSchema");
+const { updateDeliveryZoneSchema } = require("../validators/delivery/updateDeliveryZoneSchema");
+const { isAuthenticated } = require("../middleware/isAuthenticated");
+const { authorize } = require("../middleware/authorize");
+const { PERMISSIONS } = require("../config/roles");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Delivery
+ *     description: >
+ *       Scheduled local delivery. Delivery zones group zip codes and offer
+ *       daily time slots with a capacity; orders to an address in a zone can
+ *       book a slot by sending delivery (date and slot) when they are placed.
+ *       Dates and times are local to DELIVERY_TIMEZONE (UTC by default).
+ */
+
+/**
+ * @swagger
+ * /delivery/slots:
+ *   get:
+ *     summary: List available delivery slots for a zip code
+ *     description: >
+ *       Every date of the range with the slots of the zone serving the zip
+ *       code and how many deliveries each can still take. Dates the zone does
+ *       not deliver on (blackout dates, other weekdays, past the same-day
+ *       cutoff) are listed with the reason and no slots.
+ *     tags: [Delivery]
+ *     parameters:
+ *       - in: query
+ *         name: zipCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: '94110'
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First date, defaults to today
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last date, defaults to six days after from; at most 31 days are listed
+ *     responses:
+ *       200:
+ *         description: Slots per date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/DeliverySlots'
+ *       400:
+ *         description: Missing zip code, or invalid date range
+ *       404:
+ *         description: No delivery zone serves the zip code
+ */
+router.get("/slots", getDeliverySlots);
+
+/**
+ * @swagger
+ * /delivery/zones:
+ *   get:
+ *     summary: List delivery zones (paginated)
+ *     tags: [Delivery]
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only active, or only inactive, zones
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, createdAt]
+ *           default: name
+ *       - $ref: '#/components/parameters/OrderParam'
+ *     responses:
+ *       200:
+ *         description: A page of delivery zones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DeliveryZone'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the delivery:manage permission
+ *   post:
+ *     summary: Create a delivery zone
+ *     tags: [Delivery]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryZone'
+ *     responses:
+ *       201:
+ *         description: Delivery zone created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the delivery:manage permission
+ *       409:
+ *         description: A delivery zone with this name already exists
+ */
+router.get("/zones", isAuthenticated, authorize(PERMISSIONS.DELIVERY_MANAGE), getDeliveryZones);
+router.post(
+  "/zones",
+  isAuthenticated,
+  authorize(PERMISSIONS.DELIVERY_MANAGE),
+  validateData(createDeliveryZoneSchema),
+  createDeliveryZone
+);
+
+/**
+ * @swagger
+ * /delivery/zones/{id}:
+ *   get:
+ *     summary: Get a delivery zone by ID
+ *     tags: [Delivery]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The delivery zone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeliveryZone'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the delivery:manage permission
+ *       404:
+ *         description: Delivery zone not found
+ *   put:
+ *     summary: Update a delivery zone
+ *     description: >
+ *       Send slots with their _id to keep them; orders already booked keep
+ *       their slot. Lowering a capacity does not cancel bookings above it.
+ *     tags: [Delivery]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryZone'
+ *     responses:
+ *       200:
+ *         description: Delivery zone updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the delivery:manage permission
+ *       404:
+ *         description: Delivery zone not found
+ *   delete:
+ *     summary: Delete a delivery zone
+ *     description: Orders keep the zone name and slot times they were booked with.
+ *     tags: [Delivery]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery zone deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the delivery:manage permission
+ *       404:
+ *         description: Delivery zone not found
+ */
+router.get("/zones/:id", isAuthenticated, authorize(PERMISSIONS.DELIVERY_MANAGE), getDeliveryZoneById);
+router.put(
+  "/zones/:id",
+  isAuthenticated,
+  authorize(PERMISSIONS.DELIVERY_MANAGE),
+  validateData(updateDeliveryZoneSchema),
+  updateDeliveryZone
+);
+router.delete("/zones/:id", isAuthenticated, authorize(PERMISSIONS.DELIVERY_MANAGE), deleteDeliveryZone);
+
+module.exports = router;
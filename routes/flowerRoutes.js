@@ -2,12 +2,24 @@ const express = require("express");
 const router = express.Router();
 const {
   getFlowers,
+  searchFlowers,
   getFlowerById,
   createFlower,
   updateFlowerById,
   deleteFlowerById,
+  restoreFlowerById,
+  importFlowers,
+  exportFlowers,
 } = require("../controllers/flowerController");
+const {
+  getFlowerReviews,
+  createReview,
+} = require("../controllers/reviewController");
 const { validateData } = require("../middleware/validateData");
+const { uploadImages } = require("../middleware/uploadImages");
+const {
+  createReviewSchema,
+} = require("../validators/review/createReviewSchema");
 const {
   createFlowerSchema,
 } = require("../validators/flower/createFlowerSchema");
@@ -15,6 +27,9 @@ const {
   updateFlowerSchema,
 } = require("../validators/flower/updateFlowerSchema");
 const {isAuthenticated} = require("../middleware/isAuthenticated")
+const { authorize } = require("../middleware/authorize");
+const { PERMISSIONS } = require("../config/roles");
+const { IMPORT_BODY_LIMIT } = require("../utils/catalogTransfer");
 
 /**
  * @swagger
@@ -27,14 +42,14 @@ const {isAuthenticated} = require("../middleware/isAuthenticated")
  * @swagger
  * /flowers:
  *   get:
- *     summary: Get all flowers
+ *     summary: Get all flowers (paginated)
  *     tags: [Flowers]
  *     parameters:
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by category ID
+ *         description: Filter by category ID, including flowers of its subcategories
  *       - in: query
  *         name: search
  *         schema:
@@ -44,6 +59,107 @@ const {isAuthenticated} = require("../middleware/isAuthenticated")
  *         name: minPrice
  *         schema:
  *           type: number
+ *         description: Filter by minimum price (of the matching variant when filtering by variant attributes)
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Filter by maximum price (of the matching variant when filtering by variant attributes)
+ *       - in: query
+ *         name: isFeatured
+ *         schema:
+ *           type: boolean
+ *         description: Filter by featured status (true/false)
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Only flowers with at least this average rating
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *         description: Only flowers with a variant of this color
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *         description: Only flowers with a variant of this size
+ *       - in: query
+ *         name: stemCount
+ *         schema:
+ *           type: integer
+ *         description: Only flowers with a variant of this stem count
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [price, name, createdAt, stock, ratingAverage, ratingCount]
+ *           default: createdAt
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/OrderParam'
+ *       - $ref: '#/components/parameters/IncludeDeletedParam'
+ *     responses:
+ *       200:
+ *         description: A page of flowers.
+ *         headers:
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: URLs of the first, last, next and previous pages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 10
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Flower'
+ *       500:
+ *         description: Server error
+ */
+router.get("/",isAuthenticated, getFlowers);
+
+/**
+ * @swagger
+ * /flowers/search:
+ *   get:
+ *     summary: Relevance-ranked catalog search with facet counts
+ *     description: >
+ *       Matches the query against flower name, description and category name using a
+ *       text index, ranks hits by relevance and returns facet counts (category, price
+ *       range, featured, in stock) computed over all filtered matches.
+ *     tags: [Flowers]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search terms
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by category ID
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
  *         description: Filter by minimum price
  *       - in: query
  *         name: maxPrice
@@ -55,9 +171,16 @@ const {isAuthenticated} = require("../middleware/isAuthenticated")
  *         schema:
  *           type: boolean
  *         description: Filter by featured status (true/false)
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: Only flowers in stock (true) or out of stock (false)
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
  *     responses:
  *       200:
- *         description: A list of flowers.
+ *         description: Ranked search hits and facets.
  *         content:
  *           application/json:
  *             schema:
@@ -69,14 +192,176 @@ const {isAuthenticated} = require("../middleware/isAuthenticated")
  *                 count:
  *                   type: integer
  *                   example: 10
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Flower'
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           category:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     priceRanges:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           min:
+ *                             type: number
+ *                           max:
+ *                             type: number
+ *                             nullable: true
+ *                           count:
+ *                             type: integer
+ *                     isFeatured:
+ *                       type: object
+ *                       properties:
+ *                         true:
+ *                           type: integer
+ *                         false:
+ *                           type: integer
+ *                     inStock:
+ *                       type: object
+ *                       properties:
+ *                         true:
+ *                           type: integer
+ *                         false:
+ *                           type: integer
+ *       400:
+ *         description: Missing search query or invalid filter
  *       500:
  *         description: Server error
  */
-router.get("/",isAuthenticated, getFlowers);
+router.get("/search", searchFlowers);
+
+/**
+ * @swagger
+ * /flowers/export:
+ *   get:
+ *     summary: Download the whole catalog
+ *     description: >
+ *       Streams every flower (and, for JSON, every category) in the format
+ *       accepted by POST /flowers/import, so the catalog can be edited in a
+ *       spreadsheet and imported again. CSV has one row per variant, repeating
+ *       the flower columns. Every flower has an SKU to match it on import:
+ *       flowers created without one get FL-{flower ID}.
+ *     tags: [Flowers]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: The catalog, as a file download
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CatalogImport'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 sku,name,description,category,price,stock,imageUrl,isFeatured,weight,variantSku,variantPrice,variantStock,size,color,stemCount,variantWeight
+ *                 ROSE,Rose,,Roses,14.99,8,https://example.com/rose.jpg,false,400,ROSE-RED-12,24.99,5,,red,12,900
+ *       400:
+ *         description: Unknown format
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the catalog:write permission
+ */
+router.get(
+  "/export",
+  isAuthenticated,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  exportFlowers
+);
+
+/**
+ * @swagger
+ * /flowers/import:
+ *   post:
+ *     summary: Bulk create or update categories and flowers
+ *     description: >
+ *       Accepts JSON (categories and flowers) or CSV (flowers, one row per
+ *       variant; rows with the same sku form one flower). Flowers are matched
+ *       by SKU: existing ones are updated (and restored if deleted), others are
+ *       created. Categories are matched by name and flowers refer to their
+ *       category by name. Every row is validated like POST /flowers; if any
+ *       row is invalid nothing is imported and the errors are listed per row.
+ *       Otherwise everything is written in one transaction.
+ *     tags: [Flowers]
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only validate and report what would be created or updated
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CatalogImport'
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Import done (or the dry-run report, which includes row errors)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/CatalogImportSummary'
+ *       400:
+ *         description: Invalid rows; details holds the report with errors per row
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the catalog:write permission
+ *       409:
+ *         description: A variant SKU is already used by a flower outside the import
+ *       413:
+ *         description: The body is larger than CATALOG_IMPORT_MAX_MB (5 MB by default)
+ */
+router.post(
+  "/import",
+  isAuthenticated,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: "text/csv", limit: IMPORT_BODY_LIMIT }),
+  importFlowers
+);
 
 /**
  * @swagger
@@ -104,6 +389,11 @@ router.get("/",isAuthenticated, getFlowers);
  *                   example: true
  *                 data:
  *                   $ref: '#/components/schemas/Flower'
+ *                 breadcrumbs:
+ *                   type: array
+ *                   description: Category path from the root category down to the flower's category
+ *                   items:
+ *                     $ref: '#/components/schemas/Breadcrumb'
  *       404:
  *         description: Flower not found
  *       500:
@@ -116,10 +406,18 @@ router.get("/:id", getFlowerById);
  * /flowers:
  *   post:
  *     summary: Create a new flower
+ *     description: >
+ *       Send JSON, or multipart/form-data to upload images with the flower.
+ *       Multipart bodies take the same fields as form fields (variants as a
+ *       JSON string). Each upload gets small, medium and large WebP
+ *       thumbnails; the first image becomes the flower's imageUrl.
  *     tags: [Flowers]
  *     requestBody:
  *       required: true
  *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/FlowerImageUpload'
  *         application/json:
  *           schema:
  *             type: object
@@ -132,6 +430,9 @@ router.get("/:id", getFlowerById);
  *               name:
  *                 type: string
  *                 example: Tulip
+ *               sku:
+ *                 type: string
+ *                 description: Unique catalog identifier, used to match bulk imports; FL-{flower ID} by default
  *               description:
  *                 type: string
  *                 example: Bright and cheerful spring flower
@@ -148,6 +449,13 @@ router.get("/:id", getFlowerById);
  *               stock:
  *                 type: integer
  *                 example: 20
+ *               variants:
+ *                 type: array
+ *                 description: >
+ *                   Sizes, colors or stem counts sold separately. When present,
+ *                   the flower's price and stock are computed from them.
+ *                 items:
+ *                   $ref: '#/components/schemas/Variant'
  *               isFeatured:
  *                 type: boolean
  *                 example: true
@@ -184,17 +492,38 @@ router.get("/:id", getFlowerById);
  *                   type: string
  *                   format: date-time
  *       400:
- *         description: Validation error
+ *         description: Validation error, or an image whose content does not match its type
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the catalog:write permission
+ *       413:
+ *         description: An image is larger than MAX_IMAGE_SIZE_MB (5 MB by default)
+ *       415:
+ *         description: An image is not JPEG, PNG or WebP
  *       500:
  *         description: Internal server error
  */
-router.post("/", validateData(createFlowerSchema), createFlower);
+router.post(
+  "/",
+  isAuthenticated,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  uploadImages,
+  validateData(createFlowerSchema),
+  createFlower
+);
 
 /**
  * @swagger
  * /flowers/{id}:
  *   put:
  *     summary: Update a flower by ID
+ *     description: >
+ *       Send JSON, or multipart/form-data to upload more images (appended
+ *       after the existing ones). existingImages reorders the current images,
+ *       changes their alt text and removes (with their files) any image it
+ *       leaves out. In multipart bodies, variants and existingImages are JSON
+ *       strings.
  *     tags: [Flowers]
  *     parameters:
  *       - in: path
@@ -206,6 +535,15 @@ router.post("/", validateData(createFlowerSchema), createFlower);
  *     requestBody:
  *       required: true
  *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/FlowerImageUpload'
+ *               - type: object
+ *                 properties:
+ *                   existingImages:
+ *                     type: string
+ *                     description: JSON array as in the JSON body
  *         application/json:
  *           schema:
  *             type: object
@@ -213,6 +551,9 @@ router.post("/", validateData(createFlowerSchema), createFlower);
  *               name:
  *                 type: string
  *                 example: Rose
+ *               sku:
+ *                 type: string
+ *                 description: Unique catalog identifier, used to match bulk imports
  *               description:
  *                 type: string
  *                 example: Updated description for rose
@@ -228,6 +569,28 @@ router.post("/", validateData(createFlowerSchema), createFlower);
  *               stock:
  *                 type: integer
  *                 example: 50
+ *               variants:
+ *                 type: array
+ *                 description: >
+ *                   Sizes, colors or stem counts sold separately. When present,
+ *                   the flower's price and stock are computed from them. Replaces
+ *                   the existing variants; keep _id to update a variant in place.
+ *                 items:
+ *                   $ref: '#/components/schemas/Variant'
+ *               existingImages:
+ *                 type: array
+ *                 description: >
+ *                   The current images to keep, in display order, optionally
+ *                   with new alt text. Omit to keep the images as they are.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - _id
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     alt:
+ *                       type: string
  *               isFeatured:
  *                 type: boolean
  *                 example: true
@@ -262,19 +625,37 @@ router.post("/", validateData(createFlowerSchema), createFlower);
  *                   type: string
  *                   format: date-time
  *       400:
- *         description: Validation error
+ *         description: Validation error, unknown image in existingImages, or an image whose content does not match its type
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the catalog:write permission
  *       404:
  *         description: Flower not found
+ *       413:
+ *         description: An image is larger than MAX_IMAGE_SIZE_MB (5 MB by default)
+ *       415:
+ *         description: An image is not JPEG, PNG or WebP
  *       500:
  *         description: Internal server error
  */
-router.put("/:id", validateData(updateFlowerSchema), updateFlowerById);
+router.put(
+  "/:id",
+  isAuthenticated,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  uploadImages,
+  validateData(updateFlowerSchema),
+  updateFlowerById
+);
 
 /**
  * @swagger
  * /flowers/{id}:
  *   delete:
  *     summary: Delete a flower by ID
+ *     description: >
+ *       Soft delete: the flower is hidden from the catalog but kept for order
+ *       history and can be restored until it is purged after the retention period.
  *     tags: [Flowers]
  *     parameters:
  *       - in: path
@@ -291,17 +672,167 @@ router.put("/:id", validateData(updateFlowerSchema), updateFlowerById);
  *             schema:
  *               type: object
  *               properties:
- *                 acknowledged:
+ *                 success:
  *                   type: boolean
  *                   example: true
- *                 deletedCount:
- *                   type: integer
- *                   example: 1
+ *                 message:
+ *                   type: string
+ *                   example: Flower deleted
+ *                 data:
+ *                   $ref: '#/components/schemas/Flower'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the catalog:write permission
  *       404:
  *         description: Flower not found
  *       500:
  *         description: Internal server error
  */
-router.delete("/:id",isAuthenticated, deleteFlowerById);
+router.delete(
+  "/:id",
+  isAuthenticated,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  deleteFlowerById
+);
+
+/**
+ * @swagger
+ * /flowers/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted flower
+ *     tags: [Flowers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Flower restored
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the catalog:write permission
+ *       404:
+ *         description: No deleted flower with this ID
+ */
+router.post(
+  "/:id/restore",
+  isAuthenticated,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  restoreFlowerById
+);
+
+/**
+ * @swagger
+ * /flowers/{id}/reviews:
+ *   get:
+ *     summary: Get the approved reviews of a flower (paginated)
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, rating]
+ *           default: createdAt
+ *       - $ref: '#/components/parameters/OrderParam'
+ *     responses:
+ *       200:
+ *         description: A page of reviews and the flower's rating summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 rating:
+ *                   type: object
+ *                   properties:
+ *                     average:
+ *                       type: number
+ *                       example: 4.5
+ *                     count:
+ *                       type: integer
+ *                       example: 12
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *       404:
+ *         description: Flower not found
+ *   post:
+ *     summary: Review a flower
+ *     description: >
+ *       Only customers with a delivered order containing the flower can review
+ *       it, once. The review is pending until a moderator approves it.
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *               title:
+ *                 type: string
+ *                 maxLength: 120
+ *                 example: Lasted two weeks
+ *               comment:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Review submitted for moderation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: No delivered order containing this flower
+ *       404:
+ *         description: Flower not found
+ *       409:
+ *         description: The user already reviewed this flower
+ */
+router.get("/:id/reviews", getFlowerReviews);
+router.post("/:id/reviews", isAuthenticated, validateData(createReviewSchema), createReview);
 
 module.exports = router;
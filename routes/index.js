@@ -6,12 +6,28 @@ const flowerRoutes = require("./flowerRoutes");
 const authRoutes = require("./authRoutes")
 const order = require("./orderRoutes")
 const user = require("./userRoutes")
+const cartRoutes = require("./cartRoutes")
+const wishlistRoutes = require("./wishlistRoutes")
+const reviewRoutes = require("./reviewRoutes")
+const promotionRoutes = require("./promotionRoutes")
+const paymentRoutes = require("./paymentRoutes")
+const returnRoutes = require("./returnRoutes")
+const deliveryRoutes = require("./deliveryRoutes")
+const subscriptionRoutes = require("./subscriptionRoutes")
 
 router.use("/categories", categoryRoutes);
 router.use("/flowers", flowerRoutes)
 router.use("/auth", authRoutes)
 router.use("/orders", order)
 router.use("/users", user)
+router.use("/cart", cartRoutes)
+router.use("/wishlist", wishlistRoutes)
+router.use("/reviews", reviewRoutes)
+router.use("/promotions", promotionRoutes)
+router.use("/payments", paymentRoutes)
+router.use("/returns", returnRoutes)
+router.use("/delivery", deliveryRoutes)
+router.use("/subscriptions", subscriptionRoutes)
 
 
 module.exports  = router
\ No newline at end of file
@@ -3,11 +3,20 @@ const router = express.Router();
 const {
   getOrders,
   getOrderById,
+  getGiftView,
   createOrder,
+  getOrderQuote,
   updateOrderStatus,
-  deleteOrder
+  getOrderHistory,
+  deleteOrder,
+  restoreOrder,
 } = require("../controllers/ordersController");
+const { validateData } = require("../middleware/validateData");
+const { quoteOrderSchema } = require("../validators/order/quoteOrderSchema");
+const { createOrderSchema } = require("../validators/order/createOrderSchema");
 const { isAuthenticated } = require("../middleware/isAuthenticated");
+const { authorize } = require("../middleware/authorize");
+const { PERMISSIONS } = require("../config/roles");
 
 
 /**
@@ -21,7 +30,8 @@ const { isAuthenticated } = require("../middleware/isAuthenticated");
  * @swagger
  * /orders:
  *   get:
- *     summary: Get all orders (optionally by user)
+ *     summary: Get all orders (optionally by user, paginated)
+ *     description: Customers only get their own orders; the userId filter requires orders:read.
  *     tags: [Orders]
  *     parameters:
  *       - in: query
@@ -29,9 +39,26 @@ const { isAuthenticated } = require("../middleware/isAuthenticated");
  *         schema:
  *           type: string
  *         description: Filter orders by user ID
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [orderDate, totalAmount, status]
+ *           default: orderDate
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/OrderParam'
+ *       - $ref: '#/components/parameters/IncludeDeletedParam'
  *     responses:
  *       200:
- *         description: List of orders
+ *         description: A page of orders
+ *         headers:
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: URLs of the first, last, next and previous pages
  *         content:
  *           application/json:
  *             schema:
@@ -41,6 +68,8 @@ const { isAuthenticated } = require("../middleware/isAuthenticated");
  *                   type: boolean
  *                 count:
  *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -48,6 +77,40 @@ const { isAuthenticated } = require("../middleware/isAuthenticated");
  */
 router.get("/", isAuthenticated, getOrders);
 
+/**
+ * @swagger
+ * /orders/gift/{token}:
+ *   get:
+ *     summary: View a gift as its recipient
+ *     description: >
+ *       The link sent to a recipient of an order. Shows their items without
+ *       prices, the gift message, the delivery and who sent the gift unless
+ *       the sender stays anonymous. Other recipients of the order are not shown.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: viewToken of the recipient
+ *     responses:
+ *       200:
+ *         description: The recipient's part of the order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/GiftView'
+ *       404:
+ *         description: No gift with this token
+ */
+router.get("/gift/:token", getGiftView);
+
 /**
  * @swagger
  * /orders/{id}:
@@ -68,16 +131,25 @@ router.get("/", isAuthenticated, getOrders);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Order'
+ *       403:
+ *         description: Not the owner of the order
  *       404:
  *         description: Order not found
  */
-router.get("/:id", getOrderById);
+router.get("/:id", isAuthenticated, getOrderById);
 
 /**
  * @swagger
  * /orders:
  *   post:
  *     summary: Create a new order
+ *     description: >
+ *       Prices the order like POST /orders/quote and stores the breakdown
+ *       (subtotal, discounts, shipping, tax) on the order. Gifts list their
+ *       recipients: a single recipient may use the order's items, shipping
+ *       address and delivery; with several, each sends their own and is
+ *       shipped, and charged shipping and tax, separately. Every recipient
+ *       gets a viewToken for GET /orders/gift/{token}.
  *     tags: [Orders]
  *     requestBody:
  *       required: true
@@ -85,14 +157,16 @@ router.get("/:id", getOrderById);
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - user
- *               - items
- *               - shippingAddress
+ *             description: >
+ *               items are required unless every recipient sends theirs. Without
+ *               recipients, shippingAddress or addressId, the order ships to the
+ *               default address of the address book.
  *             properties:
  *               user:
  *                 type: string
- *                 description: MongoDB ObjectId of the user
+ *                 description: >
+ *                   MongoDB ObjectId of the user to order for. Only honoured with the
+ *                   orders:manage permission; defaults to the authenticated user.
  *               items:
  *                 type: array
  *                 items:
@@ -101,8 +175,28 @@ router.get("/:id", getOrderById);
  *                     flower:
  *                       type: string
  *                       description: Flower ID
+ *                     variant:
+ *                       type: string
+ *                       description: Variant ID; required for flowers sold in variants
  *                     quantity:
  *                       type: integer
+ *               promoCode:
+ *                 type: string
+ *                 description: Promotion code to apply, see POST /promotions/validate
+ *                 example: SPRING10
+ *               delivery:
+ *                 $ref: '#/components/schemas/DeliveryRequest'
+ *               recipients:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   $ref: '#/components/schemas/RecipientRequest'
+ *               anonymous:
+ *                 type: boolean
+ *                 description: Hide the buyer's name from the recipients
+ *               addressId:
+ *                 type: string
+ *                 description: An address of the address book, see /users/me/addresses, in place of shippingAddress
  *               shippingAddress:
  *                 type: object
  *                 properties:
@@ -118,15 +212,139 @@ router.get("/:id", getOrderById);
  *                     type: string
  *     responses:
  *       201:
- *         description: Order created successfully
+ *         description: Order created successfully and stock reserved for every item
+ *       400:
+ *         description: >
+ *           Validation error, no items, unknown flower, no shipping to the
+ *           address, a promotion code that cannot be used on the order, or
+ *           recipients without their items or address or with a gift message
+ *           that cannot be printed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Unknown promotion code
+ *       409:
+ *         description: Insufficient stock, or the promotion code's usage limit is reached; nothing is reserved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Insufficient stock for one or more flowers
+ *                 details:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       flower:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       requested:
+ *                         type: integer
+ *                       available:
+ *                         type: integer
  */
-router.post("/", createOrder);
+router.post("/", isAuthenticated, validateData(createOrderSchema), createOrder);
+
+/**
+ * @swagger
+ * /orders/quote:
+ *   post:
+ *     summary: Price an order without placing it
+ *     description: >
+ *       Runs the same pricing as placing an order: item subtotal, promotion
+ *       code, shipping by the zone of the shipping address and the weight and
+ *       number of items, and tax by country and state. Prices the user's cart
+ *       when no items are sent. Recipients with their own addresses are
+ *       shipped, and so priced, separately; shipments lists their shipping and
+ *       tax. Nothing is reserved and the promotion code is not used up.
+ *     tags: [Orders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Without recipients, shippingAddress or addressId, the default address of the address book is quoted
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     flower:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               addressId:
+ *                 type: string
+ *                 description: An address of the address book, see /users/me/addresses, in place of shippingAddress
+ *               shippingAddress:
+ *                 type: object
+ *                 properties:
+ *                   street:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *                   state:
+ *                     type: string
+ *                   zipCode:
+ *                     type: string
+ *                   country:
+ *                     type: string
+ *               promoCode:
+ *                 type: string
+ *               recipients:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   $ref: '#/components/schemas/RecipientRequest'
+ *     responses:
+ *       200:
+ *         description: The price breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/OrderQuote'
+ *       400:
+ *         description: >
+ *           No items, unknown flower, no shipping to the address, a promotion
+ *           code that cannot be used on the order, or recipients without their
+ *           items or address or with a gift message that cannot be printed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Unknown promotion code
+ *       409:
+ *         description: The promotion code's usage limit is reached
+ */
+router.post("/quote", isAuthenticated, validateData(quoteOrderSchema), getOrderQuote);
 
 /**
  * @swagger
  * /orders/{id}/status:
  *   put:
  *     summary: Update the status of an order
+ *     description: >
+ *       Only transitions along pending → processing → shipped → delivered are allowed, and
+ *       orders can be cancelled only before they ship. Every change is recorded in the
+ *       order's status history. Moving an order to `cancelled` returns its reserved stock
+ *       to inventory, gives the promotion code it used its use back, frees its delivery
+ *       slot, and refunds captured payments and voids authorized ones. Refunds the provider refuses are
+ *       listed in paymentErrors; the order is cancelled regardless.
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -147,21 +365,100 @@ router.post("/", createOrder);
  *               status:
  *                 type: string
  *                 enum: [pending, processing, shipped, delivered, cancelled]
+ *               note:
+ *                 type: string
+ *                 description: Optional note stored in the status history
+ *                 example: Handed to courier
  *     responses:
  *       200:
  *         description: Order status updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
+ *                 paymentErrors:
+ *                   type: array
+ *                   description: Payments that could not be refunded, only present if there are any
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       payment:
+ *                         type: string
+ *                       error:
+ *                         type: string
  *       400:
  *         description: Invalid status
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the orders:manage permission
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ */
+router.put(
+  "/:id/status",
+  isAuthenticated,
+  authorize(PERMISSIONS.ORDERS_MANAGE),
+  updateOrderStatus
+);
+
+/**
+ * @swagger
+ * /orders/{id}/history:
+ *   get:
+ *     summary: Get the status history of an order
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the order
+ *     responses:
+ *       200:
+ *         description: Current status and every recorded status change, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OrderStatusChange'
+ *       403:
+ *         description: Not the owner of the order
  *       404:
  *         description: Order not found
  */
-router.put("/:id/status", updateOrderStatus);
+router.get("/:id/history", isAuthenticated, getOrderHistory);
 
 /**
  * @swagger
  * /orders/{id}:
  *   delete:
  *     summary: Delete an order by ID
+ *     description: >
+ *       Soft delete: the order is hidden but can be restored. Deleted orders
+ *       are kept as financial records unless ORDER_RETENTION_DAYS is set,
+ *       after which they are purged.
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -172,9 +469,47 @@ router.put("/:id/status", updateOrderStatus);
  *     responses:
  *       200:
  *         description: Order deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the orders:manage permission
  *       404:
  *         description: Order not found
  */
-router.delete("/:id", isAuthenticated, deleteOrder);
+router.delete(
+  "/:id",
+  isAuthenticated,
+  authorize(PERMISSIONS.ORDERS_MANAGE),
+  deleteOrder
+);
+
+/**
+ * @swagger
+ * /orders/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted order
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order restored
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the orders:manage permission
+ *       404:
+ *         description: No deleted order with this ID
+ */
+router.post(
+  "/:id/restore",
+  isAuthenticated,
+  authorize(PERMISSIONS.ORDERS_MANAGE),
+  restoreOrder
+);
 
 module.exports = router;
@@ -0,0 +1,319 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createPayment,
+  getPayments,
+  getPaymentById,
+  capturePayment,
+  refundPayment,
+  voidPayment,
+  paymentWebhook,
+} = require("../controllers/paymentController");
+const { validateData } = require("../middleware/validateData");
+const { createPaymentSchema } = require("../validators/payment/createPaymentSchema");
+const { paymentAmountSchema } = require("../validators/payment/paymentAmountSchema");
+const { isAuthenticated } = require("../middleware/isAuthenticated");
+const { authorize } = require("../middleware/authorize");
+const { PERMISSIONS } = require("../config/roles");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Payments
+ *     description: >
+ *       Payments for orders, through the configured payment provider (a mock
+ *       provider by default, which declines the payment methods
+ *       pm_card_declined and pm_card_insufficient_funds and accepts any
+ *       other). Capturing a payment moves its order from pending to
+ *       processing; cancelling an order refunds or voids its payments.
+ */
+
+/**
+ * @swagger
+ * /payments/webhook:
+ *   post:
+ *     summary: Receive payment events from the provider
+ *     description: >
+ *       Called by the payment provider, not by clients. The request must be
+ *       signed by the provider; the mock provider expects an HMAC-SHA256 of
+ *       the raw body with PAYMENT_WEBHOOK_SECRET in the x-mock-signature
+ *       header. Events are recorded on the payment; a payment.captured event
+ *       moves a pending order to processing. Repeated events change nothing.
+ *     tags: [Payments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [payment.authorized, payment.captured, payment.refunded, payment.voided, payment.failed]
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                     description: Provider ID of the payment
+ *                   amount:
+ *                     type: number
+ *                     description: Amount captured, or total amount refunded
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Invalid signature
+ *       503:
+ *         description: No payment provider is configured
+ */
+router.post("/webhook", paymentWebhook);
+
+/**
+ * @swagger
+ * /payments:
+ *   get:
+ *     summary: List payments (paginated)
+ *     description: Customers only get their own payments; others require orders:read.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *         description: Only the payments of this order
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, authorized, captured, partially_refunded, refunded, voided, failed]
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, amount, status]
+ *           default: createdAt
+ *       - $ref: '#/components/parameters/OrderParam'
+ *     responses:
+ *       200:
+ *         description: A page of payments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Payment'
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Pay for an order
+ *     description: >
+ *       Authorizes the order total with the payment provider and, unless
+ *       capture is false, captures it, which moves the order to processing.
+ *       Declined payments are kept as failed payments; the order can be paid
+ *       again.
+ *     tags: [Payments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - order
+ *               - paymentMethod
+ *             properties:
+ *               order:
+ *                 type: string
+ *                 description: Order ID
+ *               paymentMethod:
+ *                 type: string
+ *                 description: Provider token of the card or wallet
+ *                 example: pm_card_visa
+ *               capture:
+ *                 type: boolean
+ *                 default: true
+ *                 description: false to only authorize, for capturing later
+ *     responses:
+ *       201:
+ *         description: Payment authorized, or captured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         description: Payment declined
+ *       403:
+ *         description: Not the owner of the order
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order is not pending or already has a payment
+ *       503:
+ *         description: No payment provider is configured
+ */
+router.get("/", isAuthenticated, getPayments);
+router.post("/", isAuthenticated, validateData(createPaymentSchema), createPayment);
+
+/**
+ * @swagger
+ * /payments/{id}:
+ *   get:
+ *     summary: Get a payment by ID
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The payment with its recorded provider calls and webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the payer
+ *       404:
+ *         description: Payment not found
+ */
+router.get("/:id", isAuthenticated, getPaymentById);
+
+/**
+ * @swagger
+ * /payments/{id}/capture:
+ *   post:
+ *     summary: Capture an authorized payment
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the authorized amount
+ *     responses:
+ *       200:
+ *         description: Payment captured; the order moves to processing
+ *       400:
+ *         description: Amount above the authorized amount
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the orders:manage permission
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: The payment is not authorized, or the provider refused
+ */
+router.post(
+  "/:id/capture",
+  isAuthenticated,
+  authorize(PERMISSIONS.ORDERS_MANAGE),
+  validateData(paymentAmountSchema),
+  capturePayment
+);
+
+/**
+ * @swagger
+ * /payments/{id}/refund:
+ *   post:
+ *     summary: Refund a captured payment
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to everything not refunded yet
+ *     responses:
+ *       200:
+ *         description: Payment refunded, or partially refunded
+ *       400:
+ *         description: Amount above what is left to refund
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the orders:manage permission
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: The payment is not captured, or the provider refused
+ */
+router.post(
+  "/:id/refund",
+  isAuthenticated,
+  authorize(PERMISSIONS.ORDERS_MANAGE),
+  validateData(paymentAmountSchema),
+  refundPayment
+);
+
+/**
+ * @swagger
+ * /payments/{id}/void:
+ *   post:
+ *     summary: Void an authorized payment
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization released
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the orders:manage permission
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: The payment is not authorized, or the provider refused
+ */
+router.post("/:id/void", isAuthenticated, authorize(PERMISSIONS.ORDERS_MANAGE), voidPayment);
+
+module.exports = router;
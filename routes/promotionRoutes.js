@@ -0,0 +1,261 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  validatePromotion,
+} = require("../controllers/promotionController");
+const { validateData } = require("../middleware/validateData");
+const {
+  createPromotionSchema,
+} = require("../validators/promotion/createPromotionSchema");
+const {
+  updatePromotionSchema,
+} = require("../validators/promotion/updatePromotionSchema");
+const {
+  validatePromotionSchema,
+} = require("../validators/promotion/validatePromotionSchema");
+const { isAuthenticated } = require("../middleware/isAuthenticated");
+const { authorize } = require("../middleware/authorize");
+const { PERMISSIONS } = require("../config/roles");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Promotions
+ *     description: >
+ *       Discount codes. Customers pass a code as promoCode when placing an
+ *       order (POST /orders, POST /cart/checkout, wishlist orders); the
+ *       discount is itemized in the order's discounts and per item. An order
+ *       can use one code. Cancelling the order gives the code its use back.
+ */
+
+/**
+ * @swagger
+ * /promotions/validate:
+ *   post:
+ *     summary: Preview the discount of a promotion code
+ *     description: >
+ *       Checks the code against the given items, or the user's cart when no
+ *       items are sent, with the same rules as placing an order. The code is
+ *       not used up. Free shipping codes only set freeShipping here; POST
+ *       /orders/quote shows the shipping charge they take off.
+ *     tags: [Promotions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: SPRING10
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     flower:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: The code can be used; the discount it gives
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PromotionPreview'
+ *       400:
+ *         description: >
+ *           The code cannot be used on these items (inactive, not started,
+ *           expired, minimum order value not reached, no eligible items), or
+ *           there are no items
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Unknown promotion code
+ *       409:
+ *         description: Usage limit of the code, or of the user, reached
+ */
+router.post("/validate", isAuthenticated, validateData(validatePromotionSchema), validatePromotion);
+
+/**
+ * @swagger
+ * /promotions:
+ *   get:
+ *     summary: List promotions (paginated)
+ *     tags: [Promotions]
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only active, or only inactive, promotions
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [percentage, fixed, free_shipping, buy_x_get_y]
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, code, endsAt, usageCount]
+ *           default: createdAt
+ *       - $ref: '#/components/parameters/OrderParam'
+ *     responses:
+ *       200:
+ *         description: A page of promotions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Promotion'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the promotions:manage permission
+ *   post:
+ *     summary: Create a promotion code
+ *     tags: [Promotions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the promotions:manage permission
+ *       409:
+ *         description: A promotion with this code already exists
+ */
+router.get("/", isAuthenticated, authorize(PERMISSIONS.PROMOTIONS_MANAGE), getPromotions);
+router.post(
+  "/",
+  isAuthenticated,
+  authorize(PERMISSIONS.PROMOTIONS_MANAGE),
+  validateData(createPromotionSchema),
+  createPromotion
+);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   get:
+ *     summary: Get a promotion by ID
+ *     tags: [Promotions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the promotions:manage permission
+ *       404:
+ *         description: Promotion not found
+ *   put:
+ *     summary: Update a promotion
+ *     description: Orders already placed keep the discount they got.
+ *     tags: [Promotions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: Promotion updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the promotions:manage permission
+ *       404:
+ *         description: Promotion not found
+ *       409:
+ *         description: A promotion with this code already exists
+ *   delete:
+ *     summary: Delete a promotion
+ *     description: >
+ *       Orders keep the code and amount of their discounts. Set isActive to
+ *       false instead to keep the promotion's usage statistics.
+ *     tags: [Promotions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the promotions:manage permission
+ *       404:
+ *         description: Promotion not found
+ */
+router.get("/:id", isAuthenticated, authorize(PERMISSIONS.PROMOTIONS_MANAGE), getPromotionById);
+router.put(
+  "/:id",
+  isAuthenticated,
+  authorize(PERMISSIONS.PROMOTIONS_MANAGE),
+  validateData(updatePromotionSchema),
+  updatePromotion
+);
+router.delete("/:id", isAuthenticated, authorize(PERMISSIONS.PROMOTIONS_MANAGE), deletePromotion);
+
+module.exports = router;
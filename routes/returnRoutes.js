@@ -0,0 +1,342 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createReturn,
+  getReturns,
+  getReturnById,
+  getReturnPhoto,
+  approveReturnRequest,
+  rejectReturnRequest,
+} = require("../controllers/returnController");
+const { validateData } = require("../middleware/validateData");
+const { uploadImages } = require("../middleware/uploadImages");
+const { createReturnSchema } = require("../validators/return/createReturnSchema");
+const { approveReturnSchema } = require("../validators/return/approveReturnSchema");
+const { rejectReturnSchema } = require("../validators/return/rejectReturnSchema");
+const { isAuthenticated } = require("../middleware/isAuthenticated");
+const { authorize } = require("../middleware/authorize");
+const { PERMISSIONS } = require("../config/roles");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Returns
+ *     description: >
+ *       Returns of delivered orders. Customers claim line items with a reason
+ *       and photos within RETURN_WINDOW_DAYS (7 by default) of delivery;
+ *       staff approve them with a refund or a free replacement order, or
+ *       reject them. The order's returnStatus and refundTotal follow its
+ *       returns.
+ */
+
+/**
+ * @swagger
+ * /returns:
+ *   get:
+ *     summary: List returns (paginated)
+ *     description: Customers only get the returns of their own orders; others require orders:read.
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *         description: Only the returns of this order
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approving, approved, rejected]
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, amount, status]
+ *           default: createdAt
+ *       - $ref: '#/components/parameters/OrderParam'
+ *     responses:
+ *       200:
+ *         description: A page of returns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReturnRequest'
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Return items of a delivered order
+ *     description: >
+ *       Send JSON, or multipart/form-data to attach photos (items as a JSON
+ *       string). Each item is refunded at what was paid for it, after
+ *       discounts and with tax, unless staff approve a different amount.
+ *       Items already claimed in an open or approved return cannot be
+ *       claimed again.
+ *     tags: [Returns]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - order
+ *               - items
+ *               - reason
+ *             properties:
+ *               order:
+ *                 type: string
+ *               items:
+ *                 type: string
+ *                 description: JSON array of items, as for application/json
+ *               reason:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               images:
+ *                 type: array
+ *                 maxItems: 10
+ *                 description: >
+ *                   Photos of the items, JPEG, PNG or WebP. They are stored
+ *                   privately; their URLs point to GET /returns/photos/{file}.
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - order
+ *               - items
+ *               - reason
+ *             properties:
+ *               order:
+ *                 type: string
+ *                 description: Order ID
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - line
+ *                     - quantity
+ *                   properties:
+ *                     line:
+ *                       type: integer
+ *                       description: Position of the item in the order items, from 0
+ *                       example: 0
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *               reason:
+ *                 type: string
+ *                 enum: [damaged, wilted, wrong_item, missing_item, other]
+ *               description:
+ *                 type: string
+ *                 example: Half of the stems arrived broken
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: Validation error, or items that cannot be returned (listed in details)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the order
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order is not delivered, or the return window has passed
+ */
+router.get("/", isAuthenticated, getReturns);
+router.post("/", isAuthenticated, uploadImages, validateData(createReturnSchema), createReturn);
+
+/**
+ * @swagger
+ * /returns/photos/{file}:
+ *   get:
+ *     summary: Get a photo of a return, or one of its thumbnails
+ *     description: >
+ *       Return photos are not public; their URLs point here. Customers can
+ *       only get the photos of their own returns; others require orders:read.
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: file
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Last part of the photo's url
+ *     responses:
+ *       200:
+ *         description: The image
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the order
+ *       404:
+ *         description: Photo not found
+ */
+router.get("/photos/:file", isAuthenticated, getReturnPhoto);
+
+/**
+ * @swagger
+ * /returns/{id}:
+ *   get:
+ *     summary: Get a return by ID
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The return
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReturnRequest'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the order
+ *       404:
+ *         description: Return not found
+ */
+router.get("/:id", isAuthenticated, getReturnById);
+
+/**
+ * @swagger
+ * /returns/{id}/approve:
+ *   post:
+ *     summary: Approve a return with a refund or a replacement order
+ *     description: >
+ *       A refund goes back through the order's captured payments; if the
+ *       provider refuses it the return stays requested. A replacement is a
+ *       new order for the returned items at no charge, which starts out
+ *       processing.
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resolution
+ *             properties:
+ *               resolution:
+ *                 type: string
+ *                 enum: [refund, replacement]
+ *               refundAmount:
+ *                 type: number
+ *                 description: For refunds, defaults to the return's amount
+ *               restock:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Put the returned items back into stock
+ *               note:
+ *                 type: string
+ *                 description: Shown to the customer
+ *     responses:
+ *       200:
+ *         description: Return approved
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the orders:manage permission
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: >
+ *           The return is not requested or is being approved already, the
+ *           payments cannot cover the refund, or the stock cannot cover the
+ *           replacement
+ */
+router.post(
+  "/:id/approve",
+  isAuthenticated,
+  authorize(PERMISSIONS.ORDERS_MANAGE),
+  validateData(approveReturnSchema),
+  approveReturnRequest
+);
+
+/**
+ * @swagger
+ * /returns/{id}/reject:
+ *   post:
+ *     summary: Reject a return
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Reason shown to the customer
+ *     responses:
+ *       200:
+ *         description: Return rejected; its items can be claimed again
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the orders:manage permission
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: The return is not requested
+ */
+router.post(
+  "/:id/reject",
+  isAuthenticated,
+  authorize(PERMISSIONS.ORDERS_MANAGE),
+  validateData(rejectReturnSchema),
+  rejectReturnRequest
+);
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getReviews,
+  updateReview,
+  deleteReview,
+  moderateReview,
+} = require("../controllers/reviewController");
+const { validateData } = require("../middleware/validateData");
+const {
+  updateReviewSchema,
+} = require("../validators/review/updateReviewSchema");
+const {
+  moderateReviewSchema,
+} = require("../validators/review/moderateReviewSchema");
+const { isAuthenticated } = require("../middleware/isAuthenticated");
+const { authorize } = require("../middleware/authorize");
+const { PERMISSIONS } = require("../config/roles");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Reviews
+ *     description: >
+ *       Customer reviews of flowers. Customers can review flowers from their
+ *       delivered orders, once per flower. New and edited reviews are pending
+ *       until a moderator approves them; only approved reviews are public and
+ *       count towards a flower's ratingAverage and ratingCount. Reviews of a
+ *       flower are listed and created under /flowers/{id}/reviews.
+ */
+
+/**
+ * @swagger
+ * /reviews:
+ *   get:
+ *     summary: List reviews (moderation queue, or your own reviews)
+ *     description: >
+ *       Users with reviews:moderate get every review, pending ones by
+ *       default. Other users get their own reviews in any status.
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, hidden, all]
+ *           default: pending
+ *         description: Moderators only
+ *       - in: query
+ *         name: flower
+ *         schema:
+ *           type: string
+ *         description: Flower ID (moderators only)
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: User ID (moderators only)
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, rating]
+ *           default: createdAt
+ *       - $ref: '#/components/parameters/OrderParam'
+ *     responses:
+ *       200:
+ *         description: A page of reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Unknown status
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/", isAuthenticated, getReviews);
+
+/**
+ * @swagger
+ * /reviews/{id}:
+ *   put:
+ *     summary: Edit your review
+ *     description: The edited review is pending again until a moderator approves it.
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               title:
+ *                 type: string
+ *                 maxLength: 120
+ *               comment:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Review updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the author of the review
+ *       404:
+ *         description: Review not found
+ *   delete:
+ *     summary: Delete a review
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Neither the author nor a moderator
+ *       404:
+ *         description: Review not found
+ */
+router.put("/:id", isAuthenticated, validateData(updateReviewSchema), updateReview);
+router.delete("/:id", isAuthenticated, deleteReview);
+
+/**
+ * @swagger
+ * /reviews/{id}/moderation:
+ *   put:
+ *     summary: Approve or hide a review
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, hidden]
+ *               note:
+ *                 type: string
+ *                 description: Reason for the decision, shown to the author
+ *                 example: Contains personal data
+ *     responses:
+ *       200:
+ *         description: Review moderated; the flower's rating is updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the reviews:moderate permission
+ *       404:
+ *         description: Review not found
+ */
+router.put(
+  "/:id/moderation",
+  isAuthenticated,
+  authorize(PERMISSIONS.REVIEWS_MODERATE),
+  validateData(moderateReviewSchema),
+  moderateReview
+);
+
+module.exports = router;
@@ -0,0 +1,375 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getSubscriptions,
+  getSubscriptionById,
+  createSubscription,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipSubscriptionRun,
+  cancelSubscription,
+  runSubscriptions,
+} = require("../controllers/subscriptionController");
+const { validateData } = require("../middleware/validateData");
+const { createSubscriptionSchema } = require("../validators/subscription/createSubscriptionSchema");
+const { updateSubscriptionSchema } = require("../validators/subscription/updateSubscriptionSchema");
+const { pauseSubscriptionSchema } = require("../validators/subscription/pauseSubscriptionSchema");
+const { isAuthenticated } = require("../middleware/isAuthenticated");
+const { authorize } = require("../middleware/authorize");
+const { PERMISSIONS } = require("../config/roles");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Subscriptions
+ *     description: >
+ *       Recurring deliveries of chosen flowers or the florist's choice of a
+ *       category, weekly, every two weeks or monthly. A scheduler places an
+ *       order for every due subscription every SUBSCRIPTION_INTERVAL_MINUTES
+ *       (60 by default), priced and reserved like POST /orders. Flowers out of
+ *       stock are substituted by the flower of the same category closest in
+ *       price unless allowSubstitutions is off. Every run, with the order it
+ *       placed, is recorded on the subscription.
+ */
+
+/**
+ * @swagger
+ * /subscriptions:
+ *   get:
+ *     summary: List subscriptions (paginated)
+ *     description: Customers only get their own subscriptions; the userId filter requires orders:read.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, paused, cancelled]
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, nextRunAt, status]
+ *           default: createdAt
+ *       - $ref: '#/components/parameters/OrderParam'
+ *     responses:
+ *       200:
+ *         description: A page of subscriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Subscription'
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Subscribe to recurring deliveries
+ *     description: >
+ *       Send either items or floristChoice. The first order is placed at
+ *       startsAt, or on the scheduler's next run when startsAt is left out.
+ *     tags: [Subscriptions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - frequency
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SubscriptionItem'
+ *               floristChoice:
+ *                 $ref: '#/components/schemas/Subscription/properties/floristChoice'
+ *               allowSubstitutions:
+ *                 type: boolean
+ *                 default: true
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, biweekly, monthly]
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               addressId:
+ *                 type: string
+ *                 description: An address of the address book, see /users/me/addresses, in place of shippingAddress
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/Order/properties/shippingAddress'
+ *     responses:
+ *       201:
+ *         description: Subscription created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Subscription'
+ *       400:
+ *         description: Validation error, or an unknown flower, variant or category
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/", isAuthenticated, getSubscriptions);
+router.post("/", isAuthenticated, validateData(createSubscriptionSchema), createSubscription);
+
+/**
+ * @swagger
+ * /subscriptions/run:
+ *   post:
+ *     summary: Place the orders of all due subscriptions now
+ *     description: >
+ *       Does what the scheduler does on its next run: resumes paused
+ *       subscriptions whose resumeAt has come and places the orders of the
+ *       due ones.
+ *     tags: [Subscriptions]
+ *     responses:
+ *       200:
+ *         description: How many subscriptions were resumed, ordered and failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     resumed:
+ *                       type: integer
+ *                     ordered:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the orders:manage permission
+ */
+router.post("/run", isAuthenticated, authorize(PERMISSIONS.ORDERS_MANAGE), runSubscriptions);
+
+/**
+ * @swagger
+ * /subscriptions/{id}:
+ *   get:
+ *     summary: Get a subscription with its run history
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The subscription; runs.order is populated with the order status and total
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Subscription'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the subscription
+ *       404:
+ *         description: Subscription not found
+ *   put:
+ *     summary: Change a subscription
+ *     description: >
+ *       Applies from the next run. Sending items replaces a florist's choice
+ *       and the other way around. The schedule only changes through pause,
+ *       resume and skip.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SubscriptionItem'
+ *               floristChoice:
+ *                 $ref: '#/components/schemas/Subscription/properties/floristChoice'
+ *               allowSubstitutions:
+ *                 type: boolean
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, biweekly, monthly]
+ *               addressId:
+ *                 type: string
+ *                 description: An address of the address book, see /users/me/addresses, in place of shippingAddress
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/Order/properties/shippingAddress'
+ *     responses:
+ *       200:
+ *         description: Subscription updated
+ *       400:
+ *         description: Validation error, or an unknown flower, variant or category
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the subscription
+ *       404:
+ *         description: Subscription not found
+ *       409:
+ *         description: The subscription is cancelled
+ */
+router.get("/:id", isAuthenticated, getSubscriptionById);
+router.put("/:id", isAuthenticated, validateData(updateSubscriptionSchema), updateSubscription);
+
+/**
+ * @swagger
+ * /subscriptions/{id}/pause:
+ *   post:
+ *     summary: Pause a subscription
+ *     description: No orders are placed until it is resumed, by the customer or at resumeAt.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resumeAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Resume automatically at this time
+ *     responses:
+ *       200:
+ *         description: Subscription paused
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the subscription
+ *       404:
+ *         description: Subscription not found
+ *       409:
+ *         description: The subscription is not active
+ */
+router.post("/:id/pause", isAuthenticated, validateData(pauseSubscriptionSchema), pauseSubscription);
+
+/**
+ * @swagger
+ * /subscriptions/{id}/resume:
+ *   post:
+ *     summary: Resume a paused subscription
+ *     description: Orders are placed again from the next scheduled run; runs missed while paused are not made up for.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription resumed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the subscription
+ *       404:
+ *         description: Subscription not found
+ *       409:
+ *         description: The subscription is not paused
+ */
+router.post("/:id/resume", isAuthenticated, resumeSubscription);
+
+/**
+ * @swagger
+ * /subscriptions/{id}/skip:
+ *   post:
+ *     summary: Skip the next run of a subscription
+ *     description: The run is recorded as skipped and nextRunAt moves to the run after it.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Run skipped
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the subscription
+ *       404:
+ *         description: Subscription not found
+ *       409:
+ *         description: The subscription is not active
+ */
+router.post("/:id/skip", isAuthenticated, skipSubscriptionRun);
+
+/**
+ * @swagger
+ * /subscriptions/{id}/cancel:
+ *   post:
+ *     summary: Cancel a subscription
+ *     description: Final. Orders already placed are not cancelled.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription cancelled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the subscription
+ *       404:
+ *         description: Subscription not found
+ *       409:
+ *         description: The subscription is already cancelled
+ */
+router.post("/:id/cancel", isAuthenticated, cancelSubscription);
+
+module.exports = router;
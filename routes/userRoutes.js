@@ -5,9 +5,25 @@ const {
   getUserById,
   updateUser,
   deleteUser,
-  createUser
+  restoreUser,
+  createUser,
+  getRoles,
+  assignRole
 } = require("../controllers/userController");
+const {
+  getAddresses,
+  getAddressById,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+} = require("../controllers/addressController");
 const { isAuthenticated } = require("../middleware/isAuthenticated");
+const { authorize } = require("../middleware/authorize");
+const { validateData } = require("../middleware/validateData");
+const { assignRoleSchema } = require("../validators/user/assignRoleSchema");
+const { createAddressSchema } = require("../validators/user/createAddressSchema");
+const { updateAddressSchema } = require("../validators/user/updateAddressSchema");
+const { PERMISSIONS } = require("../config/roles");
 
 /**
  * @swagger
@@ -54,13 +70,31 @@ router.post("/github", createUser);
  * @swagger
  * /users:
  *   get:
- *     summary: Get all users
+ *     summary: Get all users (paginated)
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [email, displayName, createdAt]
+ *           default: createdAt
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/OrderParam'
+ *       - $ref: '#/components/parameters/IncludeDeletedParam'
  *     responses:
  *       200:
- *         description: A list of users
+ *         description: A page of users
+ *         headers:
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: URLs of the first, last, next and previous pages
  *         content:
  *           application/json:
  *             schema:
@@ -70,6 +104,8 @@ router.post("/github", createUser);
  *                   type: boolean
  *                 count:
  *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -77,9 +113,202 @@ router.post("/github", createUser);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden
+ *         description: Forbidden, requires the users:read permission
+ */
+router.get("/", isAuthenticated, authorize(PERMISSIONS.USERS_READ), getUsers);
+
+/**
+ * @swagger
+ * /users/roles:
+ *   get:
+ *     summary: List roles and the permissions they grant
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles with their permissions, plus every known permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           role:
+ *                             type: string
+ *                             example: florist
+ *                           permissions:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                               example: catalog:write
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the roles:assign permission
+ */
+router.get("/roles", isAuthenticated, authorize(PERMISSIONS.ROLES_ASSIGN), getRoles);
+
+/**
+ * @swagger
+ * /users/me/addresses:
+ *   get:
+ *     summary: Get the address book of the current user
+ *     description: >
+ *       Orders, quotes, cart checkout, wishlist orders and subscriptions take
+ *       an addressId of the address book in place of a shippingAddress, and
+ *       ship to the default address when sent neither. Orders keep a copy of
+ *       the address, so editing or deleting it here does not change them.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The saved addresses, default address first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Address'
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Add an address to the address book
+ *     description: The first address, or one sent with isDefault, becomes the default.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       201:
+ *         description: Address added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Address'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: The label is taken, or the address book is full (20 addresses)
  */
-router.get("/", isAuthenticated, getUsers);
+router.get("/me/addresses", isAuthenticated, getAddresses);
+router.post("/me/addresses", isAuthenticated, validateData(createAddressSchema), createAddress);
+
+/**
+ * @swagger
+ * /users/me/addresses/{addressId}:
+ *   get:
+ *     summary: Get an address of the address book
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Address'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Address not found
+ *   put:
+ *     summary: Update an address of the address book
+ *     description: Send isDefault true to make it the default. Orders placed with the address keep it as it was.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       200:
+ *         description: Address updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Address not found
+ *       409:
+ *         description: The label is taken by another address
+ *   delete:
+ *     summary: Delete an address of the address book
+ *     description: Deleting the default address makes the first remaining one the default.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Address deleted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Address not found
+ */
+router.get("/me/addresses/:addressId", isAuthenticated, getAddressById);
+router.put("/me/addresses/:addressId", isAuthenticated, validateData(updateAddressSchema), updateAddress);
+router.delete("/me/addresses/:addressId", isAuthenticated, deleteAddress);
 
 /**
  * @swagger
@@ -108,16 +337,23 @@ router.get("/", isAuthenticated, getUsers);
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not your profile and missing the users:read permission
  *       404:
  *         description: User not found
  */
-router.get("/:id", getUserById);
+router.get("/:id", isAuthenticated, getUserById);
 
 /**
  * @swagger
  * /users/{id}:
  *   put:
- *     summary: Update user by ID (Admin only)
+ *     summary: Update a user profile (owner, or users:manage)
+ *     description: >
+ *       Owners can change their display name and profile picture. Roles and
+ *       permissions are changed through PUT /users/{id}/role.
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
@@ -139,23 +375,80 @@ router.get("/:id", getUserById);
  *                 type: string
  *               profilePicture:
  *                 type: string
- *               isAdmin:
- *                 type: boolean
  *     responses:
  *       200:
  *         description: User updated
+ *       401:
+ *         description: Unauthorized
  *       403:
  *         description: Forbidden
  *       404:
  *         description: User not found
  */
-router.put("/:id", updateUser);
+router.put("/:id", isAuthenticated, updateUser);
+
+/**
+ * @swagger
+ * /users/{id}/role:
+ *   put:
+ *     summary: Assign a role and individual permissions to a user
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [customer, florist, admin]
+ *               permissions:
+ *                 type: array
+ *                 description: Extra permissions on top of the role (replaces existing grants)
+ *                 items:
+ *                   type: string
+ *                   enum: [catalog:write, orders:read, orders:manage, users:read, users:manage, roles:assign]
+ *     responses:
+ *       200:
+ *         description: Role assigned; returns the user's effective permissions
+ *       400:
+ *         description: Validation error or demoting the last admin
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the roles:assign permission
+ *       404:
+ *         description: User not found
+ */
+router.put(
+  "/:id/role",
+  isAuthenticated,
+  authorize(PERMISSIONS.ROLES_ASSIGN),
+  validateData(assignRoleSchema),
+  assignRole
+);
 
 /**
  * @swagger
  * /users/{id}:
  *   delete:
- *     summary: Delete a user (Admin only)
+ *     summary: Delete a user (users:manage)
+ *     description: >
+ *       Soft delete: the user can no longer log in and is hidden, but their
+ *       orders keep referring to them. Restorable until purged after the
+ *       retention period.
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
@@ -168,11 +461,41 @@ router.put("/:id", updateUser);
  *     responses:
  *       200:
  *         description: User deleted successfully
+ *       400:
+ *         description: Cannot delete the last admin
+ *       401:
+ *         description: Unauthorized
  *       403:
- *         description: Forbidden
+ *         description: Forbidden, requires the users:manage permission
  *       404:
  *         description: User not found
  */
-router.delete("/:id", isAuthenticated, deleteUser);
+router.delete("/:id", isAuthenticated, authorize(PERMISSIONS.USERS_MANAGE), deleteUser);
+
+/**
+ * @swagger
+ * /users/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted user (users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User restored
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires the users:manage permission
+ *       404:
+ *         description: No deleted user with this ID
+ */
+router.post("/:id/restore", isAuthenticated, authorize(PERMISSIONS.USERS_MANAGE), restoreUser);
 
 module.exports = router;
@@ -0,0 +1,625 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getWishlists,
+  createWishlist,
+  getWishlist,
+  updateWishlist,
+  deleteWishlist,
+  addFlowerToWishlist,
+  removeFlowerFromWishlist,
+  reorderWishlist,
+  clearWishlist,
+  orderFromWishlist,
+  shareWishlist,
+  unshareWishlist,
+  getSharedWishlist,
+  purchaseFromSharedWishlist,
+} = require("../controllers/wishlistController");
+const { validateData } = require("../middleware/validateData");
+const {
+  createWishlistSchema,
+} = require("../validators/wishlist/createWishlistSchema");
+const {
+  updateWishlistSchema,
+} = require("../validators/wishlist/updateWishlistSchema");
+const {
+  reorderWishlistSchema,
+} = require("../validators/wishlist/reorderWishlistSchema");
+const {
+  wishlistOrderSchema,
+} = require("../validators/wishlist/wishlistOrderSchema");
+const {
+  registryPurchaseSchema,
+} = require("../validators/wishlist/registryPurchaseSchema");
+const { isAuthenticated } = require("../middleware/isAuthenticated");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Wishlist
+ *     description: >
+ *       Named wishlists of the authenticated user. Flowers keep the order the
+ *       user arranged them in and can be ordered straight from a list. A
+ *       wishlist can be shared as a gift registry through an unguessable link.
+ */
+
+/**
+ * @swagger
+ * /wishlist/shared/{token}:
+ *   get:
+ *     summary: View a shared wishlist
+ *     description: >
+ *       Read-only view for anyone with the link. Shows which flowers were
+ *       already purchased from it, but not who purchased them.
+ *     tags: [Wishlist]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The shared wishlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     owner:
+ *                       type: string
+ *                       description: Display name of the owner
+ *                     flowers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           price:
+ *                             type: number
+ *                           imageUrl:
+ *                             type: string
+ *                           inStock:
+ *                             type: boolean
+ *                           fulfilled:
+ *                             type: boolean
+ *                           fulfilledQuantity:
+ *                             type: integer
+ *       404:
+ *         description: No wishlist is shared under this token
+ */
+router.get("/shared/:token", getSharedWishlist);
+
+/**
+ * @swagger
+ * /wishlist/shared/{token}/purchase:
+ *   post:
+ *     summary: Purchase flowers from a shared wishlist
+ *     description: >
+ *       Places an order for the buyer and marks the flowers as fulfilled for
+ *       the wishlist owner. Each flower can only be purchased from the
+ *       wishlist once.
+ *     tags: [Wishlist]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     flower:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                       description: Variant ID; required for flowers sold in variants
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               addressId:
+ *                 type: string
+ *                 description: An address of the address book, see /users/me/addresses, in place of shippingAddress
+ *               shippingAddress:
+ *                 type: object
+ *                 properties:
+ *                   street:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *                   state:
+ *                     type: string
+ *                   zipCode:
+ *                     type: string
+ *                   country:
+ *                     type: string
+ *               promoCode:
+ *                 type: string
+ *                 description: Promotion code to apply to the order
+ *               delivery:
+ *                 $ref: '#/components/schemas/DeliveryRequest'
+ *               recipient:
+ *                 type: object
+ *                 description: >
+ *                   Send the order as a gift to someone at the shipping address, with
+ *                   a gift message printed on a card. The recipient views the gift,
+ *                   without prices, at GET /orders/gift/{token} with the viewToken of
+ *                   the order's recipient.
+ *                 required:
+ *                   - name
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   phone:
+ *                     type: string
+ *                   giftMessage:
+ *                     type: string
+ *                     maxLength: 250
+ *               anonymous:
+ *                 type: boolean
+ *                 description: Hide the buyer's name from the recipient
+ *     responses:
+ *       201:
+ *         description: Order created and flowers marked as fulfilled
+ *       400:
+ *         description: Flowers not in the wishlist, own wishlist or validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No wishlist is shared under this token
+ *       409:
+ *         description: Flowers already purchased from the wishlist or out of stock
+ */
+router.post("/shared/:token/purchase", isAuthenticated, validateData(registryPurchaseSchema), purchaseFromSharedWishlist);
+
+/**
+ * @swagger
+ * /wishlist:
+ *   get:
+ *     summary: Get all wishlists of the current user
+ *     description: A default "My Wishlist" is created if the user has none yet.
+ *     tags: [Wishlist]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The user's wishlists with their flowers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Wishlist'
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create a named wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: Birthday ideas
+ *     responses:
+ *       201:
+ *         description: Wishlist created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: The user already has a wishlist with this name
+ */
+router.get("/", isAuthenticated, getWishlists);
+router.post("/", isAuthenticated, validateData(createWishlistSchema), createWishlist);
+
+/**
+ * @swagger
+ * /wishlist/{id}:
+ *   get:
+ *     summary: Get one of the current user's wishlists
+ *     tags: [Wishlist]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The wishlist with its flowers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Wishlist'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Wishlist not found
+ *   put:
+ *     summary: Rename a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *     responses:
+ *       200:
+ *         description: Wishlist renamed
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Wishlist not found
+ *       409:
+ *         description: The user already has a wishlist with this name
+ *   delete:
+ *     summary: Delete a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist deleted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Wishlist not found
+ */
+router.get("/:id", isAuthenticated, getWishlist);
+router.put("/:id", isAuthenticated, validateData(updateWishlistSchema), updateWishlist);
+router.delete("/:id", isAuthenticated, deleteWishlist);
+
+/**
+ * @swagger
+ * /wishlist/{id}/flowers:
+ *   put:
+ *     summary: Reorder the flowers of a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - flowers
+ *             properties:
+ *               flowers:
+ *                 type: array
+ *                 description: Every flower ID of the wishlist exactly once, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist reordered
+ *       400:
+ *         description: The list does not match the flowers of the wishlist
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Wishlist not found
+ *   delete:
+ *     summary: Remove every flower from a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist cleared
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Wishlist not found
+ */
+router.put("/:id/flowers", isAuthenticated, validateData(reorderWishlistSchema), reorderWishlist);
+router.delete("/:id/flowers", isAuthenticated, clearWishlist);
+
+/**
+ * @swagger
+ * /wishlist/{id}/flowers/{flowerId}:
+ *   post:
+ *     summary: Add a flower to a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: flowerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Flower added; returns the updated wishlist
+ *       400:
+ *         description: Flower already in the wishlist
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Wishlist or flower not found
+ *   delete:
+ *     summary: Remove a flower from a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: flowerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Flower removed; returns the updated wishlist
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Wishlist not found or flower not in it
+ */
+router.post("/:id/flowers/:flowerId", isAuthenticated, addFlowerToWishlist);
+router.delete("/:id/flowers/:flowerId", isAuthenticated, removeFlowerFromWishlist);
+
+/**
+ * @swagger
+ * /wishlist/{id}/order:
+ *   post:
+ *     summary: Place an order for flowers of a wishlist
+ *     description: >
+ *       Orders the given items, or one of every flower in the wishlist when
+ *       no items are sent. Ordered flowers are removed from the wishlist
+ *       unless keepItems is true. Nothing changes if any item is out of stock.
+ *     tags: [Wishlist]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     flower:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                       description: Variant ID; required for flowers sold in variants
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               addressId:
+ *                 type: string
+ *                 description: An address of the address book, see /users/me/addresses, in place of shippingAddress
+ *               shippingAddress:
+ *                 type: object
+ *                 properties:
+ *                   street:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *                   state:
+ *                     type: string
+ *                   zipCode:
+ *                     type: string
+ *                   country:
+ *                     type: string
+ *               keepItems:
+ *                 type: boolean
+ *                 default: false
+ *               promoCode:
+ *                 type: string
+ *                 description: Promotion code to apply to the order
+ *               delivery:
+ *                 $ref: '#/components/schemas/DeliveryRequest'
+ *               recipient:
+ *                 type: object
+ *                 description: >
+ *                   Send the order as a gift to someone at the shipping address, with
+ *                   a gift message printed on a card. The recipient views the gift,
+ *                   without prices, at GET /orders/gift/{token} with the viewToken of
+ *                   the order's recipient.
+ *                 required:
+ *                   - name
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   phone:
+ *                     type: string
+ *                   giftMessage:
+ *                     type: string
+ *                     maxLength: 250
+ *               anonymous:
+ *                 type: boolean
+ *                 description: Hide the buyer's name from the recipient
+ *     responses:
+ *       201:
+ *         description: Order created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Empty wishlist, flowers not in the wishlist or validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Wishlist not found
+ *       409:
+ *         description: Insufficient stock for one or more flowers
+ */
+router.post("/:id/order", isAuthenticated, validateData(wishlistOrderSchema), orderFromWishlist);
+
+/**
+ * @swagger
+ * /wishlist/{id}/share:
+ *   post:
+ *     summary: Share a wishlist through a public link
+ *     description: Generates a new share token; any earlier link stops working.
+ *     tags: [Wishlist]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist shared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     isPublic:
+ *                       type: boolean
+ *                     shareToken:
+ *                       type: string
+ *                     url:
+ *                       type: string
+ *                       example: /api/wishlist/shared/3q2-7wEAAAD8bX1vb0Zsb3dlcnM
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Wishlist not found
+ *   delete:
+ *     summary: Stop sharing a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist is private again
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Wishlist not found
+ */
+router.post("/:id/share", isAuthenticated, shareWishlist);
+router.delete("/:id/share", isAuthenticated, unshareWishlist);
+
+module.exports = router;
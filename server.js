@@ -1,5 +1,14 @@
 const { app } = require("./app");
+const { configureMailTransport, assertMailTransport } = require("./utils/mailer");
+const { schedulePurge } = require("./utils/purgeDeleted");
+const { scheduleSubscriptions } = require("./utils/subscriptions");
+
+// Refuse to start without a way to deliver verification and reset emails
+configureMailTransport();
+assertMailTransport();
 
 app.listen(3001, () => {
   console.log("running on port 3001");
+  schedulePurge();
+  scheduleSubscriptions();
 });
@@ -0,0 +1,99 @@
+// test/api/addressBook.test.js
+
+const mongoose = require('mongoose');
+const Flower = require('../../models/Flower');
+const Order = require('../../models/Order');
+const User = require('../../models/User');
+const { resolveOrderAddresses } = require('../../utils/addressBook');
+const { placeOrder } = require('../../utils/placeOrder');
+
+const rose = new Flower({ name: 'Rose', price: 20, stock: 10, category: new mongoose.Types.ObjectId() });
+
+const newUser = () => new User({
+    name: 'Ada',
+    email: 'ada@example.com',
+    addresses: [
+        { label: 'Home', street: '1 Main St', city: 'Town', state: 'CA', zipCode: '1', country: 'US' },
+        { label: 'Office', street: '2 Work Rd', city: 'City', state: 'NY', zipCode: '2', country: 'US' },
+    ],
+});
+
+describe('Address book', () => {
+    let user;
+
+    beforeEach(async () => {
+        jest.restoreAllMocks();
+        user = newUser();
+        await user.validate();
+        jest.spyOn(User, 'findById').mockImplementation(() => ({
+            session: async () => user,
+        }));
+        jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn({}));
+        jest.spyOn(Flower, 'findById').mockImplementation(() => ({
+            session: async () => rose,
+        }));
+        jest.spyOn(Flower, 'findOneAndUpdate').mockResolvedValue(rose);
+        jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+            return this;
+        });
+    });
+
+    test('the first address is the default unless another is marked', () => {
+        expect(user.addresses.map((address) => address.isDefault)).toEqual([true, false]);
+    });
+
+    test('orders copy the address they are sent, or the default one', async () => {
+        const office = user.addresses[1];
+
+        const { shippingAddress } = await resolveOrderAddresses({ user: user._id, addressId: office._id });
+        expect(shippingAddress).toEqual({
+            addressId: office._id,
+            label: 'Office',
+            street: '2 Work Rd',
+            city: 'City',
+            state: 'NY',
+            zipCode: '2',
+            country: 'US',
+        });
+
+        const fallback = await resolveOrderAddresses({ user: user._id });
+        expect(fallback.shippingAddress).toMatchObject({ addressId: user.addresses[0]._id, label: 'Home' });
+    });
+
+    test('rejects unknown addresses, and an address sent along with an addressId', async () => {
+        await expect(resolveOrderAddresses({ user: user._id, addressId: new mongoose.Types.ObjectId() }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(resolveOrderAddresses({
+            user: user._id,
+            addressId: user.addresses[0]._id,
+            shippingAddress: { street: '3 Other St', city: 'Town', state: 'CA', zipCode: '3', country: 'US' },
+        })).rejects.toMatchObject({ statusCode: 400 });
+
+        user.addresses = [];
+        await expect(resolveOrderAddresses({ user: user._id })).rejects.toThrow('no default address');
+    });
+
+    test('recipients may use the buyer\'s address book too', async () => {
+        const { shippingAddress, recipients } = await resolveOrderAddresses({
+            user: user._id,
+            recipients: [{ name: 'Bob', addressId: user.addresses[1]._id }],
+        });
+
+        expect(shippingAddress).toBeUndefined();
+        expect(recipients).toEqual([{ name: 'Bob', shippingAddress: expect.objectContaining({ label: 'Office' }) }]);
+    });
+
+    test('orders keep their address when the address book changes', async () => {
+        const home = user.addresses[0];
+
+        const order = await placeOrder({
+            user: user._id,
+            items: [{ flower: rose._id, quantity: 1 }],
+            addressId: home._id,
+        });
+        home.street = '9 New St';
+        home.deleteOne();
+
+        expect(order.shippingAddress).toMatchObject({ addressId: home._id, label: 'Home', street: '1 Main St' });
+    });
+});
@@ -0,0 +1,43 @@
+// test/api/authorize.test.js
+
+const { authorize } = require('../../middleware/authorize');
+const { PERMISSIONS, permissionsFor, hasPermission } = require('../../config/roles');
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Role-based access control', () => {
+  test('roles grant their permissions and individual grants add to them', () => {
+    expect(permissionsFor({ role: 'customer' })).toEqual([]);
+    expect(hasPermission({ role: 'florist' }, PERMISSIONS.CATALOG_WRITE)).toBe(true);
+    expect(hasPermission({ role: 'florist' }, PERMISSIONS.ROLES_ASSIGN)).toBe(false);
+    expect(hasPermission({ role: 'admin' }, PERMISSIONS.ROLES_ASSIGN)).toBe(true);
+    expect(hasPermission({ role: 'customer', permissions: ['orders:read'] }, PERMISSIONS.ORDERS_READ)).toBe(true);
+  });
+
+  test('authorize lets users holding the permission through', () => {
+    const next = jest.fn();
+    authorize(PERMISSIONS.CATALOG_WRITE)({ user: { role: 'florist' } }, mockRes(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('authorize answers 403 when the permission is missing', () => {
+    const next = jest.fn();
+    const res = mockRes();
+    authorize(PERMISSIONS.CATALOG_WRITE)({ user: { role: 'customer' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].message).toContain('catalog:write');
+  });
+
+  test('authorize answers 401 without an authenticated user', () => {
+    const res = mockRes();
+    authorize(PERMISSIONS.CATALOG_WRITE)({}, res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
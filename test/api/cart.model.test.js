@@ -0,0 +1,73 @@
+// test/api/cart.model.test.js
+
+const mongoose = require('mongoose');
+const Cart = require('../../models/Cart');
+
+describe('Cart Model', () => {
+  const rose = new mongoose.Types.ObjectId();
+  const tulip = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('addItem sums quantities for a flower already in the cart', () => {
+    const cart = new Cart({ sessionId: 'guest' });
+
+    cart.addItem(rose, 1);
+    cart.addItem(rose.toString(), 2);
+    cart.addItem(tulip, 1);
+
+    expect(cart.items).toHaveLength(2);
+    expect(cart.items[0].quantity).toBe(3);
+  });
+
+  test('addItem keeps each variant of a flower on its own line', () => {
+    const cart = new Cart({ sessionId: 'guest' });
+    const red = new mongoose.Types.ObjectId();
+    const white = new mongoose.Types.ObjectId();
+
+    cart.addItem(rose, 1, red);
+    cart.addItem(rose, 1, white);
+    cart.addItem(rose, 2, red.toString());
+
+    expect(cart.items).toHaveLength(2);
+    expect(cart.findItem(rose, red).quantity).toBe(3);
+    expect(cart.findItem(rose)).toBeUndefined();
+  });
+
+  test('mergeGuestCart claims the guest cart when the user has none', async () => {
+    const guestCart = new Cart({ sessionId: 'guest', items: [{ flower: rose, quantity: 1 }] });
+    jest.spyOn(guestCart, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Cart, 'findOne')
+      .mockResolvedValueOnce(guestCart)
+      .mockResolvedValueOnce(null);
+
+    const merged = await Cart.mergeGuestCart('guest', userId);
+
+    expect(merged.user.toString()).toBe(userId.toString());
+    expect(merged.sessionId).toBeUndefined();
+  });
+
+  test('mergeGuestCart folds guest items into the existing user cart', async () => {
+    const guestCart = new Cart({ sessionId: 'guest', items: [{ flower: rose, quantity: 2 }, { flower: tulip, quantity: 1 }] });
+    const userCart = new Cart({ user: userId, items: [{ flower: rose, quantity: 1 }] });
+    jest.spyOn(guestCart, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(userCart, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Cart, 'findOne')
+      .mockResolvedValueOnce(guestCart)
+      .mockResolvedValueOnce(userCart);
+
+    const merged = await Cart.mergeGuestCart('guest', userId);
+
+    expect(guestCart.deleteOne).toHaveBeenCalled();
+    expect(merged.items.map((item) => item.quantity)).toEqual([3, 1]);
+  });
+
+  test('mergeGuestCart does nothing without a guest cart', async () => {
+    jest.spyOn(Cart, 'findOne').mockResolvedValueOnce(null);
+
+    await expect(Cart.mergeGuestCart('guest', userId)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+// test/api/catalogTransfer.test.js
+
+const mongoose = require('mongoose');
+const Category = require('../../models/Category');
+const Flower = require('../../models/Flower');
+const { parseCatalogCsv, parseCatalogJson, importCatalog, exportCatalog } = require('../../utils/catalogTransfer');
+
+const session = { id: 'session' };
+const withDeleted = (docs) => ({ withDeleted: async () => docs });
+
+const roses = new Category({ name: 'Roses' });
+roses.isNew = false;
+
+const csv = [
+  'sku,name,category,price,stock,imageUrl,variantSku,variantPrice,variantStock,color,stemCount',
+  'rose,Rose,Roses,,,rose.jpg,ROSE-RED-12,24.99,5,Red,12',
+  'tulip,Tulip,Roses,4.5,10,tulip.jpg,,,,,',
+  'rose,Rose,Roses,,,rose.jpg,ROSE-RED-6,14.99,3,Red,6',
+].join('\n');
+
+describe('Catalog import', () => {
+  let existingFlowers;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    existingFlowers = [];
+    jest.spyOn(Category, 'find').mockImplementation(() => withDeleted([roses]));
+    jest.spyOn(Flower, 'find').mockImplementation(() => withDeleted(existingFlowers));
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation((fn) => fn(session));
+    jest.spyOn(Flower.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Category.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  test('CSV rows sharing a SKU become one flower with variants', () => {
+    const { flowers } = parseCatalogCsv(csv);
+
+    expect(flowers).toHaveLength(2);
+    expect(flowers[0]).toMatchObject({ row: 2, data: { sku: 'rose', name: 'Rose', category: 'Roses' } });
+    expect(flowers[0].data.variants).toEqual([
+      { sku: 'ROSE-RED-12', price: '24.99', stock: '5', attributes: { color: 'Red', stemCount: '12' } },
+      { sku: 'ROSE-RED-6', price: '14.99', stock: '3', attributes: { color: 'Red', stemCount: '6' } },
+    ]);
+    expect(flowers[1].data).not.toHaveProperty('price', '');
+  });
+
+  test('dry runs report actions and row errors without writing', async () => {
+    const catalog = parseCatalogJson([
+      { sku: 'tulip', name: 'Tulip', category: 'Roses', price: 4.5, stock: 10, imageUrl: 'tulip.jpg' },
+      { sku: 'lily', name: 'Lily', category: 'Lilies', stock: 2, imageUrl: 'lily.jpg' },
+    ]);
+
+    const summary = await importCatalog(catalog, { dryRun: true });
+
+    expect(summary.flowers).toEqual({ created: 1, updated: 0, unchanged: 0 });
+    expect(summary.rows).toEqual([{ row: 1, sku: 'TULIP', name: 'Tulip', action: 'create' }]);
+    expect(summary.errors).toEqual([{
+      type: 'flower',
+      row: 2,
+      sku: 'LILY',
+      name: 'Lily',
+      errors: ['Category Lilies not found', '"price" is required'],
+    }]);
+    expect(mongoose.connection.transaction).not.toHaveBeenCalled();
+  });
+
+  test('imports nothing when any row is invalid', async () => {
+    const catalog = parseCatalogCsv(`${csv}\nrose,Rose again,Roses,1,1,rose.jpg,,,,,`);
+
+    await expect(importCatalog(catalog)).rejects.toMatchObject({
+      statusCode: 400,
+      details: { errors: [expect.objectContaining({ row: 5, errors: ['SKU ROSE appears more than once in the import'] })] },
+    });
+    expect(Flower.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('upserts by SKU in one transaction, keeping variant IDs and restoring deleted flowers', async () => {
+    const rose = new Flower({
+      sku: 'ROSE',
+      name: 'Rose',
+      category: roses._id,
+      price: 1,
+      stock: 1,
+      imageUrl: 'rose.jpg',
+      variants: [{ sku: 'ROSE-RED-12', price: 20, stock: 1 }],
+      deletedAt: new Date(),
+    });
+    rose.isNew = false;
+    const variantId = rose.variants[0]._id;
+    existingFlowers = [rose];
+
+    const catalog = parseCatalogJson({
+      categories: [{ name: 'Wedding', parent: 'Roses' }],
+      flowers: parseCatalogCsv(csv).flowers.map(({ data }) => ({ ...data, category: 'Wedding' })),
+    });
+    const summary = await importCatalog(catalog);
+
+    expect(summary.categories.created).toBe(1);
+    expect(summary.flowers).toMatchObject({ created: 1, updated: 1 });
+    expect(Category.prototype.save).toHaveBeenCalledWith({ session });
+    expect(Flower.prototype.save).toHaveBeenCalledTimes(2);
+
+    expect(rose.deletedAt).toBeNull();
+    expect(rose.price).toBe(14.99);
+    expect(rose.stock).toBe(8);
+    expect(rose.variants[0]._id).toEqual(variantId);
+    expect(rose.category).not.toEqual(roses._id);
+  });
+});
+
+describe('Catalog export', () => {
+  // A flower saved before variants existed, as a lean query returns it
+  const legacy = { _id: new mongoose.Types.ObjectId(), sku: 'LILY', name: 'Lily', category: { name: 'Roses' }, price: 3, stock: 4 };
+
+  const exported = async (format) => {
+    jest.spyOn(Flower, 'find').mockReturnValue({
+      sort: () => ({ populate: () => ({ lean: () => ({ cursor: () => [legacy] }) }) }),
+    });
+    jest.spyOn(Category, 'find').mockReturnValue({
+      select: () => ({ populate: () => ({ lean: async () => [{ name: 'Roses', ancestors: [] }] }) }),
+    });
+    const chunks = [];
+    const res = { write: (chunk) => chunks.push(chunk), end: jest.fn() };
+    await exportCatalog(res, format);
+    expect(res.end).toHaveBeenCalled();
+    return chunks.join('');
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('exports flowers without variants', async () => {
+    const json = JSON.parse(await exported('json'));
+    expect(json.flowers).toEqual([expect.objectContaining({ sku: 'LILY', variants: [] })]);
+
+    expect(await exported('csv')).toContain('LILY,Lily,,Roses,3,4');
+  });
+
+  test('flowers created without an SKU get one, so they can be imported again', async () => {
+    const flower = new Flower({ name: 'Fern', category: roses._id, price: 2, stock: 1 });
+    await flower.validate();
+
+    expect(flower.sku).toBe(`FL-${String(flower._id).toUpperCase()}`);
+  });
+});
@@ -0,0 +1,94 @@
+// test/api/categoryDeletion.test.js
+
+const mongoose = require('mongoose');
+const Category = require('../../models/Category');
+const Flower = require('../../models/Flower');
+const { deleteCategory } = require('../../utils/categoryDeletion');
+
+jest.mock('../../models/Category', () => ({
+  findById: jest.fn(),
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+  updateMany: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock('../../models/Flower', () => ({
+  find: jest.fn(),
+  updateMany: jest.fn(),
+}));
+
+const session = { id: 'session' };
+const query = (value) => ({ select: () => query(value), session: async () => value });
+
+const wedding = { _id: new mongoose.Types.ObjectId(), name: 'Wedding', parentCategory: 'bouquets' };
+const funeral = { _id: new mongoose.Types.ObjectId(), name: 'Funeral' };
+
+describe('deleteCategory', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation((fn) => fn(session));
+    Category.findById.mockImplementation((id) => query([wedding, funeral].find((c) => c._id.equals(id)) || null));
+    Category.find.mockReturnValue(query([{ _id: 'bridal', name: 'Bridal' }]));
+    Category.countDocuments.mockReturnValue(query(1));
+    Flower.find.mockReturnValue(query([{ _id: 'rose', name: 'White Rose' }]));
+  });
+
+  test('refuses to delete a category that still has flowers', async () => {
+    await expect(deleteCategory(wedding._id)).rejects.toMatchObject({
+      statusCode: 409,
+      details: expect.objectContaining({ flowers: [{ _id: 'rose', name: 'White Rose' }] }),
+    });
+    expect(Category.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('dry runs report the plan without changing anything', async () => {
+    const summary = await deleteCategory(wedding._id, { reassignTo: funeral._id, dryRun: true });
+
+    expect(summary).toMatchObject({ action: 'reassign', dryRun: true, reassignTo: { name: 'Funeral' } });
+    expect(summary.subcategories.moved).toEqual([{ _id: 'bridal', name: 'Bridal' }]);
+    expect(Flower.updateMany).not.toHaveBeenCalled();
+    expect(Category.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('reassigns flowers and lifts subcategories in the same transaction', async () => {
+    await deleteCategory(wedding._id, { reassignTo: funeral._id, deletedBy: 'admin' });
+
+    expect(Flower.updateMany).toHaveBeenCalledWith(
+      { category: wedding._id },
+      { category: funeral._id, categoryName: 'Funeral' },
+      { session }
+    );
+    expect(Category.updateMany).toHaveBeenCalledWith({ parentCategory: wedding._id }, { parentCategory: 'bouquets' }, { session });
+    expect(Category.updateMany).toHaveBeenCalledWith(
+      { ancestors: wedding._id },
+      { $pull: { ancestors: wedding._id } },
+      { session }
+    );
+    expect(Category.updateOne).toHaveBeenCalledWith(
+      { _id: wedding._id },
+      { deletedAt: expect.any(Date), deletedBy: 'admin' },
+      { session }
+    );
+  });
+
+  test('cascade soft deletes the flowers at the same time as the category', async () => {
+    await deleteCategory(wedding._id, { mode: 'cascade' });
+
+    const [filter, flowerUpdate] = Flower.updateMany.mock.calls[0];
+    expect(filter).toEqual({ category: wedding._id });
+    expect(Category.updateOne.mock.calls[0][1].deletedAt).toBe(flowerUpdate.deletedAt);
+  });
+
+  test('archive keeps the category, its branch and its flowers', async () => {
+    const summary = await deleteCategory(wedding._id, { mode: 'archive' });
+
+    expect(summary.subcategories).toEqual({ archived: 1 });
+    expect(Category.updateMany.mock.calls[0][1]).toMatchObject({ archivedAt: expect.any(Date) });
+    expect(Category.updateOne).not.toHaveBeenCalled();
+    expect(Flower.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('rejects reassigning to the category itself', async () => {
+    await expect(deleteCategory(wedding._id, { reassignTo: wedding._id })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
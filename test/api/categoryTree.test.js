@@ -0,0 +1,94 @@
+// test/api/categoryTree.test.js
+
+const mongoose = require('mongoose');
+const Category = require('../../models/Category');
+const Flower = require('../../models/Flower');
+const { updateCategoryById } = require('../../controllers/categoryController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Category hierarchy', () => {
+  const bouquets = new Category({ name: 'Bouquets' });
+  const wedding = new Category({ name: 'Wedding', parentCategory: bouquets._id, ancestors: [bouquets._id] });
+  const bridal = new Category({
+    name: 'Bridal',
+    parentCategory: wedding._id,
+    ancestors: [bouquets._id, wedding._id],
+  });
+  const byId = (categoryId) => [bouquets, wedding, bridal].find((c) => c._id.equals(categoryId)) || null;
+
+  beforeEach(() => {
+    jest.spyOn(Category, 'findById').mockImplementation(async (categoryId) => byId(categoryId));
+    jest.spyOn(Category.collection, 'insertOne').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('new categories derive their ancestor path from the parent', async () => {
+    const cascade = new Category({ name: 'Cascade', parentCategory: bridal._id });
+    await cascade.save();
+
+    expect(cascade.ancestors.map(String)).toEqual([bouquets, wedding, bridal].map((c) => c._id.toString()));
+  });
+
+  test('a category cannot be moved below one of its descendants', async () => {
+    const root = new Category({ name: 'Bouquets', _id: bouquets._id });
+    root.isNew = false;
+    root.parentCategory = bridal._id;
+
+    await expect(root.save()).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('an unknown parent is rejected', async () => {
+    await expect(new Category({ name: 'Orphan', parentCategory: id() }).save()).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('a move rewrites the category, its descendants and its flowers in one transaction', async () => {
+    const session = { id: 'session' };
+    const moved = new Category({ name: 'Wedding', _id: wedding._id, parentCategory: bouquets._id, ancestors: [bouquets._id] });
+    moved.isNew = false;
+    Category.findById.mockImplementation(async (categoryId) => (moved._id.equals(categoryId) ? moved : byId(categoryId)));
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn(session));
+    jest.spyOn(Category.collection, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(Category, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Flower, 'updateMany').mockResolvedValue({});
+    const res = { json: jest.fn() };
+    const next = jest.fn();
+
+    await updateCategoryById(
+      { params: { id: wedding._id.toString() }, body: { name: 'Weddings', parentCategory: null } },
+      res,
+      next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(moved.ancestors).toHaveLength(0);
+    expect(Category.updateMany).toHaveBeenCalledWith({ ancestors: wedding._id }, expect.any(Array), { session });
+    expect(Flower.updateMany).toHaveBeenCalledWith({ category: wedding._id }, { categoryName: 'Weddings' }, { session });
+  });
+
+  test('buildTree nests children under their parents, sorted by name', () => {
+    const anniversary = new Category({ name: 'Anniversary', parentCategory: bouquets._id, ancestors: [bouquets._id] });
+    const [root, ...others] = Category.buildTree([bridal, wedding, bouquets, anniversary]);
+
+    expect(others).toHaveLength(0);
+    expect(root.name).toBe('Bouquets');
+    expect(root.children.map((c) => c.name)).toEqual(['Anniversary', 'Wedding']);
+    expect(root.children[1].children.map((c) => c.name)).toEqual(['Bridal']);
+  });
+
+  test('buildTree treats categories without their parent in the list as roots', () => {
+    const [subtree] = Category.buildTree([wedding, bridal]);
+
+    expect(subtree.name).toBe('Wedding');
+    expect(subtree.children[0].name).toBe('Bridal');
+  });
+
+  test('breadcrumbs list the path from the root in order', async () => {
+    jest.spyOn(Category, 'find').mockReturnValue({ select: async () => [wedding, bouquets] });
+
+    const breadcrumbs = await bridal.breadcrumbs();
+
+    expect(breadcrumbs.map((crumb) => crumb.name)).toEqual(['Bouquets', 'Wedding', 'Bridal']);
+  });
+});
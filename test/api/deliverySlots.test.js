@@ -0,0 +1,157 @@
+// test/api/deliverySlots.test.js
+
+const DeliveryZone = require('../../models/DeliveryZone');
+const DeliverySlotBooking = require('../../models/DeliverySlotBooking');
+const { listDeliverySlots, bookDeliverySlot, releaseDeliverySlots } = require('../../utils/deliverySlots');
+
+// Delivers Monday to Saturday, same day until noon
+const newZone = (fields = {}) => new DeliveryZone({
+    name: 'San Francisco',
+    zipCodes: ['941*'],
+    slots: [
+        { start: '09:00', end: '12:00', capacity: 2 },
+        { start: '13:00', end: '17:00', capacity: 1 },
+    ],
+    weekdays: [1, 2, 3, 4, 5, 6],
+    sameDayCutoff: '12:00',
+    blackoutDates: ['2026-02-16'],
+    ...fields,
+});
+
+const mockZones = (zones) => {
+    jest.spyOn(DeliveryZone, 'find').mockReturnValue({ session: async () => zones });
+};
+
+describe('Delivery slots', () => {
+    let zone;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        // Friday 13 February 2026, 10:00 (DELIVERY_TIMEZONE defaults to UTC)
+        jest.useFakeTimers({ now: new Date('2026-02-13T10:00:00Z') });
+        zone = newZone();
+        mockZones([zone]);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('listing', () => {
+        test('lists remaining capacity and why dates are closed', async () => {
+            zone.capacityOverrides.push({ date: '2026-02-14', slot: zone.slots[0]._id, capacity: 5 });
+            jest.spyOn(DeliverySlotBooking, 'find').mockResolvedValue([
+                { date: '2026-02-14', slot: zone.slots[0]._id, booked: 3 },
+                { date: '2026-02-14', slot: zone.slots[1]._id, booked: 1 },
+            ]);
+
+            const { dates } = await listDeliverySlots({ zipCode: '94110', from: '2026-02-13', to: '2026-02-16' });
+
+            // Today's morning slot has already started
+            expect(dates[0].slots.map((slot) => slot.available)).toEqual([false, true]);
+            expect(dates[1].slots).toEqual([
+                expect.objectContaining({ start: '09:00', capacity: 5, remaining: 2, available: true }),
+                expect.objectContaining({ start: '13:00', capacity: 1, remaining: 0, available: false }),
+            ]);
+            expect(dates[2]).toEqual({
+                date: '2026-02-15', available: false, reason: 'No deliveries on this day of the week', slots: [],
+            });
+            expect(dates[3]).toMatchObject({ available: false, reason: 'No deliveries on this date' });
+        });
+
+        test('closes same-day delivery at the cutoff', async () => {
+            jest.setSystemTime(new Date('2026-02-13T12:00:00Z'));
+            jest.spyOn(DeliverySlotBooking, 'find').mockResolvedValue([]);
+
+            const { dates } = await listDeliverySlots({ zipCode: '94110' });
+
+            expect(dates).toHaveLength(7);
+            expect(dates[0]).toMatchObject({
+                date: '2026-02-13',
+                available: false,
+                reason: 'Same-day deliveries must be booked before 12:00',
+            });
+        });
+
+        test('uses the most specific zone for a zip code', async () => {
+            const downtown = newZone({ name: 'Downtown', zipCodes: ['94103'] });
+            mockZones([zone, newZone({ name: 'Bay Area', zipCodes: ['94*'] }), downtown]);
+            jest.spyOn(DeliverySlotBooking, 'find').mockResolvedValue([]);
+
+            expect((await listDeliverySlots({ zipCode: '94103' })).zone.name).toBe('Downtown');
+            expect((await listDeliverySlots({ zipCode: '94110' })).zone.name).toBe('San Francisco');
+            expect((await listDeliverySlots({ zipCode: '94501' })).zone.name).toBe('Bay Area');
+            await expect(listDeliverySlots({ zipCode: '10001' })).rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        test('rejects invalid ranges', async () => {
+            await expect(listDeliverySlots({ zipCode: '94110', from: '2026-02-20', to: '2026-02-13' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+            await expect(listDeliverySlots({ zipCode: '94110', from: '2026-02-01', to: '2026-03-31' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+
+    describe('booking', () => {
+        const shippingAddress = { zipCode: '94110' };
+
+        beforeEach(() => {
+            jest.spyOn(DeliverySlotBooking, 'updateOne').mockResolvedValue({});
+        });
+
+        test('books the slot while it has capacity and returns the order delivery', async () => {
+            jest.spyOn(DeliverySlotBooking, 'findOneAndUpdate').mockResolvedValue({ booked: 1 });
+            const slot = zone.slots[1];
+
+            const delivery = await bookDeliverySlot({ shippingAddress, delivery: { date: '2026-02-14', slot: String(slot._id) } }, 'session');
+
+            expect(delivery).toEqual({
+                zone: zone._id, zoneName: 'San Francisco', date: '2026-02-14', slot: slot._id, start: '13:00', end: '17:00',
+            });
+            expect(DeliverySlotBooking.findOneAndUpdate).toHaveBeenCalledWith(
+                { zone: zone._id, date: '2026-02-14', slot: slot._id, booked: { $lt: 1 } },
+                { $inc: { booked: 1 } },
+                { session: 'session', new: true }
+            );
+        });
+
+        test('rejects full slots', async () => {
+            jest.spyOn(DeliverySlotBooking, 'findOneAndUpdate').mockResolvedValue(null);
+
+            await expect(bookDeliverySlot({ shippingAddress, delivery: { date: '2026-02-14', slot: zone.slots[0]._id } }))
+                .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('is full') });
+        });
+
+        test('rejects closed dates, started slots and other zones', async () => {
+            jest.spyOn(DeliverySlotBooking, 'findOneAndUpdate');
+            const book = (delivery, address = shippingAddress) => bookDeliverySlot({ shippingAddress: address, delivery });
+
+            await expect(book({ date: '2026-02-16', slot: zone.slots[0]._id })).rejects.toMatchObject({ statusCode: 400 });
+            await expect(book({ date: '2026-02-13', slot: zone.slots[0]._id })).rejects.toMatchObject({ statusCode: 400 });
+            await expect(book({ date: '2026-02-14', slot: zone.slots[0]._id }, { zipCode: '10001' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+            expect(DeliverySlotBooking.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        test('cancelled orders free their slots', async () => {
+            const delivery = { zone: zone._id, date: '2026-02-14', slot: zone.slots[0]._id };
+            const recipientDelivery = { zone: zone._id, date: '2026-02-14', slot: zone.slots[1]._id };
+
+            await releaseDeliverySlots({ delivery }, 'session');
+            await releaseDeliverySlots({}, 'session');
+            await releaseDeliverySlots({ recipients: [{ delivery: recipientDelivery }, {}] }, 'session');
+
+            expect(DeliverySlotBooking.updateOne).toHaveBeenCalledTimes(2);
+            expect(DeliverySlotBooking.updateOne).toHaveBeenCalledWith(
+                { ...recipientDelivery, booked: { $gt: 0 } },
+                { $inc: { booked: -1 } },
+                { session: 'session' }
+            );
+            expect(DeliverySlotBooking.updateOne).toHaveBeenCalledWith(
+                { ...delivery, booked: { $gt: 0 } },
+                { $inc: { booked: -1 } },
+                { session: 'session' }
+            );
+        });
+    });
+});
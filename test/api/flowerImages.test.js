@@ -0,0 +1,107 @@
+// test/api/flowerImages.test.js
+
+const request = require('supertest');
+const express = require('express');
+const sharp = require('sharp');
+const Flower = require('../../models/Flower');
+const { setStorage } = require('../../utils/storage');
+const { storeImages } = require('../../utils/images');
+const { uploadImages } = require('../../middleware/uploadImages');
+const errorHandler = require('../../middleware/errorHandler');
+
+const png = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: '#c0304a' } }).png().toBuffer();
+
+const upload = (buffer, mimetype = 'image/png') => ({
+  buffer,
+  mimetype,
+  size: buffer.length,
+  originalname: 'rose.png',
+});
+
+describe('Flower images', () => {
+  let files;
+
+  beforeEach(() => {
+    files = new Map();
+    setStorage({
+      save: async (key, buffer) => {
+        files.set(key, buffer);
+        return `https://cdn.test/${key}`;
+      },
+      remove: async (key) => {
+        files.delete(key);
+      },
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('stores the original with thumbnails that keep the aspect ratio', async () => {
+    const [image] = await storeImages([upload(await png(1000, 500))], ['Red roses']);
+
+    expect(image).toMatchObject({ alt: 'Red roses', mimeType: 'image/png', width: 1000, height: 500 });
+    expect(image.url).toBe(`https://cdn.test/${image.key}`);
+    expect(image.thumbnails.map(({ name, width, height }) => [name, width, height])).toEqual([
+      ['small', 150, 75],
+      ['medium', 400, 200],
+      ['large', 800, 400],
+    ]);
+    expect(files.size).toBe(4);
+  });
+
+  test('does not enlarge small images', async () => {
+    const [image] = await storeImages([upload(await png(120, 90))]);
+
+    expect(image.thumbnails.every(({ width }) => width === 120)).toBe(true);
+  });
+
+  test('rejects content that does not match the declared type and removes the files already stored', async () => {
+    const valid = upload(await png(200, 200));
+    const disguised = upload(await png(200, 200), 'image/jpeg');
+
+    await expect(storeImages([valid, disguised])).rejects.toMatchObject({ statusCode: 400 });
+    expect(files.size).toBe(0);
+  });
+
+  test('purging deleted flowers removes their image files', async () => {
+    const images = await storeImages([upload(await png(300, 300))]);
+    jest.spyOn(Flower, 'find').mockReturnValue({ select: async () => [{ images }] });
+    jest.spyOn(Flower, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+    await Flower.purgeDeleted(new Date());
+
+    expect(files.size).toBe(0);
+  });
+
+  describe('uploadImages middleware', () => {
+    const app = express();
+    app.post('/', uploadImages, (req, res) => {
+      res.json({ files: (req.files || []).length, body: req.body });
+    });
+    app.use(errorHandler);
+
+    test('accepts image files and parses JSON fields', async () => {
+      const res = await request(app)
+        .post('/')
+        .field('name', 'Rose')
+        .field('variants', JSON.stringify([{ sku: 'ROSE-1', price: 10, stock: 2 }]))
+        .attach('images', await png(10, 10), { filename: 'rose.png', contentType: 'image/png' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        files: 1,
+        body: { name: 'Rose', variants: [{ sku: 'ROSE-1', price: 10, stock: 2 }] },
+      });
+    });
+
+    test('refuses unsupported file types', async () => {
+      const res = await request(app)
+        .post('/')
+        .attach('images', Buffer.from('GIF89a'), { filename: 'rose.gif', contentType: 'image/gif' });
+
+      expect(res.status).toBe(415);
+    });
+  });
+});
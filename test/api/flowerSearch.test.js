@@ -0,0 +1,96 @@
+// test/api/flowerSearch.test.js
+
+const mongoose = require('mongoose');
+const Flower = require('../../models/Flower');
+const { searchFlowers } = require('../../controllers/flowerController');
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const rose = { _id: new mongoose.Types.ObjectId(), name: 'Red Rose', score: 10.5 };
+const bouquet = { _id: new mongoose.Types.ObjectId(), name: 'Spring Bouquet', score: 1.1 };
+const bouquets = new mongoose.Types.ObjectId();
+const roses = new mongoose.Types.ObjectId();
+
+const facets = {
+  hits: [rose, bouquet],
+  total: [{ count: 12 }],
+  categories: [
+    { _id: roses, name: 'Roses', count: 9 },
+    { _id: bouquets, name: 'Bouquets', count: 3 },
+  ],
+  priceRanges: [
+    { _id: 10, count: 7 },
+    { _id: 25, count: 4 },
+    { _id: 'other', count: 1 },
+  ],
+  isFeatured: [{ _id: true, count: 2 }, { _id: false, count: 10 }],
+  inStock: [{ _id: true, count: 12 }],
+};
+
+describe('GET /flowers/search', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(Flower, 'aggregate').mockResolvedValue([facets]);
+    jest.spyOn(Flower, 'populate').mockImplementation(async (docs) => docs);
+  });
+
+  test('ranks matches in the name above category and description matches', () => {
+    const textIndex = Flower.schema.indexes().find(([fields]) => fields.name === 'text');
+    const { weights } = textIndex[1];
+
+    expect(weights.name).toBeGreaterThan(weights.categoryName);
+    expect(weights.categoryName).toBeGreaterThan(weights.description);
+  });
+
+  test('sorts hits by relevance and keeps that order in the response', async () => {
+    const res = mockRes();
+    const next = jest.fn();
+
+    await searchFlowers({ query: { q: ' rose ', inStock: 'true', page: '2', limit: '2' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    const [match, score, { $facet }] = Flower.aggregate.mock.calls[0][0];
+    expect(match.$match).toEqual({ $text: { $search: 'rose' }, stock: { $gt: 0 } });
+    expect(score.$addFields.score).toEqual({ $meta: 'textScore' });
+    expect($facet.hits).toEqual([{ $sort: { score: -1, _id: 1 } }, { $skip: 2 }, { $limit: 2 }]);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.data.map((flower) => flower.name)).toEqual(['Red Rose', 'Spring Bouquet']);
+    expect(body.pagination).toEqual({ total: 12, limit: 2, page: 2, totalPages: 6 });
+  });
+
+  test('counts the filtered matches per category, price range, featured and stock', async () => {
+    const res = mockRes();
+
+    await searchFlowers({ query: { q: 'rose' } }, res, jest.fn());
+
+    expect(res.json.mock.calls[0][0].facets).toEqual({
+      categories: [
+        { category: roses, name: 'Roses', count: 9 },
+        { category: bouquets, name: 'Bouquets', count: 3 },
+      ],
+      priceRanges: [
+        { min: 10, max: 25, count: 7 },
+        { min: 25, max: 50, count: 4 },
+        { min: 100, max: null, count: 1 },
+      ],
+      isFeatured: { true: 2, false: 10 },
+      inStock: { true: 12, false: 0 },
+    });
+  });
+
+  test('requires a search query and a valid category', async () => {
+    const next = jest.fn();
+
+    await searchFlowers({ query: { q: '  ' } }, mockRes(), next);
+    await searchFlowers({ query: { q: 'rose', category: 'roses' } }, mockRes(), next);
+
+    expect(next.mock.calls.map(([err]) => err.statusCode)).toEqual([400, 400]);
+    expect(Flower.aggregate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,114 @@
+// test/api/flowerVariants.test.js
+
+const mongoose = require('mongoose');
+const Flower = require('../../models/Flower');
+const Category = require('../../models/Category');
+const { updateFlowerById } = require('../../controllers/flowerController');
+
+const rose = (variants) => new Flower({
+  name: 'Rose',
+  category: new mongoose.Types.ObjectId(),
+  price: 99,
+  stock: 0,
+  variants,
+});
+
+describe('Flower variants', () => {
+  test('price and stock summarize the variants', async () => {
+    const flower = rose([
+      { sku: 'rose-red-12', price: 24.99, stock: 5, attributes: { color: 'Red', stemCount: 12 } },
+      { sku: 'rose-red-6', price: 14.99, stock: 3, attributes: { color: 'Red', stemCount: 6 } },
+    ]);
+
+    await flower.validate();
+
+    expect(flower.price).toBe(14.99);
+    expect(flower.stock).toBe(8);
+    expect(flower.variants[0].sku).toBe('ROSE-RED-12');
+    expect(flower.variants[0].attributes.color).toBe('red');
+  });
+
+  test('rejects duplicate SKUs', async () => {
+    const flower = rose([
+      { sku: 'ROSE-1', price: 10, stock: 1 },
+      { sku: 'rose-1', price: 12, stock: 1 },
+    ]);
+
+    await expect(flower.validate()).rejects.toThrow('Variant SKUs must be unique.');
+  });
+
+  test('resolveVariant prices the chosen variant', () => {
+    const flower = rose([{ sku: 'ROSE-1', price: 10, stock: 4 }]);
+    const [variant] = flower.variants;
+
+    expect(flower.resolveVariant(variant._id.toString())).toMatchObject({ price: 10, stock: 4 });
+    expect(() => flower.resolveVariant()).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => flower.resolveVariant(new mongoose.Types.ObjectId())).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    );
+  });
+
+  test('flowers without variants are sold as is', () => {
+    const flower = rose([]);
+
+    expect(flower.resolveVariant()).toEqual({ variant: null, price: 99, stock: 0 });
+    expect(() => flower.resolveVariant(new mongoose.Types.ObjectId())).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    );
+  });
+
+  describe('updating a flower', () => {
+    let flower;
+
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      flower = rose([{ sku: 'rose-red-12', price: 24.99, stock: 5 }]);
+      jest.spyOn(Flower, 'findById').mockResolvedValue(flower);
+      jest.spyOn(Flower.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+    });
+
+    const update = async (body) => {
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+      await updateFlowerById({ params: { id: flower._id.toString() }, body }, res, next);
+      return { res, next };
+    };
+
+    test('only sets the fields of updateFlowerSchema', async () => {
+      const { next } = await update({
+        name: 'Red Rose',
+        weight: 400,
+        deletedAt: new Date(),
+        categoryName: 'Forged',
+        images: [{ url: '/x.jpg' }],
+      });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(flower).toMatchObject({ name: 'Red Rose', weight: 400, deletedAt: null });
+      expect(flower.categoryName).toBeUndefined();
+      expect(flower.images).toHaveLength(0);
+    });
+
+    test('ratings only change through reviews', async () => {
+      flower.ratingAverage = 3.5;
+      flower.ratingCount = 4;
+
+      await update({ ratingAverage: 5, ratingCount: 1000, price: 19 });
+
+      expect(flower).toMatchObject({ ratingAverage: 3.5, ratingCount: 4 });
+    });
+
+    test('moves the flower to another category by categoryId', async () => {
+      const bouquets = new Category({ name: 'Bouquets' });
+      jest.spyOn(Category, 'findById').mockImplementation(async (id) => (bouquets._id.equals(id) ? bouquets : null));
+
+      await update({ categoryId: bouquets._id.toString() });
+      expect(flower.category).toEqual(bouquets._id);
+
+      const { next } = await update({ categoryId: new mongoose.Types.ObjectId().toString() });
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+});
@@ -0,0 +1,149 @@
+// test/api/giftRecipients.test.js
+
+const mongoose = require('mongoose');
+const Flower = require('../../models/Flower');
+const Order = require('../../models/Order');
+const { normalizeGiftMessage, splitRecipients, recipientView } = require('../../utils/giftRecipients');
+const { placeOrder } = require('../../utils/placeOrder');
+const { createOrderSchema } = require('../../validators/order/createOrderSchema');
+
+const rose = new Flower({ name: 'Rose', price: 20, stock: 10, weight: 600, category: new mongoose.Types.ObjectId() });
+const fern = new Flower({ name: 'Fern', price: 5, stock: 10, category: new mongoose.Types.ObjectId() });
+
+const address = (country, state) => ({ street: '1 Main St', city: 'Town', zipCode: '1', country, state });
+
+describe('Gift recipients', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn({}));
+        const flowers = new Map([[String(rose._id), rose], [String(fern._id), fern]]);
+        jest.spyOn(Flower, 'findById').mockImplementation((id) => ({
+            session: async () => flowers.get(String(id)),
+        }));
+        jest.spyOn(Flower, 'findOneAndUpdate').mockResolvedValue(rose);
+        jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+            return this;
+        });
+    });
+
+    describe('gift messages', () => {
+        test('are trimmed with their line breaks normalized', () => {
+            expect(normalizeGiftMessage('  Happy birthday!\r\nLove, Sam  ')).toBe('Happy birthday!\nLove, Sam');
+            expect(normalizeGiftMessage('   ')).toBeUndefined();
+        });
+
+        test('must fit on the card and cannot contain links', () => {
+            expect(() => normalizeGiftMessage('a'.repeat(251))).toThrow(expect.objectContaining({
+                statusCode: 400,
+                details: ['Gift messages can be at most 250 characters'],
+            }));
+            expect(() => normalizeGiftMessage('1\n2\n3\n4\n5\n6\n7 see www.example.com')).toThrow(expect.objectContaining({
+                details: ['Gift messages can be at most 6 lines', 'Gift messages cannot contain links or email addresses'],
+            }));
+        });
+    });
+
+    describe('splitting an order', () => {
+        const items = [{ flower: rose._id, quantity: 1 }];
+
+        test('a single recipient uses the order items, address and delivery', () => {
+            const delivery = { date: '2026-02-14', slot: 'slot' };
+            const split = splitRecipients({
+                items,
+                shippingAddress: address('US', 'CA'),
+                delivery,
+                recipients: [{ name: 'Ada', giftMessage: 'Hi' }],
+            });
+
+            expect(split.shipments).toEqual([{ shippingAddress: address('US', 'CA'), lines: [0] }]);
+            expect(split.recipients).toEqual([expect.objectContaining({ name: 'Ada', delivery, lines: [0] })]);
+        });
+
+        test('several recipients each need their items and address, and book their own delivery', () => {
+            const ada = { name: 'Ada', items, shippingAddress: address('US', 'CA') };
+
+            expect(() => splitRecipients({ recipients: [ada, { name: 'Bob', shippingAddress: address('US', 'NY') }] }))
+                .toThrow(expect.objectContaining({ statusCode: 400 }));
+            expect(() => splitRecipients({ recipients: [ada, { name: 'Bob', items }] }))
+                .toThrow('Recipient 2 needs a shipping address');
+            expect(() => splitRecipients({
+                delivery: { date: '2026-02-14', slot: 'slot' },
+                recipients: [ada, { ...ada, name: 'Bob' }],
+            })).toThrow(expect.objectContaining({ statusCode: 400 }));
+        });
+    });
+
+    test('ships and prices each recipient separately', async () => {
+        const order = await placeOrder({
+            user: new mongoose.Types.ObjectId(),
+            recipients: [
+                { name: 'Ada', items: [{ flower: rose._id, quantity: 2 }], shippingAddress: address('US', 'CA') },
+                { name: 'Bob', items: [{ flower: fern._id, quantity: 1 }], shippingAddress: address('Canada', 'ON') },
+            ],
+            anonymous: true,
+        });
+
+        const [ada, bob] = order.recipients;
+        // 5.99 + 0.5 per item + 1 per started kg (1.2 kg); California does not tax shipping
+        expect(ada.shipping).toMatchObject({ zone: 'us', weight: 1200, amount: 8.99 });
+        expect(ada.tax).toMatchObject({ jurisdiction: 'US-CA', rate: 0.0725, taxableAmount: 40, amount: 2.9 });
+        expect(bob.shipping.zone).toBe('north-america');
+        expect(bob.tax.taxableAmount).toBe(Math.round((5 + bob.shipping.amount) * 100) / 100);
+
+        expect(order.items.map((item) => item.recipient)).toEqual([0, 1]);
+        expect(order.shippingAddress.state).toBe('CA');
+        expect(order.shipping.amount).toBe(Math.round((ada.shipping.amount + bob.shipping.amount) * 100) / 100);
+        expect(order.tax.amount).toBe(Math.round((ada.tax.amount + bob.tax.amount) * 100) / 100);
+        expect(order.tax.jurisdiction).toBe(`US-CA, ${bob.tax.jurisdiction}`);
+        expect(order.totalAmount).toBe(Math.round((45 + order.shipping.amount + order.tax.amount) * 100) / 100);
+        expect(ada.viewToken).toEqual(expect.any(String));
+        expect(ada.viewToken).not.toBe(bob.viewToken);
+        expect(order.anonymous).toBe(true);
+    });
+
+    test('recipients only see their own items, without prices, and not anonymous senders', () => {
+        const order = new Order({
+            user: new mongoose.Types.ObjectId(),
+            items: [
+                { flower: rose._id, quantity: 2, priceAtPurchase: 20, recipient: 0 },
+                { flower: fern._id, quantity: 1, priceAtPurchase: 5, recipient: 1 },
+            ],
+            totalAmount: 45,
+            shippingAddress: address('US', 'CA'),
+            recipients: [
+                { name: 'Ada', shippingAddress: address('US', 'CA'), giftMessage: 'Hi Ada' },
+                { name: 'Bob', shippingAddress: address('US', 'NY') },
+            ],
+        });
+        // As populated by GET /orders/gift/:token
+        const populated = { ...order.toObject(), user: { _id: order.user, displayName: 'Sam' } };
+
+        const view = recipientView(populated, 1);
+
+        expect(view).toMatchObject({ from: 'Sam', recipient: { name: 'Bob' }, giftMessage: null, delivery: null });
+        expect(view.items).toEqual([{ flower: fern._id, quantity: 1 }]);
+        expect(JSON.stringify(view)).not.toMatch(/price|Ada|totalAmount/);
+
+        populated.anonymous = true;
+        expect(recipientView(populated, 0)).toMatchObject({ from: null, giftMessage: 'Hi Ada' });
+    });
+
+    test('placing an order validates recipients like a quote', () => {
+        const order = {
+            items: [{ flower: String(rose._id), quantity: 1 }],
+            recipients: [{ name: 'Ada', shippingAddress: address('US', 'CA'), giftMessage: 'Hi Ada' }],
+            delivery: { date: '2026-02-14', slot: 'morning' },
+            anonymous: true,
+        };
+        expect(createOrderSchema.validate(order).error).toBeUndefined();
+
+        for (const invalid of [
+            { ...order, recipients: 'Ada' },
+            { ...order, recipients: [{ shippingAddress: address('US', 'CA') }] },
+            { ...order, anonymous: 'yes' },
+            { ...order, delivery: { date: 'tomorrow', slot: 'morning' } },
+        ]) {
+            expect(createOrderSchema.validate(invalid).error).toBeDefined();
+        }
+    });
+});
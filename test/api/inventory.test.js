@@ -0,0 +1,119 @@
+// test/api/inventory.test.js
+
+const Flower = require('../../models/Flower');
+const { reserveStock, releaseStock } = require('../../utils/inventory');
+
+jest.mock('../../models/Flower');
+
+const session = { id: 'mock-session' };
+
+// findById(...).select(...).session(...) chain resolving to the given flower
+const mockFindById = (flower) => ({
+  select: () => ({ session: jest.fn().mockResolvedValue(flower) }),
+});
+
+describe('Inventory reservation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('decrements stock only while enough is available', async () => {
+    Flower.findOneAndUpdate.mockResolvedValue({ _id: 'rose', stock: 8 });
+
+    await reserveStock([{ flower: 'rose', quantity: 2 }], session);
+
+    expect(Flower.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'rose', stock: { $gte: 2 } },
+      { $inc: { stock: -2 } },
+      { session, new: true }
+    );
+  });
+
+  test('reserves repeated flowers as a single quantity', async () => {
+    Flower.findOneAndUpdate.mockResolvedValue({ _id: 'rose' });
+
+    await reserveStock([
+      { flower: 'rose', quantity: 2 },
+      { flower: 'rose', quantity: 3 },
+    ], session);
+
+    expect(Flower.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(Flower.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'rose', stock: { $gte: 5 } });
+  });
+
+  test('sums quantities sent as strings numerically', async () => {
+    Flower.findOneAndUpdate.mockResolvedValue({ _id: 'rose' });
+
+    await reserveStock([
+      { flower: 'rose', quantity: '2' },
+      { flower: 'rose', quantity: '3' },
+    ], session);
+
+    expect(Flower.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'rose', stock: { $gte: 5 } });
+  });
+
+  test('fails with a 409 listing every insufficient flower', async () => {
+    Flower.findOneAndUpdate
+      .mockResolvedValueOnce({ _id: 'rose' })
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(null);
+    Flower.findById
+      .mockReturnValueOnce(mockFindById({ name: 'Tulip', stock: 1 }))
+      .mockReturnValueOnce(mockFindById(null));
+
+    await expect(reserveStock([
+      { flower: 'rose', quantity: 1 },
+      { flower: 'tulip', quantity: 4 },
+      { flower: 'gone', quantity: 1 },
+    ], session)).rejects.toMatchObject({
+      statusCode: 409,
+      details: [
+        { flower: 'tulip', name: 'Tulip', requested: 4, available: 1 },
+        { flower: 'gone', name: undefined, requested: 1, available: 0 },
+      ],
+    });
+  });
+
+  test('reserves variants from their own stock and the flower total', async () => {
+    Flower.findOneAndUpdate.mockResolvedValue({ _id: 'rose' });
+
+    await reserveStock([{ flower: 'rose', variant: 'red-12', quantity: 2 }], session);
+
+    expect(Flower.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'rose', variants: { $elemMatch: { _id: 'red-12', stock: { $gte: 2 } } } },
+      { $inc: { 'variants.$.stock': -2, stock: -2 } },
+      { session, new: true }
+    );
+  });
+
+  test('reports the variant stock when a variant is short', async () => {
+    Flower.findOneAndUpdate.mockResolvedValue(null);
+    const variant = { sku: 'ROSE-RED-12', stock: 1 };
+    Flower.findById.mockReturnValue(mockFindById({ name: 'Rose', stock: 9, variants: { id: () => variant } }));
+
+    await expect(reserveStock([{ flower: 'rose', variant: 'red-12', quantity: 3 }], session)).rejects.toMatchObject({
+      statusCode: 409,
+      details: [{ flower: 'rose', variant: 'red-12', sku: 'ROSE-RED-12', name: 'Rose', requested: 3, available: 1 }],
+    });
+  });
+
+  test('releases stock back to each flower, including deleted ones', async () => {
+    await releaseStock([{ flower: 'rose', quantity: 3 }], session);
+
+    expect(Flower.updateOne).toHaveBeenCalledWith(
+      { _id: 'rose' },
+      { $inc: { stock: 3 } },
+      { session, includeDeleted: true }
+    );
+  });
+
+  test('releases variant stock back to the variant', async () => {
+    await releaseStock([{ flower: 'rose', variant: 'red-12', quantity: 3 }], session);
+
+    expect(Flower.updateOne).toHaveBeenCalledWith(
+      { _id: 'rose', 'variants._id': 'red-12' },
+      { $inc: { 'variants.$.stock': 3, stock: 3 } },
+      { session, includeDeleted: true }
+    );
+  });
+});
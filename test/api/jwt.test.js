@@ -0,0 +1,116 @@
+// test/api/jwt.test.js
+
+process.env.JWT_SECRET = 'test_secret';
+
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../../models/RefreshToken');
+const User = require('../../models/User');
+const { generateToken, issueTokens, rotateRefreshToken } = require('../../utils/jwt');
+const { isAuthenticated } = require('../../middleware/isAuthenticated');
+const { optionalAuthentication } = require('../../middleware/optionalAuthentication');
+
+jest.mock('../../models/RefreshToken');
+jest.mock('../../models/User');
+
+const user = { _id: 'user1', id: 'user1', role: 'customer' };
+
+describe('JWT tokens', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RefreshToken.create.mockImplementation(async (doc) => ({ _id: 'token2', ...doc }));
+  });
+
+  test('access tokens carry the user id and role', () => {
+    const payload = jwt.verify(generateToken(user), 'test_secret');
+    expect(payload).toMatchObject({ id: 'user1', role: 'customer' });
+  });
+
+  test('issueTokens stores only a hash of the refresh token', async () => {
+    const tokens = await issueTokens(user);
+
+    expect(tokens.tokenType).toBe('Bearer');
+    const stored = RefreshToken.create.mock.calls[0][0];
+    expect(stored.tokenHash).toHaveLength(64);
+    expect(stored.tokenHash).not.toBe(tokens.refreshToken);
+    expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('rotation revokes the presented token and keeps its family', async () => {
+    RefreshToken.findOneAndUpdate.mockResolvedValue({ _id: 'token1', user: 'user1', family: 'fam' });
+    User.findById.mockResolvedValue(user);
+
+    const tokens = await rotateRefreshToken('raw-token');
+
+    expect(RefreshToken.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ revokedAt: null });
+    expect(RefreshToken.create.mock.calls[0][0].family).toBe('fam');
+    expect(RefreshToken.updateOne).toHaveBeenCalledWith({ _id: 'token1' }, { replacedBy: 'token2' });
+    expect(tokens.refreshToken).not.toBe('raw-token');
+  });
+
+  test('reusing a rotated token revokes its whole family', async () => {
+    RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+    RefreshToken.findOne.mockResolvedValue({ family: 'fam', revokedAt: new Date() });
+
+    await expect(rotateRefreshToken('stolen')).rejects.toMatchObject({ statusCode: 401 });
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+      { family: 'fam', revokedAt: null },
+      { revokedAt: expect.any(Date) }
+    );
+  });
+
+  test('unknown tokens are rejected without revoking anything', async () => {
+    RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+    RefreshToken.findOne.mockResolvedValue(null);
+
+    await expect(rotateRefreshToken('unknown')).rejects.toThrow('Invalid or expired refresh token');
+    expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('isAuthenticated', () => {
+  test('rejects Bearer tokens with a 401 when the jwt strategy is not configured', () => {
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+
+    isAuthenticated({ headers: { authorization: `Bearer ${generateToken(user)}` } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('optionalAuthentication', () => {
+  test('lets guests through and checks Bearer tokens', () => {
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+
+    optionalAuthentication({ headers: {} }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    optionalAuthentication({ headers: { authorization: `Bearer ${generateToken(user)}` } }, res, next);
+    // The jwt strategy is not configured here, so the token is refused like isAuthenticated does
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('acts as the user of a valid Bearer token', () => {
+    const passport = require('passport');
+    const { Strategy } = require('passport-strategy');
+    const strategy = new Strategy();
+    strategy.authenticate = function() {
+      this.success(user);
+    };
+    passport.use('jwt', strategy);
+    const req = { headers: { authorization: 'Bearer token' } };
+    const next = jest.fn();
+
+    try {
+      optionalAuthentication(req, {}, next);
+    } finally {
+      passport.unuse('jwt');
+    }
+
+    expect(req.user).toBe(user);
+    expect(next).toHaveBeenCalledWith();
+  });
+});
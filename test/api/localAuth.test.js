@@ -0,0 +1,174 @@
+// test/api/localAuth.test.js
+
+const User = require('../../models/User');
+const UserToken = require('../../models/UserToken');
+const { createUserToken, consumeUserToken } = require('../../utils/userTokens');
+
+jest.mock('../../models/UserToken');
+
+describe('Password hashing', () => {
+  test('stores a bcrypt hash that only matches the original password', async () => {
+    const user = new User({ email: 'rose@example.com' });
+    await user.setPassword('correct horse');
+
+    expect(user.passwordHash).toMatch(/^\$2[aby]\$12\$/);
+    await expect(user.comparePassword('correct horse')).resolves.toBe(true);
+    await expect(user.comparePassword('wrong horse')).resolves.toBe(false);
+  });
+
+  test('accounts without a password never match', async () => {
+    const user = new User({ email: 'oauth@example.com', githubId: '42' });
+    await expect(user.comparePassword('anything')).resolves.toBe(false);
+  });
+});
+
+describe('OAuth account linking', () => {
+  const profile = { id: 'gh-1', displayName: 'Rose', emails: [{ value: 'Rose@Example.com' }] };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('attaches the provider to a verified password account with the same email', async () => {
+    const user = new User({ email: 'rose@example.com', emailVerified: true, passwordHash: 'hash' });
+    jest.spyOn(User, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(user);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+
+    const linked = await User.findOrCreateFromOAuth('githubId', profile);
+
+    expect(User.findOne).toHaveBeenLastCalledWith({ email: 'rose@example.com' });
+    expect(linked.githubId).toBe('gh-1');
+    expect(linked.passwordHash).toBe('hash');
+  });
+
+  test('drops the password of an unverified account it takes over', async () => {
+    const user = new User({ email: 'rose@example.com', passwordHash: 'hash' });
+    jest.spyOn(User, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(user);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+
+    const linked = await User.findOrCreateFromOAuth('googleId', { ...profile, id: 'g-1' });
+
+    expect(linked.googleId).toBe('g-1');
+    expect(linked.passwordHash).toBeUndefined();
+    expect(linked.emailVerified).toBe(true);
+  });
+});
+
+describe('Emailed single-use tokens', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('stores only a hash and replaces earlier unused tokens', async () => {
+    const token = await createUserToken({ _id: 'user1' }, 'password_reset');
+
+    expect(UserToken.deleteMany).toHaveBeenCalledWith({ user: 'user1', purpose: 'password_reset', usedAt: null });
+    const stored = UserToken.create.mock.calls[0][0];
+    expect(stored.tokenHash).toHaveLength(64);
+    expect(stored.tokenHash).not.toBe(token);
+    expect(stored.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(60 * 60 * 1000);
+  });
+
+  test('a token can only be claimed while unused and unexpired', async () => {
+    UserToken.findOneAndUpdate.mockResolvedValueOnce({ user: 'user1' }).mockResolvedValueOnce(null);
+
+    await expect(consumeUserToken('raw', 'verify_email')).resolves.toBe('user1');
+    expect(UserToken.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ purpose: 'verify_email', usedAt: null });
+    await expect(consumeUserToken('raw', 'verify_email')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('Mailer', () => {
+  const message = { to: 'rose@example.com', subject: 'Reset', text: 'Token: secret' };
+  let mailer;
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      mailer = require('../../utils/mailer');
+    });
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = 'test';
+  });
+
+  test('only logs emails in development and tests', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await mailer.sendMail(message);
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('Token: secret'));
+
+    process.env.NODE_ENV = 'production';
+    expect(() => mailer.assertMailTransport()).toThrow('No mail transport configured');
+    await expect(mailer.sendMail(message)).rejects.toThrow('No mail transport configured');
+    expect(log).toHaveBeenCalledTimes(1);
+    log.mockRestore();
+  });
+
+  test('delivers through the configured transport', async () => {
+    process.env.NODE_ENV = 'production';
+    const transport = jest.fn().mockResolvedValue();
+    mailer.setTransport(transport);
+
+    mailer.assertMailTransport();
+    await mailer.sendMail(message);
+
+    expect(transport).toHaveBeenCalledWith(message);
+  });
+
+  test('sends through SMTP when SMTP_HOST is set', async () => {
+    let nodemailer;
+    jest.isolateModules(() => {
+      nodemailer = require('nodemailer');
+      mailer = require('../../utils/mailer');
+    });
+    const sendMail = jest.fn().mockResolvedValue({});
+    jest.spyOn(nodemailer, 'createTransport').mockReturnValue({ sendMail });
+
+    expect(mailer.createSmtpTransport({})).toBeNull();
+
+    const transport = mailer.createSmtpTransport({
+      SMTP_HOST: 'smtp.example.com', SMTP_PORT: '465', SMTP_SECURE: 'true',
+      SMTP_USER: 'mailer', SMTP_PASS: 'secret', MAIL_FROM: 'shop@example.com',
+    });
+    await transport(message);
+
+    expect(nodemailer.createTransport).toHaveBeenCalledWith({
+      host: 'smtp.example.com', port: 465, secure: true, auth: { user: 'mailer', pass: 'secret' },
+    });
+    expect(sendMail).toHaveBeenCalledWith({ from: 'shop@example.com', ...message });
+    nodemailer.createTransport.mockRestore();
+  });
+});
+
+describe('Login', () => {
+  const { login } = require('../../controllers/authController');
+  const Cart = require('../../models/Cart');
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('logs in with a session only when JWT is not configured', async () => {
+    const secret = process.env.JWT_SECRET;
+    delete process.env.JWT_SECRET;
+    const user = new User({ email: 'rose@example.com', displayName: 'Rose', emailVerified: true });
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(true);
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => user });
+    jest.spyOn(Cart, 'mergeGuestCart').mockResolvedValue();
+    const req = {
+      body: { email: 'Rose@example.com', password: 'secret' },
+      session: {},
+      login: jest.fn((u, done) => done()),
+    };
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+
+    try {
+      await login(req, res, next);
+    } finally {
+      if (secret !== undefined) {
+        process.env.JWT_SECRET = secret;
+      }
+    }
+
+    expect(next).not.toHaveBeenCalled();
+    expect(req.login).toHaveBeenCalledWith(user, expect.any(Function));
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: null });
+  });
+});
@@ -0,0 +1,168 @@
+// test/api/migrations.test.js
+
+const mongoose = require('mongoose');
+const Flower = require('../../models/Flower');
+const Category = require('../../models/Category');
+const User = require('../../models/User');
+const Wishlist = require('../../models/Wishlist');
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const ReturnRequest = require('../../models/ReturnRequest');
+const { setStorage } = require('../../utils/storage');
+const { migrations, runMigrations } = require('../../utils/migrations');
+
+const migration = (name) => migrations.find((entry) => entry.name === name);
+
+describe('Migrations', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('fills the category name of flowers saved before it existed', async () => {
+        jest.spyOn(Flower, 'distinct').mockResolvedValue(['roses', 'gone']);
+        jest.spyOn(Category, 'findById').mockImplementation((id) => ({
+            select: async () => (id === 'roses' ? { name: 'Roses' } : null),
+        }));
+        jest.spyOn(Flower, 'updateMany').mockResolvedValue({});
+
+        await migration('flower category names').up();
+
+        expect(Flower.distinct).toHaveBeenCalledWith('category', { categoryName: { $exists: false } });
+        expect(Flower.updateMany).toHaveBeenCalledTimes(1);
+        expect(Flower.updateMany).toHaveBeenCalledWith(
+            { category: 'roses', categoryName: { $exists: false } },
+            { categoryName: 'Roses' }
+        );
+    });
+
+    test('gives flowers without an SKU their default SKU', async () => {
+        const _id = new mongoose.Types.ObjectId();
+        jest.spyOn(Flower.collection, 'find').mockReturnValue({ toArray: async () => [{ _id }] });
+        const bulkWrite = jest.spyOn(Flower.collection, 'bulkWrite').mockResolvedValue({});
+
+        await migration('flower skus').up();
+
+        expect(Flower.collection.find).toHaveBeenCalledWith({ sku: null }, { projection: { _id: 1 } });
+        expect(bulkWrite).toHaveBeenCalledWith([
+            { updateOne: { filter: { _id, sku: null }, update: { $set: { sku: Flower.defaultSku(_id) } } } },
+        ]);
+    });
+
+    test('moves the parent of categories to parentCategory', async () => {
+        const updateMany = jest.spyOn(Category.collection, 'updateMany').mockResolvedValue({});
+
+        await migration('category parent field').up();
+
+        expect(updateMany).toHaveBeenCalledWith({ parent: { $exists: true } }, { $rename: { parent: 'parentCategory' } });
+    });
+
+    test('users flagged with isAdmin get the admin role', async () => {
+        const updateMany = jest.spyOn(User.collection, 'updateMany').mockResolvedValue({});
+
+        await migration('admin roles').up();
+
+        expect(updateMany.mock.calls).toEqual([
+            [{ isAdmin: true }, { $set: { role: 'admin' } }],
+            [{ isAdmin: { $exists: true } }, { $unset: { isAdmin: '' } }],
+        ]);
+    });
+
+    test('drops the unique index that allowed one wishlist per user', async () => {
+        jest.spyOn(Wishlist.collection, 'indexes').mockResolvedValue([
+            { name: '_id_', key: { _id: 1 } },
+            { name: 'user_1', key: { user: 1 }, unique: true },
+            { name: 'user_1_name_1', key: { user: 1, name: 1 }, unique: true },
+        ]);
+        const dropIndex = jest.spyOn(Wishlist.collection, 'dropIndex').mockResolvedValue({});
+
+        await migration('wishlist names index').up();
+        expect(dropIndex).toHaveBeenCalledWith('user_1');
+
+        dropIndex.mockClear();
+        Wishlist.collection.indexes.mockRejectedValue(Object.assign(new Error('ns does not exist'), { codeName: 'NamespaceNotFound' }));
+        await migration('wishlist names index').up();
+        expect(dropIndex).not.toHaveBeenCalled();
+    });
+
+    test('replaces unique indexes so deleted categories and users free their keys', async () => {
+        const indexes = {
+            [Category.modelName]: [{ name: 'name_1', unique: true }],
+            [User.modelName]: [
+                { name: 'email_1', unique: true },
+                { name: 'githubId_1', unique: true, partialFilterExpression: { deletedAt: { $type: 'null' } } },
+            ],
+        };
+        const dropped = [];
+        for (const model of [Category, User]) {
+            jest.spyOn(model.collection, 'updateMany').mockResolvedValue({});
+            jest.spyOn(model.collection, 'indexes').mockResolvedValue(indexes[model.modelName]);
+            jest.spyOn(model.collection, 'dropIndex').mockImplementation(async (name) => dropped.push(name));
+            jest.spyOn(model, 'createIndexes').mockResolvedValue();
+        }
+
+        await migration('unique keys of deleted documents').up();
+
+        expect(User.collection.updateMany).toHaveBeenCalledWith({ deletedAt: { $exists: false } }, { $set: { deletedAt: null } });
+        expect(dropped).toEqual(['name_1', 'email_1']);
+        expect(User.createIndexes).toHaveBeenCalled();
+    });
+
+    test('orders whose payment awaits the provider count as claimed', async () => {
+        jest.spyOn(Payment, 'distinct').mockResolvedValue(['order1']);
+        jest.spyOn(Order, 'updateMany').mockResolvedValue({});
+
+        await migration('orders with pending payments').up();
+
+        expect(Payment.distinct).toHaveBeenCalledWith('order', { status: 'pending' });
+        expect(Order.updateMany).toHaveBeenCalledWith(
+            { _id: { $in: ['order1'] }, paymentStatus: 'unpaid' },
+            { $set: { paymentStatus: 'pending' } }
+        );
+    });
+
+    test('moves public return photos to the private storage', async () => {
+        const publicFiles = new Map([['returns/a.png', 'photo'], ['returns/a-small.webp', 'thumbnail']]);
+        const privateFiles = new Map();
+        const memoryStorage = (files) => ({
+            save: async (key, buffer) => files.set(key, buffer),
+            read: async (key) => files.get(key),
+            remove: async (key) => files.delete(key),
+        });
+        setStorage(memoryStorage(publicFiles));
+        setStorage(memoryStorage(privateFiles), { private: true });
+        const returnRequest = new ReturnRequest({
+            photos: [{
+                key: 'returns/a.png',
+                url: '/uploads/returns/a.png',
+                mimeType: 'image/png',
+                thumbnails: [{ name: 'small', key: 'returns/a-small.webp', url: '/uploads/returns/a-small.webp' }],
+            }],
+        });
+        jest.spyOn(ReturnRequest, 'find').mockResolvedValue([returnRequest]);
+        jest.spyOn(returnRequest, 'save').mockResolvedValue(returnRequest);
+
+        await migration('private return photos').up();
+
+        expect(publicFiles.size).toBe(0);
+        expect([...privateFiles]).toEqual([['returns/a.png', 'photo'], ['returns/a-small.webp', 'thumbnail']]);
+        expect(returnRequest.photos[0].url).toBe('/api/returns/photos/a.png');
+        expect(returnRequest.photos[0].thumbnails[0].url).toBe('/api/returns/photos/a-small.webp');
+        expect(returnRequest.save).toHaveBeenCalled();
+    });
+
+    test('a failing migration does not stop the others', async () => {
+        const ran = [];
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        migrations.forEach((entry) => {
+            jest.spyOn(entry, 'up').mockImplementation(async () => {
+                ran.push(entry.name);
+                throw new Error('boom');
+            });
+        });
+
+        await runMigrations();
+
+        expect(ran).toEqual(migrations.map((entry) => entry.name));
+        expect(console.error).toHaveBeenCalledTimes(migrations.length);
+    });
+});
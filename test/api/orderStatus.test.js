@@ -0,0 +1,45 @@
+// test/api/orderStatus.test.js
+
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const { canTransition, assertTransition } = require('../../utils/orderStatus');
+
+describe('Order status transitions', () => {
+  test('allows the fulfilment path and cancellation before shipping', () => {
+    expect(canTransition('pending', 'processing')).toBe(true);
+    expect(canTransition('processing', 'shipped')).toBe(true);
+    expect(canTransition('shipped', 'delivered')).toBe(true);
+    expect(canTransition('pending', 'cancelled')).toBe(true);
+    expect(canTransition('processing', 'cancelled')).toBe(true);
+  });
+
+  test('rejects going backwards, skipping steps and cancelling shipped orders', () => {
+    expect(canTransition('delivered', 'pending')).toBe(false);
+    expect(canTransition('pending', 'shipped')).toBe(false);
+    expect(canTransition('shipped', 'cancelled')).toBe(false);
+    expect(canTransition('cancelled', 'processing')).toBe(false);
+  });
+
+  test('illegal transitions raise a 409 listing the allowed moves', () => {
+    expect(() => assertTransition('shipped', 'pending')).toThrow(
+      expect.objectContaining({
+        statusCode: 409,
+        details: { from: 'shipped', to: 'pending', allowed: ['delivered'] },
+      })
+    );
+  });
+
+  test('changeStatus records who changed the status and why', () => {
+    const actor = new mongoose.Types.ObjectId();
+    const order = new Order({ status: 'pending' });
+
+    order.changeStatus('processing', { changedBy: actor, note: 'Paid' });
+
+    expect(order.status).toBe('processing');
+    expect(order.statusHistory).toHaveLength(1);
+    expect(order.statusHistory[0]).toMatchObject({ from: 'pending', status: 'processing', note: 'Paid' });
+    expect(order.statusHistory[0].changedBy.toString()).toBe(actor.toString());
+    expect(order.statusHistory[0].changedAt).toBeInstanceOf(Date);
+    expect(() => order.changeStatus('pending')).toThrow(/Cannot change order status/);
+  });
+});
@@ -0,0 +1,108 @@
+// test/api/pagination.test.js
+
+const {
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  paginate,
+} = require('../../utils/pagination');
+
+const options = { sortFields: ['price', 'name', 'createdAt'], defaultSort: 'createdAt' };
+
+// Minimal chainable stand-in for a Mongoose query
+const mockModel = (rows, total) => {
+  const query = {
+    sort: jest.fn(() => query),
+    skip: jest.fn(() => query),
+    populate: jest.fn(() => query),
+    limit: jest.fn(async () => rows),
+  };
+  return {
+    query,
+    find: jest.fn(() => query),
+    countDocuments: jest.fn(async () => total),
+  };
+};
+
+const mockReq = (query = {}) => ({
+  query,
+  protocol: 'http',
+  get: () => 'localhost:3001',
+  baseUrl: '/api/flowers',
+  path: '/',
+});
+
+const mockRes = () => ({ set: jest.fn() });
+
+describe('Pagination helper', () => {
+  test('applies defaults when no query parameters are sent', () => {
+    expect(parsePagination({}, options)).toEqual({
+      limit: 20,
+      page: 1,
+      sort: 'createdAt',
+      order: 'asc',
+      cursor: null,
+    });
+  });
+
+  test('rejects unknown sort fields and out of range limits with a 400', () => {
+    expect(() => parsePagination({ sort: 'secret' }, options)).toThrow(/sort must be one of/);
+    expect(() => parsePagination({ limit: '500' }, options)).toThrow(/limit must be/);
+    expect(() => parsePagination({ page: '0' }, options)).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    );
+  });
+
+  test('round-trips cursors and rejects tampered ones', () => {
+    const payload = { s: 'price', o: 'asc', v: 10, id: 'abc', d: 'next' };
+    expect(decodeCursor(encodeCursor(payload))).toEqual(payload);
+    expect(() => decodeCursor('not-a-cursor')).toThrow('Invalid pagination cursor');
+  });
+
+  test('rejects a cursor issued for a different sort', () => {
+    const cursor = encodeCursor({ s: 'price', o: 'asc', v: 10, id: 'abc', d: 'next' });
+    expect(() => parsePagination({ cursor, sort: 'name' }, options)).toThrow(/does not match/);
+  });
+
+  test('returns offset page metadata, cursors and Link header', async () => {
+    const rows = [
+      { _id: 'a', price: 1 },
+      { _id: 'b', price: 2 },
+      { _id: 'c', price: 3 },
+    ];
+    const model = mockModel(rows, 5);
+    const res = mockRes();
+
+    const { data, pagination } = await paginate(model, {}, mockReq({ limit: '2', sort: 'price' }), res, options);
+
+    expect(data).toHaveLength(2);
+    expect(model.query.skip).toHaveBeenCalledWith(0);
+    expect(model.query.sort).toHaveBeenCalledWith({ price: 1, _id: 1 });
+    expect(pagination).toMatchObject({
+      total: 5,
+      page: 1,
+      totalPages: 3,
+      hasNextPage: true,
+      hasPrevPage: false,
+      prevCursor: null,
+    });
+    expect(decodeCursor(pagination.nextCursor)).toEqual({ s: 'price', o: 'asc', v: 2, id: 'b', d: 'next' });
+    expect(res.set.mock.calls[0][0]).toBe('Link');
+    expect(res.set.mock.calls[0][1]).toContain('rel="next"');
+  });
+
+  test('pages backwards from a prev cursor and restores the order', async () => {
+    const model = mockModel([{ _id: 'b', price: 2 }, { _id: 'a', price: 1 }], 5);
+    const cursor = encodeCursor({ s: 'price', o: 'asc', v: 3, id: 'c', d: 'prev' });
+
+    const { data, pagination } = await paginate(model, {}, mockReq({ cursor, limit: '2', sort: 'price' }), mockRes(), options);
+
+    expect(model.find).toHaveBeenCalledWith({
+      $and: [{}, { $or: [{ price: { $lt: 3 } }, { price: 3, _id: { $lt: 'c' } }] }],
+    });
+    expect(model.query.sort).toHaveBeenCalledWith({ price: -1, _id: -1 });
+    expect(data.map((d) => d._id)).toEqual(['a', 'b']);
+    expect(pagination.hasNextPage).toBe(true);
+    expect(pagination.hasPrevPage).toBe(false);
+  });
+});
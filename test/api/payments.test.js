@@ -0,0 +1,210 @@
+// test/api/payments.test.js
+
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const {
+  createMockProvider,
+  setPaymentProvider,
+  getPaymentProvider,
+} = require('../../utils/payments');
+const {
+  payOrder,
+  handlePaymentWebhook,
+  refundOrderPayments,
+} = require('../../utils/orderPayments');
+
+const newOrder = () => {
+  const order = new Order({
+    user: new mongoose.Types.ObjectId(),
+    items: [{ flower: new mongoose.Types.ObjectId(), quantity: 1, priceAtPurchase: 20 }],
+    totalAmount: 24.5,
+    shippingAddress: { street: '1 Main St', city: 'Town', state: 'CA', zipCode: '1', country: 'US' },
+    statusHistory: [{ status: 'pending' }],
+  });
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  jest.spyOn(Order, 'findById').mockReturnValue({
+    session: () => ({ setOptions: async () => order }),
+  });
+  return order;
+};
+
+// A webhook request as express hands it to the controller
+const webhook = (provider, body, signature) => {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const headers = { 'x-mock-signature': signature || provider.signWebhook(rawBody) };
+  return { body, rawBody, get: (name) => headers[name] };
+};
+
+describe('Payments', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    provider = createMockProvider({ secret: 'test-secret' });
+    setPaymentProvider(provider);
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn({}));
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('mock provider', () => {
+    test('declines the test payment methods', async () => {
+      await expect(provider.authorize({ amount: 10, paymentMethod: 'pm_card_declined' }))
+        .resolves.toEqual({ status: 'failed', error: 'Your card was declined' });
+    });
+
+    test('refuses to refund more than was captured', async () => {
+      const { id } = await provider.authorize({ amount: 10, paymentMethod: 'pm_card_visa' });
+      await provider.capture(id, 10);
+
+      await expect(provider.refund(id, 6)).resolves.toMatchObject({ status: 'refunded' });
+      await expect(provider.refund(id, 6)).resolves.toMatchObject({ status: 'failed' });
+    });
+
+    test('rejects webhooks with a wrong signature', () => {
+      expect(() => provider.parseWebhook(webhook(provider, { type: 'payment.captured' }, 'f'.repeat(64))))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test('is only used in development and tests', () => {
+      const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+      setPaymentProvider(null);
+      try {
+        expect(getPaymentProvider().name).toBe('mock');
+
+        process.env.NODE_ENV = 'production';
+        expect(() => getPaymentProvider()).toThrow(expect.objectContaining({
+          statusCode: 503,
+          message: expect.stringContaining('no payment provider is configured'),
+        }));
+
+        setPaymentProvider(provider);
+        delete process.env.PAYMENT_WEBHOOK_SECRET;
+        expect(() => getPaymentProvider()).toThrow('PAYMENT_WEBHOOK_SECRET is not set');
+
+        process.env.PAYMENT_WEBHOOK_SECRET = 'live-secret';
+        expect(getPaymentProvider()).toBe(provider);
+      } finally {
+        process.env.NODE_ENV = 'test';
+        if (secret === undefined) {
+          delete process.env.PAYMENT_WEBHOOK_SECRET;
+        } else {
+          process.env.PAYMENT_WEBHOOK_SECRET = secret;
+        }
+      }
+    });
+  });
+
+  test('captured payments move the order to processing', async () => {
+    const order = newOrder();
+
+    const payment = await payOrder(order, { paymentMethod: 'pm_card_visa', user: order.user });
+
+    expect(payment).toMatchObject({ status: 'captured', amount: 24.5, amountCaptured: 24.5, provider: 'mock' });
+    expect(payment.events.map((event) => event.type)).toEqual(['authorize', 'capture']);
+    expect(order).toMatchObject({ status: 'processing', paymentStatus: 'paid' });
+    expect(order.statusHistory[1]).toMatchObject({ from: 'pending', status: 'processing', note: 'Payment captured' });
+  });
+
+  test('authorize-only payments leave the order pending', async () => {
+    const order = newOrder();
+
+    await payOrder(order, { paymentMethod: 'pm_card_visa', user: order.user, capture: false });
+
+    expect(order).toMatchObject({ status: 'pending', paymentStatus: 'authorized' });
+  });
+
+  test('declined payments are kept as failed attempts', async () => {
+    const order = newOrder();
+
+    const error = await payOrder(order, { paymentMethod: 'pm_card_insufficient_funds', user: order.user })
+      .catch((err) => err);
+
+    expect(error.statusCode).toBe(402);
+    const saved = Payment.prototype.save.mock.contexts[0];
+    expect(saved).toMatchObject({ status: 'failed', failureReason: 'Your card has insufficient funds' });
+    expect(order).toMatchObject({ status: 'pending', paymentStatus: 'unpaid' });
+    expect(Order.updateOne).toHaveBeenLastCalledWith(
+      { _id: order._id, paymentStatus: 'pending' },
+      { $set: { paymentStatus: 'unpaid' } }
+    );
+  });
+
+  test('only pending orders without a payment can be paid', async () => {
+    const order = newOrder();
+    Order.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(payOrder(order, { paymentMethod: 'pm_card_visa' })).rejects.toMatchObject({ statusCode: 409 });
+    expect(Order.updateOne).toHaveBeenCalledWith(
+      { _id: order._id, status: 'pending', paymentStatus: 'unpaid' },
+      { $set: { paymentStatus: 'pending' } }
+    );
+
+    order.status = 'processing';
+    await expect(payOrder(order, { paymentMethod: 'pm_card_visa' })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('concurrent payments for one order charge it once', async () => {
+    const order = newOrder();
+    Order.updateOne
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+    const authorize = jest.spyOn(provider, 'authorize');
+
+    const results = await Promise.allSettled([
+      payOrder(order, { paymentMethod: 'pm_card_visa', user: order.user }),
+      payOrder(order, { paymentMethod: 'pm_card_visa', user: order.user }),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason.statusCode).toBe(409);
+    expect(authorize).toHaveBeenCalledTimes(1);
+  });
+
+  test('a captured webhook moves the order on once, however often it arrives', async () => {
+    const order = newOrder();
+    const payment = new Payment({
+      order: order._id, user: order.user, provider: 'mock', providerPaymentId: 'mock_pay_1',
+      amount: 24.5, currency: 'usd', status: 'authorized',
+    });
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    const event = { type: 'payment.captured', data: { id: 'mock_pay_1', amount: 24.5 } };
+
+    await handlePaymentWebhook(webhook(provider, event));
+    await handlePaymentWebhook(webhook(provider, event));
+
+    expect(payment).toMatchObject({ status: 'captured', amountCaptured: 24.5 });
+    expect(payment.events).toHaveLength(2);
+    expect(order.statusHistory).toHaveLength(2);
+  });
+
+  test('webhooks about unknown payments are ignored', async () => {
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+
+    await expect(handlePaymentWebhook(webhook(provider, { type: 'payment.captured', data: { id: 'other' } })))
+      .resolves.toBeNull();
+  });
+
+  test('cancelling refunds captured payments and voids authorized ones', async () => {
+    const order = newOrder();
+    const captured = await payOrder(order, { paymentMethod: 'pm_card_visa', user: order.user });
+    const authorized = new Payment({
+      order: order._id, user: order.user, provider: 'mock', amount: 5, currency: 'usd', status: 'authorized',
+      providerPaymentId: (await provider.authorize({ amount: 5, paymentMethod: 'pm_card_visa' })).id,
+    });
+    const stale = new Payment({
+      order: order._id, user: order.user, provider: 'mock', amount: 5, currency: 'usd', status: 'authorized',
+      providerPaymentId: 'unknown',
+    });
+    jest.spyOn(Payment, 'find').mockResolvedValue([captured, authorized, stale]);
+
+    const failures = await refundOrderPayments(order);
+
+    expect(captured).toMatchObject({ status: 'refunded', amountRefunded: 24.5 });
+    expect(authorized.status).toBe('voided');
+    expect(failures).toEqual([{ payment: stale._id, error: expect.stringContaining('Void failed') }]);
+  });
+});
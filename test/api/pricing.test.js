@@ -0,0 +1,111 @@
+// test/api/pricing.test.js
+
+const mongoose = require('mongoose');
+const Flower = require('../../models/Flower');
+const Promotion = require('../../models/Promotion');
+const {
+  DEFAULT_PRICING_STEPS,
+  itemsStep,
+  createShippingStep,
+  createTaxStep,
+  totalStep,
+  setPricingSteps,
+  quoteOrder,
+} = require('../../utils/pricing');
+
+const rose = new Flower({ name: 'Rose', price: 20, stock: 10, weight: 600, category: new mongoose.Types.ObjectId() });
+const fern = new Flower({ name: 'Fern', price: 5, stock: 10, category: new mongoose.Types.ObjectId() });
+
+const roundTo = (amount) => Math.round(amount * 100) / 100;
+
+const address = (country, state) => ({ street: '1 Main St', city: 'Town', zipCode: '1', country, state });
+
+const quote = async (input) => {
+  const { quote: result } = await quoteOrder({
+    user: new mongoose.Types.ObjectId(),
+    items: [{ flower: rose._id, quantity: 2 }, { flower: fern._id, quantity: 1 }],
+    ...input,
+  });
+  return result;
+};
+
+describe('Order pricing', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    setPricingSteps(DEFAULT_PRICING_STEPS);
+    const flowers = new Map([[String(rose._id), rose], [String(fern._id), fern]]);
+    jest.spyOn(Flower, 'findById').mockImplementation((id) => ({
+      session: async () => flowers.get(String(id)),
+    }));
+  });
+
+  test('adds shipping by zone, weight and quantity and state tax on the items', async () => {
+    const result = await quote({ shippingAddress: address('USA', 'ca') });
+
+    expect(result.subtotal).toBe(45);
+    // 5.99 + 0.5 per item + 1 per started kg (1.2 kg)
+    expect(result.shipping).toEqual({ zone: 'us', weight: 1200, amount: 9.49 });
+    // California does not tax shipping
+    expect(result.tax).toEqual({ jurisdiction: 'US-CA', rate: 0.0725, taxableAmount: 45, amount: 3.26 });
+    expect(result.totalAmount).toBe(57.75);
+  });
+
+  test('taxes shipping where the country does', async () => {
+    const result = await quote({ shippingAddress: address('Canada', 'ON') });
+
+    expect(result.shipping.zone).toBe('north-america');
+    expect(result.tax.taxableAmount).toBe(roundTo(45 + result.shipping.amount));
+    expect(result.tax.rate).toBe(0.13);
+  });
+
+  test('ships everywhere else at the international rate without tax', async () => {
+    const result = await quote({ shippingAddress: address('JP', 'Tokyo') });
+
+    expect(result.shipping.zone).toBe('international');
+    expect(result.tax).toMatchObject({ jurisdiction: 'JP', amount: 0 });
+  });
+
+  test('waives shipping through the free shipping discount', async () => {
+    jest.spyOn(Promotion, 'findOne').mockReturnValue({
+      session: async () => new Promotion({ code: 'SHIPFREE', type: 'free_shipping' }),
+    });
+
+    const result = await quote({ shippingAddress: address('US', 'NY'), promoCode: 'shipfree' });
+
+    expect(result.discounts).toEqual([expect.objectContaining({ code: 'SHIPFREE', amount: 9.49 })]);
+    expect(result.discountTotal).toBe(9.49);
+    expect(result.tax.taxableAmount).toBe(45);
+    expect(result.totalAmount).toBe(roundTo(45 + 1.8));
+  });
+
+  test('rejects addresses outside every zone', async () => {
+    setPricingSteps([itemsStep, createShippingStep([{ name: 'us', countries: ['US'], baseRate: 5 }]), totalStep]);
+
+    await expect(quote({ shippingAddress: address('FR') })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('runs the configured steps', async () => {
+    const flatTax = async (result) => {
+      result.tax = { jurisdiction: 'flat', rate: 0.1, amount: 4.5 };
+    };
+    setPricingSteps([itemsStep, createShippingStep([{ name: 'any', countries: ['*'], baseRate: 0 }]), flatTax, totalStep]);
+
+    const result = await quote({ shippingAddress: address('US', 'CA') });
+
+    expect(result.totalAmount).toBe(49.5);
+  });
+
+  test('the default tax step can use other rates', async () => {
+    setPricingSteps([
+      itemsStep,
+      createShippingStep([{ name: 'any', countries: ['*'], baseRate: 10 }]),
+      createTaxStep({ NL: { rate: 0.21, shipping: true } }),
+      totalStep,
+    ]);
+
+    const result = await quote({ shippingAddress: address('NL') });
+
+    expect(result.tax).toMatchObject({ jurisdiction: 'NL', taxableAmount: 55, amount: 11.55 });
+    expect(result.totalAmount).toBe(66.55);
+  });
+});
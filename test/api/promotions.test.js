@@ -0,0 +1,181 @@
+// test/api/promotions.test.js
+
+const mongoose = require('mongoose');
+const Promotion = require('../../models/Promotion');
+const Order = require('../../models/Order');
+const {
+  calculateDiscount,
+  applyPromotion,
+  redeemPromotion,
+  releasePromotions,
+} = require('../../utils/promotions');
+
+const id = () => new mongoose.Types.ObjectId();
+const rose = id();
+const tulip = id();
+const bouquets = id();
+
+const lines = [
+  { flower: rose, category: bouquets, quantity: 2, price: 10 },
+  { flower: tulip, category: id(), quantity: 1, price: 5 },
+];
+
+// Resolves like a query, whether or not .session() is chained
+const query = (value) => ({ session: () => Promise.resolve(value) });
+
+describe('Promotions', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('calculateDiscount', () => {
+    test('takes a percentage off every item, itemized per line', () => {
+      const discount = calculateDiscount({ type: 'percentage', value: 10 }, lines);
+
+      expect(discount).toEqual({
+        amount: 2.5,
+        freeShipping: false,
+        items: [{ index: 0, amount: 2 }, { index: 1, amount: 0.5 }],
+      });
+    });
+
+    test('limits the discount to the flowers and categories in scope', () => {
+      const discount = calculateDiscount({ type: 'percentage', value: 50, categories: [bouquets] }, lines);
+
+      expect(discount.items).toEqual([{ index: 0, amount: 10 }]);
+    });
+
+    test('spreads a fixed amount over the eligible lines in cents', () => {
+      const discount = calculateDiscount({ type: 'fixed', value: 10 }, [
+        { flower: rose, quantity: 1, price: 10 },
+        { flower: tulip, quantity: 1, price: 10 },
+        { flower: id(), quantity: 1, price: 10 },
+      ]);
+
+      expect(discount.amount).toBe(10);
+      expect(discount.items.map((item) => item.amount)).toEqual([3.33, 3.33, 3.34]);
+    });
+
+    test('never takes more than the eligible items cost', () => {
+      const discount = calculateDiscount({ type: 'fixed', value: 100, flowers: [tulip] }, lines);
+
+      expect(discount.amount).toBe(5);
+    });
+
+    test('gives the cheapest items away on buy X get Y', () => {
+      const discount = calculateDiscount({ type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 }, lines);
+
+      expect(discount.items).toEqual([{ index: 1, amount: 5 }]);
+    });
+
+    test('works out free units per line, even for huge quantities', () => {
+      const discount = calculateDiscount({ type: 'buy_x_get_y', buyQuantity: 1, getQuantity: 1, value: 50 }, [
+        { flower: rose, quantity: 1e9, price: 10 },
+        { flower: tulip, quantity: 3, price: 5 },
+      ]);
+
+      expect(discount.items).toEqual([{ index: 1, amount: 7.5 }, { index: 0, amount: 2499999990 }]);
+    });
+
+    test('quantities are capped in the request schemas', () => {
+      const { validatePromotionSchema } = require('../../validators/promotion/validatePromotionSchema');
+      const { MAX_ITEM_QUANTITY } = require('../../validators/order/quantitySchema');
+      const body = (quantity) => ({ code: 'B2G1', items: [{ flower: String(rose), quantity }] });
+
+      expect(validatePromotionSchema.validate(body(MAX_ITEM_QUANTITY)).error).toBeUndefined();
+      expect(validatePromotionSchema.validate(body(MAX_ITEM_QUANTITY + 1)).error).toBeDefined();
+    });
+
+    test('rejects buy X get Y without enough eligible items', () => {
+      expect(() =>
+        calculateDiscount({ code: 'B2G1', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1, flowers: [rose] }, lines)
+      ).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test('free shipping does not change the item prices', () => {
+      expect(calculateDiscount({ type: 'free_shipping' }, lines)).toEqual({ amount: 0, freeShipping: true, items: [] });
+    });
+
+    test('rejects codes that apply to none of the items', () => {
+      expect(() => calculateDiscount({ code: 'X', type: 'percentage', value: 10, flowers: [id()] }, lines))
+        .toThrow('does not apply to any item');
+    });
+  });
+
+  describe('applyPromotion', () => {
+    const promotion = (fields) => new Promotion({ code: 'spring10', type: 'percentage', value: 10, ...fields });
+    const apply = (subtotal = 25) => applyPromotion({ code: ' spring10 ', user: id(), lines, subtotal });
+
+    test('looks the code up case-insensitively and returns the order discount', async () => {
+      const findOne = jest.spyOn(Promotion, 'findOne').mockReturnValue(query(promotion()));
+
+      const { discount } = await apply();
+
+      expect(findOne).toHaveBeenCalledWith({ code: 'SPRING10' });
+      expect(discount).toMatchObject({ code: 'SPRING10', type: 'percentage', amount: 2.5 });
+    });
+
+    test('rejects unknown codes with a 404', async () => {
+      jest.spyOn(Promotion, 'findOne').mockReturnValue(query(null));
+
+      await expect(apply()).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test.each([
+      ['inactive', { isActive: false }, 'is not active'],
+      ['not started', { startsAt: new Date(Date.now() + 60000) }, 'is not valid until'],
+      ['expired', { endsAt: new Date(Date.now() - 60000) }, 'has expired'],
+      ['below the minimum order value', { minOrderValue: 30 }, 'at least 30'],
+    ])('rejects %s codes', async (name, fields, message) => {
+      jest.spyOn(Promotion, 'findOne').mockReturnValue(query(promotion(fields)));
+
+      await expect(apply()).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining(message) });
+    });
+
+    test('rejects codes that reached their usage limit', async () => {
+      jest.spyOn(Promotion, 'findOne').mockReturnValue(query(promotion({ usageLimit: 5, usageCount: 5 })));
+
+      await expect(apply()).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('counts the customer\'s orders that are not cancelled against the per-user limit', async () => {
+      const found = promotion({ perUserLimit: 1 });
+      jest.spyOn(Promotion, 'findOne').mockReturnValue(query(found));
+      const countDocuments = jest.spyOn(Order, 'countDocuments').mockReturnValue(query(1));
+
+      await expect(apply()).rejects.toMatchObject({ statusCode: 409 });
+      expect(countDocuments.mock.calls[0][0]).toMatchObject({
+        'discounts.promotion': found._id,
+        status: { $ne: 'cancelled' },
+      });
+    });
+  });
+
+  test('redeeming fails when the limit was reached in the meantime', async () => {
+    jest.spyOn(Promotion, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(redeemPromotion({ _id: id(), code: 'SPRING10' }, {})).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('cancelled orders give the promotion its use back', async () => {
+    const updateOne = jest.spyOn(Promotion, 'updateOne').mockResolvedValue({});
+    const promotionId = id();
+
+    await releasePromotions({ discounts: [{ promotion: promotionId, code: 'SPRING10' }] }, {});
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: promotionId, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } },
+      { session: {} }
+    );
+  });
+
+  test('the model checks the rules of each type', async () => {
+    await expect(new Promotion({ code: 'half', type: 'percentage', value: 150 }).validate())
+      .rejects.toMatchObject({ errors: { value: expect.anything() } });
+    await expect(new Promotion({ code: 'b2g1', type: 'buy_x_get_y', buyQuantity: 2 }).validate())
+      .rejects.toMatchObject({ errors: { buyQuantity: expect.anything() } });
+    await expect(new Promotion({ code: 'b2g1', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 }).validate())
+      .resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,267 @@
+// test/api/returns.test.js
+
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Order = require('../../models/Order');
+const Flower = require('../../models/Flower');
+const Payment = require('../../models/Payment');
+const ReturnRequest = require('../../models/ReturnRequest');
+const { createMockProvider, setPaymentProvider } = require('../../utils/payments');
+const { setStorage } = require('../../utils/storage');
+const { storeReturnPhotos, openReturn, approveReturn, rejectReturn } = require('../../utils/returns');
+const { getReturnPhoto } = require('../../controllers/returnController');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Two roses at 20 with 4 off, and a tulip at 10; 10% tax
+const deliveredOrder = (deliveredDaysAgo = 1) => {
+    const order = new Order({
+        user: new mongoose.Types.ObjectId(),
+        items: [
+            { flower: new mongoose.Types.ObjectId(), quantity: 2, priceAtPurchase: 20, discount: 4 },
+            { flower: new mongoose.Types.ObjectId(), quantity: 1, priceAtPurchase: 10 },
+        ],
+        subtotal: 50,
+        discountTotal: 4,
+        tax: { jurisdiction: 'XX', rate: 0.1, taxableAmount: 46, amount: 4.6 },
+        totalAmount: 50.6,
+        status: 'delivered',
+        paymentStatus: 'paid',
+        shippingAddress: { street: '1 Main St', city: 'Town', state: 'CA', zipCode: '1', country: 'US' },
+        statusHistory: [
+            { status: 'pending' },
+            { from: 'shipped', status: 'delivered', changedAt: new Date(Date.now() - deliveredDaysAgo * DAY) },
+        ],
+    });
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+    jest.spyOn(Order, 'findById').mockReturnValue({
+        session: () => ({ setOptions: async () => order }),
+    });
+    return order;
+};
+
+// The order's returns as the queries see them
+const mockReturns = (returns) => {
+    jest.spyOn(ReturnRequest, 'find').mockImplementation(() => ({ session: async () => returns() }));
+};
+
+describe('Returns', () => {
+    let saved;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn({}));
+        saved = [];
+        jest.spyOn(ReturnRequest.prototype, 'save').mockImplementation(async function() {
+            if (!saved.includes(this)) {
+                saved.push(this);
+            }
+            return this;
+        });
+        mockReturns(() => saved);
+    });
+
+    describe('opening a return', () => {
+        test('prices items at what was paid, after discounts and with tax', async () => {
+            const order = deliveredOrder();
+
+            const returnRequest = await openReturn(order, {
+                items: [{ line: 0, quantity: 1 }, { line: 1, quantity: 1 }],
+                reason: 'damaged',
+            });
+
+            expect(returnRequest.items.map((item) => item.amount)).toEqual([19.8, 11]);
+            expect(returnRequest).toMatchObject({ amount: 30.8, status: 'requested', user: order.user });
+            expect(order.returnStatus).toBe('requested');
+        });
+
+        test('only delivered orders within the return window can be returned', async () => {
+            const items = [{ line: 0, quantity: 1 }];
+
+            const late = deliveredOrder(8);
+            await expect(openReturn(late, { items, reason: 'wilted' }))
+                .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('7 days') });
+
+            const shipped = deliveredOrder();
+            shipped.status = 'shipped';
+            await expect(openReturn(shipped, { items, reason: 'wilted' })).rejects.toMatchObject({ statusCode: 409 });
+        });
+
+        test('items cannot be claimed twice', async () => {
+            const order = deliveredOrder();
+            await openReturn(order, { items: [{ line: 0, quantity: 1 }], reason: 'damaged' });
+
+            const error = await openReturn(order, {
+                items: [{ line: 0, quantity: 1 }, { line: 0, quantity: 1 }, { line: 5, quantity: 1 }],
+                reason: 'damaged',
+            }).catch((err) => err);
+
+            expect(error.statusCode).toBe(400);
+            expect(error.details).toEqual([
+                expect.objectContaining({ line: 0, requested: 2, available: 1 }),
+                expect.objectContaining({ line: 5 }),
+            ]);
+            expect(saved).toHaveLength(1);
+        });
+    });
+
+    describe('resolving a return', () => {
+        let provider;
+        let order;
+        let payment;
+        let returnRequest;
+
+        beforeEach(async () => {
+            provider = createMockProvider({ secret: 'test-secret' });
+            setPaymentProvider(provider);
+
+            order = deliveredOrder();
+            const { id } = await provider.authorize({ amount: 50.6, paymentMethod: 'pm_card_visa' });
+            await provider.capture(id, 50.6);
+            payment = new Payment({
+                order: order._id, user: order.user, provider: 'mock', providerPaymentId: id,
+                amount: 50.6, amountCaptured: 50.6, currency: 'usd', status: 'captured',
+            });
+            jest.spyOn(payment, 'save').mockResolvedValue(payment);
+            jest.spyOn(Payment, 'find').mockReturnValue({ sort: async () => [payment] });
+
+            returnRequest = await openReturn(order, { items: [{ line: 0, quantity: 2 }], reason: 'damaged' });
+            jest.spyOn(ReturnRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+        });
+
+        test('refunds go back through the payment and restock on request', async () => {
+            jest.spyOn(Flower, 'updateOne').mockResolvedValue({});
+
+            await approveReturn(returnRequest, { resolution: 'refund', restock: true, note: 'Sorry!' });
+
+            expect(payment).toMatchObject({ status: 'partially_refunded', amountRefunded: 39.6 });
+            expect(returnRequest).toMatchObject({ status: 'approved' });
+            expect(returnRequest.resolution).toMatchObject({ type: 'refund', refundAmount: 39.6, restocked: true });
+            expect(order).toMatchObject({ returnStatus: 'partially_returned', refundTotal: 39.6 });
+            expect(Flower.updateOne).toHaveBeenCalledWith(
+                { _id: String(order.items[0].flower) },
+                { $inc: { stock: 2 } },
+                expect.anything()
+            );
+        });
+
+        test('a refund the payments cannot cover leaves the return open', async () => {
+            await expect(approveReturn(returnRequest, { resolution: 'refund', refundAmount: 60 }))
+                .rejects.toMatchObject({ statusCode: 409 });
+
+            expect(returnRequest.status).toBe('requested');
+            expect(payment.amountRefunded).toBe(0);
+            expect(ReturnRequest.updateOne).toHaveBeenLastCalledWith(
+                { _id: returnRequest._id, status: 'approving' },
+                { $set: { status: 'requested' } }
+            );
+        });
+
+        test('concurrent approvals refund once', async () => {
+            ReturnRequest.updateOne
+                .mockResolvedValueOnce({ modifiedCount: 1 })
+                .mockResolvedValueOnce({ modifiedCount: 0 });
+
+            const results = await Promise.allSettled([
+                approveReturn(returnRequest, { resolution: 'refund' }),
+                approveReturn(returnRequest, { resolution: 'refund' }),
+            ]);
+
+            expect(results.map((result) => result.status)).toEqual(['fulfilled', 'rejected']);
+            expect(results[1].reason.statusCode).toBe(409);
+            expect(ReturnRequest.updateOne).toHaveBeenCalledWith(
+                { _id: returnRequest._id, status: 'requested' },
+                { $set: { status: 'approving' } },
+                { session: undefined }
+            );
+            expect(payment.amountRefunded).toBe(39.6);
+        });
+
+        test('replacements are free orders that go straight to processing', async () => {
+            jest.spyOn(Flower, 'findOneAndUpdate').mockResolvedValue({});
+            jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+                return this;
+            });
+
+            await approveReturn(returnRequest, { resolution: 'replacement' });
+
+            const replacement = Order.prototype.save.mock.contexts.find((doc) => doc !== order);
+            expect(replacement).toMatchObject({
+                status: 'processing',
+                totalAmount: 0,
+                discountTotal: 40,
+                replacementFor: order._id,
+            });
+            expect(replacement.items[0]).toMatchObject({ quantity: 2, priceAtPurchase: 20, discount: 40 });
+            expect(returnRequest.resolution.replacementOrder).toEqual(replacement._id);
+            expect(order.refundTotal).toBe(0);
+        });
+
+        test('rejected returns free their items again', async () => {
+            mockReturns(() => saved.filter((doc) => doc.status !== 'rejected'));
+
+            await rejectReturn(returnRequest, { note: 'Photos show no damage' });
+
+            expect(returnRequest.status).toBe('rejected');
+            expect(order.returnStatus).toBe('none');
+            await expect(approveReturn(returnRequest, { resolution: 'refund' })).rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    describe('photos', () => {
+        const memoryStorage = (files, url) => ({
+            save: async (key, buffer) => {
+                files.set(key, buffer);
+                return url && `${url}/${key}`;
+            },
+            read: async (key) => files.get(key),
+            remove: async (key) => {
+                files.delete(key);
+            },
+        });
+
+        let publicFiles;
+        let privateFiles;
+
+        beforeEach(() => {
+            publicFiles = new Map();
+            privateFiles = new Map();
+            setStorage(memoryStorage(publicFiles, 'https://cdn.test'));
+            setStorage(memoryStorage(privateFiles), { private: true });
+        });
+
+        test('are stored privately and served only to whoever may see the return', async () => {
+            const buffer = await sharp({ create: { width: 60, height: 40, channels: 3, background: '#c0304a' } })
+                .png()
+                .toBuffer();
+            const [photo] = await storeReturnPhotos([{ buffer, mimetype: 'image/png', size: buffer.length, originalname: 'box.png' }]);
+
+            expect(publicFiles.size).toBe(0);
+            expect(privateFiles.size).toBe(4);
+            const file = photo.key.replace('returns/', '');
+            expect(photo.url).toBe(`/api/returns/photos/${file}`);
+            expect(photo.thumbnails.every((thumbnail) => thumbnail.url.startsWith('/api/returns/photos/'))).toBe(true);
+
+            const returnRequest = new ReturnRequest({ user: new mongoose.Types.ObjectId(), photos: [photo] });
+            jest.spyOn(ReturnRequest, 'findOne').mockResolvedValue(returnRequest);
+            const response = () => {
+                const res = { set: jest.fn(), type: jest.fn() };
+                res.status = jest.fn(() => res);
+                res.send = jest.fn(() => res);
+                return res;
+            };
+
+            const next = jest.fn();
+            await getReturnPhoto({ params: { file }, user: { _id: new mongoose.Types.ObjectId(), role: 'customer' } }, response(), next);
+            expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+
+            const res = response();
+            await getReturnPhoto({ params: { file }, user: { _id: returnRequest.user, role: 'customer' } }, res, jest.fn());
+            expect(ReturnRequest.findOne).toHaveBeenCalledWith({
+                $or: [{ 'photos.key': photo.key }, { 'photos.thumbnails.key': photo.key }],
+            });
+            expect(res.type).toHaveBeenCalledWith('image/png');
+            expect(res.send).toHaveBeenCalledWith(buffer);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+// test/api/reviews.test.js
+
+const mongoose = require('mongoose');
+const Review = require('../../models/Review');
+const Flower = require('../../models/Flower');
+const Order = require('../../models/Order');
+const { createReview, updateReview } = require('../../controllers/reviewController');
+
+const flowerId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+const selectable = (value) => ({ select: async () => value });
+
+const run = async (handler, req) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  await handler({ params: {}, body: {}, user: { _id: userId }, ...req }, res, next);
+  return { res, next };
+};
+
+describe('Reviews', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(Flower, 'findById').mockReturnValue(selectable({ _id: flowerId }));
+    jest.spyOn(Flower, 'updateOne').mockResolvedValue({});
+  });
+
+  test('updateFlowerRating stores the average and count of approved reviews', async () => {
+    const aggregate = jest.spyOn(Review, 'aggregate').mockResolvedValue([{ average: 13 / 3, count: 3 }]);
+
+    await Review.updateFlowerRating(flowerId);
+
+    expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: { flower: flowerId, status: 'approved' } });
+    expect(Flower.updateOne).toHaveBeenCalledWith(
+      { _id: flowerId },
+      { ratingAverage: 4.33, ratingCount: 3 },
+      { includeDeleted: true }
+    );
+  });
+
+  test('a flower without approved reviews has no rating', async () => {
+    jest.spyOn(Review, 'aggregate').mockResolvedValue([]);
+
+    await Review.updateFlowerRating(flowerId);
+
+    expect(Flower.updateOne.mock.calls[0][1]).toEqual({ ratingAverage: 0, ratingCount: 0 });
+  });
+
+  test('only customers with a delivered order containing the flower can review it', async () => {
+    const findOne = jest.spyOn(Order, 'findOne').mockReturnValue(selectable(null));
+
+    const { next } = await run(createReview, { params: { id: String(flowerId) }, body: { rating: 5 } });
+
+    expect(findOne).toHaveBeenCalledWith({ user: userId, status: 'delivered', 'items.flower': flowerId });
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  test('new reviews wait for moderation', async () => {
+    const orderId = new mongoose.Types.ObjectId();
+    jest.spyOn(Order, 'findOne').mockReturnValue(selectable({ _id: orderId }));
+    jest.spyOn(Review, 'exists').mockResolvedValue(null);
+    const create = jest.spyOn(Review, 'create').mockImplementation(async (data) => new Review(data));
+
+    const { res } = await run(createReview, { params: { id: String(flowerId) }, body: { rating: 4, title: 'Lovely' } });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ order: orderId, rating: 4 }));
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].data.status).toBe('pending');
+  });
+
+  test('editing an approved review sends it back to moderation', async () => {
+    const review = new Review({ user: userId, flower: flowerId, order: flowerId, rating: 5, status: 'approved' });
+    review.isNew = false;
+    jest.spyOn(Review, 'findById').mockResolvedValue(review);
+    jest.spyOn(review, 'save').mockResolvedValue(review);
+
+    const { res } = await run(updateReview, { params: { id: String(review._id) }, body: { rating: 2 } });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(review).toMatchObject({ rating: 2, status: 'pending', moderatedAt: undefined });
+    expect(review.save).toHaveBeenCalled();
+  });
+
+  test('only the author can edit a review', async () => {
+    const review = new Review({ user: new mongoose.Types.ObjectId(), flower: flowerId, order: flowerId, rating: 5 });
+    jest.spyOn(Review, 'findById').mockResolvedValue(review);
+
+    const { next } = await run(updateReview, { params: { id: String(review._id) }, body: { rating: 1 } });
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+  });
+});
@@ -0,0 +1,104 @@
+// test/api/softDelete.test.js
+
+const mongoose = require('mongoose');
+const softDelete = require('../../models/plugins/softDelete');
+const Order = require('../../models/Order');
+const Flower = require('../../models/Flower');
+const Category = require('../../models/Category');
+const User = require('../../models/User');
+const { purgeDeleted } = require('../../utils/purgeDeleted');
+
+const schema = new mongoose.Schema({ name: String });
+schema.plugin(softDelete);
+const Thing = mongoose.model('SoftDeleteThing', schema);
+
+// Runs the query middleware registered for an operation without a database
+const runPreHooks = (op, target) =>
+  new Promise((resolve, reject) => {
+    schema.s.hooks.execPre(op, target, [], (err) => (err ? reject(err) : resolve()));
+  });
+
+describe('softDelete plugin', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('queries skip soft-deleted documents by default', async () => {
+    const query = Thing.find({ name: 'Rose' });
+    await runPreHooks('find', query);
+
+    expect(query.getFilter()).toEqual({ name: 'Rose', deletedAt: null });
+  });
+
+  test('withDeleted() and explicit deletedAt filters see every document', async () => {
+    const all = Thing.countDocuments().withDeleted();
+    const deleted = Thing.find({ deletedAt: { $ne: null } });
+    await runPreHooks('countDocuments', all);
+    await runPreHooks('find', deleted);
+
+    expect(all.getFilter()).toEqual({});
+    expect(deleted.getFilter()).toEqual({ deletedAt: { $ne: null } });
+  });
+
+  test('aggregations keep a $text match as the first stage', async () => {
+    const aggregate = Thing.aggregate([{ $match: { $text: { $search: 'rose' } } }, { $limit: 5 }]);
+    await runPreHooks('aggregate', aggregate);
+
+    expect(aggregate.pipeline()[0]).toEqual({ $match: { $text: { $search: 'rose' }, deletedAt: null } });
+  });
+
+  test('aggregations without a leading $match get one', async () => {
+    const aggregate = Thing.aggregate([{ $group: { _id: null, count: { $sum: 1 } } }]);
+    await runPreHooks('aggregate', aggregate);
+
+    expect(aggregate.pipeline()[0]).toEqual({ $match: { deletedAt: null } });
+  });
+
+  test('softDelete records who deleted the document and restore clears it', async () => {
+    const thing = new Thing({ name: 'Tulip' });
+    const userId = new mongoose.Types.ObjectId();
+    jest.spyOn(thing, 'save').mockResolvedValue(thing);
+
+    await thing.softDelete(userId);
+    expect(thing.deletedAt).toBeInstanceOf(Date);
+    expect(thing.deletedBy).toEqual(userId);
+
+    await thing.restore();
+    expect(thing.deletedAt).toBeNull();
+    expect(thing.deletedBy).toBeNull();
+  });
+
+  test('purgeDeleted only removes documents deleted before the cutoff', () => {
+    const cutoff = new Date('2025-01-01');
+    const deleteMany = jest.spyOn(Thing, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+
+    Thing.purgeDeleted(cutoff);
+
+    expect(deleteMany).toHaveBeenCalledWith({ deletedAt: { $ne: null, $lte: cutoff } });
+  });
+
+  test('unique keys only cover documents that are not deleted', () => {
+    const uniqueIndexes = (model) => model.schema.indexes().filter(([, options]) => options.unique);
+
+    expect(uniqueIndexes(Category)).toEqual([
+      [{ name: 1 }, expect.objectContaining({ partialFilterExpression: { deletedAt: { $type: 'null' } } })],
+    ]);
+    expect(uniqueIndexes(User).map(([fields, options]) => [Object.keys(fields)[0], options.partialFilterExpression])).toEqual([
+      ['email', { deletedAt: { $type: 'null' } }],
+      ['googleId', { googleId: { $exists: true }, deletedAt: { $type: 'null' } }],
+      ['githubId', { githubId: { $exists: true }, deletedAt: { $type: 'null' } }],
+    ]);
+  });
+
+  test('the purge keeps deleted orders unless they have a retention period', async () => {
+    const now = new Date('2026-03-31T00:00:00Z');
+    const purges = [Order, Flower, Category, User].map((model) =>
+      jest.spyOn(model, 'purgeDeleted').mockResolvedValue({ deletedCount: 1 }));
+
+    expect(await purgeDeleted({ retentionDays: 30, now })).toEqual({ Flower: 1, Category: 1, User: 1 });
+    expect(Order.purgeDeleted).not.toHaveBeenCalled();
+    expect(Flower.purgeDeleted).toHaveBeenCalledWith(new Date('2026-03-01T00:00:00Z'));
+
+    await purgeDeleted({ retentionDays: 30, orderRetentionDays: 3650, now });
+    expect(Order.purgeDeleted).toHaveBeenCalledWith(new Date('2016-04-02T00:00:00Z'));
+    purges.forEach((purge) => purge.mockRestore());
+  });
+});
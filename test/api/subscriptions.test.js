@@ -0,0 +1,139 @@
+// test/api/subscriptions.test.js
+
+const mongoose = require('mongoose');
+const Flower = require('../../models/Flower');
+const Order = require('../../models/Order');
+const Subscription = require('../../models/Subscription');
+const { nextRunDate } = require('../../utils/subscriptionSchedule');
+const { runSubscription, runDueSubscriptions } = require('../../utils/subscriptions');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const category = new mongoose.Types.ObjectId();
+const rose = new Flower({ name: 'Rose', price: 20, stock: 0, category });
+const tulip = new Flower({ name: 'Tulip', price: 12, stock: 50, category });
+const peony = new Flower({ name: 'Peony', price: 18, stock: 10, category });
+
+const shippingAddress = { street: '1 Main St', city: 'Town', state: 'CA', zipCode: '1', country: 'US' };
+
+const newSubscription = (fields = {}) => new Subscription({
+    user: new mongoose.Types.ObjectId(),
+    items: [{ flower: rose._id, quantity: 6 }],
+    frequency: 'weekly',
+    startsAt: new Date('2026-03-02T09:00:00Z'),
+    nextRunAt: new Date('2026-03-02T09:00:00Z'),
+    shippingAddress,
+    ...fields,
+});
+
+describe('Subscriptions', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn({}));
+        const flowers = new Map([rose, tulip, peony].map((flower) => [String(flower._id), flower]));
+        jest.spyOn(Flower, 'findById').mockImplementation((id) => ({
+            withDeleted: async () => flowers.get(String(id)),
+            session: async () => flowers.get(String(id)),
+        }));
+        jest.spyOn(Flower, 'find').mockImplementation(async ({ stock }) =>
+            [...flowers.values()].filter((flower) => flower.stock >= stock.$gte)
+        );
+        jest.spyOn(Flower, 'findOneAndUpdate').mockResolvedValue(tulip);
+        jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+            return this;
+        });
+        jest.spyOn(Subscription.prototype, 'save').mockImplementation(async function() {
+            return this;
+        });
+    });
+
+    test('monthly runs keep to the day the subscription started on', () => {
+        const february = nextRunDate(new Date('2026-01-31T09:00:00Z'), 'monthly');
+        expect(february).toEqual(new Date('2026-02-28T09:00:00Z'));
+        expect(nextRunDate(february, 'monthly', 31)).toEqual(new Date('2026-03-31T09:00:00Z'));
+        expect(nextRunDate(february, 'biweekly')).toEqual(new Date('2026-03-14T09:00:00Z'));
+    });
+
+    test('skipping records the run and moves to the next one; cancelled subscriptions are final', () => {
+        const subscription = newSubscription();
+
+        subscription.skip(new Date('2026-03-01T00:00:00Z'));
+        expect(subscription.runs[0]).toMatchObject({ status: 'skipped', scheduledFor: new Date('2026-03-02T09:00:00Z') });
+        expect(subscription.nextRunAt).toEqual(new Date('2026-03-09T09:00:00Z'));
+
+        subscription.cancel();
+        expect(() => subscription.pause()).toThrow(expect.objectContaining({ statusCode: 409 }));
+        expect(() => subscription.skip()).toThrow(expect.objectContaining({ statusCode: 409 }));
+    });
+
+    test('resuming does not make up for runs missed while paused', () => {
+        const subscription = newSubscription();
+        subscription.pause();
+        expect(() => subscription.pause()).toThrow(expect.objectContaining({ statusCode: 409 }));
+
+        subscription.resume(new Date('2026-03-20T00:00:00Z'));
+
+        expect(subscription.status).toBe('active');
+        expect(subscription.nextRunAt).toEqual(new Date('2026-03-23T09:00:00Z'));
+    });
+
+    test('substitutes out of stock flowers with the closest price in the category', async () => {
+        const subscription = newSubscription();
+
+        const run = await runSubscription(subscription, { now: new Date('2026-03-02T10:00:00Z') });
+
+        expect(run).toMatchObject({ status: 'ordered', scheduledFor: new Date('2026-03-02T09:00:00Z') });
+        expect(run.substitutions).toEqual([
+            expect.objectContaining({ flower: rose._id, quantity: 6, substitute: peony._id }),
+        ]);
+        const [order] = Order.prototype.save.mock.contexts;
+        expect(run.order).toEqual(order._id);
+        expect(order).toMatchObject({ user: subscription.user, subscription: subscription._id, totalAmount: expect.any(Number) });
+        expect(order.items.map((item) => [item.flower, item.quantity])).toEqual([[peony._id, 6]]);
+    });
+
+    test('records a failed run when nothing can be sent', async () => {
+        const subscription = newSubscription({ allowSubstitutions: false });
+
+        const run = await runSubscription(subscription);
+
+        expect(run).toMatchObject({ status: 'failed', error: expect.stringContaining('in stock') });
+        expect(run.substitutions).toEqual([expect.objectContaining({ flower: rose._id })]);
+        expect(run.substitutions[0].substitute).toBeUndefined();
+        expect(Order.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test("the florist's choice varies between runs", async () => {
+        const subscription = newSubscription({ items: [], floristChoice: { category, quantity: 5, maxPrice: 19 } });
+
+        const first = await runSubscription(subscription);
+        const second = await runSubscription(subscription);
+
+        expect(first.items[0].flower).toEqual(tulip._id);
+        expect(second.items[0].flower).toEqual(peony._id);
+    });
+
+    test('the scheduler claims each due subscription before placing its order', async () => {
+        const now = new Date('2026-03-16T10:00:00Z');
+        const due = newSubscription();
+        const taken = newSubscription();
+        jest.spyOn(Subscription, 'find').mockImplementation(({ status }) => (status === 'paused'
+            ? Promise.resolve([])
+            : { sort: () => ({ limit: async () => [due, taken] }) }));
+        jest.spyOn(Subscription, 'findOneAndUpdate').mockImplementation(async ({ _id }, update) => {
+            if (_id !== due._id) {
+                return null;
+            }
+            due.nextRunAt = update.$set.nextRunAt;
+            return due;
+        });
+
+        const summary = await runDueSubscriptions({ now });
+
+        expect(summary).toEqual({ resumed: 0, ordered: 1, failed: 0 });
+        // Missed runs are placed once, and the schedule moves past now
+        expect(due.nextRunAt).toEqual(new Date('2026-03-23T09:00:00Z'));
+        expect(due.runs).toHaveLength(1);
+        expect(taken.runs).toHaveLength(0);
+    });
+});
@@ -1,12 +1,260 @@
-const request = require("supertest");
-const app = require("../app"); // Adjust based on your project setup
-const mongoose = require("mongoose");
-const Wishlist = require("../models/Wishlist");
-const Flower = require("../models/Flower");
-const User = require("../models/User");
-
-describe("Wishlist API", () => {
-  let testUser, testFlower;
-
-  beforeAll(async () => {
-    // Create
\ No newline at end of file
+// test/api/wishlist.test.js
+
+const mongoose = require('mongoose');
+const Wishlist = require('../../models/Wishlist');
+const Flower = require('../../models/Flower');
+const { placeOrder } = require('../../utils/placeOrder');
+const {
+    getWishlists,
+    addFlowerToWishlist,
+    reorderWishlist,
+    orderFromWishlist,
+    shareWishlist,
+    unshareWishlist,
+    getSharedWishlist,
+    purchaseFromSharedWishlist,
+} = require('../../controllers/wishlistController');
+
+jest.mock('../../utils/placeOrder', () => ({ placeOrder: jest.fn() }));
+
+const mockRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+const user = { _id: new mongoose.Types.ObjectId() };
+user.id = user._id.toString();
+
+const rose = new mongoose.Types.ObjectId();
+const tulip = new mongoose.Types.ObjectId();
+const lily = new mongoose.Types.ObjectId();
+
+const shippingAddress = { street: '1 Main St', city: 'Town', state: 'CA', zipCode: '1', country: 'US' };
+
+describe('Wishlist API', () => {
+    let wishlist;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        wishlist = new Wishlist({ user: user._id, name: 'Birthday', flowers: [rose, tulip, lily] });
+        jest.spyOn(Wishlist, 'findOne').mockImplementation(async ({ _id }) =>
+            (String(_id) === String(wishlist._id) ? wishlist : null));
+        jest.spyOn(Wishlist.prototype, 'save').mockImplementation(async function() {
+            return this;
+        });
+        jest.spyOn(Wishlist.prototype, 'populate').mockImplementation(async function() {
+            return this;
+        });
+        jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn({}));
+    });
+
+    const req = (fields = {}) => ({ user, params: { id: wishlist._id.toString() }, body: {}, ...fields });
+
+    test('creates the default wishlist for users without one', async () => {
+        jest.spyOn(Wishlist, 'find').mockReturnValue({
+            sort: () => ({ populate: async () => [] }),
+        });
+        jest.spyOn(Wishlist, 'create').mockImplementation(async (doc) => doc);
+        const res = mockRes();
+
+        await getWishlists({ user }, res, jest.fn());
+
+        expect(Wishlist.create).toHaveBeenCalledWith({ user: user.id, flowers: [] });
+        expect(res.json.mock.calls[0][0]).toMatchObject({ success: true, count: 1 });
+    });
+
+    test('a user can name several wishlists, each name once', () => {
+        const index = Wishlist.schema.indexes().find(([fields]) => fields.user === 1);
+
+        expect(index).toEqual([{ user: 1, name: 1 }, expect.objectContaining({ unique: true })]);
+    });
+
+    test('only finds wishlists of the authenticated user', async () => {
+        jest.spyOn(Flower, 'findById').mockResolvedValue({ _id: rose });
+        const res = mockRes();
+        const otherId = new mongoose.Types.ObjectId().toString();
+
+        await addFlowerToWishlist(req({ params: { id: otherId, flowerId: rose.toString() } }), res, jest.fn());
+
+        expect(Wishlist.findOne).toHaveBeenCalledWith({ _id: otherId, user: user.id });
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('refuses to add a flower twice', async () => {
+        jest.spyOn(Flower, 'findById').mockResolvedValue({ _id: rose });
+        const res = mockRes();
+
+        await addFlowerToWishlist(req({ params: { id: wishlist._id.toString(), flowerId: rose.toString() } }), res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(wishlist.flowers).toHaveLength(3);
+    });
+
+    test('reordering lists every flower of the wishlist exactly once', async () => {
+        const rejected = mockRes();
+        await reorderWishlist(req({ body: { flowers: [lily, rose, rose].map(String) } }), rejected, jest.fn());
+        expect(rejected.status).toHaveBeenCalledWith(400);
+
+        const res = mockRes();
+        await reorderWishlist(req({ body: { flowers: [lily, rose, tulip].map(String) } }), res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(wishlist.flowers.map(String)).toEqual([lily, rose, tulip].map(String));
+    });
+
+    test('ordering removes the ordered flowers from the wishlist', async () => {
+        placeOrder.mockResolvedValue({ _id: 'order1' });
+        const res = mockRes();
+
+        await orderFromWishlist(req({ body: { items: [{ flower: rose, quantity: 2 }], shippingAddress } }), res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(placeOrder).toHaveBeenCalledWith(
+            expect.objectContaining({ user: user._id, items: [{ flower: rose, quantity: 2 }], shippingAddress }),
+            {}
+        );
+        expect(wishlist.flowers.map(String)).toEqual([tulip, lily].map(String));
+    });
+
+    test('keepItems leaves the wishlist as it is, and other flowers cannot be ordered', async () => {
+        placeOrder.mockResolvedValue({ _id: 'order1' });
+
+        await orderFromWishlist(req({ body: { keepItems: true, shippingAddress } }), mockRes(), jest.fn());
+        expect(placeOrder.mock.calls[0][0].items).toHaveLength(3);
+        expect(wishlist.flowers).toHaveLength(3);
+
+        const res = mockRes();
+        await orderFromWishlist(req({ body: { items: [{ flower: new mongoose.Types.ObjectId(), quantity: 1 }] } }), res, jest.fn());
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(placeOrder).toHaveBeenCalledTimes(1);
+    });
+
+    test('a failed order leaves the wishlist unchanged', async () => {
+        placeOrder.mockRejectedValue(Object.assign(new Error('Insufficient stock'), { statusCode: 409 }));
+        const next = jest.fn();
+
+        await orderFromWishlist(req({ body: { shippingAddress } }), mockRes(), next);
+
+        expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+        expect(wishlist.flowers).toHaveLength(3);
+        expect(Wishlist.prototype.save).not.toHaveBeenCalled();
+    });
+});
+
+describe('Shared wishlists', () => {
+    const owner = new mongoose.Types.ObjectId();
+    let wishlist;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        wishlist = new Wishlist({ user: owner, name: 'Wedding', flowers: [rose, tulip] });
+        jest.spyOn(Wishlist.prototype, 'save').mockImplementation(async function() {
+            return this;
+        });
+        jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn({}));
+    });
+
+    test('sharing issues a new link each time and unsharing disables it', async () => {
+        jest.spyOn(Wishlist, 'findOne').mockResolvedValue(wishlist);
+        const res = mockRes();
+        const ownReq = { user: { _id: owner, id: owner.toString() }, params: { id: wishlist._id.toString() }, baseUrl: '/api/wishlist' };
+
+        await shareWishlist(ownReq, res, jest.fn());
+        const { shareToken, url } = res.json.mock.calls[0][0].data;
+        expect(shareToken.length).toBeGreaterThanOrEqual(32);
+        expect(url).toBe(`/api/wishlist/shared/${shareToken}`);
+
+        await shareWishlist(ownReq, mockRes(), jest.fn());
+        expect(wishlist.shareToken).not.toBe(shareToken);
+
+        await unshareWishlist(ownReq, mockRes(), jest.fn());
+        expect(wishlist.isPublic).toBe(false);
+        expect(wishlist.shareToken).toBeUndefined();
+    });
+
+    test('the public view needs the token of a shared wishlist and hides the owner\'s account', async () => {
+        const shared = {
+            name: 'Wedding',
+            user: { displayName: 'Ada', email: 'ada@example.com' },
+            flowers: [
+                { _id: rose, name: 'Rose', price: 20, stock: 0 },
+                { _id: tulip, name: 'Tulip', price: 12, stock: 5 },
+            ],
+            fulfillments: [{ flower: rose, quantity: 2 }],
+            populate: jest.fn(),
+            fulfilledQuantities: Wishlist.schema.methods.fulfilledQuantities,
+        };
+        jest.spyOn(Wishlist, 'findOne').mockImplementation(async ({ shareToken }) => (shareToken === 'token' ? shared : null));
+
+        const missing = mockRes();
+        await getSharedWishlist({ params: { token: 'guess' } }, missing, jest.fn());
+        expect(missing.status).toHaveBeenCalledWith(404);
+
+        const res = mockRes();
+        await getSharedWishlist({ params: { token: 'token' } }, res, jest.fn());
+
+        expect(Wishlist.findOne).toHaveBeenCalledWith({ shareToken: 'token', isPublic: true });
+        const view = res.json.mock.calls[0][0].data;
+        expect(view.owner).toBe('Ada');
+        expect(JSON.stringify(view)).not.toContain('ada@example.com');
+        expect(view.flowers).toEqual([
+            expect.objectContaining({ name: 'Rose', inStock: false, fulfilled: true, fulfilledQuantity: 2 }),
+            expect.objectContaining({ name: 'Tulip', inStock: true, fulfilled: false, fulfilledQuantity: 0 }),
+        ]);
+    });
+
+    describe('purchasing from a registry', () => {
+        const buyer = { _id: new mongoose.Types.ObjectId() };
+        const purchase = (body, user = buyer) => ({ user, params: { token: 'token' }, body: { shippingAddress, ...body } });
+
+        beforeEach(() => {
+            jest.spyOn(Wishlist, 'findOne').mockResolvedValue(wishlist);
+            jest.spyOn(Wishlist, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+            placeOrder.mockResolvedValue({ _id: 'order1' });
+        });
+
+        test('places the order and records it as fulfilled for the owner', async () => {
+            const res = mockRes();
+
+            await purchaseFromSharedWishlist(purchase({ items: [{ flower: rose.toString(), quantity: 2 }] }), res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(placeOrder.mock.calls[0][0]).toMatchObject({ user: buyer._id, shippingAddress });
+            const [filter, update] = Wishlist.updateOne.mock.calls[0];
+            expect(filter).toMatchObject({ _id: wishlist._id, isPublic: true, 'fulfillments.flower': { $nin: [rose.toString()] } });
+            expect(update.$push.fulfillments.$each).toEqual([
+                { flower: rose.toString(), quantity: 2, order: 'order1', purchasedBy: buyer._id },
+            ]);
+        });
+
+        test('refuses owners, flowers not in the registry and flowers already purchased', async () => {
+            wishlist.fulfillments.push({ flower: tulip, quantity: 1, order: new mongoose.Types.ObjectId(), purchasedBy: buyer._id });
+            const statuses = [];
+            for (const [body, user] of [
+                [{ items: [{ flower: rose.toString(), quantity: 1 }] }, { _id: owner }],
+                [{ items: [{ flower: lily.toString(), quantity: 1 }] }, buyer],
+                [{ items: [{ flower: tulip.toString(), quantity: 1 }] }, buyer],
+            ]) {
+                const res = mockRes();
+                await purchaseFromSharedWishlist(purchase(body, user), res, jest.fn());
+                statuses.push(res.status.mock.calls[0][0]);
+            }
+
+            expect(statuses).toEqual([400, 400, 409]);
+            expect(placeOrder).not.toHaveBeenCalled();
+        });
+
+        test('fails with a 409 when someone else purchased the flowers first', async () => {
+            Wishlist.updateOne.mockResolvedValue({ modifiedCount: 0 });
+            const next = jest.fn();
+
+            await purchaseFromSharedWishlist(purchase({ items: [{ flower: rose.toString(), quantity: 1 }] }), mockRes(), next);
+
+            expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+        });
+    });
+});
@@ -0,0 +1,78 @@
+const User = require('../models/User');
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country'];
+
+const addressError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// The copy of an address book entry an order keeps; later edits of the
+// address book do not change it
+const snapshot = (address) => ({
+    addressId: address._id,
+    label: address.label,
+    ...Object.fromEntries(ADDRESS_FIELDS.map((field) => [field, address[field]])),
+});
+
+/**
+ * Resolves addressId references of an order to the user's address book:
+ * the order's own addressId, and the addressId of each recipient. An order
+ * without recipients and without an address ships to the default address.
+ *
+ * @param {object} input - The placeOrder input
+ * @param {*} input.user - User whose address book addressId refers to
+ * @param {object} [input.shippingAddress]
+ * @param {*} [input.addressId] - In place of shippingAddress
+ * @param {Array<object>} [input.recipients] - Each with shippingAddress or addressId
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<{shippingAddress?: object, recipients?: Array<object>}>} The addresses
+ *   as copied onto the order, and the recipients with theirs
+ */
+const resolveOrderAddresses = async ({ user, shippingAddress, addressId, recipients }, session) => {
+    const hasRecipients = Boolean(recipients && recipients.length);
+    const needsBook = addressId ||
+        (!shippingAddress && !hasRecipients) ||
+        (hasRecipients && recipients.some((recipient) => recipient.addressId));
+    if (!needsBook) {
+        return { shippingAddress, recipients };
+    }
+
+    const owner = await User.findById(user).session(session);
+    const addresses = owner ? owner.addresses : [];
+    const lookup = (id, address) => {
+        if (!id) {
+            return address;
+        }
+        if (address) {
+            throw addressError('Send either a shipping address or an addressId, not both');
+        }
+        const entry = addresses.id(id);
+        if (!entry) {
+            throw addressError(`Address not found in the address book with ID ${id}`);
+        }
+        return snapshot(entry);
+    };
+
+    let orderAddress = lookup(addressId, shippingAddress);
+    if (!orderAddress && !hasRecipients) {
+        const defaultAddress = addresses.find((address) => address.isDefault);
+        if (!defaultAddress) {
+            throw addressError('A shipping address is required; the address book has no default address');
+        }
+        orderAddress = snapshot(defaultAddress);
+    }
+
+    return {
+        shippingAddress: orderAddress,
+        recipients: hasRecipients
+            ? recipients.map(({ addressId: recipientAddressId, ...recipient }) => ({
+                ...recipient,
+                shippingAddress: lookup(recipientAddressId, recipient.shippingAddress),
+            }))
+            : recipients,
+    };
+};
+
+module.exports = { resolveOrderAddresses };
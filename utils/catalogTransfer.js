@@ -0,0 +1,366 @@
+const { once } = require('events');
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Flower = require('../models/Flower');
+const { createCategorySchema } = require('../validators/category/createCategorySchema');
+const { createFlowerSchema } = require('../validators/flower/createFlowerSchema');
+const { parseCsv, formatCsvRow } = require('./csv');
+
+// Largest JSON or CSV body accepted by POST /flowers/import, far above the
+// default limit of other requests
+const IMPORT_BODY_LIMIT = `${Number(process.env.CATALOG_IMPORT_MAX_MB) || 5}mb`;
+
+// One row per flower, or one row per variant repeating the flower columns
+const CSV_COLUMNS = [
+    'sku', 'name', 'description', 'category', 'price', 'stock', 'imageUrl', 'isFeatured', 'weight',
+    'variantSku', 'variantPrice', 'variantStock', 'size', 'color', 'stemCount', 'variantWeight',
+];
+
+const importError = (message, statusCode, details) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+};
+
+// Drops empty CSV cells so they count as missing rather than as empty strings
+const compact = (object) =>
+    Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== ''));
+
+const skuKey = (sku) => (sku ? String(sku).trim().toUpperCase() : '');
+
+/**
+ * Turns CSV text into import rows. Rows sharing a SKU are one flower, each
+ * of them adding the variant in its variant columns; the flower columns are
+ * taken from the first of them.
+ * @param {string} text
+ * @returns {{categories: Array, flowers: Array<{row: number, data: object}>}}
+ */
+const parseCatalogCsv = (text) => {
+    const flowers = [];
+    const bySku = new Map();
+
+    for (const { line, values } of parseCsv(text)) {
+        const { variantSku, variantPrice, variantStock, size, color, stemCount, variantWeight, ...flowerValues } = values;
+        const key = skuKey(flowerValues.sku);
+
+        // A repeated SKU without a variant is a duplicate, reported by importCatalog
+        let entry = key && variantSku && bySku.get(key);
+        if (!entry) {
+            entry = { row: line, data: compact(flowerValues) };
+            flowers.push(entry);
+            if (key && !bySku.has(key)) bySku.set(key, entry);
+        }
+
+        if (variantSku) {
+            entry.data.variants = entry.data.variants || [];
+            entry.data.variants.push(compact({
+                sku: variantSku,
+                price: variantPrice,
+                stock: variantStock,
+                attributes: Object.keys(compact({ size, color, stemCount })).length
+                    ? compact({ size, color, stemCount })
+                    : undefined,
+                weight: variantWeight,
+            }));
+        }
+    }
+
+    return { categories: [], flowers };
+};
+
+/**
+ * Accepts `{ categories, flowers }` or a bare array of flowers.
+ * @param {*} body - Parsed JSON request body
+ * @returns {{categories: Array, flowers: Array<{row: number, data: object}>}}
+ */
+const parseCatalogJson = (body) => {
+    const { categories = [], flowers = [] } = Array.isArray(body) ? { flowers: body } : body || {};
+    if (!Array.isArray(categories) || !Array.isArray(flowers)) {
+        throw importError('categories and flowers must be arrays', 400);
+    }
+
+    const toRows = (list) => list.map((data, index) => ({ row: index + 1, data }));
+    return { categories: toRows(categories), flowers: toRows(flowers) };
+};
+
+const joiMessages = (error) => error.details.map((detail) => detail.message);
+
+// Mongoose validation on top of Joi catches the model's own rules (minimums,
+// unique variant SKUs) before anything is written
+const modelMessages = async (doc) => {
+    try {
+        await doc.validate();
+        return [];
+    } catch (err) {
+        if (err.name !== 'ValidationError') throw err;
+        return Object.values(err.errors).map((error) => error.message);
+    }
+};
+
+const planCategories = async (rows, categoriesByName, errors) => {
+    const plan = [];
+
+    for (const { row, data } of rows) {
+        const { value, error } = createCategorySchema.validate(
+            compact({ name: data.name, description: data.description }),
+            { abortEarly: false }
+        );
+        const rowErrors = error ? joiMessages(error) : [];
+
+        let parent = null;
+        if (data.parent) {
+            parent = categoriesByName.get(data.parent);
+            if (!parent) {
+                rowErrors.push(`Parent category ${data.parent} must exist or be listed before this category`);
+            }
+        }
+
+        const existing = value && categoriesByName.get(value.name);
+        if (existing && existing.deletedAt) {
+            rowErrors.push(`Category ${value.name} is deleted; restore it before importing into it`);
+        }
+
+        if (rowErrors.length) {
+            errors.push({ type: 'category', row, name: data.name, errors: rowErrors });
+            continue;
+        }
+
+        const category = existing || new Category({ name: value.name });
+        if (value.description !== undefined) category.description = value.description;
+        if (data.parent !== undefined) category.parentCategory = parent ? parent._id : null;
+
+        const action = category.isNew ? 'create' : category.isModified() ? 'update' : 'unchanged';
+        plan.push({ row, category, action });
+        categoriesByName.set(category.name, category);
+    }
+
+    return plan;
+};
+
+const planFlowers = async (rows, categoriesByName, errors) => {
+    const skus = rows.map(({ data }) => skuKey(data.sku)).filter(Boolean);
+    const existingFlowers = await Flower.find({ sku: { $in: skus } }).withDeleted();
+    const flowersBySku = new Map(existingFlowers.map((flower) => [flower.sku, flower]));
+
+    const plan = [];
+    const seen = new Set();
+
+    for (const { row, data } of rows) {
+        const sku = skuKey(data.sku);
+        const rowErrors = [];
+
+        if (!sku) {
+            rowErrors.push('"sku" is required for imports');
+        } else if (seen.has(sku)) {
+            rowErrors.push(`SKU ${sku} appears more than once in the import`);
+        }
+        seen.add(sku);
+
+        // Flowers already in an archived category may stay there, so an export
+        // always imports again, but no flower can be added to one
+        const existing = flowersBySku.get(sku);
+        const category = data.category && categoriesByName.get(data.category);
+        if (!data.category) {
+            rowErrors.push('"category" is required');
+        } else if (!category || category.deletedAt) {
+            rowErrors.push(`Category ${data.category} not found`);
+        } else if (category.archivedAt && !(existing && existing.category.equals(category._id))) {
+            rowErrors.push(`Category ${category.name} is archived`);
+        }
+
+        const fields = { ...data };
+        delete fields.category;
+        const { value, error } = createFlowerSchema.validate(
+            { isFeatured: false, ...fields, categoryId: category ? category._id.toString() : '' },
+            { abortEarly: false }
+        );
+        if (error) {
+            rowErrors.push(...joiMessages(error).filter((message) => !message.startsWith('"categoryId"')));
+        }
+
+        if (rowErrors.length) {
+            errors.push({ type: 'flower', row, sku: sku || undefined, name: data.name, errors: rowErrors });
+            continue;
+        }
+
+        const { categoryId, variants, ...flowerFields } = value;
+        const flower = existing || new Flower({ sku });
+
+        // Variants keep their _id by SKU so carts and orders still point at them
+        const variantIds = new Map((flower.variants || []).map((variant) => [variant.sku, variant._id]));
+        flower.set({
+            ...flowerFields,
+            sku,
+            category: category._id,
+            variants: (variants || []).map((variant) => ({
+                ...variant,
+                _id: variantIds.get(skuKey(variant.sku)),
+            })),
+        });
+        if (flower.deletedAt) {
+            flower.deletedAt = null;
+            flower.deletedBy = null;
+        }
+
+        const modelErrors = await modelMessages(flower);
+        if (modelErrors.length) {
+            errors.push({ type: 'flower', row, sku, name: data.name, errors: modelErrors });
+            continue;
+        }
+
+        const action = flower.isNew ? 'create' : flower.isModified() ? 'update' : 'unchanged';
+        plan.push({ row, flower, action });
+    }
+
+    return plan;
+};
+
+const count = (plan, action) => plan.filter((entry) => entry.action === action).length;
+
+/**
+ * Creates or updates categories (matched by name) and flowers (matched by
+ * SKU) from parsed import rows. Every row is validated with the same Joi
+ * schemas as the single-item endpoints plus the model's own rules; if any row
+ * is invalid nothing is written and a 400 error lists the errors per row.
+ * Valid imports are written in one transaction. A dry run only reports what
+ * would happen, including the row errors.
+ *
+ * Flowers refer to their category by name; a category must exist already or
+ * be part of the import. Flowers deleted earlier are restored when their SKU
+ * is imported again.
+ *
+ * @param {{categories: Array, flowers: Array}} catalog - From parseCatalogCsv or parseCatalogJson
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<object>} Summary of the import
+ */
+const importCatalog = async ({ categories, flowers }, { dryRun = false } = {}) => {
+    if (categories.length === 0 && flowers.length === 0) {
+        throw importError('The import contains no categories or flowers', 400);
+    }
+
+    const names = [
+        ...categories.flatMap(({ data }) => [data.name, data.parent]),
+        ...flowers.map(({ data }) => data.category),
+    ].filter((name) => typeof name === 'string');
+    const existingCategories = await Category.find({ name: { $in: names } }).withDeleted();
+    const categoriesByName = new Map(existingCategories.map((category) => [category.name, category]));
+
+    const errors = [];
+    const categoryPlan = await planCategories(categories, categoriesByName, errors);
+    const flowerPlan = await planFlowers(flowers, categoriesByName, errors);
+
+    const summary = {
+        dryRun,
+        categories: {
+            created: count(categoryPlan, 'create'),
+            updated: count(categoryPlan, 'update'),
+            unchanged: count(categoryPlan, 'unchanged'),
+        },
+        flowers: {
+            created: count(flowerPlan, 'create'),
+            updated: count(flowerPlan, 'update'),
+            unchanged: count(flowerPlan, 'unchanged'),
+        },
+        rows: flowerPlan.map(({ row, flower, action }) => ({ row, sku: flower.sku, name: flower.name, action })),
+        errors,
+    };
+
+    if (dryRun) {
+        return summary;
+    }
+    if (errors.length) {
+        throw importError(`Import rejected: ${errors.length} invalid row(s), nothing was imported`, 400, summary);
+    }
+
+    await mongoose.connection.transaction(async (session) => {
+        // In import order, so parents are saved before their subcategories
+        for (const { category, action } of categoryPlan) {
+            if (action !== 'unchanged') await category.save({ session });
+        }
+        for (const { flower, action } of flowerPlan) {
+            if (action !== 'unchanged') await flower.save({ session });
+        }
+    });
+
+    return summary;
+};
+
+// Streams chunks to the response, waiting whenever the client reads slower
+const write = async (res, chunk) => {
+    if (!res.write(chunk)) {
+        await once(res, 'drain');
+    }
+};
+
+const flowerCsvRows = (flower) => {
+    const base = [
+        flower.sku, flower.name, flower.description, flower.category && flower.category.name,
+        flower.price, flower.stock, flower.imageUrl, flower.isFeatured, flower.weight,
+    ];
+    if (!flower.variants || flower.variants.length === 0) {
+        return formatCsvRow(base);
+    }
+    return flower.variants
+        .map((variant) => {
+            const { size, color, stemCount } = variant.attributes || {};
+            return formatCsvRow([...base, variant.sku, variant.price, variant.stock, size, color, stemCount, variant.weight]);
+        })
+        .join('');
+};
+
+const flowerJson = (flower) => ({
+    sku: flower.sku,
+    name: flower.name,
+    description: flower.description,
+    category: flower.category && flower.category.name,
+    price: flower.price,
+    stock: flower.stock,
+    imageUrl: flower.imageUrl,
+    isFeatured: flower.isFeatured,
+    weight: flower.weight,
+    variants: (flower.variants || []).map(({ sku, price, stock, attributes, weight }) => ({ sku, price, stock, attributes, weight })),
+});
+
+/**
+ * Streams the whole catalog in the format importCatalog accepts, so an export
+ * can be edited and imported again: every flower has an SKU, see defaultSku
+ * in models/Flower. Flowers are read with a cursor rather than loaded all at
+ * once.
+ * @param {import('express').Response} res
+ * @param {'json'|'csv'} format
+ */
+const exportCatalog = async (res, format) => {
+    const cursor = Flower.find().sort({ _id: 1 }).populate('category', 'name').lean().cursor();
+
+    if (format === 'csv') {
+        await write(res, formatCsvRow(CSV_COLUMNS));
+        for await (const flower of cursor) {
+            await write(res, flowerCsvRows(flower));
+        }
+        return res.end();
+    }
+
+    // Parents before children, so the export imports in one pass
+    const categories = await Category.find().select('name description parentCategory ancestors').populate('parentCategory', 'name').lean();
+    categories.sort((a, b) => a.ancestors.length - b.ancestors.length || a.name.localeCompare(b.name));
+    const categoryRows = categories.map((category) => ({
+        name: category.name,
+        description: category.description,
+        parent: category.parentCategory ? category.parentCategory.name : null,
+    }));
+
+    await write(res, `{"categories":${JSON.stringify(categoryRows)},"flowers":[`);
+    let first = true;
+    for await (const flower of cursor) {
+        await write(res, (first ? '' : ',') + JSON.stringify(flowerJson(flower)));
+        first = false;
+    }
+    await write(res, ']}');
+    res.end();
+};
+
+module.exports = { IMPORT_BODY_LIMIT, CSV_COLUMNS, parseCatalogCsv, parseCatalogJson, importCatalog, exportCatalog };
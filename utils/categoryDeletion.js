@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Flower = require('../models/Flower');
+
+const DELETE_MODES = ['reassign', 'cascade', 'archive'];
+
+const deletionError = (message, statusCode, details) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+};
+
+const loadPlan = async (categoryId, { reassignTo, mode }, session) => {
+    if (mode && !DELETE_MODES.includes(mode)) {
+        throw deletionError(`mode must be one of ${DELETE_MODES.join(', ')}`, 400);
+    }
+    if (reassignTo && mode && mode !== 'reassign') {
+        throw deletionError(`reassignTo cannot be combined with mode=${mode}`, 400);
+    }
+    if (mode === 'reassign' && !reassignTo) {
+        throw deletionError('mode=reassign requires reassignTo', 400);
+    }
+    const action = reassignTo ? 'reassign' : mode || 'delete';
+
+    const category = await Category.findById(categoryId).session(session);
+    if (!category) {
+        throw deletionError(`Category not found with ID of ${categoryId}`, 404);
+    }
+
+    let target = null;
+    if (action === 'reassign') {
+        target = await Category.findById(reassignTo).session(session);
+        if (!target || target.archivedAt) {
+            throw deletionError(`Category to reassign flowers to not found with ID of ${reassignTo}`, 400);
+        }
+        if (target._id.equals(category._id)) {
+            throw deletionError('Cannot reassign flowers to the category being deleted', 400);
+        }
+    }
+
+    const flowers = await Flower.find({ category: category._id }).select('name').session(session);
+    const subcategories = await Category.find({ parentCategory: category._id }).select('name').session(session);
+    const descendantCount = await Category.countDocuments({ ancestors: category._id }).session(session);
+
+    return { action, category, target, flowers, subcategories, descendantCount };
+};
+
+const summarize = ({ action, category, target, flowers, subcategories, descendantCount }) => ({
+    category: { _id: category._id, name: category.name },
+    action,
+    ...(target && { reassignTo: { _id: target._id, name: target.name } }),
+    flowers: flowers.map((flower) => ({ _id: flower._id, name: flower.name })),
+    // Deleting moves direct subcategories up to the deleted category's parent;
+    // archiving archives the whole branch
+    subcategories: action === 'archive'
+        ? { archived: descendantCount }
+        : { moved: subcategories.map((sub) => ({ _id: sub._id, name: sub.name })), newParent: category.parentCategory },
+});
+
+const execute = async ({ action, category, target }, deletedBy, session) => {
+    const now = new Date();
+
+    if (action === 'archive') {
+        await Category.updateMany(
+            { $or: [{ _id: category._id }, { ancestors: category._id }], archivedAt: null },
+            { archivedAt: now, updatedAt: now },
+            { session }
+        );
+        return;
+    }
+
+    if (action === 'reassign') {
+        await Flower.updateMany(
+            { category: category._id },
+            { category: target._id, categoryName: target.name },
+            { session }
+        );
+    } else if (action === 'cascade') {
+        // Same deletedAt as the category so restoring it brings them back too
+        await Flower.updateMany({ category: category._id }, { deletedAt: now, deletedBy }, { session });
+    }
+
+    // Lift the subtree one level: children take over the parent and the
+    // deleted category drops out of every descendant's ancestor path
+    await Category.updateMany({ parentCategory: category._id }, { parentCategory: category.parentCategory }, { session });
+    await Category.updateMany({ ancestors: category._id }, { $pull: { ancestors: category._id } }, { session });
+    await Category.updateOne({ _id: category._id }, { deletedAt: now, deletedBy }, { session });
+};
+
+/**
+ * Soft deletes a category without leaving flowers pointing at it. Refuses
+ * with a 409 when the category still has flowers, unless they are reassigned
+ * to another category (reassignTo), deleted with it (mode=cascade), or the
+ * category is archived instead of deleted (mode=archive). Subcategories are
+ * moved up to the deleted category's parent.
+ *
+ * All changes happen in one transaction. With dryRun nothing is changed and
+ * the returned summary describes what would happen.
+ *
+ * @param {*} categoryId
+ * @param {object} [options]
+ * @param {*} [options.reassignTo] - Category ID that receives the flowers
+ * @param {'reassign'|'cascade'|'archive'} [options.mode]
+ * @param {boolean} [options.dryRun]
+ * @param {*} [options.deletedBy] - ID of the user deleting the category
+ * @returns {Promise<object>} Summary of the affected flowers and subcategories
+ */
+const deleteCategory = async (categoryId, options = {}) => {
+    let summary;
+
+    await mongoose.connection.transaction(async (session) => {
+        const plan = await loadPlan(categoryId, options, session);
+        summary = { ...summarize(plan), dryRun: Boolean(options.dryRun) };
+
+        if (plan.action === 'delete' && plan.flowers.length > 0) {
+            throw deletionError(
+                'Category still has flowers; pass reassignTo, mode=cascade or mode=archive',
+                409,
+                summary
+            );
+        }
+
+        if (!options.dryRun) {
+            await execute(plan, options.deletedBy || null, session);
+        }
+    });
+
+    return summary;
+};
+
+/**
+ * Restores a soft-deleted category together with the flowers deleted along
+ * with it. Its ancestor path is rebuilt, and it becomes a root category if
+ * its parent no longer exists.
+ * @param {*} categoryId
+ * @returns {Promise<{category: object, restoredFlowers: number}>}
+ */
+const restoreCategory = async (categoryId) => {
+    let result;
+
+    await mongoose.connection.transaction(async (session) => {
+        const category = await Category.findOne({ _id: categoryId, deletedAt: { $ne: null } }).session(session);
+        if (!category) {
+            throw deletionError(`Deleted category not found with ID of ${categoryId}`, 404);
+        }
+
+        if (category.parentCategory && !(await Category.exists({ _id: category.parentCategory }).session(session))) {
+            category.parentCategory = null;
+        }
+        category.markModified('parentCategory'); // The tree may have changed while it was deleted
+
+        const { deletedAt } = category;
+        await category.restore({ session });
+        const flowers = await Flower.updateMany(
+            { category: category._id, deletedAt },
+            { deletedAt: null, deletedBy: null },
+            { session }
+        );
+
+        result = { category, restoredFlowers: flowers.modifiedCount };
+    });
+
+    return result;
+};
+
+module.exports = { DELETE_MODES, deleteCategory, restoreCategory };
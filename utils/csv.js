@@ -0,0 +1,93 @@
+// Minimal RFC 4180 CSV support: comma separated, fields optionally quoted
+// with double quotes, quotes escaped by doubling them, CRLF or LF line ends
+
+/**
+ * Parses CSV text into one object per data row, keyed by the header row.
+ * Blank lines are skipped.
+ * @param {string} text
+ * @returns {Array<{line: number, values: Object<string, string>}>} Rows with
+ *          the 1-based line they start on, for error reporting
+ */
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        if (record.length > 1 || record[0] !== '') {
+            records.push({ line: recordLine, fields: record });
+        }
+        record = [];
+        recordLine = line;
+    };
+
+    const input = text.replace(/^\uFEFF/, ''); // Spreadsheet exports often start with a byte order mark
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            line++;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        const error = new Error(`Unterminated quoted field starting on line ${recordLine}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    if (field !== '' || record.length) {
+        endRecord();
+    }
+
+    const [header, ...rows] = records;
+    if (!header) {
+        return [];
+    }
+    const columns = header.fields.map((column) => column.trim());
+
+    return rows.map(({ line: rowLine, fields }) => ({
+        line: rowLine,
+        values: Object.fromEntries(columns.map((column, index) => [column, fields[index] ?? ''])),
+    }));
+};
+
+/**
+ * Formats one CSV line (with trailing newline), quoting fields when needed.
+ * null and undefined become empty fields.
+ * @param {Array<*>} values
+ * @returns {string}
+ */
+const formatCsvRow = (values) =>
+    values
+        .map((value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(',') + '\n';
+
+module.exports = { parseCsv, formatCsvRow };
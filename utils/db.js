@@ -1,9 +1,11 @@
 const mongoose = require('mongoose');
+const { runMigrations } = require('./migrations');
 
 const connectDB = async () => {
     try {
         await mongoose.connect(process.env.MONGODB_URL);
         console.log('MongoDB Atlas connected successfully!');
+        await runMigrations();
     } catch (err) {
         console.error('MongoDB connection error:', err.message);
         // Exit process with failure
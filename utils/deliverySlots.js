@@ -0,0 +1,242 @@
+const DeliveryZone = require('../models/DeliveryZone');
+const DeliverySlotBooking = require('../models/DeliverySlotBooking');
+
+// Slot times, same-day cutoffs and delivery dates are local to this timezone
+const DELIVERY_TIMEZONE = process.env.DELIVERY_TIMEZONE || 'UTC';
+
+// Most dates GET /delivery/slots lists at once
+const MAX_SLOT_RANGE_DAYS = 31;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const deliveryError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Dates are YYYY-MM-DD strings, so they compare and sort as text
+const dateValue = (date) => Date.parse(`${date}T00:00:00Z`);
+const addDays = (date, days) => new Date(dateValue(date) + days * DAY_MS).toISOString().slice(0, 10);
+const daysBetween = (from, to) => Math.round((dateValue(to) - dateValue(from)) / DAY_MS);
+const isDate = (date) => DATE_PATTERN.test(date) && !Number.isNaN(dateValue(date));
+
+/**
+ * The current date and time in DELIVERY_TIMEZONE.
+ * @param {Date} [now]
+ * @returns {{date: string, time: string}} As YYYY-MM-DD and HH:MM
+ */
+const localNow = (now = new Date()) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone: DELIVERY_TIMEZONE,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23',
+        }).formatToParts(now).map((part) => [part.type, part.value])
+    );
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+const zipMatches = (pattern, zipCode) => (pattern.endsWith('*')
+    ? zipCode.startsWith(pattern.slice(0, -1))
+    : zipCode === pattern);
+
+/**
+ * The active delivery zone serving a zip code. An exact zip code wins over
+ * prefixes, and a longer prefix over a shorter one.
+ * @param {string} zipCode
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<object|null>}
+ */
+const findDeliveryZone = async (zipCode, session) => {
+    const zip = String(zipCode || '').trim().toUpperCase();
+    const zones = await DeliveryZone.find({ isActive: true }).session(session);
+
+    let match = null;
+    let matchLength = -1;
+    for (const zone of zones) {
+        for (const pattern of zone.zipCodes) {
+            const length = pattern.endsWith('*') ? pattern.length - 1 : Infinity;
+            if (zipMatches(pattern, zip) && length > matchLength) {
+                match = zone;
+                matchLength = length;
+            }
+        }
+    }
+    return match;
+};
+
+const capacityFor = (zone, date, slot) => {
+    const overrides = zone.capacityOverrides.filter((override) => override.date === date);
+    const override = overrides.find((candidate) => candidate.slot && candidate.slot.equals(slot._id)) ||
+        overrides.find((candidate) => !candidate.slot);
+    return override ? override.capacity : slot.capacity;
+};
+
+// Why the zone cannot deliver on a date, or null if it can
+const closedReason = (zone, date, now) => {
+    if (date < now.date) {
+        return 'The date has passed';
+    }
+    if (daysBetween(now.date, date) > zone.maxDaysAhead) {
+        return `Deliveries can be booked at most ${zone.maxDaysAhead} days ahead`;
+    }
+    if (zone.blackoutDates.includes(date)) {
+        return 'No deliveries on this date';
+    }
+    if (!zone.weekdays.includes(new Date(dateValue(date)).getUTCDay())) {
+        return 'No deliveries on this day of the week';
+    }
+    if (date === now.date && (!zone.sameDayCutoff || now.time >= zone.sameDayCutoff)) {
+        return zone.sameDayCutoff
+            ? `Same-day deliveries must be booked before ${zone.sameDayCutoff}`
+            : 'No same-day deliveries';
+    }
+    return null;
+};
+
+// Today's slots close once they have started
+const hasStarted = (slot, date, now) => date === now.date && slot.start <= now.time;
+
+/**
+ * Lists the delivery slots of the zone serving a zip code for each date of a
+ * range, with their remaining capacity. Dates the zone does not deliver on
+ * are listed with the reason and no slots.
+ *
+ * @param {object} input
+ * @param {string} input.zipCode
+ * @param {string} [input.from] - YYYY-MM-DD, defaults to today
+ * @param {string} [input.to] - YYYY-MM-DD, defaults to a week from from
+ * @returns {Promise<{zone: object, timezone: string, dates: Array<object>}>}
+ */
+const listDeliverySlots = async ({ zipCode, from, to }) => {
+    const now = localNow();
+    const start = from || now.date;
+    const end = to || addDays(start, 6);
+    if (!isDate(start) || !isDate(end)) {
+        throw deliveryError('Dates must be formatted as YYYY-MM-DD', 400);
+    }
+    if (end < start) {
+        throw deliveryError('The end of the range cannot be before its start', 400);
+    }
+    if (daysBetween(start, end) >= MAX_SLOT_RANGE_DAYS) {
+        throw deliveryError(`At most ${MAX_SLOT_RANGE_DAYS} days can be listed at once`, 400);
+    }
+
+    const zone = await findDeliveryZone(zipCode);
+    if (!zone) {
+        throw deliveryError(`No scheduled deliveries to zip code ${zipCode}`, 404);
+    }
+
+    const bookings = await DeliverySlotBooking.find({ zone: zone._id, date: { $gte: start, $lte: end } });
+    const booked = new Map(bookings.map((booking) => [`${booking.date}:${booking.slot}`, booking.booked]));
+
+    const dates = [];
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+        const reason = closedReason(zone, date, now);
+        const slots = reason ? [] : zone.slots.map((slot) => {
+            const capacity = capacityFor(zone, date, slot);
+            const remaining = Math.max(0, capacity - (booked.get(`${date}:${slot._id}`) || 0));
+            return {
+                slot: slot._id,
+                start: slot.start,
+                end: slot.end,
+                capacity,
+                remaining,
+                available: remaining > 0 && !hasStarted(slot, date, now),
+            };
+        });
+        dates.push({
+            date,
+            available: slots.some((slot) => slot.available),
+            ...(reason && { reason }),
+            slots,
+        });
+    }
+
+    return { zone: { _id: zone._id, name: zone.name }, timezone: DELIVERY_TIMEZONE, dates };
+};
+
+/**
+ * Books a delivery slot for an order inside the given transaction. The
+ * booking only counts while the slot has capacity left, so concurrent orders
+ * cannot overbook it; a full slot is rejected with a 409 error.
+ *
+ * @param {object} input
+ * @param {{zipCode: string}} input.shippingAddress
+ * @param {{date: string, slot: *}} input.delivery - slot is the _id of one of the zone's slots
+ * @param {import('mongoose').ClientSession} session
+ * @returns {Promise<object>} The delivery as stored on the Order
+ */
+const bookDeliverySlot = async ({ shippingAddress, delivery }, session) => {
+    const zipCode = shippingAddress && shippingAddress.zipCode;
+    const zone = await findDeliveryZone(zipCode, session);
+    if (!zone) {
+        throw deliveryError(`No scheduled deliveries to zip code ${zipCode}`, 400);
+    }
+    if (!isDate(delivery.date)) {
+        throw deliveryError('Delivery date must be formatted as YYYY-MM-DD', 400);
+    }
+    const slot = zone.slots.find((candidate) => String(candidate._id) === String(delivery.slot));
+    if (!slot) {
+        throw deliveryError(`Delivery slot ${delivery.slot} is not offered in ${zone.name}`, 400);
+    }
+
+    const now = localNow();
+    const reason = closedReason(zone, delivery.date, now) ||
+        (hasStarted(slot, delivery.date, now) ? 'The delivery slot has already started' : null);
+    if (reason) {
+        throw deliveryError(`Cannot deliver on ${delivery.date}: ${reason}`, 400);
+    }
+
+    const key = { zone: zone._id, date: delivery.date, slot: slot._id };
+    await DeliverySlotBooking.updateOne(key, { $setOnInsert: { booked: 0 } }, { upsert: true, session });
+    const booking = await DeliverySlotBooking.findOneAndUpdate(
+        { ...key, booked: { $lt: capacityFor(zone, delivery.date, slot) } },
+        { $inc: { booked: 1 } },
+        { session, new: true }
+    );
+    if (!booking) {
+        throw deliveryError(`The ${slot.start}-${slot.end} delivery slot on ${delivery.date} is full`, 409);
+    }
+
+    return {
+        zone: zone._id,
+        zoneName: zone.name,
+        date: delivery.date,
+        slot: slot._id,
+        start: slot.start,
+        end: slot.end,
+    };
+};
+
+/**
+ * Frees the delivery slots booked by an order, its own or its recipients',
+ * e.g. when it is cancelled.
+ * @param {object} order
+ * @param {import('mongoose').ClientSession} session
+ */
+const releaseDeliverySlots = async (order, session) => {
+    const deliveries = [order.delivery, ...(order.recipients || []).map((recipient) => recipient.delivery)];
+    for (const delivery of deliveries) {
+        if (!delivery || !delivery.slot) {
+            continue;
+        }
+        await DeliverySlotBooking.updateOne(
+            { zone: delivery.zone, date: delivery.date, slot: delivery.slot, booked: { $gt: 0 } },
+            { $inc: { booked: -1 } },
+            { session }
+        );
+    }
+};
+
+module.exports = {
+    listDeliverySlots,
+    bookDeliverySlot,
+    releaseDeliverySlots,
+};
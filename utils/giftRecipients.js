@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+
+// Gift cards are printed, so messages must fit on one
+const GIFT_MESSAGE_MAX_LENGTH = 250;
+const GIFT_MESSAGE_MAX_LINES = 6;
+
+const MAX_RECIPIENTS = 10;
+
+// Words florists refuse to print, comma-separated
+const BLOCKED_WORDS = (process.env.GIFT_MESSAGE_BLOCKED_WORDS || '')
+    .split(',')
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean);
+
+// Control characters other than line breaks do not print
+const CONTROL_CHARACTERS = /[\u0000-\u0009\u000B-\u001F\u007F-\u009F]/;
+// Links cannot be followed on paper, and are how spam gets onto cards
+const LINKS = /(https?:\/\/|www\.|\S+@\S+\.\w{2,})/i;
+
+const recipientError = (message, details) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+};
+
+/**
+ * Checks a gift card message and returns it as it will be printed: trimmed,
+ * with Windows line breaks normalized. Throws a 400 error listing every
+ * problem otherwise.
+ * @param {string} message
+ * @returns {string|undefined} undefined for an empty message
+ */
+const normalizeGiftMessage = (message) => {
+    if (message === undefined || message === null) {
+        return undefined;
+    }
+    const text = String(message).replace(/\r\n?/g, '\n').trim();
+    if (!text) {
+        return undefined;
+    }
+
+    const problems = [];
+    if (text.length > GIFT_MESSAGE_MAX_LENGTH) {
+        problems.push(`Gift messages can be at most ${GIFT_MESSAGE_MAX_LENGTH} characters`);
+    }
+    if (text.split('\n').length > GIFT_MESSAGE_MAX_LINES) {
+        problems.push(`Gift messages can be at most ${GIFT_MESSAGE_MAX_LINES} lines`);
+    }
+    if (CONTROL_CHARACTERS.test(text)) {
+        problems.push('Gift messages cannot contain control characters');
+    }
+    if (LINKS.test(text)) {
+        problems.push('Gift messages cannot contain links or email addresses');
+    }
+    const words = new Set(text.toLowerCase().split(/[^\p{L}\p{N}']+/u));
+    if (BLOCKED_WORDS.some((word) => words.has(word))) {
+        problems.push('Gift message contains words we cannot print');
+    }
+
+    if (problems.length) {
+        throw recipientError('Invalid gift message', problems);
+    }
+    return text;
+};
+
+/**
+ * Splits an order into its recipients. An order without recipients ships
+ * all its items to shippingAddress. A single recipient may leave out items,
+ * shippingAddress and delivery to use the order's; with several recipients
+ * each lists its own items and address.
+ *
+ * @param {object} input - The placeOrder input
+ * @param {Array<object>} [input.items]
+ * @param {object} [input.shippingAddress]
+ * @param {object} [input.delivery]
+ * @param {Array<object>} [input.recipients] - name, phone, giftMessage, and optionally
+ *   shippingAddress, delivery and items
+ * @returns {{items: Array, shippingAddress: object, shipments?: Array<{shippingAddress: object, lines: number[]}>,
+ *   recipients: Array<object>}} items of every recipient in one list, shippingAddress of
+ *   the first recipient, shipments in the form quoteOrder takes and the recipients with
+ *   their gift messages checked, each with the positions of its items in items
+ */
+const splitRecipients = ({ items, shippingAddress, delivery, recipients }) => {
+    if (!recipients || recipients.length === 0) {
+        return { items, shippingAddress, recipients: [] };
+    }
+    if (recipients.length > MAX_RECIPIENTS) {
+        throw recipientError(`An order can have at most ${MAX_RECIPIENTS} recipients`);
+    }
+
+    const single = recipients.length === 1;
+    const ownItems = recipients.filter((recipient) => recipient.items && recipient.items.length);
+    if (ownItems.length && items && items.length) {
+        throw recipientError('Send items per recipient or for the whole order, not both');
+    }
+    if (!single && ownItems.length !== recipients.length) {
+        throw recipientError('Each recipient needs its items when an order has several recipients');
+    }
+    if (!single && delivery) {
+        throw recipientError('Book the delivery of each recipient separately');
+    }
+
+    const allItems = [];
+    const split = recipients.map((recipient, index) => {
+        const address = recipient.shippingAddress || (single ? shippingAddress : undefined);
+        if (!address) {
+            throw recipientError(`Recipient ${index + 1} needs a shipping address`);
+        }
+
+        const recipientItems = ownItems.length ? recipient.items : items || [];
+        const lines = recipientItems.map((item) => allItems.push(item) - 1);
+
+        return {
+            name: recipient.name,
+            phone: recipient.phone,
+            shippingAddress: address,
+            giftMessage: normalizeGiftMessage(recipient.giftMessage),
+            delivery: recipient.delivery || (single ? delivery : undefined),
+            lines,
+        };
+    });
+
+    return {
+        items: allItems,
+        shippingAddress: split[0].shippingAddress,
+        shipments: split.map(({ shippingAddress: address, lines }) => ({ shippingAddress: address, lines })),
+        recipients: split,
+    };
+};
+
+/**
+ * A random token for the link a recipient views their part of the order with.
+ * @returns {string}
+ */
+const createViewToken = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * What a recipient sees of an order: their items, gift message, address and
+ * delivery, and who sent it unless the sender stays anonymous. Prices, the
+ * other recipients and the sender's address book label are left out.
+ *
+ * @param {object} order - Order with items.flower and user populated
+ * @param {number} index - Position of the recipient in order.recipients
+ * @returns {object}
+ */
+const recipientView = (order, index) => {
+    const recipient = order.recipients[index];
+    const sender = order.user && order.user.displayName;
+
+    return {
+        order: order._id,
+        status: order.status,
+        from: order.anonymous ? null : sender || null,
+        recipient: { name: recipient.name },
+        giftMessage: recipient.giftMessage || null,
+        shippingAddress: recipient.shippingAddress && {
+            street: recipient.shippingAddress.street,
+            city: recipient.shippingAddress.city,
+            state: recipient.shippingAddress.state,
+            zipCode: recipient.shippingAddress.zipCode,
+            country: recipient.shippingAddress.country,
+        },
+        delivery: recipient.delivery && recipient.delivery.date ? recipient.delivery : null,
+        items: order.items
+            .filter((item) => item.recipient === index)
+            .map((item) => ({
+                flower: item.flower && item.flower.name
+                    ? { _id: item.flower._id, name: item.flower.name, imageUrl: item.flower.imageUrl }
+                    : item.flower,
+                ...(item.sku && { sku: item.sku, attributes: item.attributes }),
+                quantity: item.quantity,
+            })),
+    };
+};
+
+module.exports = {
+    normalizeGiftMessage,
+    splitRecipients,
+    createViewToken,
+    recipientView,
+};
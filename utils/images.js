@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { saveFile, removeFile } = require('./storage');
+
+// Accepted upload types and the format their content must decode as
+const IMAGE_TYPES = {
+    'image/jpeg': 'jpeg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+};
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+const MAX_IMAGE_MB = Number(process.env.MAX_IMAGE_SIZE_MB) || 5;
+const MAX_IMAGE_BYTES = MAX_IMAGE_MB * 1024 * 1024;
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Longest side of each generated thumbnail, in pixels
+const THUMBNAIL_SIZES = {
+    small: 150,
+    medium: 400,
+    large: 800,
+};
+
+const imageError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const imageKeys = (image) => [image.key, ...(image.thumbnails || []).map((thumbnail) => thumbnail.key)];
+
+// Cleanup is best effort: the records are gone already, a leftover file only costs space
+const removeKeys = async (keys, options) => {
+    for (const key of keys) {
+        try {
+            await removeFile(key, options);
+        } catch (err) {
+            console.error(`Removing stored file ${key} failed:`, err.message);
+        }
+    }
+};
+
+/**
+ * Removes the stored files (original and thumbnails) of flower images.
+ * @param {Array<{key: string, thumbnails?: Array<{key: string}>}>} images
+ * @param {{private?: boolean}} [options] - private for images stored privately
+ */
+const removeImageFiles = (images, options) => removeKeys(images.flatMap(imageKeys), options);
+
+const storeImage = async (file, alt, folder, options) => {
+    let metadata;
+    try {
+        metadata = await sharp(file.buffer).metadata();
+    } catch (err) {
+        throw imageError(`${file.originalname} is not a valid image`);
+    }
+    // The declared type comes from the client, so check the content agrees
+    if (metadata.format !== IMAGE_TYPES[file.mimetype]) {
+        throw imageError(`${file.originalname} is not a ${file.mimetype} image`);
+    }
+
+    const id = crypto.randomUUID();
+    const key = `${folder}/${id}.${EXTENSIONS[metadata.format]}`;
+    const stored = [];
+
+    try {
+        const url = await saveFile(key, file.buffer, file.mimetype, options);
+        stored.push(key);
+
+        const thumbnails = [];
+        for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+            const { data, info } = await sharp(file.buffer)
+                .rotate() // Apply the EXIF orientation of phone photos
+                .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+                .webp()
+                .toBuffer({ resolveWithObject: true });
+
+            const thumbnailKey = `${folder}/${id}-${name}.webp`;
+            thumbnails.push({
+                name,
+                key: thumbnailKey,
+                url: await saveFile(thumbnailKey, data, 'image/webp', options),
+                width: info.width,
+                height: info.height,
+            });
+            stored.push(thumbnailKey);
+        }
+
+        return {
+            key,
+            url,
+            alt,
+            mimeType: file.mimetype,
+            size: file.size,
+            width: metadata.width,
+            height: metadata.height,
+            thumbnails,
+        };
+    } catch (err) {
+        await removeKeys(stored, options);
+        throw err;
+    }
+};
+
+/**
+ * Validates uploaded image files, stores them with their thumbnails and
+ * returns the data for Flower images (or return request photos). If any
+ * file fails, the files stored for the others are removed again.
+ * @param {Array<{buffer: Buffer, mimetype: string, size: number, originalname: string}>} [files] - From multer
+ * @param {Array<string>} [alts] - Alt text per file, in the same order
+ * @param {string} [folder='flowers'] - Storage folder of the files
+ * @param {{private?: boolean}} [options] - private to keep the files out of public
+ *        storage; they then have no url
+ * @returns {Promise<Array<object>>}
+ */
+const storeImages = async (files = [], alts = [], folder = 'flowers', options) => {
+    const images = [];
+    try {
+        for (const [index, file] of files.entries()) {
+            images.push(await storeImage(file, alts[index], folder, options));
+        }
+    } catch (err) {
+        await removeImageFiles(images, options);
+        throw err;
+    }
+    return images;
+};
+
+module.exports = {
+    IMAGE_TYPES,
+    MAX_IMAGE_MB,
+    MAX_IMAGE_BYTES,
+    MAX_IMAGES_PER_UPLOAD,
+    THUMBNAIL_SIZES,
+    storeImages,
+    removeImageFiles,
+};
@@ -0,0 +1,22 @@
+const { hasPermission } = require('../config/roles');
+
+/**
+ * Whether a listing should also return soft-deleted documents. Only users
+ * holding the given permission may ask for them with ?includeDeleted=true.
+ * @param {object} req - Express request
+ * @param {string} permission - Permission required to see deleted documents
+ * @returns {boolean}
+ */
+const includeDeleted = (req, permission) => {
+    if (req.query.includeDeleted !== 'true') {
+        return false;
+    }
+    if (!hasPermission(req.user, permission)) {
+        const error = new Error(`includeDeleted requires the ${permission} permission`);
+        error.statusCode = 403;
+        throw error;
+    }
+    return true;
+};
+
+module.exports = { includeDeleted };
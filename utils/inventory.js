@@ -0,0 +1,89 @@
+const Flower = require('../models/Flower');
+
+// Sum quantities per flower (and variant) so an order listing the same
+// flower twice is checked against the stock once
+const groupQuantities = (items) => {
+    const groups = new Map();
+    for (const item of items) {
+        const flowerId = String(item.flower._id || item.flower);
+        const variantId = item.variant ? String(item.variant._id || item.variant) : null;
+        const key = variantId ? `${flowerId}:${variantId}` : flowerId;
+
+        const group = groups.get(key) || { flowerId, variantId, quantity: 0 };
+        // Request bodies reach here unconverted, so "2" must not concatenate
+        group.quantity += Number(item.quantity);
+        groups.set(key, group);
+    }
+    return groups.values();
+};
+
+/**
+ * Decrements stock for every line item inside the given transaction session.
+ * Each decrement only matches while enough stock is left, so concurrent orders
+ * cannot oversell. Items with a variant draw from that variant's stock (and
+ * the flower's total). When any flower is short the whole reservation fails
+ * with a 409 error whose `details` list every insufficient flower; throwing
+ * aborts the transaction and rolls back the decrements already applied.
+ *
+ * @param {Array<{flower: *, variant?: *, quantity: number}>} items
+ * @param {import('mongoose').ClientSession} session
+ */
+const reserveStock = async (items, session) => {
+    const shortages = [];
+
+    for (const { flowerId, variantId, quantity } of groupQuantities(items)) {
+        const reserved = variantId
+            ? await Flower.findOneAndUpdate(
+                { _id: flowerId, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } },
+                { $inc: { 'variants.$.stock': -quantity, stock: -quantity } },
+                { session, new: true }
+            )
+            : await Flower.findOneAndUpdate(
+                { _id: flowerId, stock: { $gte: quantity } },
+                { $inc: { stock: -quantity } },
+                { session, new: true }
+            );
+
+        if (!reserved) {
+            const flower = await Flower.findById(flowerId).select('name stock variants').session(session);
+            const variant = variantId && flower ? flower.variants.id(variantId) : null;
+            const source = variantId ? variant : flower;
+            shortages.push({
+                flower: flowerId,
+                ...(variantId && { variant: variantId, sku: variant ? variant.sku : undefined }),
+                name: flower ? flower.name : undefined,
+                requested: quantity,
+                available: source ? source.stock : 0,
+            });
+        }
+    }
+
+    if (shortages.length) {
+        const error = new Error('Insufficient stock for one or more flowers');
+        error.statusCode = 409;
+        error.details = shortages;
+        throw error;
+    }
+};
+
+/**
+ * Returns the stock held by the given line items, e.g. when an order is cancelled.
+ * @param {Array<{flower: *, variant?: *, quantity: number}>} items
+ * @param {import('mongoose').ClientSession} session
+ */
+const releaseStock = async (items, session) => {
+    for (const { flowerId, variantId, quantity } of groupQuantities(items)) {
+        // Deleted flowers get their stock back too, in case they are restored
+        if (variantId) {
+            await Flower.updateOne(
+                { _id: flowerId, 'variants._id': variantId },
+                { $inc: { 'variants.$.stock': quantity, stock: quantity } },
+                { session, includeDeleted: true }
+            );
+        } else {
+            await Flower.updateOne({ _id: flowerId }, { $inc: { stock: quantity } }, { session, includeDeleted: true });
+        }
+    }
+};
+
+module.exports = { reserveStock, releaseStock };
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const unauthorized = (message) => {
+    const error = new Error(message);
+    error.statusCode = 401;
+    return error;
+};
+
+/**
+ * Whether access tokens can be issued, i.e. JWT_SECRET is set.
+ * @returns {boolean}
+ */
+const isJwtConfigured = () => Boolean(process.env.JWT_SECRET);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Signs a short-lived access token for the user, verified by the JWT strategy.
+ * @param {{id: string, role?: string}} user
+ * @returns {string}
+ */
+const generateToken = (user) => {
+    if (!isJwtConfigured()) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return jwt.sign({ id: user.id, role: user.role }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL,
+    });
+};
+
+const createRefreshToken = async (user, family) => {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const record = await RefreshToken.create({
+        user: user._id,
+        tokenHash: hashToken(token),
+        family: family || crypto.randomUUID(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+    return { token, record };
+};
+
+const tokenResponse = (user, refreshToken) => ({
+    tokenType: 'Bearer',
+    accessToken: generateToken(user),
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshToken,
+});
+
+/**
+ * Issues a new access/refresh token pair starting a new refresh token family.
+ * @param {import('mongoose').Document} user
+ */
+const issueTokens = async (user) => {
+    const { token } = await createRefreshToken(user);
+    return tokenResponse(user, token);
+};
+
+/**
+ * Exchanges a refresh token for a new pair. The presented token is revoked
+ * (single use); presenting an already revoked token is treated as theft and
+ * revokes every token of its family.
+ * @param {string} refreshToken
+ */
+const rotateRefreshToken = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // Atomically claim the token so two concurrent refreshes cannot both succeed
+    const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { revokedAt: now }
+    );
+
+    if (!current) {
+        const reused = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } });
+        if (reused) {
+            await RefreshToken.updateMany(
+                { family: reused.family, revokedAt: null },
+                { revokedAt: now }
+            );
+            throw unauthorized('Refresh token reuse detected, please log in again');
+        }
+        throw unauthorized('Invalid or expired refresh token');
+    }
+
+    const user = await User.findById(current.user);
+    if (!user) {
+        throw unauthorized('Invalid or expired refresh token');
+    }
+
+    const { token, record } = await createRefreshToken(user, current.family);
+    await RefreshToken.updateOne({ _id: current._id }, { replacedBy: record._id });
+
+    return tokenResponse(user, token);
+};
+
+/**
+ * Revokes the family of the given refresh token (logs out that device).
+ * @param {string} refreshToken
+ * @returns {Promise<boolean>} Whether the token was known
+ */
+const revokeRefreshToken = async (refreshToken) => {
+    const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (!record) {
+        return false;
+    }
+    await RefreshToken.updateMany({ family: record.family, revokedAt: null }, { revokedAt: new Date() });
+    return true;
+};
+
+/**
+ * Revokes every refresh token of a user (logs out all devices).
+ * @param {*} userId
+ */
+const revokeAllRefreshTokens = (userId) =>
+    RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+
+module.exports = {
+    isJwtConfigured,
+    generateToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllRefreshTokens,
+};
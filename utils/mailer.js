@@ -0,0 +1,85 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing email. With SMTP_HOST set, server.js installs an SMTP transport on
+// startup (configureMailTransport). Without it, development and tests write
+// messages to the log, so the verification and password reset flows work
+// without a mail server; anywhere else the server refuses to start: the
+// messages carry login tokens that must not reach the logs.
+const LOG_TRANSPORT_ENVIRONMENTS = ['development', 'test'];
+
+const logTransport = async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+};
+
+let transport = null;
+
+// Read on every send: .env is only loaded after this module
+const currentTransport = () =>
+    transport || (LOG_TRANSPORT_ENVIRONMENTS.includes(process.env.NODE_ENV) ? logTransport : null);
+
+/**
+ * Replaces how messages are delivered.
+ * @param {(message: {to: string, subject: string, text: string}) => Promise<void>} fn
+ */
+const setTransport = (fn) => {
+    transport = fn;
+};
+
+/**
+ * An SMTP transport from SMTP_HOST, SMTP_PORT (587 by default), SMTP_SECURE
+ * ("true" for TLS from the start, as on port 465), SMTP_USER, SMTP_PASS and
+ * MAIL_FROM.
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {((message: {to: string, subject: string, text: string}) => Promise<void>)|null} null without SMTP_HOST
+ */
+const createSmtpTransport = (env = process.env) => {
+    if (!env.SMTP_HOST) {
+        return null;
+    }
+    const transporter = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+    });
+    const from = env.MAIL_FROM || 'BlossomHub <no-reply@blossomhub.local>';
+
+    return async (message) => {
+        await transporter.sendMail({ from, ...message });
+    };
+};
+
+/**
+ * Installs the SMTP transport when SMTP_HOST is set; server.js calls it on startup.
+ */
+const configureMailTransport = () => {
+    const smtp = createSmtpTransport();
+    if (smtp) {
+        setTransport(smtp);
+    }
+};
+
+/**
+ * Throws unless messages can be delivered; server.js calls it on startup.
+ */
+const assertMailTransport = () => {
+    if (!currentTransport()) {
+        throw new Error('No mail transport configured: set SMTP_HOST, or NODE_ENV=development to log emails');
+    }
+};
+
+/**
+ * @param {{to: string, subject: string, text: string}} message
+ */
+const sendMail = async (message) => {
+    assertMailTransport();
+    return currentTransport()(message);
+};
+
+module.exports = {
+    sendMail,
+    setTransport,
+    createSmtpTransport,
+    configureMailTransport,
+    assertMailTransport,
+};
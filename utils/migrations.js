@@ -0,0 +1,156 @@
+const path = require('path');
+const Flower = require('../models/Flower');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const Wishlist = require('../models/Wishlist');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const ReturnRequest = require('../models/ReturnRequest');
+const { saveFile, readFile, removeFile } = require('./storage');
+const { RETURN_PHOTO_URL } = require('./returns');
+
+// Indexes of a collection; none before its first document
+const existingIndexes = (model) => model.collection.indexes().catch((err) => {
+    if (err.codeName === 'NamespaceNotFound') {
+        return [];
+    }
+    throw err;
+});
+
+// Data changes the current models rely on. Each migration only touches the
+// documents that still need it, so all of them run on every start.
+const migrations = [
+    {
+        name: 'flower category names',
+        // categoryName is a copy of the category name for catalog search;
+        // flowers saved before it existed have none
+        up: async () => {
+            const categoryIds = await Flower.distinct('category', { categoryName: { $exists: false } });
+            for (const categoryId of categoryIds) {
+                const category = await Category.findById(categoryId).select('name');
+                if (category) {
+                    await Flower.updateMany(
+                        { category: categoryId, categoryName: { $exists: false } },
+                        { categoryName: category.name }
+                    );
+                }
+            }
+        },
+    },
+    {
+        name: 'flower skus',
+        // Imports match flowers by SKU; flowers saved before SKUs existed get
+        // the one new flowers without an SKU get
+        up: async () => {
+            const flowers = await Flower.collection.find({ sku: null }, { projection: { _id: 1 } }).toArray();
+            if (flowers.length) {
+                await Flower.collection.bulkWrite(flowers.map(({ _id }) => ({
+                    updateOne: { filter: { _id, sku: null }, update: { $set: { sku: Flower.defaultSku(_id) } } },
+                })));
+            }
+        },
+    },
+    {
+        name: 'category parent field',
+        // The parent of a category was stored as parent, which hid Mongoose's
+        // Document#parent(); it is now parentCategory
+        up: async () => {
+            await Category.collection.updateMany(
+                { parent: { $exists: true } },
+                { $rename: { parent: 'parentCategory' } }
+            );
+        },
+    },
+    {
+        name: 'admin roles',
+        // Roles replaced the isAdmin flag; users flagged as admins keep their
+        // rights. isAdmin is no longer in the schema, hence the raw collection.
+        up: async () => {
+            await User.collection.updateMany({ isAdmin: true }, { $set: { role: 'admin' } });
+            await User.collection.updateMany({ isAdmin: { $exists: true } }, { $unset: { isAdmin: '' } });
+        },
+    },
+    {
+        name: 'wishlist names index',
+        // Wishlists were unique per user; the unique index on user would
+        // refuse a second, named wishlist
+        up: async () => {
+            const indexes = await existingIndexes(Wishlist);
+            if (indexes.some((index) => index.name === 'user_1' && index.unique)) {
+                await Wishlist.collection.dropIndex('user_1');
+            }
+        },
+    },
+    {
+        name: 'unique keys of deleted documents',
+        // Category names and user emails and provider IDs are only unique
+        // among documents that are not soft deleted. The partial indexes
+        // replace the plain unique ones and need deletedAt on every document.
+        up: async () => {
+            const replaced = [[Category, ['name_1']], [User, ['email_1', 'googleId_1', 'githubId_1']]];
+            for (const [model, names] of replaced) {
+                await model.collection.updateMany({ deletedAt: { $exists: false } }, { $set: { deletedAt: null } });
+                for (const index of await existingIndexes(model)) {
+                    if (names.includes(index.name) && !index.partialFilterExpression) {
+                        await model.collection.dropIndex(index.name);
+                    }
+                }
+                await model.createIndexes();
+            }
+        },
+    },
+    {
+        name: 'orders with pending payments',
+        // Paying claims an order by moving its paymentStatus from unpaid to
+        // pending; orders whose payment awaited the provider were left unpaid
+        up: async () => {
+            const orderIds = await Payment.distinct('order', { status: 'pending' });
+            if (orderIds.length) {
+                await Order.updateMany(
+                    { _id: { $in: orderIds }, paymentStatus: 'unpaid' },
+                    { $set: { paymentStatus: 'pending' } }
+                );
+            }
+        },
+    },
+    {
+        name: 'private return photos',
+        // Return photos were stored with the public flower images; they move
+        // to the private storage and get URLs of the photo route
+        up: async () => {
+            const isPublic = (file) => !file.url.startsWith(`${RETURN_PHOTO_URL}/`);
+            const returns = await ReturnRequest.find({
+                photos: { $elemMatch: { url: { $not: new RegExp(`^${RETURN_PHOTO_URL}/`) } } },
+            });
+            for (const returnRequest of returns) {
+                const files = returnRequest.photos.flatMap((photo) => [photo, ...photo.thumbnails]).filter(isPublic);
+                for (const file of files) {
+                    const contentType = file.mimeType || 'image/webp';
+                    await saveFile(file.key, await readFile(file.key), contentType, { private: true });
+                    file.url = `${RETURN_PHOTO_URL}/${path.posix.basename(file.key)}`;
+                }
+                await returnRequest.save();
+                // Only once the return points to the private copies
+                for (const file of files) {
+                    await removeFile(file.key);
+                }
+            }
+        },
+    },
+];
+
+/**
+ * Runs every migration in order. A failing migration is logged and does not
+ * stop the others or the server.
+ */
+const runMigrations = async () => {
+    for (const migration of migrations) {
+        try {
+            await migration.up();
+        } catch (err) {
+            console.error(`Migration "${migration.name}" failed:`, err.message);
+        }
+    }
+};
+
+module.exports = { migrations, runMigrations };
@@ -0,0 +1,355 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { PAYMENT_CURRENCY, getPaymentProvider } = require('./payments');
+const { roundMoney } = require('./promotions');
+
+// The order's paymentStatus for each payment status
+const ORDER_PAYMENT_STATUS = {
+    pending: 'pending',
+    authorized: 'authorized',
+    captured: 'paid',
+    partially_refunded: 'partially_refunded',
+    refunded: 'refunded',
+    voided: 'unpaid',
+    failed: 'unpaid',
+};
+
+const paymentError = (message, statusCode, details) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+};
+
+// Captures, refunds and voids go to the provider that took the payment
+const providerFor = (payment) => {
+    const provider = getPaymentProvider();
+    if (provider.name !== payment.provider) {
+        throw paymentError(`Payment was made with ${payment.provider}, which is no longer configured`, 409);
+    }
+    return provider;
+};
+
+const recordEvent = (payment, type, result, { amount, createdBy, webhookType } = {}) => {
+    payment.events.push({
+        type,
+        status: result.status === 'failed' ? 'failed' : 'succeeded',
+        amount,
+        reference: result.reference,
+        webhookType,
+        error: result.error,
+        createdBy,
+    });
+};
+
+/**
+ * Saves the payment and brings its order in line in one transaction: the
+ * order's paymentStatus follows the payment, and a capture moves a pending
+ * order on to processing.
+ * @returns {Promise<object|null>} The order
+ */
+const savePaymentAndOrder = async (payment) => {
+    let order;
+    await mongoose.connection.transaction(async (session) => {
+        await payment.save({ session });
+
+        order = await Order.findById(payment.order).session(session).setOptions({ includeDeleted: true });
+        if (!order) {
+            return;
+        }
+        order.paymentStatus = ORDER_PAYMENT_STATUS[payment.status];
+        if (payment.status === 'captured' && order.status === 'pending') {
+            order.changeStatus('processing', { note: 'Payment captured' });
+        }
+        await order.save({ session });
+    });
+    return order;
+};
+
+/**
+ * Refunds the captured amount not refunded yet, or part of it.
+ * @param {object} payment - Payment document
+ * @param {{amount?: number, createdBy?: *}} [options]
+ */
+const refundPayment = async (payment, { amount, createdBy } = {}) => {
+    if (!['captured', 'partially_refunded'].includes(payment.status)) {
+        throw paymentError(`Only captured payments can be refunded; this payment is ${payment.status}`, 409);
+    }
+    const refundable = roundMoney(payment.amountCaptured - payment.amountRefunded);
+    const refundAmount = amount === undefined ? refundable : roundMoney(amount);
+    if (refundAmount <= 0 || refundAmount > refundable) {
+        throw paymentError(`Refund amount must be between 0 and ${refundable}`, 400);
+    }
+
+    const result = await providerFor(payment).refund(payment.providerPaymentId, refundAmount);
+    recordEvent(payment, 'refund', result, { amount: refundAmount, createdBy });
+    if (result.status === 'failed') {
+        await payment.save();
+        throw paymentError(`Refund failed: ${result.error}`, 409);
+    }
+
+    payment.amountRefunded = roundMoney(payment.amountRefunded + refundAmount);
+    payment.status = payment.amountRefunded >= payment.amountCaptured ? 'refunded' : 'partially_refunded';
+    await savePaymentAndOrder(payment);
+    return payment;
+};
+
+// Money captured for an order cancelled in the meantime goes straight back
+const afterCapture = async (payment, order) => {
+    if (order && order.status === 'cancelled') {
+        await refundPayment(payment);
+    }
+};
+
+/**
+ * Captures an authorized payment, by default in full. The order moves from
+ * pending to processing.
+ * @param {object} payment - Payment document
+ * @param {{amount?: number, createdBy?: *}} [options]
+ */
+const capturePayment = async (payment, { amount, createdBy } = {}) => {
+    if (payment.status !== 'authorized') {
+        throw paymentError(`Only authorized payments can be captured; this payment is ${payment.status}`, 409);
+    }
+    const captureAmount = amount === undefined ? payment.amount : roundMoney(amount);
+    if (captureAmount > payment.amount) {
+        throw paymentError(`Cannot capture more than the authorized ${payment.amount}`, 400);
+    }
+
+    const result = await providerFor(payment).capture(payment.providerPaymentId, captureAmount);
+    recordEvent(payment, 'capture', result, { amount: captureAmount, createdBy });
+    if (result.status === 'failed') {
+        await payment.save();
+        throw paymentError(`Capture failed: ${result.error}`, 409);
+    }
+
+    payment.status = 'captured';
+    payment.amountCaptured = captureAmount;
+    await afterCapture(payment, await savePaymentAndOrder(payment));
+    return payment;
+};
+
+/**
+ * Releases an authorized payment without capturing it.
+ * @param {object} payment - Payment document
+ * @param {{createdBy?: *}} [options]
+ */
+const voidPayment = async (payment, { createdBy } = {}) => {
+    if (payment.status !== 'authorized') {
+        throw paymentError(`Only authorized payments can be voided; this payment is ${payment.status}`, 409);
+    }
+
+    const result = await providerFor(payment).void(payment.providerPaymentId);
+    recordEvent(payment, 'void', result, { createdBy });
+    if (result.status === 'failed') {
+        await payment.save();
+        throw paymentError(`Void failed: ${result.error}`, 409);
+    }
+
+    payment.status = 'voided';
+    await savePaymentAndOrder(payment);
+    return payment;
+};
+
+/**
+ * Pays for a pending order with the configured provider: authorizes its
+ * total and, unless capture is false, captures it right away, which moves
+ * the order to processing. Every attempt is kept as a Payment; declined ones
+ * are saved as failed and rejected with a 402 error.
+ * The order is claimed first by moving its paymentStatus from unpaid to
+ * pending, so concurrent calls cannot both charge the customer.
+ *
+ * @param {object} order - Order document
+ * @param {object} input
+ * @param {string} input.paymentMethod - Provider token of the card or wallet
+ * @param {*} input.user - Who pays
+ * @param {boolean} [input.capture=true] - false to only authorize, for capturing later
+ * @returns {Promise<object>} The Payment
+ */
+const payOrder = async (order, { paymentMethod, user, capture = true }) => {
+    if (order.status !== 'pending') {
+        throw paymentError(`Only pending orders can be paid; this order is ${order.status}`, 409);
+    }
+    const provider = getPaymentProvider();
+    const claimed = await Order.updateOne(
+        { _id: order._id, status: 'pending', paymentStatus: 'unpaid' },
+        { $set: { paymentStatus: 'pending' } }
+    );
+    if (claimed.modifiedCount === 0) {
+        throw paymentError('This order already has a payment', 409);
+    }
+    // Lets the customer try again after a declined or unanswered attempt
+    const release = () => Order.updateOne(
+        { _id: order._id, paymentStatus: 'pending' },
+        { $set: { paymentStatus: 'unpaid' } }
+    );
+
+    const payment = new Payment({
+        order: order._id,
+        user,
+        provider: provider.name,
+        amount: order.totalAmount,
+        currency: PAYMENT_CURRENCY,
+    });
+
+    let result;
+    try {
+        result = await provider.authorize({
+            amount: payment.amount,
+            currency: payment.currency,
+            paymentMethod,
+            reference: String(order._id),
+        });
+    } catch (err) {
+        await release();
+        throw err;
+    }
+    recordEvent(payment, 'authorize', result, { amount: payment.amount });
+
+    if (result.status === 'failed') {
+        payment.status = 'failed';
+        payment.failureReason = result.error;
+        await payment.save();
+        await release();
+        throw paymentError(`Payment declined: ${result.error}`, 402, { payment: payment._id });
+    }
+
+    payment.providerPaymentId = result.id;
+    if (result.status === 'pending') {
+        // The provider reports the outcome later by webhook
+        await payment.save();
+        return payment;
+    }
+
+    payment.status = 'authorized';
+    await savePaymentAndOrder(payment);
+
+    if (capture) {
+        await capturePayment(payment);
+    }
+    return payment;
+};
+
+// Payment status each webhook event leads to, and the statuses it applies to;
+// repeated or late events leave the payment as it is
+const WEBHOOK_TRANSITIONS = {
+    'payment.authorized': { status: 'authorized', from: ['pending'] },
+    'payment.captured': { status: 'captured', from: ['pending', 'authorized'] },
+    'payment.refunded': { status: 'refunded', from: ['captured', 'partially_refunded'] },
+    'payment.voided': { status: 'voided', from: ['pending', 'authorized'] },
+    'payment.failed': { status: 'failed', from: ['pending'] },
+};
+
+/**
+ * Applies a webhook from the payment provider, e.g. a capture confirmed
+ * after the fact. Events are recorded on the payment; ones that do not change
+ * its status (repeats, events arriving late) are recorded only.
+ * For payment.refunded, amount is the total refunded so far.
+ *
+ * @param {import('express').Request} req
+ * @returns {Promise<object|null>} The payment, or null if the event is not about one of ours
+ */
+const handlePaymentWebhook = async (req) => {
+    const provider = getPaymentProvider();
+    const event = provider.parseWebhook(req);
+
+    const payment = event.id && await Payment.findOne({ provider: provider.name, providerPaymentId: String(event.id) });
+    if (!payment) {
+        return null;
+    }
+
+    recordEvent(payment, 'webhook', { status: 'succeeded' }, { amount: event.amount, webhookType: event.type });
+
+    const transition = WEBHOOK_TRANSITIONS[event.type];
+    if (!transition || !transition.from.includes(payment.status)) {
+        await payment.save();
+        return payment;
+    }
+
+    if (transition.status === 'captured') {
+        payment.amountCaptured = event.amount === undefined ? payment.amount : event.amount;
+    }
+    if (transition.status === 'refunded') {
+        payment.amountRefunded = event.amount === undefined ? payment.amountCaptured : event.amount;
+    }
+    payment.status = transition.status === 'refunded' && payment.amountRefunded < payment.amountCaptured
+        ? 'partially_refunded'
+        : transition.status;
+
+    const order = await savePaymentAndOrder(payment);
+    if (payment.status === 'captured') {
+        await afterCapture(payment, order);
+    }
+    return payment;
+};
+
+/**
+ * Gives back the money of a cancelled order: captured payments are refunded
+ * and authorized ones voided. A failure of one payment does not stop the
+ * others; failures are returned rather than thrown, as the order is
+ * cancelled either way.
+ * @param {object} order
+ * @param {{createdBy?: *}} [options]
+ * @returns {Promise<Array<{payment: *, error: string}>>} Payments that could not be refunded
+ */
+const refundOrderPayments = async (order, { createdBy } = {}) => {
+    const payments = await Payment.find({ order: order._id, status: { $in: ['authorized', 'captured', 'partially_refunded'] } });
+
+    const failures = [];
+    for (const payment of payments) {
+        try {
+            if (payment.status === 'authorized') {
+                await voidPayment(payment, { createdBy });
+            } else {
+                await refundPayment(payment, { createdBy });
+            }
+        } catch (err) {
+            failures.push({ payment: payment._id, error: err.message });
+        }
+    }
+    return failures;
+};
+
+/**
+ * Refunds part of what was paid for an order, e.g. for an approved return,
+ * from its captured payments, oldest first.
+ * @param {object} order
+ * @param {number} amount
+ * @param {{createdBy?: *}} [options]
+ * @returns {Promise<Array<object>>} The payments refunded from
+ */
+const refundOrderAmount = async (order, amount, { createdBy } = {}) => {
+    const payments = await Payment.find({ order: order._id, status: { $in: ['captured', 'partially_refunded'] } })
+        .sort({ createdAt: 1 });
+    const refundableOf = (payment) => roundMoney(payment.amountCaptured - payment.amountRefunded);
+    const refundable = roundMoney(payments.reduce((sum, payment) => sum + refundableOf(payment), 0));
+    if (amount > refundable) {
+        throw paymentError(`Cannot refund ${amount}; the order's payments have ${refundable} left to refund`, 409);
+    }
+
+    let remaining = roundMoney(amount);
+    const refunded = [];
+    for (const payment of payments) {
+        const part = Math.min(remaining, refundableOf(payment));
+        if (part <= 0) {
+            continue;
+        }
+        await refundPayment(payment, { amount: part, createdBy });
+        refunded.push(payment);
+        remaining = roundMoney(remaining - part);
+    }
+    return refunded;
+};
+
+module.exports = {
+    payOrder,
+    capturePayment,
+    refundPayment,
+    voidPayment,
+    handlePaymentWebhook,
+    refundOrderPayments,
+    refundOrderAmount,
+};
@@ -0,0 +1,42 @@
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// Allowed next statuses for each status. Orders can only be cancelled before
+// they ship; delivered and cancelled orders are final.
+const ORDER_TRANSITIONS = {
+    pending: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: [],
+};
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Throws a 409 error describing the allowed moves when `from` -> `to` is not
+ * part of the transition graph.
+ * @param {string} from - Current order status
+ * @param {string} to - Requested order status
+ */
+const assertTransition = (from, to) => {
+    if (canTransition(from, to)) {
+        return;
+    }
+
+    const allowed = ORDER_TRANSITIONS[from] || [];
+    const error = new Error(
+        allowed.length
+            ? `Cannot change order status from ${from} to ${to}. Allowed: ${allowed.join(', ')}`
+            : `Cannot change order status from ${from} to ${to}. ${from} orders are final`
+    );
+    error.statusCode = 409;
+    error.details = { from, to, allowed };
+    throw error;
+};
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    canTransition,
+    assertTransition,
+};
@@ -0,0 +1,211 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Cursors are opaque to clients: a base64url encoded JSON payload holding the
+ * sort key of the boundary document, its _id as a tie-breaker and the
+ * direction to page in.
+ */
+const encodeCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!payload || !payload.id || !["next", "prev"].includes(payload.d)) {
+      throw new Error("Malformed cursor");
+    }
+    return payload;
+  } catch (err) {
+    throw badRequest("Invalid pagination cursor");
+  }
+};
+
+/**
+ * Parses offset-only `page` and `limit` query parameters, for listings such as
+ * relevance-ranked search that cannot be walked with a cursor.
+ * @param {object} query - req.query
+ * @returns {{limit: number, page: number}}
+ */
+const parsePage = (query) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    throw badRequest("page must be a positive integer");
+  }
+
+  return { limit, page };
+};
+
+/**
+ * Parses `page`, `limit`, `cursor`, `sort` and `order` from a request query.
+ * @param {object} query - req.query
+ * @param {object} options
+ * @param {string[]} options.sortFields - Fields clients are allowed to sort by
+ * @param {string} options.defaultSort - Field used when `sort` is omitted
+ * @param {string} [options.defaultOrder] - "asc" or "desc"
+ */
+const parsePagination = (query, { sortFields, defaultSort, defaultOrder = "asc" }) => {
+  const { limit, page } = parsePage(query);
+
+  const sort = query.sort || defaultSort;
+  if (!sortFields.includes(sort)) {
+    throw badRequest(`sort must be one of: ${sortFields.join(", ")}`);
+  }
+
+  const order = (query.order || defaultOrder).toLowerCase();
+  if (!["asc", "desc"].includes(order)) {
+    throw badRequest("order must be either asc or desc");
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (cursor.s !== sort || cursor.o !== order) {
+      throw badRequest("Cursor does not match the requested sort");
+    }
+  }
+
+  return { limit, page, sort, order, cursor };
+};
+
+/**
+ * Builds the filter selecting documents strictly after (or before) the
+ * cursor position for the given sort, using _id to break ties.
+ */
+const cursorFilter = ({ sort, order, cursor }) => {
+  const forward = (order === "asc") === (cursor.d === "next");
+  const op = forward ? "$gt" : "$lt";
+
+  if (sort === "_id") {
+    return { _id: { [op]: cursor.id } };
+  }
+
+  return {
+    $or: [
+      { [sort]: { [op]: cursor.v } },
+      { [sort]: cursor.v, _id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+const valueOf = (doc, field) => (typeof doc.get === "function" ? doc.get(field) : doc[field]);
+
+const cursorFor = (doc, { sort, order }, direction) =>
+  encodeCursor({
+    s: sort,
+    o: order,
+    v: valueOf(doc, sort),
+    id: String(doc._id),
+    d: direction,
+  });
+
+const pageUrl = (req, params) => {
+  const query = { ...req.query };
+  delete query.page;
+  delete query.cursor;
+  const search = new URLSearchParams({ ...query, ...params }).toString();
+  return `${req.protocol}://${req.get("host")}${req.baseUrl}${req.path}?${search}`;
+};
+
+/**
+ * Runs a paginated, sorted find against a model and sets the Link header.
+ * Supports both offset (`page`) and cursor (`cursor`) pagination; a cursor
+ * takes precedence when both are supplied.
+ *
+ * @param {import('mongoose').Model} model
+ * @param {object} filter - Mongo filter for the listing
+ * @param {object} req - Express request (query is read from it)
+ * @param {object} res - Express response (Link header is written to it)
+ * @param {object} options - parsePagination options plus optional `populate`
+ *   and `includeDeleted` (also list soft-deleted documents)
+ * @returns {Promise<{data: object[], pagination: object}>}
+ */
+const paginate = async (model, filter, req, res, options) => {
+  const params = parsePagination(req.query, options);
+  const { limit, page, sort, order, cursor } = params;
+  const direction = order === "asc" ? 1 : -1;
+
+  let find;
+  if (cursor) {
+    // Paging backwards walks the index in reverse and flips the result
+    const reverse = cursor.d === "prev" ? -1 : 1;
+    find = model
+      .find({ $and: [filter, cursorFilter(params)] })
+      .sort({ [sort]: direction * reverse, _id: direction * reverse });
+  } else {
+    find = model
+      .find(filter)
+      .sort({ [sort]: direction, _id: direction })
+      .skip((page - 1) * limit);
+  }
+
+  if (options.populate) {
+    find = find.populate(options.populate);
+  }
+
+  let count = model.countDocuments(filter);
+  if (options.includeDeleted) {
+    count = count.setOptions({ includeDeleted: true });
+    find = find.setOptions({ includeDeleted: true });
+  }
+
+  const [total, rows] = await Promise.all([count, find.limit(limit + 1)]);
+
+  const hasMore = rows.length > limit;
+  const data = rows.slice(0, limit);
+  if (cursor && cursor.d === "prev") {
+    data.reverse();
+  }
+
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+  const hasNextPage = cursor ? cursor.d === "prev" || hasMore : hasMore;
+  const hasPrevPage = cursor ? cursor.d === "next" || hasMore : page > 1;
+
+  const pagination = {
+    total,
+    limit,
+    page: cursor ? null : page,
+    totalPages,
+    sort,
+    order,
+    hasNextPage,
+    hasPrevPage,
+    nextCursor: hasNextPage && data.length ? cursorFor(data[data.length - 1], params, "next") : null,
+    prevCursor: hasPrevPage && data.length ? cursorFor(data[0], params, "prev") : null,
+  };
+
+  const links = [
+    `<${pageUrl(req, { page: 1, limit })}>; rel="first"`,
+    `<${pageUrl(req, { page: totalPages, limit })}>; rel="last"`,
+  ];
+  if (pagination.nextCursor) {
+    links.push(`<${pageUrl(req, { cursor: pagination.nextCursor, limit })}>; rel="next"`);
+  }
+  if (pagination.prevCursor) {
+    links.push(`<${pageUrl(req, { cursor: pagination.prevCursor, limit })}>; rel="prev"`);
+  }
+  res.set("Link", links.join(", "));
+
+  return { data, pagination };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parsePage,
+  parsePagination,
+  paginate,
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+const PAYMENT_CURRENCY = (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+
+/**
+ * What every payment provider implements. Provider calls never throw for a
+ * declined or rejected operation; they resolve to a result with status
+ * 'failed' and an error message instead.
+ *
+ * @typedef {object} ProviderResult
+ * @property {'pending'|'authorized'|'captured'|'refunded'|'voided'|'failed'} status - pending (authorize
+ *           only) when the outcome follows by webhook
+ * @property {string} [id] - Provider ID of the payment (authorize only)
+ * @property {string} [reference] - Provider ID of the operation, e.g. the refund ID
+ * @property {number} [amount]
+ * @property {string} [error]
+ *
+ * @typedef {object} PaymentProvider
+ * @property {string} name
+ * @property {(request: {amount: number, currency: string, paymentMethod: string, reference: string}) => Promise<ProviderResult>} authorize
+ * @property {(id: string, amount: number) => Promise<ProviderResult>} capture
+ * @property {(id: string, amount: number) => Promise<ProviderResult>} refund
+ * @property {(id: string) => Promise<ProviderResult>} void
+ * @property {(req: import('express').Request) => {type: string, id: string, amount?: number}} parseWebhook
+ *           Verifies the signature of a webhook request and returns its event; type is one of
+ *           payment.authorized, payment.captured, payment.refunded, payment.voided, payment.failed.
+ *           Throws a 400 error for requests that do not come from the provider.
+ */
+
+// Payment methods the mock provider declines; anything else is accepted
+const MOCK_DECLINED_METHODS = {
+    pm_card_declined: 'Your card was declined',
+    pm_card_insufficient_funds: 'Your card has insufficient funds',
+};
+
+const MOCK_SIGNATURE_HEADER = 'x-mock-signature';
+
+/**
+ * A payment provider that keeps payments in memory, for development and
+ * tests. Its webhooks are signed with an HMAC of the raw body (see
+ * signWebhook), sent in the x-mock-signature header.
+ * @param {{secret: string}} options
+ * @returns {PaymentProvider & {signWebhook: (body: string) => string}}
+ */
+const createMockProvider = ({ secret }) => {
+    const payments = new Map();
+    const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+    const failed = (error) => ({ status: 'failed', error });
+    const signWebhook = (body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+    return {
+        name: 'mock',
+
+        async authorize({ amount, paymentMethod }) {
+            if (MOCK_DECLINED_METHODS[paymentMethod]) {
+                return failed(MOCK_DECLINED_METHODS[paymentMethod]);
+            }
+            const id = newId('mock_pay');
+            payments.set(id, { amount, captured: 0, refunded: 0, status: 'authorized' });
+            return { status: 'authorized', id, reference: id, amount };
+        },
+
+        async capture(id, amount) {
+            const payment = payments.get(id);
+            if (!payment || payment.status !== 'authorized') {
+                return failed('Only authorized payments can be captured');
+            }
+            if (amount > payment.amount) {
+                return failed('Cannot capture more than was authorized');
+            }
+            payment.captured = amount;
+            payment.status = 'captured';
+            return { status: 'captured', reference: newId('mock_cap'), amount };
+        },
+
+        async refund(id, amount) {
+            const payment = payments.get(id);
+            if (!payment || payment.status !== 'captured') {
+                return failed('Only captured payments can be refunded');
+            }
+            if (payment.refunded + amount > payment.captured) {
+                return failed('Cannot refund more than was captured');
+            }
+            payment.refunded += amount;
+            return { status: 'refunded', reference: newId('mock_ref'), amount };
+        },
+
+        async void(id) {
+            const payment = payments.get(id);
+            if (!payment || payment.status !== 'authorized') {
+                return failed('Only authorized payments can be voided');
+            }
+            payment.status = 'voided';
+            return { status: 'voided', reference: id };
+        },
+
+        parseWebhook(req) {
+            const signature = String(req.get(MOCK_SIGNATURE_HEADER) || '');
+            const expected = signWebhook(req.rawBody || '');
+            if (
+                signature.length !== expected.length ||
+                !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+            ) {
+                const error = new Error('Invalid webhook signature');
+                error.statusCode = 400;
+                throw error;
+            }
+            const { type, data = {} } = req.body;
+            return { type, id: data.id, amount: data.amount };
+        },
+
+        signWebhook,
+    };
+};
+
+// Development and tests fall back to the mock provider, which approves any
+// payment method. Anywhere else a provider must be configured with
+// setPaymentProvider, and PAYMENT_WEBHOOK_SECRET set for its webhooks;
+// until then every payment operation fails with a 503 error.
+const MOCK_PROVIDER_ENVIRONMENTS = ['development', 'test'];
+
+let provider = null;
+let mockProvider = null;
+
+const notConfigured = (message) => {
+    const error = new Error(message);
+    error.statusCode = 503;
+    return error;
+};
+
+/**
+ * Replaces the payment provider.
+ * @param {PaymentProvider} paymentProvider
+ */
+const setPaymentProvider = (paymentProvider) => {
+    provider = paymentProvider;
+};
+
+/**
+ * The configured provider, or the mock provider in development and tests.
+ * Read on every call: .env is only loaded after this module.
+ * @returns {PaymentProvider}
+ */
+const getPaymentProvider = () => {
+    const useMock = MOCK_PROVIDER_ENVIRONMENTS.includes(process.env.NODE_ENV);
+    if (!provider && !useMock) {
+        throw notConfigured('Payments are not available: no payment provider is configured');
+    }
+    if (!useMock && !process.env.PAYMENT_WEBHOOK_SECRET) {
+        throw notConfigured('Payments are not available: PAYMENT_WEBHOOK_SECRET is not set');
+    }
+    if (provider) {
+        return provider;
+    }
+    if (!mockProvider) {
+        mockProvider = createMockProvider({ secret: process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret' });
+    }
+    return mockProvider;
+};
+
+module.exports = {
+    PAYMENT_CURRENCY,
+    MOCK_SIGNATURE_HEADER,
+    createMockProvider,
+    setPaymentProvider,
+    getPaymentProvider,
+};
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { reserveStock } = require('./inventory');
+const { redeemPromotion } = require('./promotions');
+const { quoteOrder } = require('./pricing');
+const { bookDeliverySlot } = require('./deliverySlots');
+const { splitRecipients, createViewToken } = require('./giftRecipients');
+const { resolveOrderAddresses } = require('./addressBook');
+
+const saveOrder = async ({ user, promoCode, changedBy, anonymous, subscription, addressId, ...input }, session) => {
+    const addresses = await resolveOrderAddresses({ user, addressId, ...input }, session);
+    const { items, shippingAddress, shipments, recipients } = splitRecipients({ ...input, ...addresses });
+    const { quote: { shipments: shipmentQuotes, ...quote }, promotions } = await quoteOrder(
+        { user, items, shippingAddress, promoCode, shipments },
+        session
+    );
+
+    for (const promotion of promotions) {
+        await redeemPromotion(promotion, session);
+    }
+    await reserveStock(quote.items, session);
+
+    const orderRecipients = [];
+    for (const [index, { lines, delivery, ...recipient }] of recipients.entries()) {
+        for (const line of lines) {
+            quote.items[line].recipient = index;
+        }
+        orderRecipients.push({
+            ...recipient,
+            delivery: delivery
+                ? await bookDeliverySlot({ shippingAddress: recipient.shippingAddress, delivery }, session)
+                : undefined,
+            ...shipmentQuotes[index],
+            viewToken: createViewToken(),
+        });
+    }
+
+    const newOrder = new Order({
+        user,
+        ...quote,
+        shippingAddress,
+        delivery: input.delivery && !recipients.length
+            ? await bookDeliverySlot({ shippingAddress, delivery: input.delivery }, session)
+            : undefined,
+        recipients: orderRecipients,
+        anonymous: Boolean(anonymous),
+        subscription,
+        statusHistory: [{ status: 'pending', changedBy }],
+    });
+
+    return newOrder.save({ session });
+};
+
+/**
+ * Prices the order with the pricing pipeline (items, promotion code,
+ * shipping and tax, see utils/pricing), reserves stock, books the delivery
+ * slots that were chosen (see utils/deliverySlots) and saves a pending Order
+ * with the full price breakdown. Orders for gift recipients ship each
+ * recipient's items to their own address and are priced per shipment, see
+ * utils/giftRecipients. This is the single path every order is
+ * bought through (POST /orders, cart checkout, subscriptions, ...); only the free
+ * replacements of approved returns are created elsewhere, see utils/returns.
+ *
+ * Runs in its own transaction unless a session is passed, in which case the
+ * caller's transaction also covers its own writes (e.g. emptying the cart).
+ *
+ * @param {object} input
+ * @param {*} input.user - Buyer user ID
+ * @param {Array<{flower: *, variant?: *, quantity: number}>} [input.items] - variant is required for
+ *   flowers sold in variants; sent per recipient instead for orders with several recipients
+ * @param {object} [input.shippingAddress] - Likewise; defaults to the user's default address
+ *   for orders without recipients
+ * @param {*} [input.addressId] - Address book entry to ship to instead of shippingAddress;
+ *   recipients may also send one. The order keeps a copy, see utils/addressBook
+ * @param {string} [input.promoCode] - Promotion code; the order is rejected if it cannot be used
+ * @param {{date: string, slot: *}} [input.delivery] - Delivery date (YYYY-MM-DD) and slot _id, for
+ *   addresses in a delivery zone; the order is rejected if the slot is full or closed
+ * @param {Array<object>} [input.recipients] - Who the order is a gift for: name, phone,
+ *   giftMessage, and shippingAddress, delivery and items unless the order's are used
+ * @param {boolean} [input.anonymous] - Hide the buyer's name from the recipients
+ * @param {*} [input.subscription] - Subscription placing the order, see utils/subscriptions
+ * @param {*} [input.changedBy] - Actor recorded in the initial status history entry
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<import('mongoose').Document>} The saved order
+ */
+const placeOrder = async (input, session) => {
+    if (session) {
+        return saveOrder(input, session);
+    }
+
+    let order;
+    await mongoose.connection.transaction(async (transactionSession) => {
+        order = await saveOrder(input, transactionSession);
+    });
+    return order;
+};
+
+module.exports = { placeOrder };
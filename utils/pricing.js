@@ -0,0 +1,282 @@
+const Flower = require('../models/Flower');
+const { COUNTRY_ALIASES, TAX_RATES, SHIPPING_ZONES } = require('../config/pricing');
+const { roundMoney, applyPromotion } = require('./promotions');
+
+const pricingError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const normalizeCountry = (country) => {
+    const code = String(country || '').trim().toUpperCase();
+    return COUNTRY_ALIASES[code] || code;
+};
+
+const normalizeState = (state) => String(state || '').trim().toUpperCase();
+
+/**
+ * Prices line items at current flower prices.
+ * @param {Array<{flower: *, variant?: *, quantity: number}>} items
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<{orderItems: Array, lines: Array, subtotal: number}>} orderItems as stored on
+ *   the Order; lines, in the same order, as promotions and shipping need them
+ *   (flower, category, quantity, price, weight in grams)
+ */
+const priceItems = async (items, session) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw pricingError('An order must contain at least one item', 400);
+    }
+
+    // Fetch flower prices to compute total and validate flowers
+    let subtotal = 0;
+    const orderItems = [];
+    const lines = [];
+
+    for (const item of items) {
+        const flower = await Flower.findById(item.flower).session(session);
+        if (!flower) {
+            throw pricingError(`Flower not found with ID ${item.flower}`, 400);
+        }
+
+        const { variant, price: priceAtPurchase } = flower.resolveVariant(item.variant);
+        const itemTotal = priceAtPurchase * item.quantity;
+        subtotal += itemTotal;
+
+        orderItems.push({
+            flower: flower._id,
+            ...(variant && { variant: variant._id, sku: variant.sku, attributes: variant.attributes }),
+            quantity: item.quantity,
+            priceAtPurchase,
+        });
+        lines.push({
+            flower: flower._id,
+            category: flower.category,
+            quantity: item.quantity,
+            price: priceAtPurchase,
+            weight: (variant && variant.weight) || flower.weight || 0,
+        });
+    }
+
+    return { orderItems, lines, subtotal: roundMoney(subtotal) };
+};
+
+// Pricing steps run in order, each adding its part to the quote. context
+// holds the input (user, items, shippingAddress, promoCode, session), the
+// shipments (the address and item positions of each recipient; one for
+// orders without recipients), the priced lines and the promotions to redeem
+// when the order is placed.
+
+const itemsStep = async (quote, context) => {
+    const { orderItems, lines, subtotal } = await priceItems(context.items, context.session);
+    quote.items = orderItems;
+    quote.subtotal = subtotal;
+    context.lines = lines;
+};
+
+const promotionStep = async (quote, context) => {
+    if (!context.promoCode) {
+        return;
+    }
+
+    const { promotion, discount } = await applyPromotion({
+        code: context.promoCode,
+        user: context.user,
+        lines: context.lines,
+        subtotal: quote.subtotal,
+    }, context.session);
+    context.promotions.push(promotion);
+
+    const { items, freeShipping, ...entry } = discount;
+    for (const { index, amount } of items) {
+        quote.items[index].discount = amount;
+    }
+    quote.discounts.push(entry);
+    quote.discountTotal = roundMoney(quote.discountTotal + entry.amount);
+    quote.freeShipping = quote.freeShipping || freeShipping;
+};
+
+// Price of a shipment's items after their discounts
+const shipmentMerchandise = (quote, shipment) => shipment.lines.reduce((sum, index) => {
+    const item = quote.items[index];
+    return sum + item.priceAtPurchase * item.quantity - (item.discount || 0);
+}, 0);
+
+const uniqueJoin = (values) => [...new Set(values)].join(', ');
+
+/**
+ * Charges shipping for each shipment by the first zone matching its address;
+ * the order's shipping is their sum. A free shipping promotion keeps the
+ * charge on the quote and takes it off again as its discount, so the waiver
+ * shows in the itemized discounts.
+ * @param {Array<object>} zones - See SHIPPING_ZONES in config/pricing
+ */
+const createShippingStep = (zones) => async (quote, context) => {
+    quote.shipments = context.shipments.map((shipment) => {
+        const country = normalizeCountry(shipment.shippingAddress && shipment.shippingAddress.country);
+        const state = normalizeState(shipment.shippingAddress && shipment.shippingAddress.state);
+        const zone = zones.find((candidate) =>
+            (candidate.countries.includes('*') || candidate.countries.includes(country)) &&
+            (!candidate.states || candidate.states.includes(state))
+        );
+        if (!zone) {
+            throw pricingError(`Shipping to ${country || 'this address'} is not available`, 400);
+        }
+
+        const lines = shipment.lines.map((index) => context.lines[index]);
+        const quantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+        const weight = lines.reduce((sum, line) => sum + line.weight * line.quantity, 0);
+        const amount = zone.freeOver != null && shipmentMerchandise(quote, shipment) >= zone.freeOver
+            ? 0
+            : roundMoney(zone.baseRate + (zone.perItem || 0) * quantity + (zone.perKg || 0) * Math.ceil(weight / 1000));
+        return { shipping: { zone: zone.name, weight, amount } };
+    });
+
+    const shipping = quote.shipments.map((shipment) => shipment.shipping);
+    quote.shipping = {
+        zone: uniqueJoin(shipping.map((entry) => entry.zone)),
+        weight: shipping.reduce((sum, entry) => sum + entry.weight, 0),
+        amount: roundMoney(shipping.reduce((sum, entry) => sum + entry.amount, 0)),
+    };
+
+    const waiver = quote.discounts.find((discount) => discount.type === 'free_shipping');
+    if (quote.freeShipping && waiver) {
+        waiver.amount = quote.shipping.amount;
+        quote.discountTotal = roundMoney(quote.discountTotal + quote.shipping.amount);
+    }
+};
+
+/**
+ * Taxes each shipment's items after their discounts, plus its shipping
+ * charge where the country taxes shipping, at the state rate or else the
+ * country rate. The order's tax is their sum, at the effective rate if the
+ * shipments are taxed at different rates.
+ * @param {object} rates - See TAX_RATES in config/pricing
+ */
+const createTaxStep = (rates) => async (quote, context) => {
+    const shippingWaived = quote.discounts.some((discount) => discount.type === 'free_shipping' && discount.amount > 0);
+
+    const taxes = context.shipments.map((shipment, index) => {
+        const country = normalizeCountry(shipment.shippingAddress && shipment.shippingAddress.country);
+        const state = normalizeState(shipment.shippingAddress && shipment.shippingAddress.state);
+        const countryRates = rates[country] || { rate: 0 };
+        const stateRate = countryRates.states && countryRates.states[state];
+
+        // Shipping steps other than the default may only price the order as a whole
+        const shipping = quote.shipments ? quote.shipments[index].shipping : quote.shipping;
+        const shippingCharge = shippingWaived ? 0 : shipping.amount;
+
+        const rate = stateRate !== undefined ? stateRate : countryRates.rate;
+        const taxableAmount = roundMoney(
+            shipmentMerchandise(quote, shipment) + (countryRates.shipping ? shippingCharge : 0)
+        );
+        return {
+            jurisdiction: stateRate !== undefined ? `${country}-${state}` : country,
+            rate,
+            taxableAmount,
+            amount: roundMoney(taxableAmount * rate),
+        };
+    });
+
+    if (quote.shipments) {
+        taxes.forEach((tax, index) => {
+            quote.shipments[index].tax = tax;
+        });
+    }
+    if (taxes.length === 1) {
+        quote.tax = { ...taxes[0] };
+        return;
+    }
+
+    const taxableAmount = roundMoney(taxes.reduce((sum, tax) => sum + tax.taxableAmount, 0));
+    const amount = roundMoney(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+    const sameRate = taxes.every((tax) => tax.rate === taxes[0].rate);
+    const effectiveRate = taxableAmount ? Math.round((amount / taxableAmount) * 10000) / 10000 : 0;
+    quote.tax = {
+        jurisdiction: uniqueJoin(taxes.map((tax) => tax.jurisdiction)),
+        rate: sameRate ? taxes[0].rate : effectiveRate,
+        taxableAmount,
+        amount,
+    };
+};
+
+const totalStep = async (quote) => {
+    quote.totalAmount = roundMoney(quote.subtotal - quote.discountTotal + quote.shipping.amount + quote.tax.amount);
+};
+
+const DEFAULT_PRICING_STEPS = [
+    itemsStep,
+    promotionStep,
+    createShippingStep(SHIPPING_ZONES),
+    createTaxStep(TAX_RATES),
+    totalStep,
+];
+
+let pricingSteps = DEFAULT_PRICING_STEPS;
+
+/**
+ * Replaces the pricing pipeline, e.g. to calculate tax with an external
+ * service. Build on DEFAULT_PRICING_STEPS and the step factories.
+ * @param {Array<(quote: object, context: object) => Promise<void>>} steps
+ */
+const setPricingSteps = (steps) => {
+    pricingSteps = steps;
+};
+
+/**
+ * Prices an order without placing it: subtotal, discounts, shipping, tax and
+ * total, itemized per line.
+ *
+ * @param {object} input
+ * @param {*} input.user - Buyer user ID
+ * @param {Array<{flower: *, variant?: *, quantity: number}>} input.items
+ * @param {object} input.shippingAddress
+ * @param {string} [input.promoCode]
+ * @param {Array<{shippingAddress: object, lines: number[]}>} [input.shipments] - Where each
+ *   group of items, by position in items, ships to when the order has several
+ *   recipients; defaults to all items to shippingAddress
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<{quote: object, promotions: Array}>} quote holds the price fields of an
+ *   Order and the shipping and tax of each shipment; promotions are the ones
+ *   placing the order uses up
+ */
+const quoteOrder = async ({ user, items, shippingAddress, promoCode, shipments }, session) => {
+    const quote = {
+        items: [],
+        subtotal: 0,
+        discounts: [],
+        discountTotal: 0,
+        freeShipping: false,
+        shipping: { amount: 0 },
+        tax: { rate: 0, amount: 0 },
+        totalAmount: 0,
+    };
+    const context = {
+        user,
+        items,
+        shippingAddress,
+        promoCode,
+        shipments: shipments || [{ shippingAddress, lines: (items || []).map((item, index) => index) }],
+        session,
+        lines: [],
+        promotions: [],
+    };
+
+    for (const step of pricingSteps) {
+        await step(quote, context);
+    }
+
+    return { quote, promotions: context.promotions };
+};
+
+module.exports = {
+    DEFAULT_PRICING_STEPS,
+    priceItems,
+    itemsStep,
+    promotionStep,
+    createShippingStep,
+    createTaxStep,
+    totalStep,
+    setPricingSteps,
+    quoteOrder,
+};
@@ -0,0 +1,211 @@
+const Promotion = require('../models/Promotion');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const promotionError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Unscoped promotions cover every item; a category covers its subcategories
+const inScope = (promotion, line) => {
+    const flowers = (promotion.flowers || []).map(String);
+    const categories = (promotion.categories || []).map(String);
+    if (flowers.length === 0 && categories.length === 0) {
+        return true;
+    }
+    if (flowers.includes(String(line.flower))) {
+        return true;
+    }
+    return (line.categories || [line.category]).some((category) => category && categories.includes(String(category)));
+};
+
+// Splits amount over the lines in proportion to their totals, in cents, so
+// the shares add up to exactly the amount
+const allocate = (amount, lines) => {
+    const total = lines.reduce((sum, line) => sum + line.total, 0);
+    let remaining = amount;
+    return lines.map((line, position) => {
+        const share = position === lines.length - 1 ? remaining : roundMoney((amount * line.total) / total);
+        remaining = roundMoney(remaining - share);
+        return { index: line.index, amount: share };
+    });
+};
+
+// The cheapest eligible units are the ones given away, taken line by line
+// from the cheapest line up
+const buyXGetYItems = (promotion, lines) => {
+    const unitCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+    let freeUnits = Math.floor(unitCount / (promotion.buyQuantity + promotion.getQuantity)) * promotion.getQuantity;
+    if (freeUnits === 0) {
+        throw promotionError(
+            `Promotion code ${promotion.code} needs at least ${promotion.buyQuantity + promotion.getQuantity} eligible items`,
+            400
+        );
+    }
+
+    const percent = promotion.value == null ? 100 : promotion.value;
+    const items = [];
+    for (const line of [...lines].sort((a, b) => a.price - b.price)) {
+        if (freeUnits === 0) {
+            break;
+        }
+        const free = Math.min(line.quantity, freeUnits);
+        freeUnits -= free;
+        items.push({ index: line.index, amount: roundMoney((line.price * free * percent) / 100) });
+    }
+    return items;
+};
+
+/**
+ * Works out the discount a promotion gives on priced line items. Does not
+ * check whether the promotion can be used; see applyPromotion.
+ * @param {object} promotion
+ * @param {Array<{flower: *, category?: *, categories?: Array, quantity: number, price: number}>} lines - categories is the flower's category and its ancestors
+ * @returns {{amount: number, freeShipping: boolean, items: Array<{index: number, amount: number}>}} items holds each line's share of the amount, by index into lines
+ */
+const calculateDiscount = (promotion, lines) => {
+    if (promotion.type === 'free_shipping') {
+        return { amount: 0, freeShipping: true, items: [] };
+    }
+
+    const eligible = lines
+        .map((line, index) => ({ ...line, index, total: line.price * line.quantity }))
+        .filter((line) => inScope(promotion, line));
+    if (eligible.length === 0) {
+        throw promotionError(`Promotion code ${promotion.code} does not apply to any item in this order`, 400);
+    }
+
+    let items;
+    if (promotion.type === 'percentage') {
+        items = eligible.map((line) => ({ index: line.index, amount: roundMoney((line.total * promotion.value) / 100) }));
+    } else if (promotion.type === 'fixed') {
+        const eligibleTotal = eligible.reduce((sum, line) => sum + line.total, 0);
+        items = allocate(roundMoney(Math.min(promotion.value, eligibleTotal)), eligible);
+    } else {
+        items = buyXGetYItems(promotion, eligible);
+    }
+
+    const amount = roundMoney(items.reduce((sum, item) => sum + item.amount, 0));
+    return { amount, freeShipping: false, items };
+};
+
+/**
+ * Looks up a promotion code and checks it can be used by the user on an
+ * order with the given items: active, within its date window, minimum order
+ * value reached, usage limits not exhausted and at least one item in scope.
+ * Throws a 404 for unknown codes, 409 for exhausted limits and 400 otherwise.
+ *
+ * @param {object} input
+ * @param {string} input.code
+ * @param {*} input.user - Buyer user ID
+ * @param {Array} input.lines - Priced line items, see calculateDiscount
+ * @param {number} input.subtotal - Order total before discounts
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<{promotion: object, discount: object}>} discount is the Order discount entry plus freeShipping and the per-line items
+ */
+const applyPromotion = async ({ code, user, lines, subtotal }, session) => {
+    const promotion = await Promotion.findOne({ code: normalizeCode(code) }).session(session);
+    if (!promotion) {
+        throw promotionError(`Promotion code ${normalizeCode(code)} not found`, 404);
+    }
+
+    const now = new Date();
+    if (!promotion.isActive) {
+        throw promotionError(`Promotion code ${promotion.code} is not active`, 400);
+    }
+    if (promotion.startsAt && promotion.startsAt > now) {
+        throw promotionError(`Promotion code ${promotion.code} is not valid until ${promotion.startsAt.toISOString()}`, 400);
+    }
+    if (promotion.endsAt && promotion.endsAt <= now) {
+        throw promotionError(`Promotion code ${promotion.code} has expired`, 400);
+    }
+    if (subtotal < promotion.minOrderValue) {
+        throw promotionError(
+            `Promotion code ${promotion.code} needs an order of at least ${promotion.minOrderValue}`,
+            400
+        );
+    }
+    if (promotion.usageLimit != null && promotion.usageCount >= promotion.usageLimit) {
+        throw promotionError(`Promotion code ${promotion.code} has reached its usage limit`, 409);
+    }
+    if (promotion.perUserLimit != null) {
+        const used = await Order.countDocuments({
+            user,
+            'discounts.promotion': promotion._id,
+            status: { $ne: 'cancelled' },
+        }).session(session);
+        if (used >= promotion.perUserLimit) {
+            throw promotionError(`You have already used promotion code ${promotion.code} the maximum number of times`, 409);
+        }
+    }
+
+    let scopedLines = lines;
+    if (promotion.categories.length) {
+        const categories = await Category.find({ _id: { $in: lines.map((line) => line.category) } })
+            .select('ancestors')
+            .setOptions({ includeDeleted: true })
+            .session(session);
+        const ancestors = new Map(categories.map((category) => [String(category._id), category.ancestors]));
+        scopedLines = lines.map((line) => ({
+            ...line,
+            categories: [line.category, ...(ancestors.get(String(line.category)) || [])],
+        }));
+    }
+
+    const { amount, freeShipping, items } = calculateDiscount(promotion, scopedLines);
+
+    return {
+        promotion,
+        discount: {
+            promotion: promotion._id,
+            code: promotion.code,
+            type: promotion.type,
+            description: promotion.description,
+            amount,
+            freeShipping,
+            items,
+        },
+    };
+};
+
+/**
+ * Counts an order against the promotion's usage limit. The check and the
+ * increment are one atomic update, so concurrent orders cannot overshoot it.
+ * @param {object} promotion
+ * @param {import('mongoose').ClientSession} session
+ */
+const redeemPromotion = async (promotion, session) => {
+    const redeemed = await Promotion.findOneAndUpdate(
+        {
+            _id: promotion._id,
+            $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }],
+        },
+        { $inc: { usageCount: 1 } },
+        { session, new: true }
+    );
+    if (!redeemed) {
+        throw promotionError(`Promotion code ${promotion.code} has reached its usage limit`, 409);
+    }
+};
+
+/**
+ * Gives the promotions used by an order back their use, e.g. when the order
+ * is cancelled.
+ * @param {{discounts?: Array<{promotion: *}>}} order
+ * @param {import('mongoose').ClientSession} session
+ */
+const releasePromotions = async (order, session) => {
+    for (const { promotion } of order.discounts || []) {
+        if (promotion) {
+            await Promotion.updateOne({ _id: promotion, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } }, { session });
+        }
+    }
+};
+
+module.exports = { roundMoney, normalizeCode, calculateDiscount, applyPromotion, redeemPromotion, releasePromotions };
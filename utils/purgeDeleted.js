@@ -0,0 +1,64 @@
+const Flower = require('../models/Flower');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const User = require('../models/User');
+
+// Models using the softDelete plugin, purged in this order. Orders are
+// financial records and have their own retention, see purgeDeleted.
+const SOFT_DELETE_MODELS = [Flower, Category, User];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Permanently removes records that were soft deleted longer ago than the
+ * retention period (SOFT_DELETE_RETENTION_DAYS, 30 days by default). Orders
+ * are kept unless ORDER_RETENTION_DAYS is set.
+ * @param {object} [options]
+ * @param {number} [options.retentionDays]
+ * @param {number|null} [options.orderRetentionDays] - null keeps deleted orders
+ * @param {Date} [options.now]
+ * @returns {Promise<Object<string, number>>} Number of purged documents per model
+ */
+const purgeDeleted = async ({
+    retentionDays = Number(process.env.SOFT_DELETE_RETENTION_DAYS) || 30,
+    orderRetentionDays = Number(process.env.ORDER_RETENTION_DAYS) || null,
+    now = new Date(),
+} = {}) => {
+    const cutoff = (days) => new Date(now.getTime() - days * DAY_MS);
+    const purged = {};
+
+    if (orderRetentionDays) {
+        const result = await Order.purgeDeleted(cutoff(orderRetentionDays));
+        purged[Order.modelName] = result.deletedCount;
+    }
+    for (const model of SOFT_DELETE_MODELS) {
+        const result = await model.purgeDeleted(cutoff(retentionDays));
+        purged[model.modelName] = result.deletedCount;
+    }
+    return purged;
+};
+
+/**
+ * Runs purgeDeleted every PURGE_INTERVAL_HOURS (24 by default, 0 disables it).
+ * The timer does not keep the process alive.
+ * @returns {NodeJS.Timeout|null}
+ */
+const schedulePurge = () => {
+    const intervalHours = Number(process.env.PURGE_INTERVAL_HOURS ?? 24);
+    if (!intervalHours) {
+        return null;
+    }
+
+    const timer = setInterval(async () => {
+        try {
+            const purged = await purgeDeleted();
+            console.log('Purged soft-deleted records:', purged);
+        } catch (err) {
+            console.error('Purging soft-deleted records failed:', err.message);
+        }
+    }, intervalHours * 60 * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = { purgeDeleted, schedulePurge };
@@ -0,0 +1,383 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const { reserveStock, releaseStock } = require('./inventory');
+const { refundOrderAmount } = require('./orderPayments');
+const { roundMoney } = require('./promotions');
+const { createViewToken } = require('./giftRecipients');
+const { storeImages, removeImageFiles } = require('./images');
+const { readFile } = require('./storage');
+
+// Days after delivery a customer can open a return; cut flowers do not keep
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// Returns holding on to their items: items cannot be claimed in two of them
+const ACTIVE_RETURN_STATUSES = ['requested', 'approving', 'approved'];
+
+// Return photos show customers' homes and parcels, so they are stored
+// privately and served by GET /api/returns/photos/:file to whoever may see
+// the return
+const RETURN_PHOTO_FOLDER = 'returns';
+const RETURN_PHOTO_URL = '/api/returns/photos';
+
+const photoUrl = (key) => `${RETURN_PHOTO_URL}/${path.posix.basename(key)}`;
+
+const returnError = (message, statusCode, details) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+};
+
+const deliveredAt = (order) => {
+    const delivery = [...order.statusHistory].reverse().find((change) => change.status === 'delivered');
+    return delivery ? delivery.changedAt : order.updatedAt;
+};
+
+// What the customer paid for units of an order line: its price after the
+// line's share of the discounts, plus tax at the rate of its recipient's
+// address, or else the order's
+const lineAmount = (order, item, quantity) => {
+    const unitPrice = (item.priceAtPurchase * item.quantity - (item.discount || 0)) / item.quantity;
+    const recipient = item.recipient != null && order.recipients && order.recipients[item.recipient];
+    const tax = recipient && recipient.tax && recipient.tax.rate != null ? recipient.tax : order.tax;
+    const taxRate = (tax && tax.rate) || 0;
+    return roundMoney(unitPrice * quantity * (1 + taxRate));
+};
+
+// Quantity per order line already claimed by the order's active returns
+const claimedQuantities = async (orderId, session) => {
+    const returns = await ReturnRequest.find({ order: orderId, status: { $in: ACTIVE_RETURN_STATUSES } })
+        .session(session);
+
+    const claimed = new Map();
+    for (const item of returns.flatMap((returnRequest) => returnRequest.items)) {
+        claimed.set(item.line, (claimed.get(item.line) || 0) + item.quantity);
+    }
+    return claimed;
+};
+
+/**
+ * Brings the order's returnStatus and refundTotal in line with its return
+ * requests and saves it.
+ * @param {object} order - Order document
+ * @param {import('mongoose').ClientSession} session
+ */
+const syncOrderReturns = async (order, session) => {
+    const returns = await ReturnRequest.find({ order: order._id, status: { $in: ACTIVE_RETURN_STATUSES } })
+        .session(session);
+    const approved = returns.filter((returnRequest) => returnRequest.status === 'approved');
+
+    const ordered = order.items.reduce((sum, item) => sum + item.quantity, 0);
+    const returned = approved
+        .flatMap((returnRequest) => returnRequest.items)
+        .reduce((sum, item) => sum + item.quantity, 0);
+
+    if (returns.some((returnRequest) => ['requested', 'approving'].includes(returnRequest.status))) {
+        order.returnStatus = 'requested';
+    } else if (returned === 0) {
+        order.returnStatus = 'none';
+    } else {
+        order.returnStatus = returned >= ordered ? 'returned' : 'partially_returned';
+    }
+    order.refundTotal = roundMoney(approved.reduce(
+        (sum, returnRequest) => sum + (returnRequest.resolution.refundAmount || 0),
+        0
+    ));
+
+    await order.save({ session });
+};
+
+/**
+ * Stores uploaded photos of a return privately, with their thumbnails.
+ * @param {Array<object>} [files] - From multer
+ * @returns {Promise<Array<object>>} Photos for openReturn
+ */
+const storeReturnPhotos = async (files) => {
+    const photos = await storeImages(files, [], RETURN_PHOTO_FOLDER, { private: true });
+    return photos.map((photo) => ({
+        ...photo,
+        url: photoUrl(photo.key),
+        thumbnails: photo.thumbnails.map((thumbnail) => ({ ...thumbnail, url: photoUrl(thumbnail.key) })),
+    }));
+};
+
+/**
+ * @param {Array<object>} photos - Photos from storeReturnPhotos
+ */
+const removeReturnPhotos = (photos) => removeImageFiles(photos, { private: true });
+
+/**
+ * Finds a return photo, or one of its thumbnails, by its file name.
+ * @param {string} file - Last part of the photo's URL
+ * @returns {Promise<{returnRequest: object, photo: object, read: () => Promise<Buffer>}|null>}
+ *          photo has the key and, for originals, the mimeType
+ */
+const findReturnPhoto = async (file) => {
+    const key = `${RETURN_PHOTO_FOLDER}/${file}`;
+    const returnRequest = await ReturnRequest.findOne({
+        $or: [{ 'photos.key': key }, { 'photos.thumbnails.key': key }],
+    });
+    if (!returnRequest) {
+        return null;
+    }
+    const photo = returnRequest.photos
+        .flatMap((original) => [original, ...original.thumbnails])
+        .find((candidate) => candidate.key === key);
+    return { returnRequest, photo, read: () => readFile(key, { private: true }) };
+};
+
+/**
+ * Opens a return on line items of a delivered order, within
+ * RETURN_WINDOW_DAYS of its delivery. Each item is priced at what the
+ * customer paid for it. Items already claimed in another open or approved
+ * return cannot be claimed again.
+ *
+ * @param {object} order - Order document
+ * @param {object} input
+ * @param {Array<{line: number, quantity: number}>} input.items - line is the position in the order's items
+ * @param {string} input.reason
+ * @param {string} [input.description]
+ * @param {Array<object>} [input.photos] - Stored photos, see storeReturnPhotos
+ * @returns {Promise<object>} The ReturnRequest
+ */
+const openReturn = async (order, { items, reason, description, photos = [] }) => {
+    if (order.status !== 'delivered') {
+        throw returnError(`Only delivered orders can be returned; this order is ${order.status}`, 409);
+    }
+    const deadline = new Date(deliveredAt(order).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (Date.now() > deadline.getTime()) {
+        throw returnError(`Returns must be opened within ${RETURN_WINDOW_DAYS} days of delivery`, 409);
+    }
+
+    // The same line listed twice is claimed once, with the quantities added up
+    const requested = new Map();
+    for (const { line, quantity } of items) {
+        requested.set(line, (requested.get(line) || 0) + quantity);
+    }
+
+    let returnRequest;
+    await mongoose.connection.transaction(async (session) => {
+        const claimed = await claimedQuantities(order._id, session);
+        const returnItems = [];
+        const problems = [];
+
+        for (const [line, quantity] of requested) {
+            const item = order.items[line];
+            if (!item) {
+                problems.push({ line, error: 'The order has no such line' });
+                continue;
+            }
+            const available = item.quantity - (claimed.get(line) || 0);
+            if (quantity > available) {
+                problems.push({ line, error: 'Quantity exceeds what can still be returned', requested: quantity, available });
+                continue;
+            }
+            returnItems.push({
+                line,
+                flower: item.flower,
+                variant: item.variant,
+                quantity,
+                amount: lineAmount(order, item, quantity),
+            });
+        }
+
+        if (problems.length) {
+            throw returnError('One or more items cannot be returned', 400, problems);
+        }
+
+        returnRequest = new ReturnRequest({
+            order: order._id,
+            user: order.user,
+            items: returnItems,
+            amount: roundMoney(returnItems.reduce((sum, item) => sum + item.amount, 0)),
+            reason,
+            description,
+            photos,
+        });
+        await returnRequest.save({ session });
+        await syncOrderReturns(order, session);
+    });
+    return returnRequest;
+};
+
+const assertRequested = (returnRequest) => {
+    if (returnRequest.status !== 'requested') {
+        throw returnError(`This return is already ${returnRequest.status}`, 409);
+    }
+};
+
+// Moves a requested return on in the database, so that of two staff members
+// resolving it at once only one goes ahead
+const claimReturn = async (returnRequest, status, session) => {
+    assertRequested(returnRequest);
+    const claimed = await ReturnRequest.updateOne(
+        { _id: returnRequest._id, status: 'requested' },
+        { $set: { status } },
+        { session }
+    );
+    if (claimed.modifiedCount === 0) {
+        throw returnError('This return is already being resolved', 409);
+    }
+};
+
+const findOrder = async (returnRequest, session) => {
+    const order = await Order.findById(returnRequest.order).session(session).setOptions({ includeDeleted: true });
+    if (!order) {
+        throw returnError(`Order not found with ID ${returnRequest.order}`, 409);
+    }
+    return order;
+};
+
+// Sends the returned items again at no charge, to the recipients they were
+// for. Nothing is left to pay, so the replacement goes straight to processing.
+const placeReplacementOrder = async (order, returnRequest, changedBy, session) => {
+    const recipients = [];
+    const recipientPositions = new Map();
+    const replacementRecipient = (position) => {
+        if (position == null || !order.recipients || !order.recipients[position]) {
+            return undefined;
+        }
+        if (!recipientPositions.has(position)) {
+            const { name, phone, shippingAddress, giftMessage } = order.recipients[position];
+            recipientPositions.set(position, recipients.length);
+            recipients.push({ name, phone, shippingAddress, giftMessage, viewToken: createViewToken() });
+        }
+        return recipientPositions.get(position);
+    };
+
+    const items = returnRequest.items.map(({ line, quantity }) => {
+        const item = order.items[line];
+        return {
+            flower: item.flower,
+            variant: item.variant,
+            sku: item.sku,
+            attributes: item.attributes,
+            quantity,
+            priceAtPurchase: item.priceAtPurchase,
+            discount: roundMoney(item.priceAtPurchase * quantity),
+            recipient: replacementRecipient(item.recipient),
+        };
+    });
+    await reserveStock(items, session);
+
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.discount, 0));
+    const replacement = new Order({
+        user: order.user,
+        items,
+        subtotal,
+        discounts: [{
+            code: 'REPLACEMENT',
+            type: 'replacement',
+            description: `Replacement for order ${order._id}`,
+            amount: subtotal,
+        }],
+        discountTotal: subtotal,
+        shipping: { zone: order.shipping && order.shipping.zone, amount: 0 },
+        tax: { jurisdiction: order.tax && order.tax.jurisdiction, rate: 0, taxableAmount: 0, amount: 0 },
+        totalAmount: 0,
+        replacementFor: order._id,
+        shippingAddress: recipients.length ? recipients[0].shippingAddress : order.shippingAddress,
+        recipients,
+        anonymous: order.anonymous,
+        statusHistory: [{ status: 'pending', changedBy }],
+    });
+    replacement.changeStatus('processing', { changedBy, note: `Replacement for order ${order._id}` });
+
+    return replacement.save({ session });
+};
+
+/**
+ * Approves a return with a refund or a replacement order, and optionally
+ * puts the returned items back into stock. The return is claimed as
+ * approving first, so it is refunded once however often it is approved.
+ * Refunds go through the order's payments before anything else is saved.
+ * When approving fails the return goes back to requested, unless the refund
+ * went through: then it stays approving, for staff to check against the
+ * order's payments.
+ *
+ * @param {object} returnRequest - ReturnRequest document
+ * @param {object} input
+ * @param {'refund'|'replacement'} input.resolution
+ * @param {number} [input.refundAmount] - Defaults to the return's amount
+ * @param {boolean} [input.restock=false]
+ * @param {string} [input.note]
+ * @param {*} [input.resolvedBy]
+ * @returns {Promise<object>} The ReturnRequest
+ */
+const approveReturn = async (returnRequest, { resolution, refundAmount, restock = false, note, resolvedBy }) => {
+    await claimReturn(returnRequest, 'approving');
+
+    let refunded;
+    let refundMade = false;
+    try {
+        if (resolution === 'refund') {
+            refunded = refundAmount === undefined ? returnRequest.amount : roundMoney(refundAmount);
+            if (refunded > 0) {
+                await refundOrderAmount(await findOrder(returnRequest), refunded, { createdBy: resolvedBy });
+                refundMade = true;
+            }
+        }
+
+        await mongoose.connection.transaction(async (session) => {
+            // Loaded again, the refund has just updated the order's paymentStatus
+            const order = await findOrder(returnRequest, session);
+            const replacement = resolution === 'replacement'
+                ? await placeReplacementOrder(order, returnRequest, resolvedBy, session)
+                : null;
+            if (restock) {
+                await releaseStock(returnRequest.items, session);
+            }
+
+            returnRequest.status = 'approved';
+            returnRequest.resolution = {
+                type: resolution,
+                refundAmount: refunded,
+                replacementOrder: replacement ? replacement._id : undefined,
+                restocked: restock,
+                note,
+                resolvedBy,
+                resolvedAt: Date.now(),
+            };
+            await returnRequest.save({ session });
+            await syncOrderReturns(order, session);
+        });
+    } catch (err) {
+        if (!refundMade) {
+            returnRequest.status = 'requested';
+            await ReturnRequest.updateOne({ _id: returnRequest._id, status: 'approving' }, { $set: { status: 'requested' } });
+        }
+        throw err;
+    }
+    return returnRequest;
+};
+
+/**
+ * Rejects a return; its items can be claimed again.
+ * @param {object} returnRequest - ReturnRequest document
+ * @param {{note?: string, resolvedBy?: *}} [input]
+ * @returns {Promise<object>} The ReturnRequest
+ */
+const rejectReturn = async (returnRequest, { note, resolvedBy } = {}) => {
+    await mongoose.connection.transaction(async (session) => {
+        await claimReturn(returnRequest, 'rejected', session);
+        returnRequest.status = 'rejected';
+        returnRequest.resolution = { note, resolvedBy, resolvedAt: Date.now() };
+        await returnRequest.save({ session });
+        await syncOrderReturns(await findOrder(returnRequest, session), session);
+    });
+    return returnRequest;
+};
+
+module.exports = {
+    RETURN_PHOTO_URL,
+    storeReturnPhotos,
+    removeReturnPhotos,
+    findReturnPhoto,
+    openReturn,
+    approveReturn,
+    rejectReturn,
+};
@@ -0,0 +1,94 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Where the local backend keeps files and the URL path they are served from
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+const UPLOAD_URL = (process.env.UPLOAD_URL || '/uploads').replace(/\/$/, '');
+
+// Private files (e.g. return photos) are kept apart from UPLOAD_DIR, which is
+// public; they only reach clients through routes that check who asks
+const PRIVATE_UPLOAD_DIR = path.resolve(process.env.PRIVATE_UPLOAD_DIR || 'private-uploads');
+
+/**
+ * Stores files on the local disk; app.js serves UPLOAD_DIR under /uploads.
+ * @param {{root: string, baseUrl?: string}} options - Without baseUrl, files get no URL
+ */
+const createLocalStorage = ({ root, baseUrl }) => {
+    const resolve = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key ${key}`);
+        }
+        return file;
+    };
+
+    return {
+        async save(key, buffer) {
+            const file = resolve(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, buffer);
+            return baseUrl === undefined ? undefined : `${baseUrl}/${key}`;
+        },
+        async read(key) {
+            return fs.readFile(resolve(key));
+        },
+        async remove(key) {
+            await fs.rm(resolve(key), { force: true });
+        },
+    };
+};
+
+// Uploaded files go to the local disk until another backend (e.g. an S3
+// bucket) is configured with setStorage
+let storage = createLocalStorage({ root: UPLOAD_DIR, baseUrl: UPLOAD_URL });
+let privateStorage = createLocalStorage({ root: PRIVATE_UPLOAD_DIR });
+
+// Options of the functions below: {private: true} for the private storage
+const backend = (options = {}) => (options.private ? privateStorage : storage);
+
+/**
+ * Replaces where files are stored.
+ * @param {{save: (key: string, buffer: Buffer, contentType: string) => Promise<string|undefined>, read: (key: string) => Promise<Buffer>, remove: (key: string) => Promise<void>}} newBackend
+ *        save resolves to the public URL of the stored file, or nothing for the private storage
+ * @param {{private?: boolean}} [options]
+ */
+const setStorage = (newBackend, options = {}) => {
+    if (options.private) {
+        privateStorage = newBackend;
+    } else {
+        storage = newBackend;
+    }
+};
+
+/**
+ * @param {string} key - Path of the file within the storage, e.g. flowers/abc.jpg
+ * @param {Buffer} buffer
+ * @param {string} contentType
+ * @param {{private?: boolean}} [options]
+ * @returns {Promise<string|undefined>} Public URL of the file; none for private files
+ */
+const saveFile = (key, buffer, contentType, options) => backend(options).save(key, buffer, contentType);
+
+/**
+ * @param {string} key
+ * @param {{private?: boolean}} [options]
+ * @returns {Promise<Buffer>}
+ */
+const readFile = (key, options) => backend(options).read(key);
+
+/**
+ * @param {string} key
+ * @param {{private?: boolean}} [options]
+ */
+const removeFile = (key, options) => backend(options).remove(key);
+
+module.exports = {
+    UPLOAD_DIR,
+    UPLOAD_URL,
+    PRIVATE_UPLOAD_DIR,
+    createLocalStorage,
+    setStorage,
+    saveFile,
+    readFile,
+    removeFile,
+};
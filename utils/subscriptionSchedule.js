@@ -0,0 +1,65 @@
+const SUBSCRIPTION_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+// active: orders are placed on nextRunAt
+// paused: no orders until resumed, by the customer or on resumeAt
+// cancelled: final
+const SUBSCRIPTION_STATUSES = ['active', 'paused', 'cancelled'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const subscriptionError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * The run after `date`. Monthly runs keep to the day of the month the
+ * subscription started on (anchorDay), on the last day of shorter months.
+ * @param {Date} date
+ * @param {string} frequency - One of SUBSCRIPTION_FREQUENCIES
+ * @param {number} [anchorDay] - Day of the month (UTC), defaults to date's
+ * @returns {Date}
+ */
+const nextRunDate = (date, frequency, anchorDay = date.getUTCDate()) => {
+    if (frequency === 'weekly') {
+        return new Date(date.getTime() + 7 * DAY_MS);
+    }
+    if (frequency === 'biweekly') {
+        return new Date(date.getTime() + 14 * DAY_MS);
+    }
+    if (frequency === 'monthly') {
+        const next = new Date(date);
+        next.setUTCDate(1);
+        next.setUTCMonth(next.getUTCMonth() + 1);
+        const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+        next.setUTCDate(Math.min(anchorDay, lastDay));
+        return next;
+    }
+    throw subscriptionError(`Unknown subscription frequency ${frequency}`, 400);
+};
+
+/**
+ * The first run of the schedule after `now`, skipping the runs missed in
+ * between, e.g. while the subscription was paused.
+ * @param {Date} runAt - A run of the schedule
+ * @param {string} frequency
+ * @param {Date} now
+ * @param {number} [anchorDay]
+ * @returns {Date}
+ */
+const nextRunAfter = (runAt, frequency, now, anchorDay) => {
+    let next = nextRunDate(runAt, frequency, anchorDay);
+    while (next <= now) {
+        next = nextRunDate(next, frequency, anchorDay);
+    }
+    return next;
+};
+
+module.exports = {
+    SUBSCRIPTION_FREQUENCIES,
+    SUBSCRIPTION_STATUSES,
+    subscriptionError,
+    nextRunDate,
+    nextRunAfter,
+};
@@ -0,0 +1,206 @@
+const Flower = require('../models/Flower');
+const Subscription = require('../models/Subscription');
+const { placeOrder } = require('./placeOrder');
+const { subscriptionError, nextRunAfter } = require('./subscriptionSchedule');
+
+// Subscriptions run per scheduler tick, so a backlog is worked off over several
+const RUN_BATCH_SIZE = 100;
+
+// Sellable stock of a flower, or one of its variants, with its price
+const flowerOptions = (flower) => (flower.variants && flower.variants.length
+    ? flower.variants.map((variant) => ({ flower, variant, price: variant.price, stock: variant.stock }))
+    : [{ flower, variant: null, price: flower.price, stock: flower.stock }]);
+
+const inStock = (flower, variantId, quantity) => {
+    try {
+        return flower.resolveVariant(variantId).stock >= quantity;
+    } catch (err) {
+        return false; // The variant was removed from the catalog
+    }
+};
+
+// Stock in the category that can take the quantity, leaving out flowers
+// already on the order so one reservation does not eat into another
+const categoryOptions = async (category, quantity, excluded) => {
+    const flowers = await Flower.find({ category, stock: { $gte: quantity } });
+    return flowers
+        .filter((flower) => !excluded.has(String(flower._id)))
+        .flatMap(flowerOptions)
+        .filter((option) => option.stock >= quantity);
+};
+
+const toItem = ({ flower, variant }, quantity) => ({
+    flower: flower._id,
+    ...(variant && { variant: variant._id }),
+    quantity,
+});
+
+// The flowers of the subscription, with the out of stock ones replaced by the
+// flower of the same category closest in price
+const substitutedItems = async (subscription) => {
+    const items = [];
+    const substitutions = [];
+    const ordered = new Set(subscription.items.map((item) => String(item.flower)));
+
+    for (const item of subscription.items) {
+        // Flowers removed from the catalog are substituted like sold out ones
+        const flower = await Flower.findById(item.flower).withDeleted();
+        if (flower && !flower.deletedAt && inStock(flower, item.variant, item.quantity)) {
+            items.push({ flower: item.flower, variant: item.variant, quantity: item.quantity });
+            continue;
+        }
+
+        const substitution = { flower: item.flower, variant: item.variant, quantity: item.quantity };
+        if (subscription.allowSubstitutions && flower) {
+            const variant = item.variant && flower.variants.id(item.variant);
+            const price = variant ? variant.price : flower.price;
+            const [substitute] = (await categoryOptions(flower.category, item.quantity, ordered))
+                .sort((a, b) => Math.abs(a.price - price) - Math.abs(b.price - price) || b.stock - a.stock);
+            if (substitute) {
+                items.push(toItem(substitute, item.quantity));
+                ordered.add(String(substitute.flower._id));
+                substitution.substitute = substitute.flower._id;
+                substitution.substituteVariant = substitute.variant ? substitute.variant._id : undefined;
+            }
+        }
+        substitutions.push(substitution);
+    }
+
+    return { items, substitutions };
+};
+
+// Flowers in stock in the category, within the price limit, preferring ones
+// the last run did not send so deliveries vary
+const floristChoiceItems = async (subscription) => {
+    const { category, quantity, maxPrice } = subscription.floristChoice;
+    const lastRun = [...subscription.runs].reverse().find((run) => run.status === 'ordered');
+    const lastSent = new Set(lastRun ? lastRun.items.map((item) => String(item.flower)) : []);
+
+    const [choice] = (await categoryOptions(category, quantity, new Set()))
+        .filter((option) => maxPrice == null || option.price <= maxPrice)
+        .sort((a, b) =>
+            lastSent.has(String(a.flower._id)) - lastSent.has(String(b.flower._id)) || b.stock - a.stock
+        );
+
+    return { items: choice ? [toItem(choice, quantity)] : [], substitutions: [] };
+};
+
+/**
+ * Places the order of one run of a subscription through placeOrder, like
+ * POST /orders, and records the run on the subscription. Out of stock
+ * flowers are substituted, or left out if substitutions are off or nothing
+ * similar is in stock; a run that cannot place an order is recorded as
+ * failed. Does not move nextRunAt, see runDueSubscriptions.
+ *
+ * @param {object} subscription - Subscription document
+ * @param {object} [options]
+ * @param {Date} [options.scheduledFor] - The run being placed, defaults to nextRunAt
+ * @param {Date} [options.now]
+ * @returns {Promise<object>} The recorded run
+ */
+const runSubscription = async (subscription, { scheduledFor = subscription.nextRunAt, now = new Date() } = {}) => {
+    const { items, substitutions } = subscription.items.length
+        ? await substitutedItems(subscription)
+        : await floristChoiceItems(subscription);
+    const run = { scheduledFor, ranAt: now, items, substitutions };
+
+    try {
+        if (items.length === 0) {
+            throw subscriptionError('None of the subscription\'s flowers are in stock', 409);
+        }
+        const order = await placeOrder({
+            user: subscription.user,
+            items,
+            shippingAddress: subscription.shippingAddress,
+            subscription: subscription._id,
+        });
+        run.status = 'ordered';
+        run.order = order._id;
+    } catch (err) {
+        // Anything else than a rejected order (e.g. the database being down) is left to the caller
+        if (!err.statusCode) {
+            throw err;
+        }
+        run.status = 'failed';
+        run.error = err.message;
+    }
+
+    subscription.runs.push(run);
+    await subscription.save();
+    return subscription.runs[subscription.runs.length - 1];
+};
+
+/**
+ * Resumes paused subscriptions whose resumeAt has come, then places the
+ * orders of the active subscriptions that are due. Each subscription is
+ * claimed by moving its nextRunAt to the next run first, so concurrent
+ * schedulers never place a run twice; a run missed while the scheduler was
+ * down is placed once.
+ *
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{resumed: number, ordered: number, failed: number}>}
+ */
+const runDueSubscriptions = async ({ now = new Date() } = {}) => {
+    const summary = { resumed: 0, ordered: 0, failed: 0 };
+
+    const toResume = await Subscription.find({ status: 'paused', resumeAt: { $lte: now } });
+    for (const subscription of toResume) {
+        subscription.resume(now);
+        await subscription.save();
+        summary.resumed += 1;
+    }
+
+    const due = await Subscription.find({ status: 'active', nextRunAt: { $lte: now } })
+        .sort({ nextRunAt: 1 })
+        .limit(RUN_BATCH_SIZE);
+    for (const { _id, nextRunAt, frequency, startsAt } of due) {
+        const subscription = await Subscription.findOneAndUpdate(
+            { _id, status: 'active', nextRunAt },
+            { $set: { nextRunAt: nextRunAfter(nextRunAt, frequency, now, startsAt && startsAt.getUTCDate()) } },
+            { new: true }
+        );
+        if (!subscription) {
+            continue; // Claimed by another scheduler, or changed by the customer meanwhile
+        }
+
+        try {
+            const run = await runSubscription(subscription, { scheduledFor: nextRunAt, now });
+            summary[run.status] += 1;
+        } catch (err) {
+            console.error(`Subscription ${_id} run failed:`, err.message);
+            summary.failed += 1;
+        }
+    }
+
+    return summary;
+};
+
+/**
+ * Runs runDueSubscriptions every SUBSCRIPTION_INTERVAL_MINUTES (60 by
+ * default, 0 disables it). The timer does not keep the process alive.
+ * @returns {NodeJS.Timeout|null}
+ */
+const scheduleSubscriptions = () => {
+    const intervalMinutes = Number(process.env.SUBSCRIPTION_INTERVAL_MINUTES ?? 60);
+    if (!intervalMinutes) {
+        return null;
+    }
+
+    const timer = setInterval(async () => {
+        try {
+            const summary = await runDueSubscriptions();
+            console.log('Ran due subscriptions:', summary);
+        } catch (err) {
+            console.error('Running subscriptions failed:', err.message);
+        }
+    }, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    runSubscription,
+    runDueSubscriptions,
+    scheduleSubscriptions,
+};
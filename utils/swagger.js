@@ -26,28 +26,206 @@ const options = {
           description: 'Enter your JWT token here to access protected routes.',
         },
       },
+      parameters: {
+        PageParam: {
+          in: 'query',
+          name: 'page',
+          schema: { type: 'integer', minimum: 1, default: 1 },
+          description: 'Page number for offset pagination (ignored when a cursor is sent)',
+        },
+        LimitParam: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          description: 'Maximum number of items per page',
+        },
+        CursorParam: {
+          in: 'query',
+          name: 'cursor',
+          schema: { type: 'string' },
+          description: 'Opaque cursor taken from pagination.nextCursor or pagination.prevCursor',
+        },
+        OrderParam: {
+          in: 'query',
+          name: 'order',
+          schema: { type: 'string', enum: ['asc', 'desc'] },
+          description: 'Sort direction',
+        },
+        IncludeDeletedParam: {
+          in: 'query',
+          name: 'includeDeleted',
+          schema: { type: 'boolean', default: false },
+          description: 'Also list soft-deleted records (requires the permission to delete them)',
+        },
+      },
       schemas: {
+        AuthTokens: {
+          type: 'object',
+          properties: {
+            tokenType: { type: 'string', example: 'Bearer' },
+            accessToken: { type: 'string', description: 'JWT to send as a Bearer token' },
+            expiresIn: { type: 'string', example: '15m' },
+            refreshToken: {
+              type: 'string',
+              description: 'Opaque single-use token for POST /auth/token/refresh',
+            },
+          },
+        },
+        Pagination: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer', example: 42 },
+            limit: { type: 'integer', example: 20 },
+            page: { type: 'integer', nullable: true, example: 1 },
+            totalPages: { type: 'integer', example: 3 },
+            sort: { type: 'string', example: 'createdAt' },
+            order: { type: 'string', example: 'desc' },
+            hasNextPage: { type: 'boolean', example: true },
+            hasPrevPage: { type: 'boolean', example: false },
+            nextCursor: { type: 'string', nullable: true },
+            prevCursor: { type: 'string', nullable: true },
+          },
+        },
         Flower: {
           type: 'object',
           required: ['name', 'price', 'category', 'stock'],
           properties: {
             name: { type: 'string', example: 'Red Rose' },
+            sku: { type: 'string', example: 'ROSE-RED', description: 'Unique catalog identifier used by bulk imports' },
             description: {
               type: 'string',
               example: 'A beautiful vibrant red rose.',
             },
-            price: { type: 'number', format: 'float', example: 15.99 },
+            price: {
+              type: 'number',
+              format: 'float',
+              example: 15.99,
+              description: 'For flowers with variants, the lowest variant price (computed)',
+            },
             category: {
               type: 'string',
               example: '60d0fe4f5311236168a9b34b',
               description: 'Category ID',
             },
+            categoryName: {
+              type: 'string',
+              example: 'Roses',
+              readOnly: true,
+              description: 'Copy of the category name used by catalog search',
+            },
             imageUrl: {
               type: 'string',
               example: 'https://example.com/red_rose.jpg',
+              description: 'For flowers with uploaded images, the URL of the first one',
+            },
+            stock: {
+              type: 'integer',
+              example: 100,
+              description: 'For flowers with variants, the total stock of all variants (computed)',
+            },
+            images: {
+              type: 'array',
+              description: 'Uploaded images in display order',
+              items: { $ref: '#/components/schemas/FlowerImage' },
+            },
+            variants: {
+              type: 'array',
+              description: 'Sellable versions of the flower; orders and carts must pick one when present',
+              items: { $ref: '#/components/schemas/Variant' },
             },
-            stock: { type: 'integer', example: 100 },
             isFeatured: { type: 'boolean', example: false },
+            weight: { type: 'number', example: 400, description: 'Shipping weight in grams' },
+            ratingAverage: {
+              type: 'number',
+              readOnly: true,
+              example: 4.5,
+              description: 'Average of the approved reviews, 0 without reviews',
+            },
+            ratingCount: { type: 'integer', readOnly: true, example: 12 },
+          },
+        },
+        Review: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            user: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string' },
+                displayName: { type: 'string' },
+              },
+            },
+            flower: { type: 'string', description: 'Flower ID' },
+            order: { type: 'string', description: 'The delivered order that qualified the review' },
+            rating: { type: 'integer', minimum: 1, maximum: 5, example: 5 },
+            title: { type: 'string', example: 'Lasted two weeks' },
+            comment: { type: 'string' },
+            status: { type: 'string', enum: ['pending', 'approved', 'hidden'] },
+            moderationNote: { type: 'string' },
+            moderatedAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        FlowerImage: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', readOnly: true },
+            url: { type: 'string', example: '/uploads/flowers/3f9c2a.jpg' },
+            alt: { type: 'string', example: 'A bouquet of twelve red roses' },
+            mimeType: { type: 'string', example: 'image/jpeg' },
+            size: { type: 'integer', description: 'Bytes' },
+            width: { type: 'integer' },
+            height: { type: 'integer' },
+            thumbnails: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', enum: ['small', 'medium', 'large'] },
+                  url: { type: 'string', example: '/uploads/flowers/3f9c2a-small.webp' },
+                  width: { type: 'integer' },
+                  height: { type: 'integer' },
+                },
+              },
+            },
+          },
+        },
+        FlowerImageUpload: {
+          type: 'object',
+          description: 'Flower fields as form fields, plus image files',
+          properties: {
+            images: {
+              type: 'array',
+              maxItems: 10,
+              description: 'JPEG, PNG or WebP files, in display order',
+              items: { type: 'string', format: 'binary' },
+            },
+            imageAlt: {
+              type: 'array',
+              description: 'Alt text for each uploaded file, in the same order',
+              items: { type: 'string' },
+            },
+            variants: { type: 'string', description: 'JSON array of variants' },
+          },
+        },
+        Variant: {
+          type: 'object',
+          required: ['sku', 'price', 'stock'],
+          properties: {
+            _id: { type: 'string', readOnly: true, example: '60d0fe4f5311236168a9b34e' },
+            sku: { type: 'string', example: 'ROSE-RED-12', description: 'Unique across the catalog' },
+            price: { type: 'number', format: 'float', example: 24.99 },
+            stock: { type: 'integer', example: 30 },
+            attributes: {
+              type: 'object',
+              properties: {
+                size: { type: 'string', example: 'medium' },
+                color: { type: 'string', example: 'red' },
+                stemCount: { type: 'integer', example: 12 },
+              },
+            },
+            weight: { type: 'number', example: 900, description: "Grams, when it differs from the flower's weight" },
           },
         },
         Category: {
@@ -56,6 +234,151 @@ const options = {
           properties: {
             name: { type: 'string', example: 'Roses' },
             description: { type: 'string', example: 'Various types of roses.' },
+            parentCategory: {
+              type: 'string',
+              nullable: true,
+              example: '60d0fe4f5311236168a9b34c',
+              description: 'Parent category ID, null for root categories',
+            },
+            ancestors: {
+              type: 'array',
+              description: 'Category IDs from the root down to the parent',
+              items: { type: 'string' },
+            },
+            archivedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Set when the category was archived instead of deleted',
+            },
+          },
+        },
+        CategoryNode: {
+          allOf: [
+            { $ref: '#/components/schemas/Category' },
+            {
+              type: 'object',
+              properties: {
+                children: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/CategoryNode' },
+                },
+              },
+            },
+          ],
+        },
+        CategoryDeletion: {
+          type: 'object',
+          properties: {
+            category: { $ref: '#/components/schemas/Breadcrumb' },
+            action: {
+              type: 'string',
+              enum: ['delete', 'reassign', 'cascade', 'archive'],
+            },
+            reassignTo: { $ref: '#/components/schemas/Breadcrumb' },
+            flowers: {
+              type: 'array',
+              description: 'Flowers of the category that are reassigned, deleted or kept',
+              items: { $ref: '#/components/schemas/Breadcrumb' },
+            },
+            subcategories: {
+              type: 'object',
+              properties: {
+                moved: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/Breadcrumb' },
+                },
+                newParent: { type: 'string', nullable: true },
+                archived: { type: 'integer' },
+              },
+            },
+            dryRun: { type: 'boolean' },
+          },
+        },
+        CatalogImport: {
+          type: 'object',
+          properties: {
+            categories: {
+              type: 'array',
+              description: 'Created or updated by name; a parent must exist or be listed earlier',
+              items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: { type: 'string', example: 'Wedding' },
+                  description: { type: 'string' },
+                  parent: { type: 'string', nullable: true, example: 'Bouquets', description: 'Parent category name' },
+                },
+              },
+            },
+            flowers: {
+              type: 'array',
+              description: 'Created or updated by SKU',
+              items: {
+                type: 'object',
+                required: ['sku', 'name', 'category'],
+                properties: {
+                  sku: { type: 'string', example: 'ROSE' },
+                  name: { type: 'string', example: 'Rose' },
+                  description: { type: 'string' },
+                  category: { type: 'string', example: 'Wedding', description: 'Category name' },
+                  price: { type: 'number', format: 'float', description: 'Required without variants' },
+                  stock: { type: 'integer', description: 'Required without variants' },
+                  imageUrl: { type: 'string' },
+                  isFeatured: { type: 'boolean', default: false },
+                  weight: { type: 'number', description: 'Grams' },
+                  variants: { type: 'array', items: { $ref: '#/components/schemas/Variant' } },
+                },
+              },
+            },
+          },
+        },
+        CatalogImportSummary: {
+          type: 'object',
+          properties: {
+            dryRun: { type: 'boolean' },
+            categories: { $ref: '#/components/schemas/ImportCounts' },
+            flowers: { $ref: '#/components/schemas/ImportCounts' },
+            rows: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  row: { type: 'integer', description: 'CSV line or 1-based position in the JSON array' },
+                  sku: { type: 'string' },
+                  name: { type: 'string' },
+                  action: { type: 'string', enum: ['create', 'update', 'unchanged'] },
+                },
+              },
+            },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', enum: ['category', 'flower'] },
+                  row: { type: 'integer' },
+                  sku: { type: 'string' },
+                  name: { type: 'string' },
+                  errors: { type: 'array', items: { type: 'string' }, example: ['"price" is required'] },
+                },
+              },
+            },
+          },
+        },
+        ImportCounts: {
+          type: 'object',
+          properties: {
+            created: { type: 'integer' },
+            updated: { type: 'integer' },
+            unchanged: { type: 'integer' },
+          },
+        },
+        Breadcrumb: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            name: { type: 'string', example: 'Wedding' },
           },
         },
         User: {
@@ -67,11 +390,40 @@ const options = {
               example: 'user@example.com',
             },
             displayName: { type: 'string', example: 'John Doe' },
+            emailVerified: { type: 'boolean', example: true },
             profilePicture: {
               type: 'string',
               example: 'https://lh3.googleusercontent.com/a/image.jpg',
             },
-            isAdmin: { type: 'boolean', example: false },
+            role: {
+              type: 'string',
+              enum: ['customer', 'florist', 'admin'],
+              example: 'customer',
+            },
+            permissions: {
+              type: 'array',
+              description: 'Individual permissions granted on top of the role',
+              items: { type: 'string', example: 'orders:read' },
+            },
+            addresses: {
+              type: 'array',
+              description: 'Address book, see /users/me/addresses',
+              items: { $ref: '#/components/schemas/Address' },
+            },
+          },
+        },
+        Address: {
+          type: 'object',
+          required: ['label', 'street', 'city', 'state', 'zipCode', 'country'],
+          properties: {
+            _id: { type: 'string', readOnly: true, description: 'The addressId orders take' },
+            label: { type: 'string', example: 'Home' },
+            street: { type: 'string', example: '123 Flower St' },
+            city: { type: 'string', example: 'Bloomtown' },
+            state: { type: 'string', example: 'CA' },
+            zipCode: { type: 'string', example: '90210' },
+            country: { type: 'string', example: 'USA' },
+            isDefault: { type: 'boolean', example: true, description: 'Used for orders sent without an address' },
           },
         },
         Wishlist: {
@@ -82,10 +434,69 @@ const options = {
               example: '60d0fe4f5311236168a9b34a',
               description: 'User ID',
             },
+            name: {
+              type: 'string',
+              example: 'Birthday ideas',
+              description: 'Unique per user, defaults to "My Wishlist"',
+            },
             flowers: {
               type: 'array',
+              description: 'Flower IDs in the order the user arranged them',
               items: { type: 'string', example: '60d0fe4f5311236168a9b34b' },
             },
+            isPublic: {
+              type: 'boolean',
+              description: 'Whether the wishlist can be viewed through its share link',
+            },
+            shareToken: {
+              type: 'string',
+              description: 'Token of the public link, only set while shared',
+            },
+            fulfillments: {
+              type: 'array',
+              description: 'Purchases other shoppers made from the shared wishlist',
+              items: {
+                type: 'object',
+                properties: {
+                  flower: { type: 'string' },
+                  quantity: { type: 'integer' },
+                  order: { type: 'string' },
+                  purchasedBy: { type: 'string' },
+                  purchasedAt: { type: 'string', format: 'date-time' },
+                },
+              },
+            },
+          },
+        },
+        Cart: {
+          type: 'object',
+          properties: {
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  flower: {
+                    type: 'string',
+                    example: '60d0fe4f5311236168a9b34b',
+                    description: 'Flower ID',
+                  },
+                  variant: { type: 'string', description: 'Variant ID, for flowers sold in variants' },
+                  sku: { type: 'string', example: 'ROSE-RED-12' },
+                  attributes: { $ref: '#/components/schemas/Variant/properties/attributes' },
+                  name: { type: 'string', example: 'Red Rose' },
+                  imageUrl: { type: 'string' },
+                  quantity: { type: 'integer', example: 2 },
+                  unitPrice: { type: 'number', format: 'float', example: 15.99 },
+                  lineTotal: { type: 'number', format: 'float', example: 31.98 },
+                  stock: { type: 'integer', example: 40 },
+                  available: { type: 'boolean', example: true },
+                },
+              },
+            },
+            itemCount: { type: 'integer', example: 2 },
+            subtotal: { type: 'number', format: 'float', example: 31.98 },
+            allAvailable: { type: 'boolean', example: true },
           },
         },
         Order: {
@@ -107,16 +518,47 @@ const options = {
                     example: '60d0fe4f5311236168a9b34b',
                     description: 'Flower ID',
                   },
+                  variant: { type: 'string', description: 'Variant ID, for flowers sold in variants' },
+                  sku: { type: 'string', example: 'ROSE-RED-12', description: 'Variant SKU at the time of purchase' },
+                  attributes: { $ref: '#/components/schemas/Variant/properties/attributes' },
                   quantity: { type: 'integer', example: 2 },
                   priceAtPurchase: {
                     type: 'number',
                     format: 'float',
                     example: 15.99,
                   },
+                  discount: {
+                    type: 'number',
+                    format: 'float',
+                    example: 3.2,
+                    description: "This item's share of the order's discounts",
+                  },
+                  recipient: {
+                    type: 'integer',
+                    example: 0,
+                    description: 'Position of the recipient the item is for, for orders with recipients',
+                  },
                 },
               },
             },
-            totalAmount: { type: 'number', format: 'float', example: 31.98 },
+            subtotal: { type: 'number', format: 'float', example: 31.98, description: 'Before discounts' },
+            discounts: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/OrderDiscount' },
+            },
+            discountTotal: { type: 'number', format: 'float', example: 3.2 },
+            freeShipping: { type: 'boolean', example: false },
+            shipping: { $ref: '#/components/schemas/OrderShipping' },
+            tax: {
+              allOf: [{ $ref: '#/components/schemas/OrderTax' }],
+              description: 'Of all recipients together; rate is the effective rate if theirs differ',
+            },
+            totalAmount: {
+              type: 'number',
+              format: 'float',
+              example: 38.86,
+              description: 'subtotal - discountTotal + shipping.amount + tax.amount',
+            },
             status: {
               type: 'string',
               enum: [
@@ -128,9 +570,40 @@ const options = {
               ],
               example: 'pending',
             },
+            paymentStatus: {
+              type: 'string',
+              enum: ['unpaid', 'pending', 'authorized', 'paid', 'partially_refunded', 'refunded'],
+              example: 'paid',
+            },
+            delivery: { $ref: '#/components/schemas/OrderDelivery' },
+            recipients: {
+              type: 'array',
+              description: 'Who the order is a gift for; empty for orders the buyer receives',
+              items: { $ref: '#/components/schemas/OrderRecipient' },
+            },
+            anonymous: { type: 'boolean', example: false, description: "Hide the buyer's name from the recipients" },
+            returnStatus: {
+              type: 'string',
+              enum: ['none', 'requested', 'partially_returned', 'returned'],
+              example: 'none',
+            },
+            refundTotal: {
+              type: 'number',
+              format: 'float',
+              example: 0,
+              description: 'Refunded through approved returns',
+            },
+            subscription: { type: 'string', description: 'For orders placed by a subscription, its ID' },
+            replacementFor: {
+              type: 'string',
+              description: 'For free replacement orders, the order whose return they replace',
+            },
             shippingAddress: {
               type: 'object',
+              description: "A copy of the address; the first recipient's, for orders with recipients",
               properties: {
+                addressId: { type: 'string', description: 'Address book entry the address was copied from' },
+                label: { type: 'string', example: 'Home' },
                 street: { type: 'string', example: '123 Flower St' },
                 city: { type: 'string', example: 'Bloomtown' },
                 state: { type: 'string', example: 'CA' },
@@ -138,9 +611,515 @@ const options = {
                 country: { type: 'string', example: 'USA' },
               },
             },
+            statusHistory: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/OrderStatusChange' },
+            },
             orderDate: { type: 'string', format: 'date-time' },
           },
         },
+        OrderRecipient: {
+          type: 'object',
+          required: ['name', 'shippingAddress'],
+          properties: {
+            name: { type: 'string', example: 'Ada Lovelace' },
+            phone: { type: 'string', example: '+1 415 555 0100', description: 'For the courier' },
+            shippingAddress: { $ref: '#/components/schemas/Order/properties/shippingAddress' },
+            giftMessage: {
+              type: 'string',
+              example: 'Happy birthday!',
+              description: 'Printed on the gift card: at most 250 characters on 6 lines, no links',
+            },
+            delivery: { $ref: '#/components/schemas/OrderDelivery' },
+            shipping: { $ref: '#/components/schemas/OrderShipping' },
+            tax: { $ref: '#/components/schemas/OrderTax' },
+            viewToken: {
+              type: 'string',
+              readOnly: true,
+              description: 'Secret of the link the recipient views the gift with, see GET /orders/gift/{token}',
+            },
+          },
+        },
+        RecipientRequest: {
+          type: 'object',
+          description: 'A single recipient may use the order items, shippingAddress and delivery',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', example: 'Ada Lovelace' },
+            phone: { type: 'string', example: '+1 415 555 0100' },
+            giftMessage: { type: 'string', example: 'Happy birthday!' },
+            shippingAddress: { $ref: '#/components/schemas/Order/properties/shippingAddress' },
+            addressId: { type: 'string', description: 'An address of the buyer\'s address book, in place of shippingAddress' },
+            delivery: { $ref: '#/components/schemas/DeliveryRequest' },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  flower: { type: 'string' },
+                  variant: { type: 'string' },
+                  quantity: { type: 'integer' },
+                },
+              },
+            },
+          },
+        },
+        GiftView: {
+          type: 'object',
+          description: "A recipient's part of an order, without prices",
+          properties: {
+            order: { type: 'string' },
+            status: { type: 'string', example: 'shipped' },
+            from: { type: 'string', nullable: true, example: 'Charles', description: 'Null for anonymous gifts' },
+            recipient: {
+              type: 'object',
+              properties: { name: { type: 'string', example: 'Ada Lovelace' } },
+            },
+            giftMessage: { type: 'string', nullable: true, example: 'Happy birthday!' },
+            shippingAddress: { $ref: '#/components/schemas/Order/properties/shippingAddress' },
+            delivery: { allOf: [{ $ref: '#/components/schemas/OrderDelivery' }], nullable: true },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  flower: {
+                    type: 'object',
+                    properties: {
+                      _id: { type: 'string' },
+                      name: { type: 'string', example: 'Red Rose' },
+                      imageUrl: { type: 'string' },
+                    },
+                  },
+                  sku: { type: 'string' },
+                  attributes: { $ref: '#/components/schemas/Variant/properties/attributes' },
+                  quantity: { type: 'integer', example: 12 },
+                },
+              },
+            },
+          },
+        },
+        OrderDelivery: {
+          type: 'object',
+          description: 'Booked delivery slot; empty for orders shipped by carrier',
+          properties: {
+            zone: { type: 'string', description: 'Delivery zone ID' },
+            zoneName: { type: 'string', example: 'San Francisco' },
+            date: { type: 'string', format: 'date', example: '2026-02-14' },
+            slot: { type: 'string', description: 'ID of the zone slot' },
+            start: { type: 'string', example: '09:00' },
+            end: { type: 'string', example: '12:00' },
+          },
+        },
+        DeliveryRequest: {
+          type: 'object',
+          description: 'Delivery slot to book, see GET /delivery/slots; full or closed slots are rejected',
+          required: ['date', 'slot'],
+          properties: {
+            date: { type: 'string', format: 'date', example: '2026-02-14' },
+            slot: { type: 'string', description: 'ID of the zone slot' },
+          },
+        },
+        DeliveryZone: {
+          type: 'object',
+          required: ['name', 'zipCodes', 'slots'],
+          properties: {
+            _id: { type: 'string', readOnly: true },
+            name: { type: 'string', example: 'San Francisco' },
+            zipCodes: {
+              type: 'array',
+              description: 'Zip codes served, or prefixes ending in *',
+              items: { type: 'string' },
+              example: ['941*', '94015'],
+            },
+            slots: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['start', 'end', 'capacity'],
+                properties: {
+                  _id: { type: 'string' },
+                  start: { type: 'string', example: '09:00' },
+                  end: { type: 'string', example: '12:00' },
+                  capacity: { type: 'integer', example: 20, description: 'Deliveries per day' },
+                },
+              },
+            },
+            weekdays: {
+              type: 'array',
+              description: 'Days the zone delivers, 0 is Sunday',
+              items: { type: 'integer', minimum: 0, maximum: 6 },
+              example: [1, 2, 3, 4, 5, 6],
+            },
+            sameDayCutoff: {
+              type: 'string',
+              example: '12:00',
+              description: 'Same-day deliveries can be booked until this time; empty for none',
+            },
+            maxDaysAhead: { type: 'integer', default: 60 },
+            blackoutDates: {
+              type: 'array',
+              items: { type: 'string', format: 'date' },
+              example: ['2026-12-25'],
+            },
+            capacityOverrides: {
+              type: 'array',
+              description: 'Capacity on specific dates, for one slot or every slot of the date',
+              items: {
+                type: 'object',
+                required: ['date', 'capacity'],
+                properties: {
+                  date: { type: 'string', format: 'date', example: '2026-02-14' },
+                  slot: { type: 'string' },
+                  capacity: { type: 'integer', example: 60 },
+                },
+              },
+            },
+            isActive: { type: 'boolean', default: true },
+          },
+        },
+        DeliverySlots: {
+          type: 'object',
+          properties: {
+            zone: {
+              type: 'object',
+              properties: { _id: { type: 'string' }, name: { type: 'string' } },
+            },
+            timezone: { type: 'string', example: 'America/Los_Angeles' },
+            dates: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  date: { type: 'string', format: 'date' },
+                  available: { type: 'boolean', description: 'Whether any slot can be booked' },
+                  reason: { type: 'string', example: 'No deliveries on this date' },
+                  slots: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        slot: { type: 'string' },
+                        start: { type: 'string', example: '09:00' },
+                        end: { type: 'string', example: '12:00' },
+                        capacity: { type: 'integer' },
+                        remaining: { type: 'integer' },
+                        available: { type: 'boolean' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        OrderShipping: {
+          type: 'object',
+          properties: {
+            zone: { type: 'string', example: 'us' },
+            weight: { type: 'number', example: 800, description: 'Grams' },
+            amount: {
+              type: 'number',
+              format: 'float',
+              example: 7.99,
+              description: 'A free shipping promotion takes this off again as its discount',
+            },
+          },
+        },
+        OrderTax: {
+          type: 'object',
+          properties: {
+            jurisdiction: { type: 'string', example: 'US-CA' },
+            rate: { type: 'number', example: 0.0725 },
+            taxableAmount: { type: 'number', format: 'float', example: 28.78 },
+            amount: { type: 'number', format: 'float', example: 2.09 },
+          },
+        },
+        OrderQuote: {
+          type: 'object',
+          description: 'The price fields an order placed with the same input would get',
+          properties: {
+            items: { $ref: '#/components/schemas/Order/properties/items' },
+            subtotal: { type: 'number', format: 'float', example: 31.98 },
+            discounts: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/OrderDiscount' },
+            },
+            discountTotal: { type: 'number', format: 'float', example: 3.2 },
+            freeShipping: { type: 'boolean', example: false },
+            shipping: { $ref: '#/components/schemas/OrderShipping' },
+            tax: { $ref: '#/components/schemas/OrderTax' },
+            totalAmount: { type: 'number', format: 'float', example: 38.86 },
+            shipments: {
+              type: 'array',
+              description: 'Shipping and tax per shipment: one per recipient, or one for the whole order',
+              items: {
+                type: 'object',
+                properties: {
+                  shipping: { $ref: '#/components/schemas/OrderShipping' },
+                  tax: { $ref: '#/components/schemas/OrderTax' },
+                },
+              },
+            },
+          },
+        },
+        OrderDiscount: {
+          type: 'object',
+          properties: {
+            promotion: { type: 'string', description: 'Promotion ID' },
+            code: { type: 'string', example: 'SPRING10' },
+            type: { type: 'string', example: 'percentage' },
+            description: { type: 'string', example: '10% off spring bouquets' },
+            amount: { type: 'number', format: 'float', example: 3.2 },
+          },
+        },
+        Promotion: {
+          type: 'object',
+          required: ['code', 'type'],
+          properties: {
+            code: { type: 'string', example: 'SPRING10', description: 'Stored in upper case' },
+            description: { type: 'string', example: '10% off spring bouquets' },
+            type: {
+              type: 'string',
+              enum: ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'],
+              example: 'percentage',
+            },
+            value: {
+              type: 'number',
+              example: 10,
+              description:
+                'Percent off (percentage), amount off (fixed) or percent off the free items (buy_x_get_y, default 100)',
+            },
+            buyQuantity: { type: 'integer', example: 2, description: 'buy_x_get_y only' },
+            getQuantity: { type: 'integer', example: 1, description: 'buy_x_get_y only' },
+            minOrderValue: { type: 'number', example: 50, description: 'Order subtotal needed to use the code' },
+            flowers: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Flower IDs the discount applies to',
+            },
+            categories: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Category IDs the discount applies to, including subcategories. No flowers and categories means every item.',
+            },
+            usageLimit: { type: 'integer', nullable: true, example: 100, description: 'Orders in total; null for unlimited' },
+            perUserLimit: { type: 'integer', nullable: true, example: 1, description: 'Orders per customer; null for unlimited' },
+            usageCount: { type: 'integer', readOnly: true, description: 'Orders using the code, not counting cancelled ones' },
+            startsAt: { type: 'string', format: 'date-time', nullable: true },
+            endsAt: { type: 'string', format: 'date-time', nullable: true },
+            isActive: { type: 'boolean', example: true },
+          },
+        },
+        PromotionPreview: {
+          type: 'object',
+          properties: {
+            code: { type: 'string', example: 'SPRING10' },
+            type: { type: 'string', example: 'percentage' },
+            description: { type: 'string' },
+            freeShipping: { type: 'boolean' },
+            subtotal: { type: 'number', format: 'float', example: 31.98 },
+            discountTotal: { type: 'number', format: 'float', example: 3.2 },
+            totalAmount: { type: 'number', format: 'float', example: 28.78 },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  flower: { type: 'string' },
+                  variant: { type: 'string' },
+                  quantity: { type: 'integer' },
+                  priceAtPurchase: { type: 'number', format: 'float' },
+                  discount: { type: 'number', format: 'float' },
+                },
+              },
+            },
+          },
+        },
+        Payment: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', readOnly: true },
+            order: { type: 'string', description: 'Order ID' },
+            user: { type: 'string', description: 'User ID of the payer' },
+            provider: { type: 'string', example: 'mock' },
+            providerPaymentId: { type: 'string', example: 'mock_pay_1a2b3c4d5e6f7a8b' },
+            amount: { type: 'number', format: 'float', example: 38.86, description: 'Amount authorized' },
+            currency: { type: 'string', example: 'usd' },
+            amountCaptured: { type: 'number', format: 'float', example: 38.86 },
+            amountRefunded: { type: 'number', format: 'float', example: 0 },
+            status: {
+              type: 'string',
+              enum: ['pending', 'authorized', 'captured', 'partially_refunded', 'refunded', 'voided', 'failed'],
+              example: 'captured',
+            },
+            failureReason: { type: 'string', example: 'Your card was declined' },
+            events: {
+              type: 'array',
+              description: 'Provider calls and webhooks, oldest first',
+              items: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', enum: ['authorize', 'capture', 'refund', 'void', 'webhook'] },
+                  status: { type: 'string', enum: ['succeeded', 'failed'] },
+                  amount: { type: 'number', format: 'float' },
+                  reference: { type: 'string', description: 'Provider ID of the operation' },
+                  webhookType: { type: 'string', example: 'payment.captured' },
+                  error: { type: 'string' },
+                  createdBy: { type: 'string' },
+                  createdAt: { type: 'string', format: 'date-time' },
+                },
+              },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        ReturnRequest: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', readOnly: true },
+            order: { type: 'string', description: 'Order ID' },
+            user: { type: 'string', description: 'User ID of the customer' },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  line: { type: 'integer', example: 0, description: 'Position of the item in the order items' },
+                  flower: { type: 'string' },
+                  variant: { type: 'string' },
+                  quantity: { type: 'integer', example: 1 },
+                  amount: {
+                    type: 'number',
+                    format: 'float',
+                    example: 27.01,
+                    description: 'What the customer paid for these units, after discounts and with tax',
+                  },
+                },
+              },
+            },
+            amount: { type: 'number', format: 'float', example: 27.01, description: 'Refund approved by default' },
+            reason: {
+              type: 'string',
+              enum: ['damaged', 'wilted', 'wrong_item', 'missing_item', 'other'],
+              example: 'damaged',
+            },
+            description: { type: 'string', example: 'Half of the stems arrived broken' },
+            photos: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/FlowerImage' },
+              description: 'Not public: the URLs point to GET /returns/photos/{file}',
+            },
+            status: { type: 'string', enum: ['requested', 'approving', 'approved', 'rejected'], example: 'requested' },
+            resolution: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: ['refund', 'replacement'] },
+                refundAmount: { type: 'number', format: 'float' },
+                replacementOrder: { type: 'string', description: 'Order ID of the free replacement' },
+                restocked: { type: 'boolean' },
+                note: { type: 'string' },
+                resolvedBy: { type: 'string' },
+                resolvedAt: { type: 'string', format: 'date-time' },
+              },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        Subscription: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', readOnly: true },
+            user: { type: 'string', readOnly: true, description: 'User ID of the customer' },
+            items: {
+              type: 'array',
+              description: "Flowers delivered on every run; empty for florist's choice subscriptions",
+              items: { $ref: '#/components/schemas/SubscriptionItem' },
+            },
+            floristChoice: {
+              type: 'object',
+              description: 'The florist picks flowers in stock in the category on every run',
+              properties: {
+                category: { type: 'string', description: 'Category ID' },
+                quantity: { type: 'integer', example: 12 },
+                maxPrice: { type: 'number', format: 'float', example: 3, description: 'Per stem' },
+              },
+            },
+            allowSubstitutions: {
+              type: 'boolean',
+              example: true,
+              description: 'Send the flower of the same category closest in price when one is out of stock',
+            },
+            frequency: { type: 'string', enum: ['weekly', 'biweekly', 'monthly'], example: 'weekly' },
+            startsAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'First run; monthly runs keep to its day of the month',
+            },
+            nextRunAt: { type: 'string', format: 'date-time', readOnly: true },
+            status: { type: 'string', enum: ['active', 'paused', 'cancelled'], readOnly: true },
+            resumeAt: { type: 'string', format: 'date-time', readOnly: true },
+            cancelledAt: { type: 'string', format: 'date-time', readOnly: true },
+            shippingAddress: { $ref: '#/components/schemas/Order/properties/shippingAddress' },
+            runs: {
+              type: 'array',
+              readOnly: true,
+              description: 'Every run, oldest first, with the order it placed',
+              items: {
+                type: 'object',
+                properties: {
+                  scheduledFor: { type: 'string', format: 'date-time' },
+                  ranAt: { type: 'string', format: 'date-time' },
+                  status: { type: 'string', enum: ['ordered', 'skipped', 'failed'] },
+                  order: { type: 'string', description: 'Order ID; populated by GET /subscriptions/{id}' },
+                  items: {
+                    type: 'array',
+                    description: 'What was ordered, after substitutions',
+                    items: { $ref: '#/components/schemas/SubscriptionItem' },
+                  },
+                  substitutions: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        flower: { type: 'string', description: 'The out of stock flower' },
+                        variant: { type: 'string' },
+                        quantity: { type: 'integer' },
+                        substitute: { type: 'string', description: 'Flower sent instead; empty if the item was left out' },
+                        substituteVariant: { type: 'string' },
+                      },
+                    },
+                  },
+                  error: { type: 'string', example: 'Insufficient stock for one or more flowers' },
+                },
+              },
+            },
+            createdAt: { type: 'string', format: 'date-time', readOnly: true },
+          },
+        },
+        SubscriptionItem: {
+          type: 'object',
+          required: ['flower', 'quantity'],
+          properties: {
+            flower: { type: 'string', description: 'Flower ID' },
+            variant: { type: 'string', description: 'Variant ID; required for flowers sold in variants' },
+            quantity: { type: 'integer', example: 6 },
+          },
+        },
+        OrderStatusChange: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', example: 'pending' },
+            status: { type: 'string', example: 'processing' },
+            changedAt: { type: 'string', format: 'date-time' },
+            changedBy: {
+              type: 'string',
+              example: '60d0fe4f5311236168a9b34a',
+              description: 'User ID of the actor',
+            },
+            note: { type: 'string', example: 'Payment confirmed' },
+          },
+        },
       },
     },
   },
@@ -150,6 +1129,15 @@ const options = {
     './routes/orderRoutes.js',
     './routes/categoryRoutes.js',
     './routes/userRoutes.js',
+    './routes/cartRoutes.js',
+    './routes/authRoutes.js',
+    './routes/wishlistRoutes.js',
+    './routes/reviewRoutes.js',
+    './routes/promotionRoutes.js',
+    './routes/paymentRoutes.js',
+    './routes/returnRoutes.js',
+    './routes/deliveryRoutes.js',
+    './routes/subscriptionRoutes.js',
     './models/*.js',
   ],
 };
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+
+// How long each kind of emailed token stays valid
+const TOKEN_TTL_MINUTES = {
+    verify_email: Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60,
+    password_reset: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Creates a single-use token for the user, invalidating any earlier unused
+ * token with the same purpose.
+ * @param {import('mongoose').Document} user
+ * @param {'verify_email'|'password_reset'} purpose
+ * @returns {Promise<string>} The raw token to send to the user
+ */
+const createUserToken = async (user, purpose) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await UserToken.deleteMany({ user: user._id, purpose, usedAt: null });
+    await UserToken.create({
+        user: user._id,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000),
+    });
+
+    return token;
+};
+
+/**
+ * Marks a valid token as used and returns the ID of its user. Fails with a 400
+ * error when the token is unknown, expired or already used.
+ * @param {string} token
+ * @param {'verify_email'|'password_reset'} purpose
+ */
+const consumeUserToken = async (token, purpose) => {
+    const now = new Date();
+
+    // Atomically claim the token so it cannot be used twice
+    const record = await UserToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { usedAt: now }
+    );
+
+    if (!record) {
+        const error = new Error('Invalid or expired token');
+        error.statusCode = 400;
+        throw error;
+    }
+    return record.user;
+};
+
+module.exports = { createUserToken, consumeUserToken };
@@ -0,0 +1,7 @@
+const joi = require("joi");
+
+const emailSchema = joi.object({
+  email: joi.string().email().required(),
+});
+
+module.exports = { emailSchema };
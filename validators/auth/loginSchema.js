@@ -0,0 +1,8 @@
+const joi = require("joi");
+
+const loginSchema = joi.object({
+  email: joi.string().email().required(),
+  password: joi.string().required(),
+});
+
+module.exports = { loginSchema };
@@ -0,0 +1,7 @@
+const joi = require("joi");
+
+const logoutSchema = joi.object({
+  refreshToken: joi.string().optional(),
+});
+
+module.exports = { logoutSchema };
@@ -0,0 +1,7 @@
+const joi = require("joi");
+
+const refreshTokenSchema = joi.object({
+  refreshToken: joi.string().required(),
+});
+
+module.exports = { refreshTokenSchema };
@@ -0,0 +1,8 @@
+const joi = require("joi");
+
+const resetPasswordSchema = joi.object({
+  token: joi.string().required(),
+  password: joi.string().min(8).max(72).required(),
+});
+
+module.exports = { resetPasswordSchema };
@@ -0,0 +1,10 @@
+const joi = require("joi");
+
+const signupSchema = joi.object({
+  email: joi.string().email().required(),
+  // bcrypt only uses the first 72 bytes of a password
+  password: joi.string().min(8).max(72).required(),
+  displayName: joi.string().trim().max(100).optional(),
+});
+
+module.exports = { signupSchema };
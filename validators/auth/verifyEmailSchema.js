@@ -0,0 +1,7 @@
+const joi = require("joi");
+
+const verifyEmailSchema = joi.object({
+  token: joi.string().required(),
+});
+
+module.exports = { verifyEmailSchema };
@@ -0,0 +1,10 @@
+const joi = require("joi");
+const { quantitySchema } = require("../order/quantitySchema");
+
+const addCartItemSchema = joi.object({
+  flower: joi.string().required(),
+  variant: joi.string().optional(),
+  quantity: quantitySchema.optional(),
+});
+
+module.exports = { addCartItemSchema };
@@ -0,0 +1,16 @@
+const joi = require("joi");
+const { shippingAddressSchema } = require("../order/shippingAddressSchema");
+const { deliverySchema } = require("../order/deliverySchema");
+const { giftRecipientSchema } = require("../order/recipientSchema");
+
+const checkoutSchema = joi.object({
+  // Without either, the default address of the address book
+  shippingAddress: shippingAddressSchema.optional(),
+  addressId: joi.string().optional(),
+  promoCode: joi.string().trim().optional(),
+  delivery: deliverySchema.optional(),
+  recipient: giftRecipientSchema.optional(),
+  anonymous: joi.boolean().optional(),
+}).oxor("shippingAddress", "addressId");
+
+module.exports = { checkoutSchema };
@@ -0,0 +1,8 @@
+const joi = require("joi");
+const { quantitySchema } = require("../order/quantitySchema");
+
+const updateCartItemSchema = joi.object({
+  quantity: quantitySchema.required(),
+});
+
+module.exports = { updateCartItemSchema };
@@ -3,6 +3,7 @@ const joi = require("joi");
 const createCategorySchema = joi.object({
   name: joi.string().required(),
   description: joi.string().optional(),
+  parentCategory: joi.string().allow(null).optional(),
 });
 
 module.exports = { createCategorySchema };
@@ -0,0 +1,31 @@
+const joi = require("joi");
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const slotSchema = joi.object({
+  _id: joi.string().optional(),
+  start: joi.string().pattern(TIME).required(),
+  end: joi.string().pattern(TIME).required(),
+  capacity: joi.number().integer().min(0).required(),
+});
+
+const capacityOverrideSchema = joi.object({
+  date: joi.string().pattern(DATE).required(),
+  slot: joi.string().optional(),
+  capacity: joi.number().integer().min(0).required(),
+});
+
+const createDeliveryZoneSchema = joi.object({
+  name: joi.string().trim().max(100).required(),
+  zipCodes: joi.array().items(joi.string().trim()).min(1).required(),
+  slots: joi.array().items(slotSchema).min(1).required(),
+  weekdays: joi.array().items(joi.number().integer().min(0).max(6)).optional(),
+  sameDayCutoff: joi.string().pattern(TIME).allow(null).optional(),
+  maxDaysAhead: joi.number().integer().min(0).optional(),
+  blackoutDates: joi.array().items(joi.string().pattern(DATE)).optional(),
+  capacityOverrides: joi.array().items(capacityOverrideSchema).optional(),
+  isActive: joi.boolean().optional(),
+});
+
+module.exports = { createDeliveryZoneSchema, slotSchema, capacityOverrideSchema, TIME, DATE };
@@ -0,0 +1,19 @@
+const joi = require("joi");
+const { slotSchema, capacityOverrideSchema, TIME, DATE } = require("./createDeliveryZoneSchema");
+
+// Slots sent with their _id keep it, so orders booked in them still match
+const updateDeliveryZoneSchema = joi
+  .object({
+    name: joi.string().trim().max(100).optional(),
+    zipCodes: joi.array().items(joi.string().trim()).min(1).optional(),
+    slots: joi.array().items(slotSchema).min(1).optional(),
+    weekdays: joi.array().items(joi.number().integer().min(0).max(6)).optional(),
+    sameDayCutoff: joi.string().pattern(TIME).allow(null).optional(),
+    maxDaysAhead: joi.number().integer().min(0).optional(),
+    blackoutDates: joi.array().items(joi.string().pattern(DATE)).optional(),
+    capacityOverrides: joi.array().items(capacityOverrideSchema).optional(),
+    isActive: joi.boolean().optional(),
+  })
+  .min(1);
+
+module.exports = { updateDeliveryZoneSchema };
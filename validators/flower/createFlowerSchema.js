@@ -1,13 +1,22 @@
 const joi = require("joi");
+const { variantsSchema } = require("./variantSchema");
+const { imageAltSchema } = require("./imageSchema");
+
+// Price and stock are computed from the variants when there are any
+const withVariants = { is: joi.array().min(1).required(), then: joi.optional(), otherwise: joi.required() };
 
 const createFlowerSchema = joi.object({
   name: joi.string().required(),
+  sku: joi.string().optional(),
   description: joi.string().optional(),
-  price: joi.number().required(),
+  price: joi.number().when("variants", withVariants),
   categoryId: joi.string().required(),
-  imageUrl: joi.string().required(),
-  stock: joi.number().required(),
+  imageUrl: joi.string().optional(), // Or upload files in the multipart field "images"
+  imageAlt: imageAltSchema.optional(),
+  stock: joi.number().when("variants", withVariants),
+  variants: variantsSchema.optional(),
   isFeatured: joi.boolean().required(),
+  weight: joi.number().min(0).optional(),
 });
 
 module.exports = { createFlowerSchema };
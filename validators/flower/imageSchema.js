@@ -0,0 +1,17 @@
+const joi = require("joi");
+
+// Alt text for each uploaded file, in upload order; a single value is allowed
+const imageAltSchema = joi.array().items(joi.string().allow("").max(250)).single();
+
+// The flower's current images to keep, in their new display order
+const existingImagesSchema = joi
+  .array()
+  .items(
+    joi.object({
+      _id: joi.string().required(),
+      alt: joi.string().allow("").max(250).optional(),
+    })
+  )
+  .unique("_id");
+
+module.exports = { imageAltSchema, existingImagesSchema };
@@ -1,13 +1,20 @@
 const joi = require("joi");
+const { variantsSchema } = require("./variantSchema");
+const { imageAltSchema, existingImagesSchema } = require("./imageSchema");
 
 const updateFlowerSchema = joi.object({
   name: joi.string().optional(),
+  sku: joi.string().optional(),
   description: joi.string().optional(),
   price: joi.number().optional(),
-  category: joi.string().optional(),
-  image: joi.string().optional(),
+  categoryId: joi.string().optional(),
+  imageUrl: joi.string().optional(),
+  imageAlt: imageAltSchema.optional(),
+  existingImages: existingImagesSchema.optional(),
   stock: joi.number().optional(),
+  variants: variantsSchema.optional(),
   isFeatured: joi.boolean().optional(),
+  weight: joi.number().min(0).optional(),
 });
 
 module.exports = { updateFlowerSchema };
@@ -0,0 +1,20 @@
+const joi = require("joi");
+
+const variantSchema = joi.object({
+  _id: joi.string().optional(),
+  sku: joi.string().required(),
+  price: joi.number().min(0).required(),
+  stock: joi.number().integer().min(0).required(),
+  attributes: joi
+    .object({
+      size: joi.string().optional(),
+      color: joi.string().optional(),
+      stemCount: joi.number().integer().min(1).optional(),
+    })
+    .optional(),
+  weight: joi.number().min(0).optional(),
+});
+
+const variantsSchema = joi.array().items(variantSchema).unique("sku", { ignoreUndefined: true });
+
+module.exports = { variantSchema, variantsSchema };
@@ -0,0 +1,12 @@
+const joi = require("joi");
+const { deliverySchema } = require("./deliverySchema");
+const { quoteOrderSchema } = require("./quoteOrderSchema");
+
+// What is priced for a quote, plus what only matters once the order is placed
+const createOrderSchema = quoteOrderSchema.keys({
+  user: joi.string().optional(), // Only honoured with orders:manage
+  delivery: deliverySchema.optional(),
+  anonymous: joi.boolean().optional(),
+});
+
+module.exports = { createOrderSchema };
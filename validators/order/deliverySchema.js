@@ -0,0 +1,8 @@
+const joi = require("joi");
+
+const deliverySchema = joi.object({
+  date: joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+  slot: joi.string().required(),
+});
+
+module.exports = { deliverySchema };
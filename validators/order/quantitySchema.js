@@ -0,0 +1,9 @@
+const joi = require("joi");
+
+// Most units of one flower per line; far above any real order, it keeps
+// pricing and stock checks from working through absurd quantities
+const MAX_ITEM_QUANTITY = 1000;
+
+const quantitySchema = joi.number().integer().min(1).max(MAX_ITEM_QUANTITY);
+
+module.exports = { quantitySchema, MAX_ITEM_QUANTITY };
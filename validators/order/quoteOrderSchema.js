@@ -0,0 +1,25 @@
+const joi = require("joi");
+const { shippingAddressSchema } = require("./shippingAddressSchema");
+const { recipientSchema } = require("./recipientSchema");
+const { quantitySchema } = require("./quantitySchema");
+
+const quoteOrderSchema = joi.object({
+  items: joi
+    .array()
+    .items(
+      joi.object({
+        flower: joi.string().required(),
+        variant: joi.string().optional(),
+        quantity: quantitySchema.required(),
+      })
+    )
+    .min(1)
+    .optional(),
+  // Without either, the recipients' addresses or the default address of the address book
+  shippingAddress: shippingAddressSchema.optional(),
+  addressId: joi.string().optional(),
+  promoCode: joi.string().trim().optional(),
+  recipients: joi.array().items(recipientSchema).min(1).max(10).optional(),
+}).oxor("shippingAddress", "addressId");
+
+module.exports = { quoteOrderSchema };
@@ -0,0 +1,32 @@
+const joi = require("joi");
+const { shippingAddressSchema } = require("./shippingAddressSchema");
+const { deliverySchema } = require("./deliverySchema");
+const { quantitySchema } = require("./quantitySchema");
+
+// The recipient of an order shipped to its own shipping address
+const giftRecipientSchema = joi.object({
+  name: joi.string().trim().max(100).required(),
+  phone: joi.string().trim().pattern(/^\+?[0-9 ()-]{7,20}$/).optional(),
+  giftMessage: joi.string().allow("").max(250).optional(),
+});
+
+// One of the recipients of an order, with their own address, delivery slot
+// and items when the order has several
+const recipientSchema = giftRecipientSchema.keys({
+  shippingAddress: shippingAddressSchema.optional(),
+  addressId: joi.string().optional(),
+  delivery: deliverySchema.optional(),
+  items: joi
+    .array()
+    .items(
+      joi.object({
+        flower: joi.string().required(),
+        variant: joi.string().optional(),
+        quantity: quantitySchema.required(),
+      })
+    )
+    .min(1)
+    .optional(),
+}).oxor("shippingAddress", "addressId");
+
+module.exports = { giftRecipientSchema, recipientSchema };
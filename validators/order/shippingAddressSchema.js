@@ -0,0 +1,11 @@
+const joi = require("joi");
+
+const shippingAddressSchema = joi.object({
+  street: joi.string().required(),
+  city: joi.string().required(),
+  state: joi.string().required(),
+  zipCode: joi.string().required(),
+  country: joi.string().required(),
+});
+
+module.exports = { shippingAddressSchema };
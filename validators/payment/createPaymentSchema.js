@@ -0,0 +1,9 @@
+const joi = require("joi");
+
+const createPaymentSchema = joi.object({
+  order: joi.string().required(),
+  paymentMethod: joi.string().required(),
+  capture: joi.boolean().optional(),
+});
+
+module.exports = { createPaymentSchema };
@@ -0,0 +1,8 @@
+const joi = require("joi");
+
+// Capture and refund default to the whole amount
+const paymentAmountSchema = joi.object({
+  amount: joi.number().greater(0).optional(),
+});
+
+module.exports = { paymentAmountSchema };
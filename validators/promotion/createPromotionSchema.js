@@ -0,0 +1,37 @@
+const joi = require("joi");
+
+const PROMOTION_TYPES = ["percentage", "fixed", "free_shipping", "buy_x_get_y"];
+
+const createPromotionSchema = joi.object({
+  code: joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).max(40).required(),
+  description: joi.string().max(500).optional(),
+  type: joi.string().valid(...PROMOTION_TYPES).required(),
+  value: joi.when("type", {
+    switch: [
+      { is: "percentage", then: joi.number().greater(0).max(100).required() },
+      { is: "fixed", then: joi.number().greater(0).required() },
+      { is: "buy_x_get_y", then: joi.number().greater(0).max(100).optional() },
+    ],
+    otherwise: joi.forbidden(),
+  }),
+  buyQuantity: joi.when("type", {
+    is: "buy_x_get_y",
+    then: joi.number().integer().min(1).required(),
+    otherwise: joi.forbidden(),
+  }),
+  getQuantity: joi.when("type", {
+    is: "buy_x_get_y",
+    then: joi.number().integer().min(1).required(),
+    otherwise: joi.forbidden(),
+  }),
+  minOrderValue: joi.number().min(0).optional(),
+  flowers: joi.array().items(joi.string()).optional(),
+  categories: joi.array().items(joi.string()).optional(),
+  usageLimit: joi.number().integer().min(1).allow(null).optional(),
+  perUserLimit: joi.number().integer().min(1).allow(null).optional(),
+  startsAt: joi.date().allow(null).optional(),
+  endsAt: joi.date().allow(null).optional(),
+  isActive: joi.boolean().optional(),
+});
+
+module.exports = { createPromotionSchema, PROMOTION_TYPES };
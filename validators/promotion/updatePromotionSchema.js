@@ -0,0 +1,25 @@
+const joi = require("joi");
+const { PROMOTION_TYPES } = require("./createPromotionSchema");
+
+// Rules tying value, buyQuantity and getQuantity to the type are checked by
+// the model, against the promotion as it is after the update
+const updatePromotionSchema = joi
+  .object({
+    code: joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).max(40).optional(),
+    description: joi.string().max(500).allow("").optional(),
+    type: joi.string().valid(...PROMOTION_TYPES).optional(),
+    value: joi.number().greater(0).allow(null).optional(),
+    buyQuantity: joi.number().integer().min(1).allow(null).optional(),
+    getQuantity: joi.number().integer().min(1).allow(null).optional(),
+    minOrderValue: joi.number().min(0).optional(),
+    flowers: joi.array().items(joi.string()).optional(),
+    categories: joi.array().items(joi.string()).optional(),
+    usageLimit: joi.number().integer().min(1).allow(null).optional(),
+    perUserLimit: joi.number().integer().min(1).allow(null).optional(),
+    startsAt: joi.date().allow(null).optional(),
+    endsAt: joi.date().allow(null).optional(),
+    isActive: joi.boolean().optional(),
+  })
+  .min(1);
+
+module.exports = { updatePromotionSchema };
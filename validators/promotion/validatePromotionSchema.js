@@ -0,0 +1,19 @@
+const joi = require("joi");
+const { quantitySchema } = require("../order/quantitySchema");
+
+const validatePromotionSchema = joi.object({
+  code: joi.string().trim().required(),
+  items: joi
+    .array()
+    .items(
+      joi.object({
+        flower: joi.string().required(),
+        variant: joi.string().optional(),
+        quantity: quantitySchema.required(),
+      })
+    )
+    .min(1)
+    .optional(),
+});
+
+module.exports = { validatePromotionSchema };
@@ -0,0 +1,14 @@
+const joi = require("joi");
+
+const approveReturnSchema = joi.object({
+  resolution: joi.string().valid("refund", "replacement").required(),
+  refundAmount: joi.number().min(0).precision(2).when("resolution", {
+    is: "refund",
+    then: joi.optional(),
+    otherwise: joi.forbidden(),
+  }),
+  restock: joi.boolean().optional(),
+  note: joi.string().max(500).allow("").optional(),
+});
+
+module.exports = { approveReturnSchema };
@@ -0,0 +1,19 @@
+const joi = require("joi");
+
+const createReturnSchema = joi.object({
+  order: joi.string().required(),
+  items: joi
+    .array()
+    .items(
+      joi.object({
+        line: joi.number().integer().min(0).required(),
+        quantity: joi.number().integer().min(1).required(),
+      })
+    )
+    .min(1)
+    .required(),
+  reason: joi.string().valid("damaged", "wilted", "wrong_item", "missing_item", "other").required(),
+  description: joi.string().max(2000).optional(),
+});
+
+module.exports = { createReturnSchema };
@@ -0,0 +1,7 @@
+const joi = require("joi");
+
+const rejectReturnSchema = joi.object({
+  note: joi.string().max(500).allow("").optional(),
+});
+
+module.exports = { rejectReturnSchema };
@@ -0,0 +1,9 @@
+const joi = require("joi");
+
+const createReviewSchema = joi.object({
+  rating: joi.number().integer().min(1).max(5).required(),
+  title: joi.string().max(120).optional(),
+  comment: joi.string().max(2000).optional(),
+});
+
+module.exports = { createReviewSchema };
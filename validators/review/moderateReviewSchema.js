@@ -0,0 +1,8 @@
+const joi = require("joi");
+
+const moderateReviewSchema = joi.object({
+  status: joi.string().valid("approved", "hidden").required(),
+  note: joi.string().max(500).allow("").optional(),
+});
+
+module.exports = { moderateReviewSchema };
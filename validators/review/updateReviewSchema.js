@@ -0,0 +1,11 @@
+const joi = require("joi");
+
+const updateReviewSchema = joi
+  .object({
+    rating: joi.number().integer().min(1).max(5).optional(),
+    title: joi.string().max(120).allow("").optional(),
+    comment: joi.string().max(2000).allow("").optional(),
+  })
+  .min(1);
+
+module.exports = { updateReviewSchema };
@@ -0,0 +1,34 @@
+const joi = require("joi");
+const { shippingAddressSchema } = require("../order/shippingAddressSchema");
+const { quantitySchema } = require("../order/quantitySchema");
+
+const subscriptionItemSchema = joi.object({
+  flower: joi.string().required(),
+  variant: joi.string().optional(),
+  quantity: quantitySchema.required(),
+});
+
+const floristChoiceSchema = joi.object({
+  category: joi.string().required(),
+  quantity: quantitySchema.required(),
+  maxPrice: joi.number().min(0).optional(),
+});
+
+const FREQUENCIES = ["weekly", "biweekly", "monthly"];
+
+// Either the customer's own flowers or the florist's choice
+const createSubscriptionSchema = joi
+  .object({
+    items: joi.array().items(subscriptionItemSchema).min(1),
+    floristChoice: floristChoiceSchema,
+    allowSubstitutions: joi.boolean().optional(),
+    frequency: joi.string().valid(...FREQUENCIES).required(),
+    startsAt: joi.date().iso().min("now").optional(),
+    // Without either, the default address of the address book
+    shippingAddress: shippingAddressSchema.optional(),
+    addressId: joi.string().optional(),
+  })
+  .xor("items", "floristChoice")
+  .oxor("shippingAddress", "addressId");
+
+module.exports = { createSubscriptionSchema, subscriptionItemSchema, floristChoiceSchema, FREQUENCIES };
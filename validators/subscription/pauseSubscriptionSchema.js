@@ -0,0 +1,7 @@
+const joi = require("joi");
+
+const pauseSubscriptionSchema = joi.object({
+  resumeAt: joi.date().iso().greater("now").optional(),
+});
+
+module.exports = { pauseSubscriptionSchema };
@@ -0,0 +1,18 @@
+const joi = require("joi");
+const { shippingAddressSchema } = require("../order/shippingAddressSchema");
+const { subscriptionItemSchema, floristChoiceSchema, FREQUENCIES } = require("./createSubscriptionSchema");
+
+const updateSubscriptionSchema = joi
+  .object({
+    items: joi.array().items(subscriptionItemSchema).min(1),
+    floristChoice: floristChoiceSchema,
+    allowSubstitutions: joi.boolean().optional(),
+    frequency: joi.string().valid(...FREQUENCIES).optional(),
+    shippingAddress: shippingAddressSchema.optional(),
+    addressId: joi.string().optional(),
+  })
+  .oxor("items", "floristChoice")
+  .oxor("shippingAddress", "addressId")
+  .min(1);
+
+module.exports = { updateSubscriptionSchema };
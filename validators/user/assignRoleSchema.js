@@ -0,0 +1,13 @@
+const joi = require("joi");
+const { ROLES, PERMISSIONS } = require("../../config/roles");
+
+const assignRoleSchema = joi.object({
+  role: joi.string().valid(...ROLES).required(),
+  permissions: joi
+    .array()
+    .items(joi.string().valid(...Object.values(PERMISSIONS)))
+    .unique()
+    .optional(),
+});
+
+module.exports = { assignRoleSchema };
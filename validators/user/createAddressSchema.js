@@ -0,0 +1,13 @@
+const joi = require("joi");
+
+const createAddressSchema = joi.object({
+  label: joi.string().trim().max(50).required(),
+  street: joi.string().required(),
+  city: joi.string().required(),
+  state: joi.string().required(),
+  zipCode: joi.string().required(),
+  country: joi.string().required(),
+  isDefault: joi.boolean().optional(),
+});
+
+module.exports = { createAddressSchema };
@@ -0,0 +1,15 @@
+const joi = require("joi");
+
+const updateAddressSchema = joi
+  .object({
+    label: joi.string().trim().max(50).optional(),
+    street: joi.string().optional(),
+    city: joi.string().optional(),
+    state: joi.string().optional(),
+    zipCode: joi.string().optional(),
+    country: joi.string().optional(),
+    isDefault: joi.boolean().optional(),
+  })
+  .min(1);
+
+module.exports = { updateAddressSchema };
@@ -0,0 +1,7 @@
+const joi = require("joi");
+
+const reorderWishlistSchema = joi.object({
+  flowers: joi.array().items(joi.string()).unique().required(),
+});
+
+module.exports = { reorderWishlistSchema };
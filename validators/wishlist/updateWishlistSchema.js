@@ -0,0 +1,7 @@
+const joi = require("joi");
+
+const updateWishlistSchema = joi.object({
+  name: joi.string().max(100).required(),
+});
+
+module.exports = { updateWishlistSchema };
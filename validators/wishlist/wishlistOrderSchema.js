@@ -0,0 +1,29 @@
+const joi = require("joi");
+const { shippingAddressSchema } = require("../order/shippingAddressSchema");
+const { deliverySchema } = require("../order/deliverySchema");
+const { giftRecipientSchema } = require("../order/recipientSchema");
+const { quantitySchema } = require("../order/quantitySchema");
+
+const wishlistOrderSchema = joi.object({
+  items: joi
+    .array()
+    .items(
+      joi.object({
+        flower: joi.string().required(),
+        variant: joi.string().optional(),
+        quantity: quantitySchema.required(),
+      })
+    )
+    .min(1)
+    .optional(),
+  // Without either, the default address of the address book
+  shippingAddress: shippingAddressSchema.optional(),
+  addressId: joi.string().optional(),
+  promoCode: joi.string().trim().optional(),
+  delivery: deliverySchema.optional(),
+  recipient: giftRecipientSchema.optional(),
+  anonymous: joi.boolean().optional(),
+  keepItems: joi.boolean().optional(),
+}).oxor("shippingAddress", "addressId");
+
+module.exports = { wishlistOrderSchema };